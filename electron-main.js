@@ -1,4 +1,4 @@
-import { app, BrowserWindow, ipcMain } from 'electron';
+import { app, BrowserWindow, ipcMain, protocol } from 'electron';
 import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -201,8 +201,23 @@ function startPythonBackend() {
               break;
           }
 
-          if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('python-message', response);
+          const forward = (message) => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('python-message', message);
+            }
+          };
+
+          // A finished run's metadata has to be in config.json before the
+          // renderer asks for the temp experiment.
+          if (response.type === 'detection_completed' && response.data?.success) {
+            const { save_dir: saveDir, experiment, ...data } = response.data;
+            api.registerDetectionRun(saveDir, experiment, appState).then((res) => {
+              forward(res.success
+                ? { ...response, data }
+                : { type: 'error', data: { success: false, error: `Could not record detection run: ${res.error}` } });
+            });
+          } else {
+            forward(response);
           }
         } catch (err) {
           console.error('Failed to parse Python response:', err.message, '| line:', line);
@@ -297,6 +312,34 @@ ipcMain.handle('list-profiles', async () => {
   return api.listProfiles(appState)
 });
 
+ipcMain.handle('get-profile-fields', async () => {
+  return api.getProfileFields(appState)
+});
+
+ipcMain.handle('set-profile-fields', async (_event, { fields }) => {
+  return api.setProfileFields(fields, appState)
+});
+
+ipcMain.handle('get-profile-defaults', async () => {
+  return api.getProfileDefaults(appState)
+});
+
+ipcMain.handle('set-profile-defaults', async (_event, { defaults }) => {
+  return api.setProfileDefaults(defaults, appState)
+});
+
+ipcMain.handle('get-taxonomy', async () => {
+  return api.getTaxonomy(appState)
+});
+
+ipcMain.handle('import-taxonomy', async () => {
+  return api.importTaxonomy(appState)
+});
+
+ipcMain.handle('clear-taxonomy', async () => {
+  return api.clearTaxonomy(appState)
+});
+
 // Model loading — use handle (invoke) so renderer gets an ack
 ipcMain.handle('load-model', async (_event, { modelName }) => {
   if (!pythonProcess) {
@@ -322,15 +365,15 @@ ipcMain.handle('list-available-models', async () => {
 });
 
 // Session operations
-ipcMain.handle('create-session', async (_event, { sessionName, files }) => {
+ipcMain.handle('create-session', async (_event, { sessionName, files, options }) => {
   // Empty name is allowed: createSession will auto-fill an ISO timestamp.
   // Otherwise sanitize the name to keep filesystem characters safe.
   if (sessionName) {
     const name = sanitizeName(sessionName);
     if (!name) return { success: false, error: 'Invalid session name. Avoid special characters: / \\ : * ? " < > |' };
-    return api.createSession(name, files, appState)
+    return api.createSession(name, files, options, appState)
   }
-  return api.createSession('', files, appState)
+  return api.createSession('', files, options, appState)
 });
 
 ipcMain.handle('list-sessions', async () => {
@@ -354,16 +397,16 @@ ipcMain.handle('save-experiment', async (_event, { sessionId }) => {
   return api.saveExperiment(sessionId, appState)
 });
 
-ipcMain.handle('add-detection', async (_event, { sessionId, experimentId, fileName, start, end }) => {
-  return api.addDetection(sessionId, experimentId, fileName, start, end, appState)
+ipcMain.handle('add-detection', async (_event, { sessionId, experimentId, fileName, start, end, lowFreq, highFreq, channel }) => {
+  return api.addDetection(sessionId, experimentId, fileName, start, end, lowFreq, highFreq, channel, appState)
 });
 
 // start-detection: use handle so renderer gets an ack; completion arrives via python-message event
-ipcMain.handle('start-detection', async (_event, { sessionId, posPrompts, negPrompts, theta = 0.5 }) => {
+ipcMain.handle('start-detection', async (_event, { sessionId, posPrompts, negPrompts, theta = 0.5, channel = 0 }) => {
   if (!pythonProcess) {
     return { success: false, error: 'ML backend is not running' };
   }
-  return api.startDetection(sessionId, posPrompts, negPrompts, theta, pythonProcess, appState)
+  return api.startDetection(sessionId, posPrompts, negPrompts, theta, channel, pythonProcess, appState)
 });
 
 ipcMain.handle('cancel-detection', async (_event) => {
@@ -386,8 +429,16 @@ ipcMain.handle('wipe-temp', async (_event, { sessionId }) => {
 });
 
 // Annotation operations
-ipcMain.handle('assign-annotation', async (_event, { sessionId, experimentId, detectionId, species }) => {
-  return api.assignAnnotation(sessionId, experimentId, detectionId, species, appState)
+ipcMain.handle('assign-annotation', async (_event, { sessionId, experimentId, detectionId, annotation }) => {
+  return api.assignAnnotation(sessionId, experimentId, detectionId, annotation, appState)
+});
+
+ipcMain.handle('set-detection-fields', async (_event, { sessionId, experimentId, detectionId, values }) => {
+  return api.setDetectionFields(sessionId, experimentId, detectionId, values, appState)
+});
+
+ipcMain.handle('set-detection-notes', async (_event, { sessionId, experimentId, detectionId, changes }) => {
+  return api.setDetectionNotes(sessionId, experimentId, detectionId, changes, appState)
 });
 
 // Verification operations
@@ -403,8 +454,8 @@ ipcMain.handle('delete-detection', async (_event, { sessionId, experimentId, det
   return api.deleteDetection(sessionId, experimentId, detectionId, appState)
 })
 
-ipcMain.handle('update-detection-times', async (_event, { sessionId, experimentId, detectionId, start, end }) => {
-  return api.updateDetectionTimes(sessionId, experimentId, detectionId, start, end, appState)
+ipcMain.handle('update-detection-times', async (_event, { sessionId, experimentId, detectionId, start, end, lowFreq, highFreq }) => {
+  return api.updateDetectionTimes(sessionId, experimentId, detectionId, start, end, lowFreq, highFreq, appState)
 })
 
 ipcMain.handle('restore-detection', async (_event, { sessionId, experimentId, detection }) => {
@@ -415,6 +466,83 @@ ipcMain.handle('delete-experiment', async (_event, { sessionId, experimentId })
   return api.deleteExperiment(sessionId, experimentId, appState)
 });
 
+// Bulk edits on a multi-selection. Items are { experimentId, id } pairs; each
+// call is a single transaction.
+ipcMain.handle('bulk-update-detections', async (_event, { sessionId, items, fields }) => {
+  return api.bulkUpdateDetections(sessionId, items, fields, appState)
+})
+
+ipcMain.handle('bulk-delete-detections', async (_event, { sessionId, items }) => {
+  return api.bulkDeleteDetections(sessionId, items, appState)
+})
+
+ipcMain.handle('bulk-restore-detections', async (_event, { sessionId, entries }) => {
+  return api.bulkRestoreDetections(sessionId, entries, appState)
+})
+
+ipcMain.handle('move-detections', async (_event, { sessionId, moves }) => {
+  return api.moveDetections(sessionId, moves, appState)
+})
+
+// Undo/redo history of detection edits, kept in the session database.
+ipcMain.handle('get-edit-history', async (_event, { sessionId }) => {
+  return api.getEditHistory(sessionId, appState)
+})
+
+ipcMain.handle('undo-edit', async (_event, { sessionId, seq }) => {
+  return api.undoEdit(sessionId, seq, appState)
+})
+
+ipcMain.handle('redo-edit', async (_event, { sessionId, seq }) => {
+  return api.redoEdit(sessionId, seq, appState)
+})
+
+// Append-only log of who changed each detection
+ipcMain.handle('get-detection-audit', async (_event, { sessionId, experimentId, detectionId }) => {
+  return api.getDetectionAudit(sessionId, experimentId, detectionId, appState)
+})
+
+// Interchange with other annotation tools
+ipcMain.handle('export-raven', async (_event, { sessionId, experimentId, mode }) => {
+  return api.exportRavenTable(sessionId, experimentId, mode, appState)
+})
+
+ipcMain.handle('import-raven', async (_event, { sessionId }) => {
+  return api.importRavenTables(sessionId, appState)
+})
+
+ipcMain.handle('export-audacity', async (_event, { sessionId, experimentId }) => {
+  return api.exportAudacityLabels(sessionId, experimentId, appState)
+})
+
+ipcMain.handle('import-audacity', async (_event, { sessionId, mode }) => {
+  return api.importAudacityLabels(sessionId, mode, appState)
+})
+
+ipcMain.handle('import-birdnet', async (_event, { sessionId }) => {
+  return api.importBirdnetResults(sessionId, appState)
+})
+
+ipcMain.handle('import-kaleidoscope', async (_event, { sessionId }) => {
+  return api.importKaleidoscopeIds(sessionId, appState)
+})
+
+ipcMain.handle('open-csv-for-import', async () => {
+  return api.openCsvForImport()
+})
+
+ipcMain.handle('import-csv', async (_event, { sessionId, filePath, mapping, dryRun }) => {
+  return api.importCsvWithMapping(sessionId, filePath, mapping, !!dryRun, appState)
+})
+
+ipcMain.handle('export-csv', async (_event, { sessionId, experimentId }) => {
+  return api.exportExperimentCsv(sessionId, experimentId, appState)
+})
+
+ipcMain.handle('export-audit-log', async (_event, { sessionId, experimentId }) => {
+  return api.exportAuditLog(sessionId, experimentId, appState)
+})
+
 // App state management
 ipcMain.handle('get-app-state', async () => {
   return { success: true, ...appState }
@@ -468,7 +596,13 @@ if (process.platform === 'win32') {
   app.setAppUserModelId('com.bioacoustics.annotation');
 }
 
+// Must happen before the app is ready; see main/audioStream.js.
+protocol.registerSchemesAsPrivileged([
+  { scheme: api.AUDIO_SCHEME, privileges: api.AUDIO_SCHEME_PRIVILEGES }
+]);
+
 app.whenReady().then(() => {
+  protocol.handle(api.AUDIO_SCHEME, api.serveAudio);
   createWindow();
   startPythonBackend();
 });
@@ -488,4 +622,5 @@ app.on('activate', () => {
 
 app.on('before-quit', () => {
   stopPythonBackend();
+  api.closeAllStores();
 });
@@ -1,42 +1,121 @@
-import { parse } from 'csv-parse/sync'
-import { stringify } from 'csv-stringify/sync'
-import fs from 'fs/promises'
-import { safePathJoin, atomicWriteFile } from './utils.js'
-
-async function assignAnnotation(sessionId, experimentId, detectionId, species, state) {
-  const experimentPath = safePathJoin(
-    state.dataDir, state.activeProfile, sessionId, experimentId + '.csv'
-  )
-  if (!experimentPath) return { success: false, error: 'Invalid path' }
+import { withStore, updateDetection, getDetection } from './store.js'
+import { recordEdit } from './history.js'
+import { normalizeLabels, labelColumns } from './labels.js'
+import { loadProfileFields, validateFieldValues } from './profiles.js'
+import { normalizeNotes, normalizeTags } from './notes.js'
+import { loadTaxonomy, taxonIndex, resolveLabels } from './taxonomy.js'
 
+/**
+ * Label a detection. `annotation` is either a single species name or a list
+ * of labels ({ species, code?, call_type?, certainty? }, primary first); an
+ * empty species or list clears it. Names, codes and aliases in the profile's
+ * taxonomy are stored as that taxon's current name and code. Returns the
+ * stored `species`, `species_code` and `labels`.
+ */
+async function assignAnnotation(sessionId, experimentId, detectionId, annotation, state) {
   try {
-    const raw = await fs.readFile(experimentPath, 'utf-8')
-    const records = parse(raw, { columns: true, skip_empty_lines: true, trim: true })
-
-    if (records.length === 0) {
-      return { success: false, error: 'No detections found' }
+    let labels
+    if (Array.isArray(annotation)) {
+      const result = normalizeLabels(annotation)
+      if (result.error) return { success: false, error: result.error }
+      labels = result.labels
+    } else {
+      // The renderer clears a label by sending the CSV-era literal 'null'.
+      const species = annotation === 'null' || annotation === '' || annotation == null ? null : String(annotation)
+      labels = species === null ? [] : [{ species, code: null, call_type: null, certainty: null }]
     }
+    const columns = labelColumns(resolveLabels(taxonIndex(await loadTaxonomy(state)), labels))
+    const label = columns.species === null
+      ? 'Clear species'
+      : `Label as ${(columns.labels || [columns]).map(l => l.species).join(' + ')}`
+    const found = await withStore(sessionId, state, (db) =>
+      recordEdit(db, state, label, [{ experimentId, id: detectionId }], () =>
+        updateDetection(db, experimentId, detectionId, columns)
+      )
+    )
+    if (!found) {
+      return { success: false, error: 'Detection not found' }
+    }
+
+    return { success: true, ...columns, message: 'Detection annotated successfully' }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
 
-    let updated = false
-    const updatedRecords = records.map(row => {
-      if (row.id === detectionId) {
-        updated = true
-        return { ...row, species }
-      }
-      return row
-    })
+/**
+ * Set some of the active profile's custom fields on a detection. `values`
+ * maps field names to values (null or '' clears one); every value is checked
+ * against the field's type before anything is written. Returns the
+ * detection's updated `extra`.
+ */
+async function setDetectionFields(sessionId, experimentId, detectionId, values, state) {
+  try {
+    const fields = await loadProfileFields(state)
+    const result = validateFieldValues(fields, values)
+    if (result.error) return { success: false, error: result.error }
 
-    if (!updated) {
+    const names = Object.keys(result.values)
+    const label = names.length === 1
+      ? `Set ${fields.find(f => f.name === names[0]).label}`
+      : 'Set fields'
+    const extra = await withStore(sessionId, state, (db) =>
+      recordEdit(db, state, label, [{ experimentId, id: detectionId }], () => {
+        const detection = getDetection(db, experimentId, detectionId)
+        if (!detection) return null
+        const next = { ...(detection.extra || {}) }
+        for (const [name, value] of Object.entries(result.values)) {
+          if (value === null) delete next[name]
+          else next[name] = value
+        }
+        updateDetection(db, experimentId, detectionId, { extra: next })
+        return next
+      })
+    )
+    if (!extra) {
       return { success: false, error: 'Detection not found' }
     }
+    return { success: true, extra }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
 
-    const csv = stringify(updatedRecords, { header: true })
-    await atomicWriteFile(experimentPath, csv)
+/**
+ * Set a detection's notes and/or tags. `changes` is { notes?, tags? }; a key
+ * that's left out is left as it is, and null clears it. Returns the stored
+ * `notes` and `tags`.
+ */
+async function setDetectionNotes(sessionId, experimentId, detectionId, changes, state) {
+  try {
+    const fields = {}
+    if (changes && 'notes' in changes) {
+      const result = normalizeNotes(changes.notes)
+      if (result.error) return { success: false, error: result.error }
+      fields.notes = result.notes
+    }
+    if (changes && 'tags' in changes) {
+      const result = normalizeTags(changes.tags)
+      if (result.error) return { success: false, error: result.error }
+      fields.tags = result.tags
+    }
+    if (Object.keys(fields).length === 0) return { success: false, error: 'Nothing to change' }
 
-    return { success: true, message: 'Detection annotated successfully' }
+    const label = 'notes' in fields && 'tags' in fields
+      ? 'Edit notes and tags'
+      : ('notes' in fields ? 'Edit notes' : 'Edit tags')
+    const detection = await withStore(sessionId, state, (db) =>
+      recordEdit(db, state, label, [{ experimentId, id: detectionId }], () =>
+        updateDetection(db, experimentId, detectionId, fields) ? getDetection(db, experimentId, detectionId) : null
+      )
+    )
+    if (!detection) {
+      return { success: false, error: 'Detection not found' }
+    }
+    return { success: true, notes: detection.notes, tags: detection.tags }
   } catch (err) {
     return { success: false, error: err.message }
   }
 }
 
-export { assignAnnotation }
+export { assignAnnotation, setDetectionFields, setDetectionNotes }
@@ -0,0 +1,207 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { dialog } from 'electron'
+import { atomicWriteFile, buildFileMatcher, readSessionConfig, fileStem, exportFileOrder } from './utils.js'
+import { getExperiment } from './sessions.js'
+import { registerImport } from './interchange.js'
+
+const LABEL_FILTERS = [
+  { name: 'Audacity labels', extensions: ['txt'] },
+  { name: 'All files', extensions: ['*'] }
+]
+
+// Names we look for beside each recording when importing without a dialog.
+// `<stem>.txt` is what our export writes; the others are common hand-saved
+// variants since Audacity itself always suggests "labels.txt".
+const adjacentLabelNames = (audioPath) => {
+  const stem = fileStem(audioPath)
+  return [`${stem}.txt`, `${stem}.labels.txt`, `${stem}_labels.txt`, `${stem} labels.txt`]
+}
+
+// Audacity writes six decimals and always uses '.' regardless of locale.
+const formatSeconds = (n) => Number(n).toFixed(6)
+
+/**
+ * Serialize one file's detections as an Audacity label track. Box detections
+ * get Audacity's spectral-selection continuation line (`\<tab>low<tab>high`)
+ * so frequency bounds survive a round trip through Audacity.
+ */
+const toLabelTrack = (detections) => {
+  const lines = []
+  for (const d of [...detections].sort((a, b) => a.start_time - b.start_time)) {
+    const label = String(d.species ?? '').replace(/[\t\r\n]+/g, ' ')
+    lines.push(`${formatSeconds(d.start_time)}\t${formatSeconds(d.end_time)}\t${label}`)
+    if (d.low_freq != null && d.high_freq != null) {
+      lines.push(`\\\t${formatSeconds(d.low_freq)}\t${formatSeconds(d.high_freq)}`)
+    }
+  }
+  return lines.length ? lines.join('\n') + '\n' : ''
+}
+
+/**
+ * Parse an Audacity label file. Returns one entry per label with its 1-based
+ * line number; lines that don't parse are returned in `invalid` rather than
+ * thrown, so one stray line doesn't sink a whole import.
+ */
+const parseLabelTrack = (raw) => {
+  const labels = []
+  const invalid = []
+  raw.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === '') return
+    const cells = line.split('\t')
+    if (cells[0] === '\\') {
+      // Spectral continuation line for the label just above it.
+      const prev = labels[labels.length - 1]
+      const low = parseFloat(cells[1])
+      const high = parseFloat(cells[2])
+      if (prev && prev.line === i && Number.isFinite(low) && Number.isFinite(high) && high > low) {
+        prev.low_freq = low
+        prev.high_freq = high
+      }
+      return
+    }
+    const start = parseFloat(cells[0])
+    const end = cells.length > 1 ? parseFloat(cells[1]) : NaN
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) {
+      invalid.push({ line: i + 1, reason: 'Not a start/end/label line' })
+      return
+    }
+    labels.push({
+      line: i + 1,
+      start_time: start,
+      end_time: end,
+      label: cells.slice(2).join('\t').trim(),
+      low_freq: null,
+      high_freq: null
+    })
+  })
+  return { labels, invalid }
+}
+
+/**
+ * Export an experiment as one Audacity label file per recording, named
+ * `<recording>.txt`, into a folder the user picks. Files without detections
+ * are skipped.
+ */
+const exportAudacityLabels = async (sessionId, experimentId, state) => {
+  try {
+    const config = await readSessionConfig(sessionId, state)
+    const result = await getExperiment(sessionId, experimentId, state)
+    if (!result.success) return result
+    const grouped = result.experiment.detections || {}
+
+    const target = await dialog.showOpenDialog({
+      title: 'Choose a folder for the label files',
+      properties: ['openDirectory', 'createDirectory']
+    })
+    if (target.canceled || !target.filePaths.length) return { canceled: true }
+    const outDir = target.filePaths[0]
+
+    let count = 0
+    let tables = 0
+    for (const f of exportFileOrder(config.files, grouped)) {
+      const list = grouped[f] || []
+      if (list.length === 0) continue
+      await atomicWriteFile(path.join(outDir, `${fileStem(f)}.txt`), toLabelTrack(list))
+      count += list.length
+      tables++
+    }
+    return { success: true, path: outDir, count, tables }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+// Resolve a picked label file to a session recording by its own name:
+// `rec01.txt`, `rec01.labels.txt` and `rec01_labels.txt` all mean rec01.wav.
+const matchLabelFile = (match, labelPath) => {
+  const base = path.basename(labelPath).replace(/\.txt$/i, '')
+  return match(base) || match(base.replace(/[._ -]labels?$/i, ''))
+}
+
+/**
+ * Import Audacity label files as a new experiment. mode 'adjacent' looks for
+ * a label file beside each of the session's recordings; 'dialog' lets the
+ * user pick files, matched to recordings by filename. Labels that can't be
+ * tied to a session file are reported in `unmatched`.
+ */
+const importAudacityLabels = async (sessionId, mode, state) => {
+  if (mode !== 'adjacent' && mode !== 'dialog') {
+    return { success: false, error: `Unknown Audacity import mode: ${mode}` }
+  }
+  try {
+    const config = await readSessionConfig(sessionId, state)
+    const files = config.files || []
+
+    // [{ labelPath, filename | null }]
+    const sources = []
+    if (mode === 'adjacent') {
+      for (const f of files) {
+        for (const name of adjacentLabelNames(f)) {
+          const candidate = path.join(path.dirname(f), name)
+          try {
+            await fs.access(candidate)
+            sources.push({ labelPath: candidate, filename: f })
+            break
+          } catch {
+            // Not there; try the next naming variant.
+          }
+        }
+      }
+      if (sources.length === 0) {
+        return { success: false, error: 'No label files found next to the session\'s recordings' }
+      }
+    } else {
+      const picked = await dialog.showOpenDialog({
+        title: 'Import Audacity label files',
+        properties: ['openFile', 'multiSelections'],
+        filters: LABEL_FILTERS
+      })
+      if (picked.canceled || !picked.filePaths.length) return { canceled: true }
+      const match = buildFileMatcher(files)
+      for (const labelPath of picked.filePaths) {
+        sources.push({ labelPath, filename: matchLabelFile(match, labelPath) })
+      }
+    }
+
+    const detections = []
+    const unmatched = []
+    for (const { labelPath, filename } of sources) {
+      const sourceName = path.basename(labelPath)
+      const { labels, invalid } = parseLabelTrack(await fs.readFile(labelPath, 'utf-8'))
+      for (const bad of invalid) {
+        unmatched.push({ source: sourceName, row: bad.line, file: filename || '', reason: bad.reason })
+      }
+      for (const l of labels) {
+        if (!filename) {
+          unmatched.push({ source: sourceName, row: l.line, file: '', label: l.label, reason: 'No session file matches this label file' })
+          continue
+        }
+        if (l.end_time === l.start_time) {
+          // Point labels have no extent to turn into a detection.
+          unmatched.push({ source: sourceName, row: l.line, file: filename, reason: 'Point label (zero length)' })
+          continue
+        }
+        detections.push({
+          filename,
+          start_time: l.start_time,
+          end_time: l.end_time,
+          species: l.label || null,
+          detection_conf: 1.0,
+          verified: false,
+          low_freq: l.low_freq,
+          high_freq: l.high_freq
+        })
+      }
+    }
+    const labelPaths = sources.map(s => s.labelPath)
+    return await registerImport(sessionId, 'audacity', labelPaths, { detections, unmatched }, state)
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+export {
+  exportAudacityLabels,
+  importAudacityLabels
+}
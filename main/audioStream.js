@@ -0,0 +1,99 @@
+import fs from 'fs'
+import path from 'path'
+import { Readable } from 'stream'
+
+// Audio reaches the renderer through a custom protocol rather than file://
+// so it can be read a piece at a time: the <audio> element streams through
+// HTTP range requests, and the spectrogram worker fetches only the byte
+// ranges behind the tiles it is computing. A multi-hour recording then never
+// has to be read into memory whole.
+//
+// URLs are clap-audio://file/<encodeURIComponent(absolute path)>.
+const AUDIO_SCHEME = 'clap-audio'
+
+// Privileges for protocol.registerSchemesAsPrivileged: fetch() from pages
+// and workers, streamed media, and CORS so the worker may read the
+// Content-Range header.
+const AUDIO_SCHEME_PRIVILEGES = {
+  standard: true,
+  secure: true,
+  supportFetchAPI: true,
+  stream: true,
+  corsEnabled: true
+}
+
+// Only recordings are served; the app reads nothing else this way.
+const AUDIO_EXTENSIONS = new Set(['.wav'])
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Expose-Headers': 'Content-Range, Content-Length, Accept-Ranges, ETag'
+}
+
+const errorResponse = (status) => new Response(null, { status, headers: CORS_HEADERS })
+
+/**
+ * The inclusive byte range a Range header asks for in a file of `size`
+ * bytes: { start, end }, null without a (single, bytes) range, or
+ * { unsatisfiable: true } for one outside the file.
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim())
+  if (!match || (match[1] === '' && match[2] === '')) return null
+  let start
+  let end
+  if (match[1] === '') {
+    // Suffix range: the last N bytes.
+    start = Math.max(0, size - Number(match[2]))
+    end = size - 1
+  } else {
+    start = Number(match[1])
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1)
+  }
+  if (start >= size || end < start) return { unsatisfiable: true }
+  return { start, end }
+}
+
+/** protocol.handle handler for AUDIO_SCHEME: the file, or the requested range of it. */
+const serveAudio = async (request) => {
+  let filePath
+  try {
+    const url = new URL(request.url)
+    filePath = decodeURIComponent(url.pathname.replace(/^\//, ''))
+  } catch {
+    return errorResponse(400)
+  }
+  if (!path.isAbsolute(filePath) || !AUDIO_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+    return errorResponse(403)
+  }
+
+  let size
+  let etag
+  try {
+    const stat = await fs.promises.stat(filePath)
+    if (!stat.isFile()) return errorResponse(404)
+    size = stat.size
+    // Changes whenever the file does; the renderer keys its persistent
+    // spectrogram tile cache on it.
+    etag = `"${size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`
+  } catch {
+    return errorResponse(404)
+  }
+
+  const headers = { ...CORS_HEADERS, 'Content-Type': 'audio/wav', 'Accept-Ranges': 'bytes', ETag: etag }
+  const range = parseRange(request.headers.get('range'), size)
+  if (range?.unsatisfiable) {
+    return new Response(null, { status: 416, headers: { ...headers, 'Content-Range': `bytes */${size}` } })
+  }
+  const { start, end } = range ?? { start: 0, end: size - 1 }
+  headers['Content-Length'] = String(size ? end - start + 1 : 0)
+  if (range) headers['Content-Range'] = `bytes ${start}-${end}/${size}`
+  if (request.method === 'HEAD' || size === 0) {
+    return new Response(null, { status: range ? 206 : 200, headers })
+  }
+
+  const body = Readable.toWeb(fs.createReadStream(filePath, { start, end }))
+  return new Response(body, { status: range ? 206 : 200, headers })
+}
+
+export { AUDIO_SCHEME, AUDIO_SCHEME_PRIVILEGES, serveAudio }
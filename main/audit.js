@@ -0,0 +1,113 @@
+import { dialog } from 'electron'
+import { stringify } from 'csv-stringify/sync'
+import { withStore, getExperimentMeta } from './store.js'
+import { readSessionConfig, exportBaseName, atomicWriteFile } from './utils.js'
+
+// Append-only record of who changed which detection field, and when. Unlike
+// the undo history, which only keeps what's needed to step back and forth,
+// entries here are never rewritten by undo, redo or deleting the detection.
+// Only an unsaved (temp) run's entries are discarded along with the run.
+
+const AUDITED_FIELDS = [
+  'filename', 'start_time', 'end_time', 'species', 'species_code', 'labels', 'detection_conf', 'verified', 'low_freq', 'high_freq', 'channel', 'notes', 'tags', 'extra'
+]
+
+const AUDIT_COLUMNS = ['time', 'profile', 'action', 'detection_id', 'field', 'old_value', 'new_value']
+
+const auditValue = (value) => {
+  if (value === null || value === undefined) return null
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+/**
+ * Log the field-level differences in `changes` (before/after snapshots, as
+ * recorded by history.js) under `action`. A created or deleted detection is
+ * a single 'detection' row carrying the whole snapshot.
+ */
+const appendAudit = (db, profile, action, changes) => {
+  const insert = db.prepare(`
+    INSERT INTO audit_log (experiment_id, detection_id, time, profile, action, field, old_value, new_value)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `)
+  const time = new Date().toISOString()
+  for (const { experimentId, id, before, after } of changes) {
+    const log = (field, oldValue, newValue) =>
+      insert.run(experimentId, id, time, profile ?? null, action, field, auditValue(oldValue), auditValue(newValue))
+    if (!before || !after) {
+      log('detection', before, after)
+      continue
+    }
+    for (const field of AUDITED_FIELDS) {
+      if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+        log(field, before[field], after[field])
+      }
+    }
+  }
+}
+
+// Saving the temp run gives it a real id; its log goes with it.
+const renameExperimentInAudit = (db, fromId, toId) =>
+  db.prepare('UPDATE audit_log SET experiment_id = ? WHERE experiment_id = ?').run(toId, fromId)
+
+// Only for runs that were never saved.
+const discardAudit = (db, experimentId) =>
+  db.prepare('DELETE FROM audit_log WHERE experiment_id = ?').run(experimentId)
+
+const toAuditEntry = (row) => ({
+  time: row.time,
+  profile: row.profile,
+  action: row.action,
+  detection_id: row.detection_id,
+  field: row.field,
+  old_value: row.old_value,
+  new_value: row.new_value
+})
+
+// Oldest first.
+const getDetectionAudit = async (sessionId, experimentId, detectionId, state) => {
+  try {
+    const entries = await withStore(sessionId, state, (db) =>
+      db.prepare('SELECT * FROM audit_log WHERE experiment_id = ? AND detection_id = ? ORDER BY seq')
+        .all(experimentId, detectionId)
+        .map(toAuditEntry)
+    )
+    return { success: true, entries }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+/**
+ * Write an experiment's edit log as CSV, one row per changed field, oldest
+ * first. Rows for detections that have since been deleted are included.
+ */
+const exportAuditLog = async (sessionId, experimentId, state) => {
+  try {
+    const config = await readSessionConfig(sessionId, state)
+    const rows = await withStore(sessionId, state, (db) => {
+      if (!getExperimentMeta(db, experimentId)) return null
+      return db.prepare('SELECT * FROM audit_log WHERE experiment_id = ? ORDER BY seq').all(experimentId).map(toAuditEntry)
+    })
+    if (!rows) return { success: false, error: 'Experiment not found' }
+
+    const target = await dialog.showSaveDialog({
+      title: 'Export edit log',
+      defaultPath: `${exportBaseName(config, experimentId)}.edits.csv`,
+      filters: [{ name: 'CSV', extensions: ['csv'] }]
+    })
+    if (target.canceled || !target.filePath) return { canceled: true }
+
+    await atomicWriteFile(target.filePath, stringify(rows, { header: true, columns: AUDIT_COLUMNS }))
+    return { success: true, path: target.filePath, count: rows.length, tables: 1, unit: 'edit' }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+export {
+  appendAudit,
+  renameExperimentInAudit,
+  discardAudit,
+  getDetectionAudit,
+  exportAuditLog
+}
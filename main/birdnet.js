@@ -0,0 +1,112 @@
+import { parse } from 'csv-parse/sync'
+import fs from 'fs/promises'
+import path from 'path'
+import { dialog } from 'electron'
+import { buildFileMatcher, readSessionConfig } from './utils.js'
+import { parseRavenTable, ravenRowsToDetections } from './raven.js'
+import { readNumber, registerImport } from './interchange.js'
+
+// BirdNET-Analyzer labels each row with both names; the common name is what
+// people annotate with, so prefer it and fall back to the others.
+const BIRDNET_SPECIES_COLUMNS = ['Common Name', 'Common name', 'Scientific Name', 'Scientific name', 'Species Code']
+
+// `rec01.BirdNET.results.csv` → `rec01`
+const audioStemFromResultName = (resultPath) =>
+  path.basename(resultPath)
+    .replace(/\.csv$/i, '')
+    .replace(/\.BirdNET\.results$/i, '')
+
+const isSelectionTable = (raw) => {
+  const header = raw.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0]
+  return header.includes('\t') && /(^|\t)Selection(\t|$)/.test(header)
+}
+
+/**
+ * Convert a BirdNET `--rtype csv` result (one per recording, or the combined
+ * table with a `File` column) into detections. Row numbers in `unmatched`
+ * are line numbers in the file, with the header on line 1.
+ */
+const birdnetCsvToDetections = (raw, resultPath, match) => {
+  const records = parse(raw, { columns: true, skip_empty_lines: true, trim: true, bom: true })
+  const sourceName = path.basename(resultPath)
+  const fallback = audioStemFromResultName(resultPath)
+  const detections = []
+  const unmatched = []
+  records.forEach((record, i) => {
+    const row = i + 2
+    const ref = record['File'] || fallback
+    const filename = record['File'] ? match(record['File']) : match(fallback)
+    if (!filename) {
+      unmatched.push({ source: sourceName, row, file: ref, reason: 'No matching file in session' })
+      return
+    }
+    const start = readNumber(record['Start (s)'])
+    const end = readNumber(record['End (s)'])
+    if (start === null || end === null || end <= start) {
+      unmatched.push({ source: sourceName, row, file: ref, reason: 'Missing or invalid start/end time' })
+      return
+    }
+    const speciesColumn = BIRDNET_SPECIES_COLUMNS.find(c => String(record[c] ?? '').trim() !== '')
+    detections.push({
+      filename,
+      start_time: start,
+      end_time: end,
+      species: speciesColumn ? record[speciesColumn] : null,
+      detection_conf: readNumber(record['Confidence']) ?? 1.0,
+      verified: false,
+      low_freq: null,
+      high_freq: null
+    })
+  })
+  return { detections, unmatched }
+}
+
+/**
+ * Import BirdNET-Analyzer output as a new experiment. Accepts both result
+ * types BirdNET writes — Raven selection tables (`.txt`) and CSV — and
+ * tells them apart by content, so a mixed pick works too.
+ */
+const importBirdnetResults = async (sessionId, state) => {
+  try {
+    const config = await readSessionConfig(sessionId, state)
+    const picked = await dialog.showOpenDialog({
+      title: 'Import BirdNET results',
+      properties: ['openFile', 'multiSelections'],
+      filters: [
+        { name: 'BirdNET results', extensions: ['txt', 'csv'] },
+        { name: 'All files', extensions: ['*'] }
+      ]
+    })
+    if (picked.canceled || !picked.filePaths.length) return { canceled: true }
+
+    const match = buildFileMatcher(config.files)
+    const tables = []
+    const detections = []
+    const unmatched = []
+    for (const resultPath of picked.filePaths) {
+      const raw = await fs.readFile(resultPath, 'utf-8')
+      if (isSelectionTable(raw)) {
+        tables.push({ tablePath: resultPath, rows: parseRavenTable(raw) })
+      } else {
+        const result = birdnetCsvToDetections(raw, resultPath, match)
+        detections.push(...result.detections)
+        unmatched.push(...result.unmatched)
+      }
+    }
+    if (tables.length) {
+      // BirdNET fills Low/High Freq with its bandpass limits for every row,
+      // which says nothing about the call itself.
+      const result = await ravenRowsToDetections(tables, config.files, {
+        speciesColumns: BIRDNET_SPECIES_COLUMNS,
+        keepFrequency: false
+      })
+      detections.push(...result.detections)
+      unmatched.push(...result.unmatched)
+    }
+    return await registerImport(sessionId, 'birdnet', picked.filePaths, { detections, unmatched }, state)
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+export { importBirdnetResults }
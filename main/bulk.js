@@ -0,0 +1,165 @@
+import {
+  withStore, getExperimentMeta, getDetection, insertDetections, updateDetection,
+  deleteDetectionRow, moveDetection
+} from './store.js'
+import { recordEdit } from './history.js'
+import { loadTaxonomy, taxonIndex, resolveSpecies } from './taxonomy.js'
+
+// Fields a bulk edit may set, with the check each value must pass.
+const BULK_FIELDS = {
+  verified: (value) => typeof value === 'boolean',
+  species: (value) => value === null || typeof value === 'string',
+  // Only alongside species, for a pick from the taxonomy.
+  species_code: (value) => value === null || typeof value === 'string'
+}
+
+// Every bulk call names detections as { experimentId, id } pairs, since a
+// multi-selection can span the overlaid experiments.
+const isItemList = (items) =>
+  Array.isArray(items) && items.length > 0 &&
+  items.every(item => item && typeof item.experimentId === 'string' && typeof item.id === 'string')
+
+// Throwing inside a transaction rolls it back; the message reaches the user.
+const notFound = (count) => new Error(
+  `${count} of the selected detections ${count === 1 ? 'was' : 'were'} not found; nothing was changed`
+)
+
+const countLabel = (n) => `${n} detection${n === 1 ? '' : 's'}`
+
+// History label for a bulk field update, e.g. "Verify 12 detections".
+const describeUpdate = (fields, n) => {
+  const parts = []
+  if ('species' in fields) {
+    parts.push(fields.species === null ? `Clear species on ${countLabel(n)}` : `Label ${countLabel(n)} as ${fields.species}`)
+  }
+  if ('verified' in fields) {
+    parts.push(parts.length ? (fields.verified ? 'verify' : 'unverify') : `${fields.verified ? 'Verify' : 'Unverify'} ${countLabel(n)}`)
+  }
+  return parts.join(' and ')
+}
+
+// Run `fn(db)` as one transaction in the session's write queue, recorded as a
+// single undo step over `refs`, and turn a rollback into
+// { success: false, error }.
+const runBulk = async (sessionId, state, label, refs, fn) => {
+  try {
+    return await withStore(sessionId, state, (db) => recordEdit(db, state, label, refs, () => fn(db)))
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+/**
+ * Set the same fields (`verified` and/or `species`) on many detections at
+ * once. All or nothing: if any detection is missing, none are changed. A
+ * species is resolved against the profile's taxonomy like a single label;
+ * the result carries the stored `species` and `species_code`.
+ */
+const bulkUpdateDetections = async (sessionId, items, fields, state) => {
+  if (!isItemList(items)) return { success: false, error: 'No detections selected' }
+  const keys = Object.keys(fields || {})
+  if (keys.length === 0 || keys.some(k => !BULK_FIELDS[k] || !BULK_FIELDS[k](fields[k])) ||
+      ('species_code' in fields && !('species' in fields))) {
+    return { success: false, error: 'Only verified (true/false) and species (text or null) can be set in bulk' }
+  }
+  if ('species' in fields) {
+    try {
+      const { species, code } = resolveSpecies(taxonIndex(await loadTaxonomy(state)), fields.species, fields.species_code)
+      fields = { ...fields, species, species_code: code }
+    } catch (err) {
+      return { success: false, error: err.message }
+    }
+  }
+  return runBulk(sessionId, state, describeUpdate(fields, items.length), items, (db) => {
+    const missing = items.filter(item => !updateDetection(db, item.experimentId, item.id, fields)).length
+    if (missing) throw notFound(missing)
+    return {
+      success: true,
+      updated: items.length,
+      ...('species' in fields && { species: fields.species, species_code: fields.species_code })
+    }
+  })
+}
+
+/**
+ * Delete many detections at once. Returns the deleted rows so the renderer
+ * can offer to put them all back with bulkRestoreDetections.
+ */
+const bulkDeleteDetections = async (sessionId, items, state) => {
+  if (!isItemList(items)) return { success: false, error: 'No detections selected' }
+  return runBulk(sessionId, state, `Delete ${countLabel(items.length)}`, items, (db) => {
+    const deleted = []
+    let missing = 0
+    for (const { experimentId, id } of items) {
+      const detection = getDetection(db, experimentId, id)
+      if (!detection || !deleteDetectionRow(db, experimentId, id)) {
+        missing++
+        continue
+      }
+      deleted.push({ experimentId, detection })
+    }
+    if (missing) throw notFound(missing)
+    return { success: true, deleted }
+  })
+}
+
+/**
+ * Put back detections removed by bulkDeleteDetections, ids and all. Refuses
+ * the whole batch if any of them is already there.
+ */
+const bulkRestoreDetections = async (sessionId, entries, state) => {
+  if (!Array.isArray(entries) || entries.length === 0 ||
+      entries.some(e => typeof e?.experimentId !== 'string' || !e.detection?.id)) {
+    return { success: false, error: 'Nothing to restore' }
+  }
+  const refs = entries.map(({ experimentId, detection }) => ({ experimentId, id: detection.id }))
+  return runBulk(sessionId, state, `Restore ${countLabel(entries.length)}`, refs, (db) => {
+    for (const { experimentId, detection } of entries) {
+      if (!getExperimentMeta(db, experimentId)) throw new Error('Experiment not found')
+      if (getDetection(db, experimentId, detection.id)) {
+        throw new Error('Some of these detections already exist; nothing was restored')
+      }
+      insertDetections(db, experimentId, [detection])
+    }
+    return { success: true, restored: entries.length }
+  })
+}
+
+/**
+ * Move detections between experiments, keeping their ids. Each move is
+ * { experimentId, id, to }, so an undo can send detections that came from
+ * different experiments back where they were in one call.
+ */
+const moveDetections = async (sessionId, moves, state) => {
+  if (!isItemList(moves) || moves.some(m => typeof m.to !== 'string')) {
+    return { success: false, error: 'No detections selected' }
+  }
+  const refs = moves.flatMap(({ experimentId, id, to }) => [{ experimentId, id }, { experimentId: to, id }])
+  return runBulk(sessionId, state, `Move ${countLabel(moves.length)}`, refs, (db) => {
+    for (const to of new Set(moves.map(m => m.to))) {
+      if (!getExperimentMeta(db, to)) throw new Error('Target experiment not found')
+    }
+    const moved = []
+    let missing = 0
+    for (const { experimentId, id, to } of moves) {
+      if (experimentId === to) continue
+      if (getDetection(db, to, id)) {
+        throw new Error('A detection with the same id is already in the target experiment')
+      }
+      if (!moveDetection(db, experimentId, to, id)) {
+        missing++
+        continue
+      }
+      moved.push({ experimentId, id, to })
+    }
+    if (missing) throw notFound(missing)
+    return { success: true, moved }
+  })
+}
+
+export {
+  bulkUpdateDetections,
+  bulkDeleteDetections,
+  bulkRestoreDetections,
+  moveDetections
+}
@@ -0,0 +1,120 @@
+import { loadProfileDefaults } from './profiles.js'
+
+// Wall-clock time of a moment in a recording, from the file's start time
+// (see recordings.js) and the session's time zone setting. A start time
+// with an offset is a fixed instant; one without is local time in the
+// session's zone, or in no known zone at all. The renderer's utils/clock.ts
+// does the same sums for display.
+
+const ISO_START = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?(Z|[+-]\d{2}:\d{2})?$/
+
+const pad = (n, width = 2) => String(n).padStart(width, '0')
+
+const zoneFormats = new Map()
+
+// Minutes east of UTC in `timeZone` at the instant `utcMs`.
+const zoneOffset = (timeZone, utcMs) => {
+  if (!zoneFormats.has(timeZone)) {
+    zoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }))
+  }
+  const parts = Object.fromEntries(zoneFormats.get(timeZone).formatToParts(new Date(utcMs)).map(p => [p.type, p.value]))
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return Math.round((asUtc - Math.floor(utcMs / 1000) * 1000) / 60000)
+}
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    zoneOffset(timeZone, 0)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * The clock reading `seconds` into a recording that started at `startTime`:
+ * { ms, offset }, where ms is the reading as if it were UTC and offset the
+ * zone's minutes east of UTC, or null when the zone isn't known. Null when
+ * the start time is.
+ */
+const wallClock = (startTime, seconds, timeZone = null) => {
+  const match = ISO_START.exec(startTime || '')
+  if (!match) return null
+  const [, year, month, day, hour, minute, second, fraction, zone] = match
+  const readingMs = Date.UTC(+year, month - 1, +day, +hour, +minute, +second) +
+    (fraction ? Number(`0.${fraction}`) * 1000 : 0)
+  let offset = null
+  if (zone === 'Z') offset = 0
+  else if (zone) offset = (zone[0] === '-' ? -1 : 1) * (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(4, 6)))
+
+  if (!timeZone) return { ms: readingMs + seconds * 1000, offset }
+  let startUtc
+  if (offset !== null) {
+    startUtc = readingMs - offset * 60000
+  } else {
+    // Local time in the session's zone; the second pass settles readings
+    // near a DST change.
+    startUtc = readingMs - zoneOffset(timeZone, readingMs) * 60000
+    startUtc = readingMs - zoneOffset(timeZone, startUtc) * 60000
+  }
+  const utc = startUtc + seconds * 1000
+  const here = zoneOffset(timeZone, utc)
+  return { ms: utc + here * 60000, offset: here }
+}
+
+// ISO 8601 with milliseconds, and the offset when known.
+const formatWallClock = ({ ms, offset }) => {
+  const iso = new Date(Math.round(ms)).toISOString().slice(0, 23)
+  if (offset === null) return iso
+  if (offset === 0) return `${iso}Z`
+  const abs = Math.abs(offset)
+  return `${iso}${offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+}
+
+// The session's clock settings, its own or the profile defaults it follows
+// when it never saved any: the time zone (null when unset or not a real
+// zone) and how many times slower than real time the files were recorded.
+const sessionClock = async (config, state) => {
+  const settings = config.settings ?? await loadProfileDefaults(state)
+  const timeZone = settings?.timeZone
+  const expansion = Number(settings?.timeExpansion)
+  return {
+    timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : null,
+    expansion: expansion > 0 ? expansion : 1
+  }
+}
+
+/**
+ * Export columns for a session's detections: a function from a recording
+ * and one of its detections to { datetime_start, datetime_end }, both empty
+ * when the recording's start time is unknown.
+ */
+const detectionDatetimes = async (config, state) => {
+  const { timeZone, expansion } = await sessionClock(config, state)
+  const recordings = config.recordings || {}
+  return (filePath, detection) => {
+    const startTime = recordings[filePath]?.startTime
+    const start = wallClock(startTime, (detection.start_time ?? 0) / expansion, timeZone)
+    const end = wallClock(startTime, (detection.end_time ?? 0) / expansion, timeZone)
+    return {
+      datetime_start: start ? formatWallClock(start) : '',
+      datetime_end: end ? formatWallClock(end) : ''
+    }
+  }
+}
+
+export {
+  isValidTimeZone,
+  wallClock,
+  formatWallClock,
+  detectionDatetimes
+}
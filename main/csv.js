@@ -0,0 +1,172 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { dialog } from 'electron'
+import {
+  buildFileMatcher, readSessionConfig, atomicWriteFile, stringifyExperiment, exportBaseName, detectDelimiter, parseTable
+} from './utils.js'
+import { readNumber, registerImport } from './interchange.js'
+import { detectionDatetimes } from './clock.js'
+import { getStore, getDetectionsForExport, getExperimentMeta, toExperimentRow, KNOWN_CSV_COLUMNS } from './store.js'
+
+// Rows sent back for the wizard's preview table.
+const PREVIEW_ROWS = 8
+
+/**
+ * Pick a CSV and return what the import wizard needs to let the user map
+ * its columns: the header, a few rows, the row count and the delimiter.
+ */
+const openCsvForImport = async () => {
+  try {
+    const picked = await dialog.showOpenDialog({
+      title: 'Import detections from CSV',
+      properties: ['openFile'],
+      filters: [
+        { name: 'CSV / TSV', extensions: ['csv', 'tsv', 'txt'] },
+        { name: 'All files', extensions: ['*'] }
+      ]
+    })
+    if (picked.canceled || !picked.filePaths.length) return { canceled: true }
+    const filePath = picked.filePaths[0]
+    const raw = await fs.readFile(filePath, 'utf-8')
+    const delimiter = detectDelimiter(raw)
+    const records = parseTable(raw, delimiter)
+    const columns = records.length ? Object.keys(records[0]) : []
+    if (columns.length === 0) return { success: false, error: 'The file has no header row or no data' }
+    return {
+      success: true,
+      filePath,
+      delimiter,
+      columns,
+      preview: records.slice(0, PREVIEW_ROWS),
+      rowCount: records.length
+    }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+/**
+ * Check one row against the mapping. Returns either a detection or the
+ * reason the row can't be imported.
+ */
+const mapRow = (record, mapping, match) => {
+  const ref = String(record[mapping.filename] ?? '').trim()
+  if (!ref) return { reason: 'Missing filename' }
+  const filename = match(ref)
+  if (!filename) {
+    return { reason: mapping.matchBy === 'path' ? 'No session file at this path' : 'No session file with this name' }
+  }
+
+  // ';'-separated files come from locales that write 1,5 for 1.5.
+  const num = (value) => readNumber(mapping.delimiter === ';' ? String(value ?? '').replace(',', '.') : value)
+  const scale = mapping.timeUnit === 'ms' ? 1 / 1000 : 1
+  const start = num(record[mapping.start])
+  const end = num(record[mapping.end])
+  if (start === null) return { reason: 'Start time is not a number' }
+  if (end === null) return { reason: 'End time is not a number' }
+  if (start < 0) return { reason: 'Start time is negative' }
+  if (end <= start) return { reason: 'End time is not after start time' }
+
+  let confidence = 1.0
+  if (mapping.confidence) {
+    const cell = record[mapping.confidence]
+    if (String(cell ?? '').trim() !== '') {
+      confidence = num(cell)
+      if (confidence === null || confidence < 0 || confidence > 1) {
+        return { reason: 'Confidence must be a number between 0 and 1' }
+      }
+    }
+  }
+
+  const species = mapping.species ? String(record[mapping.species] ?? '').trim() : ''
+  // Columns the mapping doesn't use are kept, and come back on export —
+  // except ones named like ours, which the export would write over.
+  const mapped = new Set([mapping.filename, mapping.start, mapping.end, mapping.species, mapping.confidence])
+  const extra = {}
+  for (const [key, value] of Object.entries(record)) {
+    if (!mapped.has(key) && !KNOWN_CSV_COLUMNS.has(key)) extra[key] = value
+  }
+  return {
+    detection: {
+      filename,
+      start_time: start * scale,
+      end_time: end * scale,
+      species: species || null,
+      detection_conf: confidence,
+      verified: false,
+      low_freq: null,
+      high_freq: null,
+      extra
+    }
+  }
+}
+
+/**
+ * Validate (dryRun) or import a CSV using the column mapping chosen in the
+ * wizard: { filename, start, end, species?, confidence?, timeUnit: 's'|'ms',
+ * matchBy: 'name'|'path', delimiter }. Invalid rows never abort the import;
+ * they come back in `unmatched` with their line number and reason.
+ */
+const importCsvWithMapping = async (sessionId, filePath, mapping, dryRun, state) => {
+  try {
+    for (const key of ['filename', 'start', 'end']) {
+      if (!mapping?.[key]) return { success: false, error: `Choose a column for ${key}` }
+    }
+    const config = await readSessionConfig(sessionId, state)
+    const raw = await fs.readFile(filePath, 'utf-8')
+    const delimiter = mapping.delimiter || detectDelimiter(raw)
+    const records = parseTable(raw, delimiter)
+    const match = buildFileMatcher(config.files, { pathsOnly: mapping.matchBy === 'path' })
+
+    const sourceName = path.basename(filePath)
+    const detections = []
+    const unmatched = []
+    records.forEach((record, i) => {
+      const result = mapRow(record, { ...mapping, delimiter }, match)
+      if (result.detection) {
+        detections.push(result.detection)
+      } else {
+        unmatched.push({ source: sourceName, row: i + 2, file: String(record[mapping.filename] ?? ''), reason: result.reason })
+      }
+    })
+
+    if (dryRun) return { success: true, valid: detections.length, unmatched }
+    return await registerImport(sessionId, 'csv', [filePath], { detections, unmatched }, state)
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+/**
+ * Write an experiment out in the experiment CSV layout (the columns the
+ * detector writes, plus frequency bounds and any columns carried over from
+ * an imported file). The database is the working copy; this is the way to
+ * get a plain file out of it.
+ */
+const exportExperimentCsv = async (sessionId, experimentId, state) => {
+  try {
+    const config = await readSessionConfig(sessionId, state)
+    const db = await getStore(sessionId, state)
+    if (!getExperimentMeta(db, experimentId)) return { success: false, error: 'Experiment not found' }
+
+    const target = await dialog.showSaveDialog({
+      title: 'Export detections as CSV',
+      defaultPath: `${exportBaseName(config, experimentId)}.csv`,
+      filters: [{ name: 'CSV', extensions: ['csv'] }]
+    })
+    if (target.canceled || !target.filePath) return { canceled: true }
+
+    const datetimes = await detectionDatetimes(config, state)
+    const rows = getDetectionsForExport(db, experimentId).map(d => toExperimentRow(d, datetimes(d.filename, d)))
+    await atomicWriteFile(target.filePath, stringifyExperiment(rows))
+    return { success: true, path: target.filePath, count: rows.length, tables: 1 }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+export {
+  openCsvForImport,
+  importCsvWithMapping,
+  exportExperimentCsv
+}
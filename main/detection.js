@@ -1,57 +1,113 @@
-import { parse } from 'csv-parse/sync'
-import { stringify } from 'csv-stringify/sync'
 import fs from 'fs/promises'
+import path from 'path'
 import crypto from 'crypto'
-import { safePathJoin, atomicWriteFile } from './utils.js'
-
+import { safePathJoin, updateJsonFile } from './utils.js'
+import {
+  withStore, absorbIntoOpenStore, putExperiment, getExperimentMeta, insertDetections, renameExperiment,
+  getDetection, updateDetection, deleteDetectionRow, deleteExperimentRows
+} from './store.js'
+import { recordEdit, renameExperimentInHistory, forgetExperimentHistory } from './history.js'
+import { renameExperimentInAudit, discardAudit } from './audit.js'
+
+// Throw away an unsaved detection run. A registered run's temp.csv is already
+// absorbed by the time the store is in hand, so there's nothing left of it on
+// disk afterwards.
 const wipeTemp = async (sessionId, state) => {
   try {
-    const tempPath = safePathJoin(state.dataDir, state.activeProfile, sessionId, 'temp.csv')
-    if (!tempPath) return { success: false, error: 'Invalid path' }
-
-    try { await fs.unlink(tempPath) } catch { /* ignore if already gone */ }
-
-    const configPath = safePathJoin(state.dataDir, state.activeProfile, sessionId, 'config.json')
-    if (!configPath) return { success: false, error: 'Invalid path' }
-
-    const configData = JSON.parse(await fs.readFile(configPath, 'utf8'))
-    delete configData.experiments.temp
-    await atomicWriteFile(configPath, JSON.stringify(configData, null, 2))
-
+    await withStore(sessionId, state, (db) => db.transaction(() => {
+      deleteExperimentRows(db, 'temp')
+      forgetExperimentHistory(db, 'temp')
+      discardAudit(db, 'temp')
+    })())
     return { success: true, message: 'Temp file wiped successfully' }
   } catch (err) {
     return { success: false, error: err.message }
   }
 }
 
-const saveExperiment = async (sessionId, state) => {
+// Write a brand-new experiment from a list of detections. Saving the temp run
+// and every importer end up with the same thing: a fresh experiment id, its
+// metadata and its detections, committed in one transaction. Detections
+// without an id get a fresh one.
+const createExperiment = async (sessionId, meta, detections, state) => {
   try {
-    const configPath = safePathJoin(state.dataDir, state.activeProfile, sessionId, 'config.json')
-    const tempPath = safePathJoin(state.dataDir, state.activeProfile, sessionId, 'temp.csv')
-    if (!configPath || !tempPath) return { success: false, error: 'Invalid path' }
-
     const experimentId = crypto.randomUUID()
-    const newExperimentPath = safePathJoin(
-      state.dataDir, state.activeProfile, sessionId, `${experimentId}.csv`
-    )
-    if (!newExperimentPath) return { success: false, error: 'Invalid path' }
-
-    const configData = JSON.parse(await fs.readFile(configPath, 'utf8'))
-    await fs.rename(tempPath, newExperimentPath)
+    await withStore(sessionId, state, (db) => db.transaction(() => {
+      putExperiment(db, experimentId, meta)
+      insertDetections(db, experimentId, detections.map(d => ({ ...d, id: d.id || crypto.randomUUID() })))
+    })())
+    return { success: true, experimentId }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
 
-    if (configData.experiments && configData.experiments.temp) {
-      configData.experiments[experimentId] = configData.experiments.temp
-      delete configData.experiments.temp
-      await atomicWriteFile(configPath, JSON.stringify(configData, null, 2))
+const saveExperiment = async (sessionId, state) => {
+  try {
+    const experimentId = crypto.randomUUID()
+    const saved = await withStore(sessionId, state, (db) => db.transaction(() => {
+      if (!renameExperiment(db, 'temp', experimentId)) return false
+      renameExperimentInHistory(db, 'temp', experimentId)
+      renameExperimentInAudit(db, 'temp', experimentId)
+      return true
+    })())
+    if (!saved) {
+      return { success: false, error: 'No detection run to save' }
     }
-
     return { success: true, experimentId, message: 'Experiment saved successfully' }
   } catch (err) {
     return { success: false, error: err.message }
   }
 }
 
-const addDetection = async (sessionId, experimentId, fileName, start, end, state) => {
+// Record a finished detection run. The Python worker writes temp.csv and
+// reports the run's prompts and threshold; they go into config.json's
+// `experiments.temp` slot (through the file's lock), and the session's store
+// absorbs them together with temp.csv, now if it's open or else on opening.
+const registerDetectionRun = async (saveDir, meta, state) => {
+  try {
+    const relative = path.relative(path.resolve(state.dataDir), path.resolve(String(saveDir || '')))
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return { success: false, error: 'Invalid path' }
+    }
+    await updateJsonFile(path.join(saveDir, 'config.json'), (config) => {
+      config.experiments = { ...(config.experiments || {}), temp: meta || {} }
+    })
+    await absorbIntoOpenStore(saveDir)
+    return { success: true }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+// Frequency bounds are optional: with neither given the detection is a
+// full-band (time-only) interval. Otherwise both are required, in Hz, with
+// low below high. Returns { bounds } or { error }.
+const parseFrequencyBounds = (lowFreq, highFreq) => {
+  if (lowFreq == null && highFreq == null) return { bounds: { low_freq: null, high_freq: null } }
+  const low = Number(lowFreq)
+  const high = Number(highFreq)
+  if (lowFreq == null || highFreq == null || !Number.isFinite(low) || !Number.isFinite(high)) {
+    return { error: 'low_freq and high_freq must both be numbers, or both be omitted' }
+  }
+  if (low < 0) {
+    return { error: 'low_freq must not be negative' }
+  }
+  if (high <= low) {
+    return { error: 'high_freq must be greater than low_freq' }
+  }
+  return { bounds: { low_freq: low, high_freq: high } }
+}
+
+// A detection's channel is a 0-based index, or null for all channels.
+const parseChannel = (channel) => {
+  if (channel == null) return { channel: null }
+  const n = Number(channel)
+  if (!Number.isInteger(n) || n < 0) return { error: 'channel must be a non-negative integer' }
+  return { channel: n }
+}
+
+const addDetection = async (sessionId, experimentId, fileName, start, end, lowFreq, highFreq, channel, state) => {
   try {
     const startNum = Number(start)
     const endNum = Number(end)
@@ -61,33 +117,30 @@ const addDetection = async (sessionId, experimentId, fileName, start, end, state
     if (endNum <= startNum) {
       return { success: false, error: 'end_time must be greater than start_time' }
     }
+    const { bounds, error } = parseFrequencyBounds(lowFreq, highFreq)
+    if (error) return { success: false, error }
+    const parsedChannel = parseChannel(channel)
+    if (parsedChannel.error) return { success: false, error: parsedChannel.error }
 
-    const experimentPath = safePathJoin(
-      state.dataDir, state.activeProfile, sessionId, experimentId + '.csv'
-    )
-    if (!experimentPath) return { success: false, error: 'Invalid path' }
-
-    const detectionId = crypto.randomUUID()
     const row = {
-      id: detectionId,
+      id: crypto.randomUUID(),
       filename: fileName,
       start_time: startNum,
       end_time: endNum,
-      species: 'null',
+      species: null,
       detection_conf: 1.0,
-      verified: 0
-    }
-
-    // If file exists append row; otherwise write with header
-    let records = []
-    try {
-      const raw = await fs.readFile(experimentPath, 'utf-8')
-      records = parse(raw, { columns: true, skip_empty_lines: true, trim: true })
-    } catch {
-      // File doesn't exist yet — start fresh
+      verified: false,
+      ...bounds,
+      channel: parsedChannel.channel
     }
-    records.push(row)
-    await atomicWriteFile(experimentPath, stringify(records, { header: true }))
+    const added = await withStore(sessionId, state, (db) => {
+      if (!getExperimentMeta(db, experimentId)) return false
+      recordEdit(db, state, 'Add detection', [{ experimentId, id: row.id }], () =>
+        insertDetections(db, experimentId, [row])
+      )
+      return true
+    })
+    if (!added) return { success: false, error: 'Experiment not found' }
 
     return { success: true, detection: row, message: 'Detection added successfully' }
   } catch (err) {
@@ -95,7 +148,7 @@ const addDetection = async (sessionId, experimentId, fileName, start, end, state
   }
 }
 
-const startDetection = async (sessionId, posPrompts, negPrompts, theta = 0.5, pythonProcess, state) => {
+const startDetection = async (sessionId, posPrompts, negPrompts, theta = 0.5, channel = 0, pythonProcess, state) => {
   if (!pythonProcess) {
     return { success: false, error: 'Python backend not running' }
   }
@@ -104,6 +157,10 @@ const startDetection = async (sessionId, posPrompts, negPrompts, theta = 0.5, py
   if (!Number.isFinite(thetaNum) || thetaNum < 0 || thetaNum > 1) {
     return { success: false, error: 'theta must be a number between 0 and 1' }
   }
+  const channelNum = Number(channel)
+  if (!Number.isInteger(channelNum) || channelNum < 0) {
+    return { success: false, error: 'channel must be a non-negative integer' }
+  }
 
   try {
     const configPath = safePathJoin(state.dataDir, state.activeProfile, sessionId, 'config.json')
@@ -124,7 +181,8 @@ const startDetection = async (sessionId, posPrompts, negPrompts, theta = 0.5, py
       files: sessionData.files,
       posPrompts,
       negPrompts,
-      theta: thetaNum
+      theta: thetaNum,
+      channel: channelNum
     }
 
     pythonProcess.stdin.write(JSON.stringify(command) + '\n')
@@ -134,10 +192,10 @@ const startDetection = async (sessionId, posPrompts, negPrompts, theta = 0.5, py
   }
 }
 
-// Update the start/end_time of an existing detection. Used by the drag-edge
-// UI to refine a detection's bounds. Other columns (species, verified,
-// confidence) are preserved verbatim.
-const updateDetectionTimes = async (sessionId, experimentId, detectionId, start, end, state) => {
+// Move a detection's time bounds and, optionally, its frequency bounds.
+// Leaving both frequencies undefined keeps the current ones; passing both as
+// null makes the detection full-band again.
+const updateDetectionTimes = async (sessionId, experimentId, detectionId, start, end, lowFreq, highFreq, state) => {
   try {
     const startNum = Number(start)
     const endNum = Number(end)
@@ -147,25 +205,21 @@ const updateDetectionTimes = async (sessionId, experimentId, detectionId, start,
     if (endNum <= startNum) {
       return { success: false, error: 'end_time must be greater than start_time' }
     }
+    const fields = { start_time: startNum, end_time: endNum }
+    if (lowFreq !== undefined || highFreq !== undefined) {
+      const { bounds, error } = parseFrequencyBounds(lowFreq, highFreq)
+      if (error) return { success: false, error }
+      Object.assign(fields, bounds)
+    }
 
-    const experimentPath = safePathJoin(
-      state.dataDir, state.activeProfile, sessionId, experimentId + '.csv'
+    const found = await withStore(sessionId, state, (db) =>
+      recordEdit(db, state, 'Change bounds', [{ experimentId, id: detectionId }], () =>
+        updateDetection(db, experimentId, detectionId, fields)
+      )
     )
-    if (!experimentPath) return { success: false, error: 'Invalid path' }
-
-    const raw = await fs.readFile(experimentPath, 'utf-8')
-    const records = parse(raw, { columns: true, skip_empty_lines: true, trim: true })
-    let found = false
-    const updated = records.map(row => {
-      if (row.id === detectionId) {
-        found = true
-        return { ...row, start_time: String(startNum), end_time: String(endNum) }
-      }
-      return row
-    })
-    if (!found) return { success: false, error: 'Detection not found' }
-
-    await atomicWriteFile(experimentPath, stringify(updated, { header: true }))
+    if (!found) {
+      return { success: false, error: 'Detection not found' }
+    }
     return { success: true }
   } catch (err) {
     return { success: false, error: err.message }
@@ -180,35 +234,20 @@ const restoreDetection = async (sessionId, experimentId, detection, state) => {
     if (!detection || typeof detection !== 'object' || !detection.id) {
       return { success: false, error: 'detection object with id is required' }
     }
-    const experimentPath = safePathJoin(
-      state.dataDir, state.activeProfile, sessionId, experimentId + '.csv'
-    )
-    if (!experimentPath) return { success: false, error: 'Invalid path' }
+    return await withStore(sessionId, state, (db) => {
+      if (!getExperimentMeta(db, experimentId)) return { success: false, error: 'Experiment not found' }
 
-    let records = []
-    try {
-      const raw = await fs.readFile(experimentPath, 'utf-8')
-      records = parse(raw, { columns: true, skip_empty_lines: true, trim: true })
-    } catch { /* file may have been deleted/empty; start fresh */ }
-
-    // Refuse to re-add if a row with the same id already exists — keeps the
-    // CSV unique-by-id and prevents accidental duplicate restores.
-    if (records.some(r => r.id === detection.id)) {
-      return { success: false, error: 'Detection with this id already exists' }
-    }
+      // Refuse to re-add if a detection with the same id already exists —
+      // prevents accidental duplicate restores.
+      if (getDetection(db, experimentId, detection.id)) {
+        return { success: false, error: 'Detection with this id already exists' }
+      }
 
-    const row = {
-      id: detection.id,
-      filename: detection.filename ?? '',
-      start_time: String(detection.start_time ?? 0),
-      end_time: String(detection.end_time ?? 0),
-      species: detection.species == null ? 'null' : String(detection.species),
-      detection_conf: String(detection.detection_conf ?? 0),
-      verified: detection.verified ? 1 : 0,
-    }
-    records.push(row)
-    await atomicWriteFile(experimentPath, stringify(records, { header: true }))
-    return { success: true }
+      recordEdit(db, state, 'Restore detection', [{ experimentId, id: detection.id }], () =>
+        insertDetections(db, experimentId, [detection])
+      )
+      return { success: true }
+    })
   } catch (err) {
     return { success: false, error: err.message }
   }
@@ -216,15 +255,11 @@ const restoreDetection = async (sessionId, experimentId, detection, state) => {
 
 const deleteDetection = async (sessionId, experimentId, detectionId, state) => {
   try {
-    const experimentPath = safePathJoin(
-      state.dataDir, state.activeProfile, sessionId, experimentId + '.csv'
+    await withStore(sessionId, state, (db) =>
+      recordEdit(db, state, 'Delete detection', [{ experimentId, id: detectionId }], () =>
+        deleteDetectionRow(db, experimentId, detectionId)
+      )
     )
-    if (!experimentPath) return { success: false, error: 'Invalid path' }
-
-    const raw = await fs.readFile(experimentPath, 'utf-8')
-    const records = parse(raw, { columns: true, skip_empty_lines: true, trim: true })
-    const filtered = records.filter(row => row.id !== detectionId)
-    await atomicWriteFile(experimentPath, stringify(filtered, { header: true }))
 
     return { success: true, message: 'Detection deleted successfully' }
   } catch (err) {
@@ -234,17 +269,13 @@ const deleteDetection = async (sessionId, experimentId, detectionId, state) => {
 
 const deleteExperiment = async (sessionId, experimentId, state) => {
   try {
-    const experimentPath = safePathJoin(
-      state.dataDir, state.activeProfile, sessionId, experimentId + '.csv'
-    )
-    const configPath = safePathJoin(state.dataDir, state.activeProfile, sessionId, 'config.json')
-    if (!experimentPath || !configPath) return { success: false, error: 'Invalid path' }
-
-    await fs.unlink(experimentPath)
-
-    const configData = JSON.parse(await fs.readFile(configPath, 'utf8'))
-    delete configData.experiments[experimentId]
-    await atomicWriteFile(configPath, JSON.stringify(configData, null, 2))
+    const deleted = await withStore(sessionId, state, (db) => db.transaction(() => {
+      forgetExperimentHistory(db, experimentId)
+      return deleteExperimentRows(db, experimentId)
+    })())
+    if (!deleted) {
+      return { success: false, error: 'Experiment not found' }
+    }
 
     return { success: true, message: 'Experiment deleted successfully' }
   } catch (err) {
@@ -260,5 +291,7 @@ export {
   deleteDetection,
   deleteExperiment,
   updateDetectionTimes,
-  restoreDetection
+  restoreDetection,
+  createExperiment,
+  registerDetectionRun
 }
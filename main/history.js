@@ -0,0 +1,162 @@
+import { withStore, getDetection, insertDetections, replaceDetection, deleteDetectionRow } from './store.js'
+import { appendAudit } from './audit.js'
+
+// Every edit to a detection (label, verification, bounds, add, delete, and
+// the bulk versions) is kept as a before/after snapshot of each detection it
+// touched, in the session database, so undo survives a renderer reload.
+// Undo writes the "before" snapshots back and redo the "after" ones. The
+// history is linear: a new edit discards anything that was undone.
+
+// Oldest entries beyond this are dropped.
+const MAX_HISTORY = 500
+
+// Snapshots recorded before a column was added don't have its key; read
+// that as null so the upgrade doesn't make their entries look stale.
+const sameDetection = (a, b) => {
+  if (!a || !b) return !a && !b
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+  return [...keys].every(k => JSON.stringify(a[k] ?? null) === JSON.stringify(b[k] ?? null))
+}
+
+/**
+ * Run `fn()` and record what it did to the detections in `refs`
+ * ({ experimentId, id } pairs) as one history entry called `label`, and in
+ * the audit log under the active profile. Must be called from inside
+ * withStore. `fn` runs in a transaction with the record, so throwing rolls
+ * both back. Nothing is recorded when nothing changed.
+ */
+const recordEdit = (db, state, label, refs, fn) => db.transaction(() => {
+  const before = refs.map(ref => getDetection(db, ref.experimentId, ref.id))
+  const result = fn()
+  const changes = []
+  refs.forEach((ref, i) => {
+    const after = getDetection(db, ref.experimentId, ref.id)
+    if (!sameDetection(before[i], after)) {
+      changes.push({ experimentId: ref.experimentId, id: ref.id, before: before[i], after })
+    }
+  })
+  if (changes.length > 0) {
+    db.prepare('DELETE FROM history WHERE undone = 1').run()
+    db.prepare('INSERT INTO history (time, label, changes) VALUES (?, ?, ?)')
+      .run(new Date().toISOString(), label, JSON.stringify(changes))
+    db.prepare('DELETE FROM history WHERE seq <= (SELECT MAX(seq) FROM history) - ?').run(MAX_HISTORY)
+    appendAudit(db, state.activeProfile, label, changes)
+  }
+  return result
+})()
+
+// Rewrite (or, with toId null, drop) every history entry that touches an
+// experiment. Saving the temp run gives it a new id; deleting an experiment
+// takes its detections with it, so their edits can't be replayed.
+const rewriteExperimentInHistory = (db, fromId, toId) => {
+  const rows = db.prepare('SELECT seq, changes FROM history').all()
+  for (const row of rows) {
+    const changes = JSON.parse(row.changes)
+    if (!changes.some(c => c.experimentId === fromId)) continue
+    if (toId === null) {
+      db.prepare('DELETE FROM history WHERE seq = ?').run(row.seq)
+      continue
+    }
+    for (const c of changes) {
+      if (c.experimentId === fromId) c.experimentId = toId
+    }
+    db.prepare('UPDATE history SET changes = ? WHERE seq = ?').run(JSON.stringify(changes), row.seq)
+  }
+}
+
+const renameExperimentInHistory = (db, fromId, toId) => rewriteExperimentInHistory(db, fromId, toId)
+const forgetExperimentHistory = (db, experimentId) => rewriteExperimentInHistory(db, experimentId, null)
+
+const toEntry = (row) => ({
+  seq: row.seq,
+  time: row.time,
+  label: row.label,
+  undone: row.undone === 1,
+  count: JSON.parse(row.changes).length
+})
+
+// Oldest first; undone entries (the redo branch) come last.
+const getEditHistory = async (sessionId, state) => {
+  try {
+    const entries = await withStore(sessionId, state, (db) =>
+      db.prepare('SELECT * FROM history ORDER BY seq').all().map(toEntry)
+    )
+    return { success: true, entries }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+/**
+ * Undo (direction 'undo') the newest applied entry or redo ('redo') the
+ * oldest undone one. With `seq`, only that entry may be the one stepped, so a
+ * stale Undo button can't revert a different edit. Returns the resulting
+ * state of every detection touched ({ experimentId, id, detection }, with
+ * detection null when it no longer exists) for the renderer to mirror.
+ */
+const stepHistory = async (sessionId, seq, direction, state) => {
+  try {
+    return await withStore(sessionId, state, (db) => {
+      const undo = direction === 'undo'
+      const row = undo
+        ? db.prepare('SELECT * FROM history WHERE undone = 0 ORDER BY seq DESC LIMIT 1').get()
+        : db.prepare('SELECT * FROM history WHERE undone = 1 ORDER BY seq LIMIT 1').get()
+      if (!row) return { success: false, error: undo ? 'Nothing to undo' : 'Nothing to redo' }
+      if (seq != null && row.seq !== seq) {
+        return { success: false, error: undo ? 'Newer edits have to be undone first' : 'Older edits have to be redone first' }
+      }
+
+      const changes = JSON.parse(row.changes)
+      const ordered = undo ? [...changes].reverse() : changes
+      // Only undo over the state this entry left behind. Anything else means
+      // the detection was changed outside the history (e.g. re-imported), and
+      // writing the snapshot back would clobber that.
+      const stale = ordered.some(c => {
+        const expected = undo ? c.after : c.before
+        return !sameDetection(getDetection(db, c.experimentId, c.id), expected)
+      })
+      if (stale) {
+        db.prepare('DELETE FROM history WHERE seq = ?').run(row.seq)
+        return { success: false, error: `"${row.label}" can no longer be ${undo ? 'undone' : 'redone'}: the detections have changed since. It was removed from the history.` }
+      }
+
+      db.transaction(() => {
+        for (const c of ordered) {
+          const target = undo ? c.before : c.after
+          if (!target) deleteDetectionRow(db, c.experimentId, c.id)
+          else if (!replaceDetection(db, c.experimentId, target)) insertDetections(db, c.experimentId, [target])
+        }
+        db.prepare('UPDATE history SET undone = ? WHERE seq = ?').run(undo ? 1 : 0, row.seq)
+        appendAudit(db, state.activeProfile, `${undo ? 'Undo' : 'Redo'}: ${row.label}`, ordered.map(c => ({
+          ...c,
+          before: undo ? c.after : c.before,
+          after: undo ? c.before : c.after
+        })))
+      })()
+
+      return {
+        success: true,
+        entry: toEntry({ ...row, undone: undo ? 1 : 0 }),
+        changes: ordered.map(c => ({
+          experimentId: c.experimentId,
+          id: c.id,
+          detection: undo ? c.before : c.after
+        }))
+      }
+    })
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+const undoEdit = (sessionId, seq, state) => stepHistory(sessionId, seq, 'undo', state)
+const redoEdit = (sessionId, seq, state) => stepHistory(sessionId, seq, 'redo', state)
+
+export {
+  recordEdit,
+  renameExperimentInHistory,
+  forgetExperimentHistory,
+  getEditHistory,
+  undoEdit,
+  redoEdit
+}
@@ -3,6 +3,18 @@ import * as verification from './verification.js'
 import * as annotation from './annotation.js'
 import * as sessions from './sessions.js'
 import * as detection from './detection.js'
+import * as bulk from './bulk.js'
+import * as history from './history.js'
+import * as audit from './audit.js'
+import * as raven from './raven.js'
+import * as audacity from './audacity.js'
+import * as birdnet from './birdnet.js'
+import * as kaleidoscope from './kaleidoscope.js'
+import * as csv from './csv.js'
+import * as store from './store.js'
+import * as profiles from './profiles.js'
+import * as taxonomy from './taxonomy.js'
+import * as audioStream from './audioStream.js'
 
 // Re-export all functions
 export const {
@@ -20,9 +32,24 @@ export const {
 } = verification
 
 export const {
-  assignAnnotation
+  assignAnnotation,
+  setDetectionFields,
+  setDetectionNotes
 } = annotation
 
+export const {
+  getProfileFields,
+  setProfileFields,
+  getProfileDefaults,
+  setProfileDefaults
+} = profiles
+
+export const {
+  getTaxonomy,
+  importTaxonomy,
+  clearTaxonomy
+} = taxonomy
+
 export const {
   createSession,
   listSessions,
@@ -41,5 +68,58 @@ export const {
   deleteDetection,
   deleteExperiment,
   updateDetectionTimes,
-  restoreDetection
-} = detection
\ No newline at end of file
+  restoreDetection,
+  registerDetectionRun
+} = detection
+
+export const {
+  bulkUpdateDetections,
+  bulkDeleteDetections,
+  bulkRestoreDetections,
+  moveDetections
+} = bulk
+
+export const {
+  getEditHistory,
+  undoEdit,
+  redoEdit
+} = history
+
+export const {
+  getDetectionAudit,
+  exportAuditLog
+} = audit
+
+export const {
+  exportRavenTable,
+  importRavenTables
+} = raven
+
+export const {
+  exportAudacityLabels,
+  importAudacityLabels
+} = audacity
+
+export const {
+  importBirdnetResults
+} = birdnet
+
+export const {
+  importKaleidoscopeIds
+} = kaleidoscope
+
+export const {
+  openCsvForImport,
+  importCsvWithMapping,
+  exportExperimentCsv
+} = csv
+
+export const {
+  closeAllStores
+} = store
+
+export const {
+  AUDIO_SCHEME,
+  AUDIO_SCHEME_PRIVILEGES,
+  serveAudio
+} = audioStream
@@ -0,0 +1,42 @@
+import path from 'path'
+import { createExperiment } from './detection.js'
+import { loadTaxonomy, taxonIndex, resolveSpecies } from './taxonomy.js'
+
+// Helpers shared by the importers for other tools' output (Raven, Audacity,
+// BirdNET, Kaleidoscope). Each importer only has to turn its format into
+// detections on session files; registering them is the same for all.
+
+// Parse a numeric cell, treating blanks and junk as missing rather than 0.
+export const readNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null
+  const n = parseFloat(value)
+  return Number.isFinite(n) ? n : null
+}
+
+export const readFlag = (value) => /^(1|true|yes|y)$/i.test(String(value ?? '').trim())
+
+/**
+ * Save imported detections as a new experiment tagged with the tool that
+ * produced them. Species names the profile's taxonomy knows (including its
+ * aliases and codes) are stored under the taxon's name and code.
+ * `unmatched` rows are passed through to the caller's report whether or not
+ * anything could be imported.
+ */
+export const registerImport = async (sessionId, source, sourcePaths, { detections, unmatched }, state) => {
+  if (detections.length === 0) {
+    return { success: false, error: 'Nothing in the selected files could be matched to this session\'s recordings', unmatched }
+  }
+  const index = taxonIndex(await loadTaxonomy(state))
+  detections = detections.map(d => {
+    const { species, code } = resolveSpecies(index, d.species)
+    return { ...d, species, species_code: code }
+  })
+  const meta = {
+    time: new Date().toISOString(),
+    source,
+    sourceFiles: sourcePaths.map(p => path.basename(p))
+  }
+  const created = await createExperiment(sessionId, meta, detections, state)
+  if (!created.success) return created
+  return { success: true, experimentId: created.experimentId, imported: detections.length, unmatched }
+}
@@ -0,0 +1,103 @@
+import { parse } from 'csv-parse/sync'
+import fs from 'fs/promises'
+import path from 'path'
+import { dialog } from 'electron'
+import { buildFileMatcher, readSessionConfig } from './utils.js'
+import { readNumber, registerImport } from './interchange.js'
+
+// Auto-ID columns across Kaleidoscope versions and classifiers, plus the
+// lowercase names BirdNET uses when asked for Kaleidoscope-style output.
+const AUTO_ID_COLUMNS = ['AUTO ID*', 'AUTO ID', 'TOP1MATCH*', 'TOP1MATCH', 'common_name', 'scientific_name']
+
+// Placeholders Kaleidoscope writes when the classifier made no call.
+const NO_ID = /^(noid|no id|noise|none)$/i
+
+const firstFilled = (record, columns) => {
+  const column = columns.find(c => String(record[c] ?? '').trim() !== '')
+  return column ? String(record[column]).trim() : null
+}
+
+/**
+ * Convert a Kaleidoscope `id.csv` into detections. Each row is one
+ * OFFSET/DURATION segment of IN FILE (under INDIR/FOLDER). A MANUAL ID,
+ * when present, was assigned by a person in Kaleidoscope's viewer, so it
+ * wins over the auto ID and the detection comes in verified.
+ */
+const kaleidoscopeToDetections = (raw, idPath, match) => {
+  const records = parse(raw, { columns: true, skip_empty_lines: true, trim: true, bom: true, relax_column_count: true })
+  const sourceName = path.basename(idPath)
+  const detections = []
+  const unmatched = []
+  records.forEach((record, i) => {
+    const row = i + 2
+    const inFile = record['IN FILE'] || ''
+    const fullPath = record['INDIR'] ? path.join(record['INDIR'], record['FOLDER'] || '', inFile) : inFile
+    const filename = match(fullPath) || match(inFile)
+    if (!filename) {
+      unmatched.push({ source: sourceName, row, file: fullPath, reason: 'No matching file in session' })
+      return
+    }
+    const offset = readNumber(record['OFFSET'])
+    const duration = readNumber(record['DURATION'])
+    if (offset === null || duration === null || duration <= 0) {
+      unmatched.push({ source: sourceName, row, file: fullPath, reason: 'Missing or invalid OFFSET/DURATION' })
+      return
+    }
+
+    const manual = String(record['MANUAL ID'] ?? '').trim()
+    const auto = firstFilled(record, AUTO_ID_COLUMNS)
+    const species = manual || (auto && !NO_ID.test(auto) ? auto : null)
+    // MATCH RATIO is the share of pulses agreeing with the auto ID.
+    const confidence = readNumber(record['MATCH RATIO'] ?? record['confidence'])
+
+    // Fmin/Fmax (kHz) describe the characteristic call in the segment; use
+    // them as the box when both are present.
+    const fmin = readNumber(record['Fmin'])
+    const fmax = readNumber(record['Fmax'])
+    const hasBand = fmin !== null && fmax !== null && fmax > fmin && fmin >= 0
+
+    detections.push({
+      filename,
+      start_time: offset,
+      end_time: offset + duration,
+      species,
+      detection_conf: confidence ?? 1.0,
+      verified: manual !== '',
+      low_freq: hasBand ? fmin * 1000 : null,
+      high_freq: hasBand ? fmax * 1000 : null
+    })
+  })
+  return { detections, unmatched }
+}
+
+/**
+ * Import one or more Kaleidoscope `id.csv` files as a new experiment.
+ */
+const importKaleidoscopeIds = async (sessionId, state) => {
+  try {
+    const config = await readSessionConfig(sessionId, state)
+    const picked = await dialog.showOpenDialog({
+      title: 'Import Kaleidoscope id.csv',
+      properties: ['openFile', 'multiSelections'],
+      filters: [
+        { name: 'Kaleidoscope results', extensions: ['csv'] },
+        { name: 'All files', extensions: ['*'] }
+      ]
+    })
+    if (picked.canceled || !picked.filePaths.length) return { canceled: true }
+
+    const match = buildFileMatcher(config.files)
+    const detections = []
+    const unmatched = []
+    for (const idPath of picked.filePaths) {
+      const result = kaleidoscopeToDetections(await fs.readFile(idPath, 'utf-8'), idPath, match)
+      detections.push(...result.detections)
+      unmatched.push(...result.unmatched)
+    }
+    return await registerImport(sessionId, 'kaleidoscope', picked.filePaths, { detections, unmatched }, state)
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+export { importKaleidoscopeIds }
@@ -0,0 +1,80 @@
+// A detection can carry several labels, e.g. two species calling in the same
+// window, or one species' song and alarm call. Each label is a species with
+// an optional call type and certainty, plus the species' taxon code when it
+// came from the profile's taxonomy (see taxonomy.js). The first label is the
+// primary one and is mirrored in the `species` and `species_code` columns, so
+// everything that only knows about one species per detection keeps working.
+//
+// `labels` is null whenever those columns say it all (one label, no call
+// type or certainty), which keeps single-species rows exactly as they were.
+// In experiment CSVs the column holds the list as JSON, e.g.
+//   [{"species":"Great tit","code":"GRETIT","call_type":"song","certainty":"certain"},
+//    {"species":"Blue tit","code":"BLUTIT","call_type":null,"certainty":"possible"}]
+// and is left empty for single-species rows.
+
+const CERTAINTY_LEVELS = ['certain', 'probable', 'possible']
+
+const optionalText = (value) => {
+  if (value === undefined || value === null) return null
+  const text = String(value).trim()
+  return text === '' ? null : text
+}
+
+/**
+ * Validate a list of labels as sent by the renderer or read from a file.
+ * Returns { labels } with blank call types/certainties as null and exact
+ * duplicates dropped, or { error }.
+ */
+const normalizeLabels = (input) => {
+  if (!Array.isArray(input)) return { error: 'labels must be a list' }
+  const labels = []
+  const seen = new Set()
+  for (const item of input) {
+    const species = optionalText(item?.species)
+    if (!species) return { error: 'Every label needs a species' }
+    const certainty = optionalText(item.certainty)
+    if (certainty !== null && !CERTAINTY_LEVELS.includes(certainty)) {
+      return { error: `certainty must be one of ${CERTAINTY_LEVELS.join(', ')}` }
+    }
+    const code = optionalText(item.code)?.toUpperCase() ?? null
+    const label = { species, code, call_type: optionalText(item.call_type), certainty }
+    const key = `${label.species}\u0000${label.call_type ?? ''}`
+    if (seen.has(key)) continue
+    seen.add(key)
+    labels.push(label)
+  }
+  return { labels }
+}
+
+// The `species`, `species_code` and `labels` column values for a normalized
+// label list.
+const labelColumns = (labels) => {
+  const simple = labels.length <= 1 && !labels.some(l => l.call_type || l.certainty)
+  return {
+    species: labels[0]?.species ?? null,
+    species_code: labels[0]?.code ?? null,
+    labels: simple ? null : labels
+  }
+}
+
+// Read a CSV `labels` cell. Blank or unreadable cells fall back to the
+// species column, so a hand-edited file never loses its primary label.
+const parseLabelsCell = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null
+  try {
+    const { labels, error } = normalizeLabels(JSON.parse(value))
+    return error || labels.length === 0 ? null : labels
+  } catch {
+    return null
+  }
+}
+
+const formatLabelsCell = (labels) => (labels?.length ? JSON.stringify(labels) : '')
+
+export {
+  CERTAINTY_LEVELS,
+  normalizeLabels,
+  labelColumns,
+  parseLabelsCell,
+  formatLabelsCell
+}
@@ -0,0 +1,55 @@
+// Free-text notes and tags on a detection ("possible juvenile", "check with
+// expert"). Notes are one block of text; tags are short keywords such as
+// `needs-review` that the renderer can filter navigation on. Tags are stored
+// lowercased, so `Needs-Review` and `needs-review` are the same tag.
+//
+// In experiment CSVs `notes` is a plain column and `tags` is one column with
+// the tags separated by semicolons, e.g. `needs-review; juvenile`.
+
+const MAX_NOTES_LENGTH = 5000
+const MAX_TAG_LENGTH = 50
+const TAG_SEPARATOR = ';'
+
+// Blank notes are stored as null.
+const normalizeNotes = (input) => {
+  if (input === undefined || input === null) return { notes: null }
+  if (typeof input !== 'string') return { error: 'notes must be text' }
+  const notes = input.trim()
+  if (notes.length > MAX_NOTES_LENGTH) return { error: `Notes are longer than ${MAX_NOTES_LENGTH} characters` }
+  return { notes: notes || null }
+}
+
+/**
+ * Validate a tag list. Returns { tags } trimmed, lowercased and
+ * de-duplicated in first-seen order (null when empty), or { error }.
+ */
+const normalizeTags = (input) => {
+  if (input === undefined || input === null) return { tags: null }
+  if (!Array.isArray(input)) return { error: 'tags must be a list' }
+  const tags = []
+  for (const item of input) {
+    const tag = String(item ?? '').trim().toLowerCase()
+    if (!tag) continue
+    if (tag.includes(TAG_SEPARATOR)) return { error: `Tags can't contain "${TAG_SEPARATOR}"` }
+    if (tag.length > MAX_TAG_LENGTH) return { error: `Tag "${tag}" is longer than ${MAX_TAG_LENGTH} characters` }
+    if (!tags.includes(tag)) tags.push(tag)
+  }
+  return { tags: tags.length ? tags : null }
+}
+
+// Read a CSV `tags` cell. Over-long tags from a hand-edited file are dropped
+// rather than failing the whole row.
+const parseTagsCell = (value) => {
+  if (value === undefined || value === null) return null
+  const cells = String(value).split(TAG_SEPARATOR).filter(t => t.trim().length <= MAX_TAG_LENGTH)
+  return normalizeTags(cells).tags
+}
+
+const formatTagsCell = (tags) => (tags?.length ? tags.join(`${TAG_SEPARATOR} `) : '')
+
+export {
+  normalizeNotes,
+  normalizeTags,
+  parseTagsCell,
+  formatTagsCell
+}
@@ -0,0 +1,196 @@
+import fs from 'fs/promises'
+import { safePathJoin, withFileLock, atomicWriteFile } from './utils.js'
+import { KNOWN_CSV_COLUMNS } from './store.js'
+
+// Settings that belong to a profile rather than to one session live in
+// <dataDir>/<profile>/profile.json, next to the profile's session folders.
+// A profile without the file simply has nothing configured yet.
+const PROFILE_FILENAME = 'profile.json'
+
+const profileConfigPath = (state) => {
+  const configPath = safePathJoin(state.dataDir, state.activeProfile, PROFILE_FILENAME)
+  if (!configPath) throw new Error('Invalid profile')
+  return configPath
+}
+
+const readProfileConfig = async (state) => {
+  try {
+    return JSON.parse(await fs.readFile(profileConfigPath(state), 'utf-8'))
+  } catch (err) {
+    if (err.code === 'ENOENT') return {}
+    throw err
+  }
+}
+
+// Read-modify-write profile.json under its lock, creating it on first use.
+const updateProfileConfig = (state, mutate) => {
+  const configPath = profileConfigPath(state)
+  return withFileLock(configPath, async () => {
+    const data = await readProfileConfig(state)
+    mutate(data)
+    await atomicWriteFile(configPath, JSON.stringify(data, null, 2))
+    return data
+  })
+}
+
+// --- Custom annotation fields ---
+//
+// Each profile can define extra per-detection attributes (behavior, sex,
+// individual ID, ...). A field's value is stored under its name among the
+// detection's carried-over CSV columns, so it exports as a column of that
+// name and a re-imported export reads it back. Values are kept as text:
+// numbers in plain decimal, booleans as 'true'/'false'.
+
+const FIELD_TYPES = ['text', 'enum', 'number', 'boolean']
+
+const FIELD_NAME = /^[a-z][a-z0-9_]{0,39}$/
+
+const MAX_TEXT_LENGTH = 1000
+
+/**
+ * Check a field list from the schema editor. Returns { fields } with labels
+ * defaulted and enum options trimmed and de-duplicated, or { error }.
+ */
+const normalizeFieldSchema = (input) => {
+  if (!Array.isArray(input)) return { error: 'fields must be a list' }
+  const fields = []
+  const names = new Set()
+  for (const item of input) {
+    const name = String(item?.name ?? '').trim()
+    if (!FIELD_NAME.test(name)) {
+      return { error: `"${name}" is not a valid field name: use lowercase letters, digits and _, starting with a letter` }
+    }
+    if (KNOWN_CSV_COLUMNS.has(name)) return { error: `"${name}" is a built-in column and can't be used as a field name` }
+    if (names.has(name)) return { error: `Field "${name}" is defined twice` }
+    if (!FIELD_TYPES.includes(item.type)) return { error: `Field "${name}" has an unknown type` }
+    names.add(name)
+
+    const field = { name, label: String(item.label ?? '').trim() || name, type: item.type }
+    if (item.type === 'enum') {
+      const options = [...new Set((item.options || []).map(o => String(o).trim()).filter(Boolean))]
+      if (options.length === 0) return { error: `Field "${name}" needs at least one option` }
+      field.options = options
+    }
+    fields.push(field)
+  }
+  return { fields }
+}
+
+/**
+ * Turn one submitted value into its stored text (null clears the field), or
+ * return { error }.
+ */
+const encodeFieldValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return { value: null }
+  switch (field.type) {
+    case 'number': {
+      const n = Number(value)
+      if (!Number.isFinite(n)) return { error: `${field.label} must be a number` }
+      return { value: String(n) }
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: `${field.label} must be yes or no` }
+      return { value: String(value) }
+    case 'enum':
+      if (!field.options.includes(value)) return { error: `${field.label} must be one of ${field.options.join(', ')}` }
+      return { value }
+    default: {
+      const text = String(value)
+      if (text.length > MAX_TEXT_LENGTH) return { error: `${field.label} is longer than ${MAX_TEXT_LENGTH} characters` }
+      return { value: text }
+    }
+  }
+}
+
+/**
+ * Validate `values` ({ fieldName: value }) against the profile's fields.
+ * Returns { values } with every value in stored form, or { error }.
+ */
+const validateFieldValues = (fields, values) => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return { error: 'values must be an object' }
+  const encoded = {}
+  for (const [name, value] of Object.entries(values)) {
+    const field = fields.find(f => f.name === name)
+    if (!field) return { error: `"${name}" is not one of this profile's fields` }
+    const result = encodeFieldValue(field, value)
+    if (result.error) return { error: result.error }
+    encoded[name] = result.value
+  }
+  return { values: encoded }
+}
+
+// A field defined before its name became a built-in column is left out; its
+// values were moved into that column.
+const loadProfileFields = async (state) =>
+  ((await readProfileConfig(state)).fields || []).filter(f => !KNOWN_CSV_COLUMNS.has(f.name))
+
+const getProfileFields = async (state) => {
+  try {
+    return { success: true, fields: await loadProfileFields(state) }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+// Removing a field only hides it: values already stored stay on the
+// detections and in exports.
+const setProfileFields = async (fields, state) => {
+  try {
+    const result = normalizeFieldSchema(fields)
+    if (result.error) return { success: false, error: result.error }
+    await updateProfileConfig(state, (config) => { config.fields = result.fields })
+    return { success: true, fields: result.fields }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+// --- Session defaults ---
+//
+// Settings new sessions in the profile start from: the species list and the
+// spectrogram and display parameters, in the same shape as a session's
+// config.json `settings`. createSession copies them into the session, which
+// can then override any of them; a session that never saved settings follows
+// the profile's current defaults.
+
+const loadProfileDefaults = async (state) => (await readProfileConfig(state)).defaults || null
+
+const getProfileDefaults = async (state) => {
+  try {
+    return { success: true, defaults: await loadProfileDefaults(state) }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+const setProfileDefaults = async (defaults, state) => {
+  if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+    return { success: false, error: 'defaults must be an object' }
+  }
+  const { speciesList } = defaults
+  if (speciesList !== undefined && (!Array.isArray(speciesList) || speciesList.some(s => typeof s !== 'string'))) {
+    return { success: false, error: 'speciesList must be a list of names' }
+  }
+  try {
+    const stored = {
+      ...defaults,
+      ...(speciesList && { speciesList: [...new Set(speciesList.map(s => s.trim()).filter(Boolean))] })
+    }
+    await updateProfileConfig(state, (config) => { config.defaults = stored })
+    return { success: true, defaults: stored }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+export {
+  readProfileConfig,
+  updateProfileConfig,
+  loadProfileFields,
+  validateFieldValues,
+  getProfileFields,
+  setProfileFields,
+  loadProfileDefaults,
+  getProfileDefaults,
+  setProfileDefaults
+}
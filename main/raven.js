@@ -0,0 +1,288 @@
+import { parse } from 'csv-parse/sync'
+import { stringify } from 'csv-stringify/sync'
+import fs from 'fs/promises'
+import path from 'path'
+import { dialog } from 'electron'
+import { atomicWriteFile, buildFileMatcher, readSessionConfig, fileStem, exportFileOrder, exportBaseName } from './utils.js'
+import { getExperiment } from './sessions.js'
+import { readNumber, readFlag, registerImport } from './interchange.js'
+import { readWavInfo } from './wav.js'
+import { detectionDatetimes } from './clock.js'
+
+// Columns written to exported selection tables. The first nine are Raven
+// Pro's own; Species/Confidence/Verified and the wall-clock datetime_start/
+// datetime_end are ours and show up in Raven as extra annotation columns
+// that survive edits and re-saves.
+const RAVEN_COLUMNS = [
+  'Selection', 'View', 'Channel', 'Begin Time (s)', 'End Time (s)',
+  'Low Freq (Hz)', 'High Freq (Hz)', 'Begin Path', 'Begin File', 'File Offset (s)',
+  'Species', 'Confidence', 'Verified', 'datetime_start', 'datetime_end'
+]
+
+// Candidate label columns on import, in priority order. Raven users name
+// their annotation column freely; BirdNET tables use "Common Name".
+const SPECIES_COLUMNS = ['Species', 'Annotation', 'Label', 'Common Name', 'Class', 'Sound Type']
+
+const RAVEN_FILTERS = [
+  { name: 'Raven selection tables', extensions: ['txt'] },
+  { name: 'All files', extensions: ['*'] }
+]
+
+// Raven accepts plain decimal seconds; trim float noise so the table reads
+// cleanly in a spreadsheet without losing sub-millisecond precision.
+const formatNumber = (n) => String(Number(Number(n).toFixed(6)))
+
+// Raven saves tables as `<audio>.Table.1.selections.txt`; our own exports use
+// `<audio>.selections.txt` and BirdNET `<audio>.BirdNET.selection.table.txt`.
+// Either way the leading part names the audio file.
+const audioStemFromTableName = (tablePath) =>
+  path.basename(tablePath)
+    .replace(/\.txt$/i, '')
+    .replace(/\.BirdNET\.selection\.table$/i, '')
+    .replace(/\.selections$/i, '')
+    .replace(/\.Table\.\d+$/i, '')
+
+const toRavenRecord = (detection, selection, filePath, info, timelineOffset, datetimes) => {
+  // Raven requires a frequency range on every selection. Time-only detections
+  // are exported as full-band boxes (0 Hz to Nyquist) and come back as
+  // time-only on import; without a readable header we leave the cells empty.
+  const nyquist = info ? info.sampleRate / 2 : null
+  const low = detection.low_freq ?? (nyquist !== null ? 0 : null)
+  const high = detection.high_freq ?? nyquist
+  return {
+    'Selection': selection,
+    'View': 'Spectrogram 1',
+    // Raven counts channels from 1; detections on every channel go on the first.
+    'Channel': (detection.channel ?? 0) + 1,
+    'Begin Time (s)': formatNumber(timelineOffset + detection.start_time),
+    'End Time (s)': formatNumber(timelineOffset + detection.end_time),
+    'Low Freq (Hz)': low === null ? '' : formatNumber(low),
+    'High Freq (Hz)': high === null ? '' : formatNumber(high),
+    'Begin Path': filePath,
+    'Begin File': filePath.split(/[/\\]/).pop(),
+    'File Offset (s)': formatNumber(detection.start_time),
+    'Species': detection.species ?? '',
+    'Confidence': formatNumber(detection.detection_conf ?? 0),
+    'Verified': detection.verified ? 1 : 0,
+    ...datetimes(filePath, detection)
+  }
+}
+
+const stringifyRaven = (records) =>
+  stringify(records, { header: true, columns: RAVEN_COLUMNS, delimiter: '\t' })
+
+/**
+ * Export an experiment (including `temp`) as Raven Pro selection tables.
+ * mode 'combined' writes one table for the whole session with Begin File /
+ * File Offset columns; 'per-file' writes `<audio>.selections.txt` for every
+ * file that has detections into a folder the user picks.
+ */
+const exportRavenTable = async (sessionId, experimentId, mode, state) => {
+  if (mode !== 'combined' && mode !== 'per-file') {
+    return { success: false, error: `Unknown Raven export mode: ${mode}` }
+  }
+  try {
+    const config = await readSessionConfig(sessionId, state)
+    const result = await getExperiment(sessionId, experimentId, state)
+    if (!result.success) return result
+    const grouped = result.experiment.detections || {}
+    const files = exportFileOrder(config.files, grouped)
+    const infos = new Map()
+    for (const f of files) infos.set(f, await readWavInfo(f))
+    const datetimes = await detectionDatetimes(config, state)
+    const sortedFor = (f) => [...(grouped[f] || [])].sort((a, b) => a.start_time - b.start_time)
+
+    if (mode === 'combined') {
+      const target = await dialog.showSaveDialog({
+        title: 'Export Raven selection table',
+        defaultPath: `${exportBaseName(config, experimentId)}.selections.txt`,
+        filters: RAVEN_FILTERS
+      })
+      if (target.canceled || !target.filePath) return { canceled: true }
+
+      // A multi-file Raven table puts Begin/End Time on one continuous
+      // timeline across the file sequence. That needs every file's duration;
+      // if any header is unreadable, fall back to file-relative times (the
+      // File Offset column is correct either way and is what import uses).
+      const continuous = files.every(f => infos.get(f))
+      let timelineOffset = 0
+      const records = []
+      for (const f of files) {
+        for (const d of sortedFor(f)) {
+          records.push(toRavenRecord(d, records.length + 1, f, infos.get(f), continuous ? timelineOffset : 0, datetimes))
+        }
+        if (continuous) timelineOffset += infos.get(f).duration
+      }
+      await atomicWriteFile(target.filePath, stringifyRaven(records))
+      return { success: true, path: target.filePath, count: records.length, tables: 1 }
+    }
+
+    const target = await dialog.showOpenDialog({
+      title: 'Choose a folder for the selection tables',
+      properties: ['openDirectory', 'createDirectory']
+    })
+    if (target.canceled || !target.filePaths.length) return { canceled: true }
+    const outDir = target.filePaths[0]
+
+    let count = 0
+    let tables = 0
+    for (const f of files) {
+      const list = sortedFor(f)
+      if (list.length === 0) continue
+      const records = list.map((d, i) => toRavenRecord(d, i + 1, f, infos.get(f), 0, datetimes))
+      await atomicWriteFile(path.join(outDir, `${fileStem(f)}.selections.txt`), stringifyRaven(records))
+      count += records.length
+      tables++
+    }
+    return { success: true, path: outDir, count, tables }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+// Parse one selection table into plain rows. Raven writes one line per view
+// (Waveform 1, Spectrogram 1) for the same Selection number; keep a single
+// row per selection, preferring the spectrogram view's bounds.
+const parseRavenTable = (raw) => {
+  const records = parse(raw, {
+    columns: true,
+    delimiter: '\t',
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    relax_quotes: true,
+    trim: true
+  })
+  const bySelection = new Map()
+  const rows = []
+  for (const record of records) {
+    const selection = record['Selection'] || String(rows.length + 1)
+    const existing = bySelection.get(selection)
+    if (existing) {
+      const isSpectrogram = /^spectrogram/i.test(record['View'] || '')
+      const hadSpectrogram = /^spectrogram/i.test(existing.record['View'] || '')
+      if (isSpectrogram && !hadSpectrogram) existing.record = record
+      continue
+    }
+    const entry = { selection, record }
+    bySelection.set(selection, entry)
+    rows.push(entry)
+  }
+  return rows
+}
+
+/**
+ * Turn parsed selection-table rows into detections on the session's files.
+ * Rows that can't be placed (unknown file, unusable times) are returned in
+ * `unmatched` with a reason instead of aborting the import. Shared with the
+ * BirdNET importer, whose selection tables are Raven tables.
+ *
+ * options.speciesColumns overrides the label column search order;
+ * options.keepFrequency = false drops Low/High Freq for tools that fill them
+ * with the analysis band rather than the call's extent.
+ */
+const ravenRowsToDetections = async (tables, sessionFiles, options = {}) => {
+  const speciesColumns = options.speciesColumns || SPECIES_COLUMNS
+  const keepFrequency = options.keepFrequency !== false
+  const match = buildFileMatcher(sessionFiles)
+  const infoCache = new Map()
+  const wavInfo = async (f) => {
+    if (!infoCache.has(f)) infoCache.set(f, await readWavInfo(f))
+    return infoCache.get(f)
+  }
+
+  const detections = []
+  const unmatched = []
+  for (const { tablePath, rows } of tables) {
+    const tableName = path.basename(tablePath)
+    const fallbackStem = audioStemFromTableName(tablePath)
+    for (const { selection, record } of rows) {
+      const ref = record['Begin Path'] || record['Begin File'] || fallbackStem
+      const filename = match(record['Begin Path']) || match(record['Begin File']) ||
+        (!record['Begin Path'] && !record['Begin File'] ? match(fallbackStem) : null)
+      if (!filename) {
+        unmatched.push({ source: tableName, row: selection, file: ref, reason: 'No matching file in session' })
+        continue
+      }
+
+      const begin = readNumber(record['Begin Time (s)'])
+      const end = readNumber(record['End Time (s)'])
+      const fileOffset = readNumber(record['File Offset (s)'])
+      if (begin === null || end === null || end <= begin) {
+        unmatched.push({ source: tableName, row: selection, file: ref, reason: 'Missing or invalid begin/end time' })
+        continue
+      }
+      // In multi-file tables Begin Time is on the session-wide timeline;
+      // File Offset is the position within this file.
+      const start = fileOffset !== null ? fileOffset : begin
+      const stop = start + (end - begin)
+
+      let low = keepFrequency ? readNumber(record['Low Freq (Hz)']) : null
+      let high = keepFrequency ? readNumber(record['High Freq (Hz)']) : null
+      if (low !== null && high !== null && high <= low) {
+        low = null
+        high = null
+      }
+      // Full-band boxes are how time-only detections are exported; restore
+      // them as time-only so a round trip doesn't invent frequency bounds.
+      const info = await wavInfo(filename)
+      if (info && low !== null && high !== null && low <= 0 && high >= info.sampleRate / 2 - 1) {
+        low = null
+        high = null
+      }
+
+      // Only multi-channel recordings keep the channel, so tables from mono
+      // files don't pin every detection to channel 1.
+      const channel = readNumber(record['Channel'])
+      const keepChannel = info?.channels > 1 && Number.isInteger(channel) && channel >= 1 && channel <= info.channels
+
+      const speciesColumn = speciesColumns.find(c => String(record[c] ?? '').trim() !== '')
+      const confidence = readNumber(record['Confidence'] ?? record['Score'])
+      detections.push({
+        filename,
+        start_time: start,
+        end_time: stop,
+        species: speciesColumn ? String(record[speciesColumn]).trim() : null,
+        detection_conf: confidence ?? 1.0,
+        verified: readFlag(record['Verified']),
+        low_freq: low,
+        high_freq: high,
+        channel: keepChannel ? channel - 1 : null
+      })
+    }
+  }
+  return { detections, unmatched }
+}
+
+/**
+ * Import one or more Raven selection tables (picked via dialog) as a new
+ * experiment. Detections are matched to the session's files by Begin Path,
+ * Begin File, or — for single-file tables — the table's own filename.
+ */
+const importRavenTables = async (sessionId, state) => {
+  try {
+    const config = await readSessionConfig(sessionId, state)
+    const picked = await dialog.showOpenDialog({
+      title: 'Import Raven selection tables',
+      properties: ['openFile', 'multiSelections'],
+      filters: RAVEN_FILTERS
+    })
+    if (picked.canceled || !picked.filePaths.length) return { canceled: true }
+
+    const tables = []
+    for (const tablePath of picked.filePaths) {
+      tables.push({ tablePath, rows: parseRavenTable(await fs.readFile(tablePath, 'utf-8')) })
+    }
+    const result = await ravenRowsToDetections(tables, config.files)
+    return await registerImport(sessionId, 'raven', picked.filePaths, result, state)
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+export {
+  exportRavenTable,
+  importRavenTables,
+  parseRavenTable,
+  ravenRowsToDetections
+}
@@ -0,0 +1,207 @@
+import path from 'path'
+import { readWavMetadata } from './wav.js'
+
+// What we know about each recording of a session, kept in config.json as
+//   recordings: { [filePath]: { startTime, startSource, device, gain,
+//     latitude, longitude, sampleRate, channels, bitsPerSample, duration } }
+// Anything a file doesn't tell us is null. startTime is ISO 8601: with an
+// offset when the recorder said which zone its clock was in, without one
+// (local time, zone unknown) when it didn't, as with most filenames.
+
+// Filename timestamps tried when the session has no pattern of its own:
+// AudioMoth, Song Meter and most other recorders name files like
+// 20240501_053000.WAV or S4A01234_20240501_053000.wav.
+const DEFAULT_FILENAME_PATTERNS = ['YYYYMMDD_hhmmss', 'YYYYMMDD-hhmmss', 'YYYYMMDDThhmmss', 'YYYY-MM-DD_hh-mm-ss']
+
+// Pattern tokens and the digits each one matches.
+const PATTERN_TOKENS = { YYYY: '\\d{4}', YY: '\\d{2}', MM: '\\d{2}', DD: '\\d{2}', hh: '\\d{2}', mm: '\\d{2}', ss: '\\d{2}' }
+const TOKEN_RE = /YYYY|YY|MM|DD|hh|mm|ss|\*/g
+
+const pad = (n, width = 2) => String(n).padStart(width, '0')
+
+// ISO text for a wall-clock time, with the zone offset when it's known.
+const isoTime = ({ year, month, day, hour = 0, minute = 0, second = 0 }, offsetMinutes = null) => {
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+  // Reject 2024-02-31 and friends rather than rolling them over.
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day ||
+      hour > 23 || minute > 59 || second > 59) return null
+  const local = `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`
+  if (offsetMinutes === null) return local
+  if (offsetMinutes === 0) return `${local}Z`
+  const sign = offsetMinutes < 0 ? '-' : '+'
+  const abs = Math.abs(offsetMinutes)
+  return `${local}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+}
+
+/**
+ * Check a filename pattern such as `YYYYMMDD_hhmmss` or `*_YYMMDD-hhmm`:
+ * YYYY/YY, MM, DD, hh, mm and ss stand for digits, `*` for any text and
+ * everything else must match as written. Needs at least the date. Returns
+ * { pattern } or { error }.
+ */
+const validateFilenamePattern = (input) => {
+  const pattern = String(input ?? '').trim()
+  if (!pattern) return { pattern: null }
+  const tokens = pattern.match(TOKEN_RE) || []
+  if (!(tokens.includes('YYYY') || tokens.includes('YY')) || !tokens.includes('MM') || !tokens.includes('DD')) {
+    return { error: 'The filename pattern needs at least YYYY (or YY), MM and DD' }
+  }
+  const counted = tokens.filter(t => t !== '*')
+  if (new Set(counted).size !== counted.length) return { error: 'Each part of the filename pattern may appear only once' }
+  return { pattern }
+}
+
+const compilePattern = (pattern) => {
+  const fields = []
+  let source = ''
+  let last = 0
+  for (const match of pattern.matchAll(TOKEN_RE)) {
+    source += pattern.slice(last, match.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    if (match[0] === '*') {
+      source += '.*?'
+    } else {
+      fields.push(match[0])
+      source += `(${PATTERN_TOKENS[match[0]]})`
+    }
+    last = match.index + match[0].length
+  }
+  source += pattern.slice(last).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  return { re: new RegExp(source), fields }
+}
+
+/**
+ * Recording start from a file's name, as zone-less ISO text, or null. The
+ * pattern may match anywhere in the name (extension excluded); without one
+ * the common recorder layouts are tried.
+ */
+const parseFilenameTime = (filePath, pattern = null) => {
+  const stem = path.basename(filePath).replace(/\.[^.]+$/, '')
+  for (const candidate of pattern ? [pattern] : DEFAULT_FILENAME_PATTERNS) {
+    const { re, fields } = compilePattern(candidate)
+    const match = re.exec(stem)
+    if (!match) continue
+    const parts = {}
+    fields.forEach((field, i) => { parts[field] = Number(match[i + 1]) })
+    const time = isoTime({
+      year: parts.YYYY ?? 2000 + parts.YY,
+      month: parts.MM,
+      day: parts.DD,
+      hour: parts.hh,
+      minute: parts.mm,
+      second: parts.ss
+    })
+    if (time) return time
+  }
+  return null
+}
+
+/**
+ * GUANO (bat detector metadata, https://guano-md.org) as { key: value }.
+ * The text is one `Key: Value` per line; namespaced keys keep their prefix
+ * (`WA|Song Meter|Prefix`).
+ */
+const parseGuano = (text) => {
+  const fields = {}
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const colon = line.indexOf(':')
+    if (colon <= 0) continue
+    fields[line.slice(0, colon).trim()] = line.slice(colon + 1).trim()
+  }
+  return fields
+}
+
+// GUANO timestamps are ISO 8601, with or without an offset.
+const guanoTime = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?$/.exec(String(value || '').trim())
+  if (!match) return null
+  const [, year, month, day, hour, minute, second, zone] = match
+  let offset = null
+  if (zone === 'Z') offset = 0
+  else if (zone) {
+    const digits = zone.replace(':', '')
+    offset = (digits[0] === '-' ? -1 : 1) * (Number(digits.slice(1, 3)) * 60 + Number(digits.slice(3, 5)))
+  }
+  return isoTime({ year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second }, offset)
+}
+
+const fromGuano = (text) => {
+  const guano = parseGuano(text)
+  const [lat, lon] = String(guano['Loc Position'] || '').split(/[\s,]+/).map(Number)
+  const device = [guano.Make, guano.Model, guano.Serial].filter(Boolean).join(' ')
+  return {
+    startTime: guanoTime(guano.Timestamp),
+    device: device || null,
+    latitude: Number.isFinite(lat) ? lat : null,
+    longitude: Number.isFinite(lon) ? lon : null
+  }
+}
+
+/**
+ * AudioMoth's ICMT comment, e.g. "Recorded at 05:30:00 01/05/2024 (UTC+1)
+ * by AudioMoth 24526B0A5E0C9A5B at medium gain while battery was 4.2V ...".
+ * The date is day/month/year.
+ */
+const fromAudioMothComment = (comment) => {
+  const text = String(comment || '')
+  const time = /Recorded at (\d{2}):(\d{2}):(\d{2}) (\d{2})\/(\d{2})\/(\d{4}) \(UTC(?:([+-])(\d{1,2})(?::(\d{2}))?)?\)/.exec(text)
+  const device = /\bby (AudioMoth [0-9A-F]+)/i.exec(text)
+  const gain = /\bat ([a-z-]+) gain\b/i.exec(text)
+  let startTime = null
+  if (time) {
+    const [, hour, minute, second, day, month, year, sign, hours, minutes] = time
+    const offset = sign ? (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes || 0)) : 0
+    startTime = isoTime({ year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second }, offset)
+  }
+  return { startTime, device: device ? device[1] : null, gain: gain ? gain[1].toLowerCase() : null }
+}
+
+/**
+ * Everything we can learn about one recording without decoding it. The
+ * start time comes from GUANO, then the AudioMoth comment, then the name.
+ */
+const readRecordingMetadata = async (filePath, filenamePattern = null) => {
+  const wav = await readWavMetadata(filePath)
+  const guano = wav?.guano ? fromGuano(wav.guano) : {}
+  const moth = wav?.comment ? fromAudioMothComment(wav.comment) : {}
+  const fromName = parseFilenameTime(filePath, filenamePattern)
+
+  let startTime = null
+  let startSource = null
+  for (const [time, source] of [[guano.startTime, 'guano'], [moth.startTime, 'comment'], [fromName, 'filename']]) {
+    if (time) {
+      startTime = time
+      startSource = source
+      break
+    }
+  }
+  return {
+    startTime,
+    startSource,
+    device: guano.device || moth.device || wav?.artist || null,
+    gain: moth.gain || null,
+    latitude: guano.latitude ?? null,
+    longitude: guano.longitude ?? null,
+    sampleRate: wav?.sampleRate ?? null,
+    channels: wav?.channels ?? null,
+    bitsPerSample: wav?.bitsPerSample ?? null,
+    duration: wav?.duration ?? null
+  }
+}
+
+// Metadata for a session's files, keyed by path. One file at a time: they
+// tend to sit on the same (often external) disk.
+const readSessionRecordings = async (files, filenamePattern = null) => {
+  const recordings = {}
+  for (const filePath of files) {
+    recordings[filePath] = await readRecordingMetadata(filePath, filenamePattern)
+  }
+  return recordings
+}
+
+export {
+  validateFilenamePattern,
+  parseFilenameTime,
+  parseGuano,
+  readRecordingMetadata,
+  readSessionRecordings
+}
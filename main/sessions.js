@@ -1,16 +1,20 @@
-import { parse } from 'csv-parse/sync'
 import fs from 'fs/promises'
 import path from 'path'
 import crypto from 'crypto'
-import { listSubdirectories, safePathJoin, atomicWriteFile } from './utils.js'
+import { listSubdirectories, safePathJoin, atomicWriteFile, updateJsonFile } from './utils.js'
+import { getStore, readStore, closeStore, listExperimentMeta, getExperimentMeta, getDetectionsByFile } from './store.js'
+import { loadProfileDefaults } from './profiles.js'
+import { validateFilenamePattern, readSessionRecordings } from './recordings.js'
 
 // Maximum number of audio files allowed in a single session. The Python
 // pipeline can handle larger batches but the UI becomes unresponsive and the
-// CSV file grows unwieldy past a few hundred detections.
+// spectrogram list gets unwieldy past a few hundred recordings.
 const MAX_FILES_PER_SESSION = 500
 
-// Create a session from a list of files and a name
-const createSession = async (sessionName, files, state) => {
+// Create a session from a list of files and a name. options.filenamePattern
+// tells how recording start times are written in the file names (see
+// recordings.js); without it the usual recorder layouts are recognised.
+const createSession = async (sessionName, files, options, state) => {
   if (!state.dataDir || !state.activeProfile) {
     return { success: false, error: 'Missing dataDir or profile' }
   }
@@ -33,6 +37,8 @@ const createSession = async (sessionName, files, state) => {
       return { success: false, error: 'All session files must be supplied as absolute paths' }
     }
   }
+  const { pattern, error: patternError } = validateFilenamePattern(options?.filenamePattern)
+  if (patternError) return { success: false, error: patternError }
 
   try {
     // Require the active profile's directory to exist before creating a
@@ -59,8 +65,14 @@ const createSession = async (sessionName, files, state) => {
       name: finalName,
       time: new Date().toISOString(),
       files,
+      ...(pattern && { filenamePattern: pattern }),
+      recordings: await readSessionRecordings(files, pattern),
       experiments: {}
     }
+    // Start from the profile's defaults. Copied rather than referenced, so a
+    // session folder shared on its own still opens with its settings.
+    const defaults = await loadProfileDefaults(state)
+    if (defaults) config.settings = defaults
 
     await fs.mkdir(sessionFolder)
     await atomicWriteFile(path.join(sessionFolder, 'config.json'), JSON.stringify(config, null, 2))
@@ -70,7 +82,10 @@ const createSession = async (sessionName, files, state) => {
   }
 }
 
-// List sessions by reading configs
+// List sessions by reading configs. Experiment metadata comes from each
+// session's database (no detections), which also migrates older sessions
+// the first time they're listed. Databases that weren't open are closed
+// again, so listing doesn't hold one open per session.
 const listSessions = async (state) => {
   try {
     const profilePath = safePathJoin(state.dataDir, state.activeProfile)
@@ -83,7 +98,8 @@ const listSessions = async (state) => {
       if (!configPath) continue
       try {
         const data = JSON.parse(await fs.readFile(configPath, 'utf-8'))
-        sessions.push({ id: sessionId, ...data })
+        const experiments = await readStore(sessionId, state, listExperimentMeta)
+        sessions.push({ id: sessionId, ...data, experiments })
       } catch { /* ignore unreadable sessions */ }
     }
     return { success: true, sessions }
@@ -92,53 +108,28 @@ const listSessions = async (state) => {
   }
 }
 
-/**
- * Parse experiment CSV into detections grouped by filename.
- * Uses named columns — robust against column reordering.
- */
-const parseExperimentCSV = (raw) => {
-  const records = parse(raw, { columns: true, skip_empty_lines: true, trim: true })
-  const grouped = {}
-
-  for (const row of records) {
-    const detection = {
-      id: row.id,
-      filename: row.filename,
-      start_time: parseFloat(row.start_time) || 0,
-      end_time: parseFloat(row.end_time) || 0,
-      species: row.species === 'null' ? null : row.species,
-      detection_conf: parseFloat(row.detection_conf) || 0,
-      verified: parseInt(row.verified, 10) === 1
-    }
-
-    if (!grouped[detection.filename]) grouped[detection.filename] = []
-    grouped[detection.filename].push(detection)
-  }
-  return grouped
-}
-
 const getSession = async (sessionId, state) => {
   try {
     const configPath = safePathJoin(state.dataDir, state.activeProfile, sessionId, 'config.json')
     if (!configPath) return { success: false, error: 'Invalid path' }
 
-    const data = JSON.parse(await fs.readFile(configPath, 'utf-8'))
+    const db = await getStore(sessionId, state)
+    let data = JSON.parse(await fs.readFile(configPath, 'utf-8'))
+    // Read metadata for files that have none: sessions from before it was
+    // read, and paths rewritten by hand after moving the audio.
+    const files = data.files || []
+    const missing = files.filter(f => !data.recordings?.[f])
+    if (missing.length > 0) {
+      const read = await readSessionRecordings(missing, data.filenamePattern)
+      data = await updateJsonFile(configPath, (config) => {
+        const known = { ...config.recordings, ...read }
+        config.recordings = Object.fromEntries(files.filter(f => known[f]).map(f => [f, known[f]]))
+      })
+    }
 
+    data.experiments = listExperimentMeta(db)
     for (const experimentId of Object.keys(data.experiments)) {
-      const experimentPath = safePathJoin(
-        state.dataDir, state.activeProfile, sessionId, experimentId + '.csv'
-      )
-      if (!experimentPath) {
-        data.experiments[experimentId].detections = {}
-        continue
-      }
-
-      try {
-        const raw = await fs.readFile(experimentPath, 'utf-8')
-        data.experiments[experimentId].detections = parseExperimentCSV(raw)
-      } catch {
-        data.experiments[experimentId].detections = {}
-      }
+      data.experiments[experimentId].detections = getDetectionsByFile(db, experimentId)
     }
 
     return { success: true, session: data }
@@ -147,48 +138,39 @@ const getSession = async (sessionId, state) => {
   }
 }
 
-// Load a single experiment's metadata + parsed detections without re-reading
-// the whole session's other CSVs. Used by the renderer to refresh just the
+// Load a single experiment's metadata + detections without loading the
+// session's other experiments. Used by the renderer to refresh just the
 // affected experiment after detection completes or after a save, instead of
 // blowing the entire `sessionData` object away.
 const getExperiment = async (sessionId, experimentId, state) => {
   try {
-    const configPath = safePathJoin(state.dataDir, state.activeProfile, sessionId, 'config.json')
-    if (!configPath) return { success: false, error: 'Invalid path' }
-
-    const data = JSON.parse(await fs.readFile(configPath, 'utf-8'))
-    const meta = data.experiments?.[experimentId]
+    const db = await getStore(sessionId, state)
+    const meta = getExperimentMeta(db, experimentId)
     if (!meta) return { success: false, error: 'Experiment not found' }
 
-    const experimentPath = safePathJoin(
-      state.dataDir, state.activeProfile, sessionId, experimentId + '.csv'
-    )
-    if (!experimentPath) return { success: false, error: 'Invalid path' }
-
-    let detections = {}
-    try {
-      const raw = await fs.readFile(experimentPath, 'utf-8')
-      detections = parseExperimentCSV(raw)
-    } catch {
-      detections = {}
-    }
-
-    return { success: true, experiment: { ...meta, detections } }
+    return { success: true, experiment: { ...meta, detections: getDetectionsByFile(db, experimentId) } }
   } catch (err) {
     return { success: false, error: err.message }
   }
 }
 
 // Settings now live per-session, inside config.json under a `settings` field.
-// The renderer treats a missing settings field as "use hardcoded defaults",
-// so existing sessions opened after this change come up at defaults without
-// needing a migration pass.
+// A session without one (created before profile defaults existed, or in a
+// profile without them) gets the profile's defaults, and failing that null,
+// which the renderer reads as "use hardcoded defaults" - no migration pass.
 const getSessionSettings = async (sessionId, state) => {
   try {
     const configPath = safePathJoin(state.dataDir, state.activeProfile, sessionId, 'config.json')
     if (!configPath) return { success: false, error: 'Invalid path' }
     const data = JSON.parse(await fs.readFile(configPath, 'utf-8'))
-    return { success: true, settings: data.settings ?? null }
+    // Highest native sample rate in the recordings' metadata, which bounds
+    // f_max; null when none has one (metadata not read yet, or not WAV).
+    const rates = Object.values(data.recordings || {}).map(r => r?.sampleRate).filter(Number.isFinite)
+    return {
+      success: true,
+      settings: data.settings ?? await loadProfileDefaults(state),
+      maxSampleRate: rates.length ? Math.max(...rates) : null
+    }
   } catch (err) {
     return { success: false, error: err.message }
   }
@@ -201,9 +183,7 @@ const setSessionSettings = async (sessionId, settings, state) => {
   try {
     const configPath = safePathJoin(state.dataDir, state.activeProfile, sessionId, 'config.json')
     if (!configPath) return { success: false, error: 'Invalid path' }
-    const data = JSON.parse(await fs.readFile(configPath, 'utf-8'))
-    data.settings = settings
-    await atomicWriteFile(configPath, JSON.stringify(data, null, 2))
+    await updateJsonFile(configPath, (data) => { data.settings = settings })
     return { success: true }
   } catch (err) {
     return { success: false, error: err.message }
@@ -221,6 +201,7 @@ const deleteSession = async (sessionId, state) => {
       return { success: false, error: 'Session not found' }
     }
 
+    await closeStore(sessionId, state)
     await fs.rm(sessionPath, { recursive: true, force: true })
 
     return { success: true, message: `Session '${sessionId}' deleted successfully` }
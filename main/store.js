@@ -0,0 +1,559 @@
+import Database from 'better-sqlite3'
+import { parse } from 'csv-parse/sync'
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+import { safePathJoin, updateJsonFile, withFileLock, buildFileMatcher, EXPERIMENT_COLUMNS } from './utils.js'
+import { labelColumns, parseLabelsCell, formatLabelsCell } from './labels.js'
+import { parseTagsCell, formatTagsCell } from './notes.js'
+
+// Each session keeps its experiments and detections in one SQLite file next
+// to config.json. config.json still owns the session itself (name, files,
+// settings); `experiments` there is only a hand-off slot — the Python
+// detector and sessions from before the database existed put entries there,
+// and they are absorbed into the database the next time the store is opened.
+const DB_FILENAME = 'annotations.db'
+
+// Schema changes are appended here, never edited in place. The index of the
+// last applied step is kept in PRAGMA user_version.
+const MIGRATIONS = [
+  (db) => db.exec(`
+    CREATE TABLE experiments (
+      id TEXT PRIMARY KEY,
+      meta TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE TABLE detections (
+      experiment_id TEXT NOT NULL REFERENCES experiments(id) ON DELETE CASCADE ON UPDATE CASCADE,
+      id TEXT NOT NULL,
+      filename TEXT NOT NULL,
+      start_time REAL NOT NULL,
+      end_time REAL NOT NULL,
+      species TEXT,
+      detection_conf REAL NOT NULL DEFAULT 0,
+      verified INTEGER NOT NULL DEFAULT 0,
+      low_freq REAL,
+      high_freq REAL,
+      -- CSV columns we don't model, kept so an export gives them back.
+      extra TEXT,
+      PRIMARY KEY (experiment_id, id)
+    );
+    CREATE INDEX idx_detections_file ON detections (experiment_id, filename, start_time);
+    CREATE INDEX idx_detections_id ON detections (id);
+  `),
+  // Undo/redo history of detection edits; see history.js.
+  (db) => db.exec(`
+    CREATE TABLE history (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      time TEXT NOT NULL,
+      label TEXT NOT NULL,
+      changes TEXT NOT NULL,
+      undone INTEGER NOT NULL DEFAULT 0
+    );
+  `),
+  // Who changed which detection field and when; see audit.js. No foreign
+  // keys: entries outlive the detections they describe.
+  (db) => db.exec(`
+    CREATE TABLE audit_log (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      experiment_id TEXT NOT NULL,
+      detection_id TEXT NOT NULL,
+      time TEXT NOT NULL,
+      profile TEXT,
+      action TEXT NOT NULL,
+      field TEXT NOT NULL,
+      old_value TEXT,
+      new_value TEXT
+    );
+    CREATE INDEX idx_audit_detection ON audit_log (experiment_id, detection_id);
+  `),
+  // Multiple labels per detection, as JSON; see labels.js.
+  (db) => db.exec('ALTER TABLE detections ADD COLUMN labels TEXT'),
+  // Free-text notes, and tags as a JSON list; see notes.js. Imported files
+  // may already have had `notes` or `tags` columns, which were carried over
+  // in `extra`; they move into the new columns.
+  (db) => {
+    db.exec(`
+      ALTER TABLE detections ADD COLUMN notes TEXT;
+      ALTER TABLE detections ADD COLUMN tags TEXT;
+    `)
+    const split = (extra) => {
+      const { notes, tags, ...rest } = extra
+      return { notes: notes || null, tags: parseTagsCell(tags), extra: Object.keys(rest).length ? rest : null }
+    }
+    const hasNotes = (extra) => extra && (extra.notes !== undefined || extra.tags !== undefined)
+    const update = db.prepare('UPDATE detections SET notes = ?, tags = ?, extra = ? WHERE experiment_id = ? AND id = ?')
+    for (const row of db.prepare('SELECT experiment_id, id, extra FROM detections WHERE extra IS NOT NULL').all()) {
+      const extra = JSON.parse(row.extra)
+      if (!hasNotes(extra)) continue
+      const d = split(extra)
+      update.run(d.notes, d.tags ? JSON.stringify(d.tags) : null, d.extra ? JSON.stringify(d.extra) : null,
+        row.experiment_id, row.id)
+    }
+    // Same for the undo history's snapshots, so earlier edits still match.
+    for (const row of db.prepare('SELECT seq, changes FROM history').all()) {
+      const changes = JSON.parse(row.changes)
+      let touched = false
+      for (const c of changes) {
+        for (const key of ['before', 'after']) {
+          if (!hasNotes(c[key]?.extra)) continue
+          c[key] = { ...c[key], ...split(c[key].extra) }
+          touched = true
+        }
+      }
+      if (touched) db.prepare('UPDATE history SET changes = ? WHERE seq = ?').run(JSON.stringify(changes), row.seq)
+    }
+  },
+  // Taxon code of the primary label; see taxonomy.js.
+  (db) => db.exec('ALTER TABLE detections ADD COLUMN species_code TEXT'),
+  // Audio channel a detection was made on (0-based); null for detections
+  // that apply to every channel, which is all of them before this column.
+  (db) => db.exec('ALTER TABLE detections ADD COLUMN channel INTEGER')
+]
+
+// Open handles keyed by database path. better-sqlite3 is synchronous, so one
+// connection per session serializes every statement within this process.
+const stores = new Map()
+// Opens in progress, keyed the same way.
+const opening = new Map()
+
+const migrate = (db) => {
+  const version = db.pragma('user_version', { simple: true })
+  for (let v = version; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      MIGRATIONS[v](db)
+      db.pragma(`user_version = ${v + 1}`)
+    })()
+  }
+}
+
+// Optional numeric columns (frequency bounds) are absent from CLAP output and
+// from files written before they existed. Keep "no value" as null rather than
+// coercing to 0, which would read as a real 0 Hz bound.
+const parseOptionalFloat = (value) => {
+  if (value === undefined || value === null || value === '' || value === 'null') return null
+  const n = parseFloat(value)
+  return Number.isFinite(n) ? n : null
+}
+
+// A 0-based channel index, or null for blank and invalid cells.
+const parseChannel = (value) => {
+  const n = parseOptionalFloat(value)
+  return n !== null && Number.isInteger(n) && n >= 0 ? n : null
+}
+
+// datetime_start/datetime_end are derived on export (see clock.js) and
+// dropped again on import rather than kept as extra columns.
+const KNOWN_CSV_COLUMNS = new Set([
+  ...EXPERIMENT_COLUMNS, 'low_freq', 'high_freq', 'channel', 'species_code', 'labels', 'notes', 'tags',
+  'datetime_start', 'datetime_end'
+])
+
+/**
+ * Parse an experiment CSV (CLAP output, or a pre-database experiment file)
+ * into detections. Uses named columns, so column order doesn't matter;
+ * columns we don't know are carried along in `extra`.
+ */
+const parseExperimentCSV = (raw) => {
+  const records = parse(raw, { columns: true, skip_empty_lines: true, trim: true })
+  return records.map(row => {
+    const extra = {}
+    for (const [key, value] of Object.entries(row)) {
+      if (!KNOWN_CSV_COLUMNS.has(key)) extra[key] = value
+    }
+    const labels = parseLabelsCell(row.labels)
+    return {
+      id: row.id,
+      filename: row.filename,
+      start_time: parseFloat(row.start_time) || 0,
+      end_time: parseFloat(row.end_time) || 0,
+      species: row.species === 'null' || row.species === '' ? null : row.species,
+      species_code: row.species_code ? row.species_code.toUpperCase() : null,
+      labels: null,
+      ...(labels && labelColumns(labels)),
+      detection_conf: parseFloat(row.detection_conf) || 0,
+      verified: parseInt(row.verified, 10) === 1,
+      low_freq: parseOptionalFloat(row.low_freq),
+      high_freq: parseOptionalFloat(row.high_freq),
+      channel: parseChannel(row.channel),
+      notes: row.notes || null,
+      tags: parseTagsCell(row.tags),
+      extra
+    }
+  })
+}
+
+// The inverse, for CSV export: null species is the literal 'null', verified
+// is 0/1, missing frequency bounds, channels, codes, single-species labels,
+// notes and tags are empty cells, and any carried-over columns come back after ours.
+const toExperimentRow = (detection, datetimes = {}) => ({
+  id: detection.id,
+  filename: detection.filename ?? '',
+  start_time: String(detection.start_time ?? 0),
+  end_time: String(detection.end_time ?? 0),
+  species: detection.species == null ? 'null' : String(detection.species),
+  detection_conf: String(detection.detection_conf ?? 0),
+  verified: detection.verified ? 1 : 0,
+  ...datetimes,
+  low_freq: detection.low_freq ?? '',
+  high_freq: detection.high_freq ?? '',
+  channel: detection.channel ?? '',
+  species_code: detection.species_code ?? '',
+  labels: formatLabelsCell(detection.labels),
+  notes: detection.notes ?? '',
+  tags: formatTagsCell(detection.tags),
+  ...(detection.extra || {})
+})
+
+const rowToDetection = (row) => ({
+  id: row.id,
+  filename: row.filename,
+  start_time: row.start_time,
+  end_time: row.end_time,
+  species: row.species,
+  species_code: row.species_code,
+  detection_conf: row.detection_conf,
+  verified: row.verified === 1,
+  low_freq: row.low_freq,
+  high_freq: row.high_freq,
+  channel: row.channel,
+  labels: row.labels ? JSON.parse(row.labels) : null,
+  notes: row.notes,
+  tags: row.tags ? JSON.parse(row.tags) : null,
+  extra: row.extra ? JSON.parse(row.extra) : null
+})
+
+const detectionParams = (experimentId, d) => ({
+  experiment_id: experimentId,
+  id: d.id,
+  filename: d.filename,
+  start_time: Number(d.start_time) || 0,
+  end_time: Number(d.end_time) || 0,
+  species: d.species ?? null,
+  species_code: d.species_code ?? null,
+  detection_conf: Number(d.detection_conf) || 0,
+  verified: d.verified ? 1 : 0,
+  low_freq: d.low_freq ?? null,
+  high_freq: d.high_freq ?? null,
+  channel: d.channel ?? null,
+  labels: d.labels?.length ? JSON.stringify(d.labels) : null,
+  notes: d.notes || null,
+  tags: d.tags?.length ? JSON.stringify(d.tags) : null,
+  extra: d.extra && Object.keys(d.extra).length ? JSON.stringify(d.extra) : null
+})
+
+/** Insert detections into an experiment. Call inside a transaction for batches. */
+const insertDetections = (db, experimentId, detections) => {
+  const insert = db.prepare(`
+    INSERT INTO detections (experiment_id, id, filename, start_time, end_time, species, species_code,
+      detection_conf, verified, low_freq, high_freq, channel, labels, notes, tags, extra)
+    VALUES (@experiment_id, @id, @filename, @start_time, @end_time, @species, @species_code,
+      @detection_conf, @verified, @low_freq, @high_freq, @channel, @labels, @notes, @tags, @extra)
+  `)
+  for (const d of detections) insert.run(detectionParams(experimentId, d))
+}
+
+const putExperiment = (db, experimentId, meta) => {
+  db.prepare(`
+    INSERT INTO experiments (id, meta) VALUES (?, ?)
+    ON CONFLICT (id) DO UPDATE SET meta = excluded.meta
+  `).run(experimentId, JSON.stringify(meta || {}))
+}
+
+const getExperimentMeta = (db, experimentId) => {
+  const row = db.prepare('SELECT meta FROM experiments WHERE id = ?').get(experimentId)
+  return row ? JSON.parse(row.meta) : null
+}
+
+const listExperimentMeta = (db) => {
+  const experiments = {}
+  for (const row of db.prepare('SELECT id, meta FROM experiments').all()) {
+    experiments[row.id] = JSON.parse(row.meta)
+  }
+  return experiments
+}
+
+// Detections grouped by filename, in the order they were added — the shape
+// the renderer has always received for an experiment. `extra` carries the
+// profile's custom field values along with any other carried-over columns.
+const getDetectionsByFile = (db, experimentId) => {
+  const grouped = {}
+  const rows = db.prepare('SELECT * FROM detections WHERE experiment_id = ? ORDER BY rowid').all(experimentId)
+  for (const row of rows) {
+    if (!grouped[row.filename]) grouped[row.filename] = []
+    grouped[row.filename].push(rowToDetection(row))
+  }
+  return grouped
+}
+
+/** Flat list of an experiment's detections including carried-over columns, for export. */
+const getDetectionsForExport = (db, experimentId) =>
+  db.prepare('SELECT * FROM detections WHERE experiment_id = ? ORDER BY rowid').all(experimentId).map(rowToDetection)
+
+// Includes carried-over columns, so a snapshot taken before a delete can be
+// restored without losing them.
+const getDetection = (db, experimentId, detectionId) => {
+  const row = db.prepare('SELECT * FROM detections WHERE experiment_id = ? AND id = ?').get(experimentId, detectionId)
+  return row ? rowToDetection(row) : null
+}
+
+const UPDATABLE_FIELDS = ['filename', 'start_time', 'end_time', 'species', 'species_code', 'detection_conf', 'verified', 'low_freq', 'high_freq', 'channel', 'labels', 'notes', 'tags', 'extra']
+
+const fieldParam = (key, value) => {
+  if (key === 'verified') return value ? 1 : 0
+  if (key === 'labels' || key === 'tags') return value?.length ? JSON.stringify(value) : null
+  if (key === 'extra') return value && Object.keys(value).length ? JSON.stringify(value) : null
+  return value
+}
+
+/**
+ * Update some fields of one detection. Returns false when no such detection
+ * exists, so callers can report "Detection not found". Setting `species`
+ * without `labels` replaces any extra labels with that one species, and
+ * without `species_code` drops the old species' code.
+ */
+const updateDetection = (db, experimentId, detectionId, fields) => {
+  if ('species' in fields) fields = { labels: null, species_code: null, ...fields }
+  const keys = Object.keys(fields).filter(k => UPDATABLE_FIELDS.includes(k))
+  if (keys.length === 0) return true
+  const params = { experiment_id: experimentId, id: detectionId }
+  for (const k of keys) params[k] = fieldParam(k, fields[k])
+  const sets = keys.map(k => `${k} = @${k}`).join(', ')
+  const info = db.prepare(`UPDATE detections SET ${sets} WHERE experiment_id = @experiment_id AND id = @id`).run(params)
+  return info.changes > 0
+}
+
+// Overwrite every column of an existing detection, keeping its place in the
+// experiment's order. Returns false when it doesn't exist.
+const replaceDetection = (db, experimentId, detection) =>
+  db.prepare(`
+    UPDATE detections SET filename = @filename, start_time = @start_time, end_time = @end_time,
+      species = @species, species_code = @species_code, detection_conf = @detection_conf, verified = @verified,
+      low_freq = @low_freq, high_freq = @high_freq, channel = @channel, labels = @labels,
+      notes = @notes, tags = @tags, extra = @extra
+    WHERE experiment_id = @experiment_id AND id = @id
+  `).run(detectionParams(experimentId, detection)).changes > 0
+
+const deleteDetectionRow = (db, experimentId, detectionId) =>
+  db.prepare('DELETE FROM detections WHERE experiment_id = ? AND id = ?').run(experimentId, detectionId).changes > 0
+
+const deleteExperimentRows = (db, experimentId) =>
+  db.prepare('DELETE FROM experiments WHERE id = ?').run(experimentId).changes > 0
+
+const moveDetection = (db, fromExperimentId, toExperimentId, detectionId) =>
+  db.prepare('UPDATE detections SET experiment_id = ? WHERE experiment_id = ? AND id = ?')
+    .run(toExperimentId, fromExperimentId, detectionId).changes > 0
+
+// Give an experiment a new id; its detections follow via ON UPDATE CASCADE.
+const renameExperiment = (db, fromId, toId) =>
+  db.prepare('UPDATE experiments SET id = ? WHERE id = ?').run(toId, fromId).changes > 0
+
+/**
+ * Move experiments listed in config.json into the database. Covers sessions
+ * created before the database existed (every experiment) and fresh CLAP
+ * output (`temp`). A listed experiment's CSV, if present, replaces whatever
+ * detections the database had for it. The database commit happens first, so
+ * a crash part-way just repeats the absorb on the next open.
+ */
+const absorbConfigExperiments = async (db, sessionDir) => {
+  const csvs = []
+  await updateJsonFile(path.join(sessionDir, 'config.json'), async (config) => {
+    const pending = Object.entries(config.experiments || {})
+    if (pending.length === 0) return false
+
+    for (const [experimentId, meta] of pending) {
+      const csvPath = safePathJoin(sessionDir, `${experimentId}.csv`)
+      let detections = null
+      if (csvPath) {
+        try {
+          detections = parseExperimentCSV(await fs.readFile(csvPath, 'utf-8'))
+        } catch {
+          // No CSV (or unreadable): keep any detections already in the database.
+        }
+      }
+      if (detections) {
+        // Hand-edited CSVs can have blank or repeated ids; the table can't.
+        const seen = new Set()
+        for (const d of detections) {
+          if (!d.id || seen.has(d.id)) d.id = crypto.randomUUID()
+          seen.add(d.id)
+        }
+      }
+      csvs.push({ experimentId, meta, csvPath, detections })
+    }
+
+    db.transaction(() => {
+      for (const { experimentId, meta, detections } of csvs) {
+        putExperiment(db, experimentId, meta)
+        if (detections) {
+          db.prepare('DELETE FROM detections WHERE experiment_id = ?').run(experimentId)
+          insertDetections(db, experimentId, detections)
+        }
+      }
+    })()
+
+    config.experiments = {}
+  })
+
+  // temp.csv is only ever a hand-off from the detector. Older experiment CSVs
+  // are kept beside the database under a new name as a one-time backup.
+  for (const { experimentId, csvPath, detections } of csvs) {
+    if (!detections) continue
+    try {
+      if (experimentId === 'temp') await fs.unlink(csvPath)
+      else await fs.rename(csvPath, `${csvPath}.migrated`)
+    } catch { /* already gone */ }
+  }
+}
+
+/**
+ * Point detections at the session's current files after the audio has moved.
+ * Sharing a session means rewriting the paths in config.json; detections whose
+ * path is no longer a session file are re-matched by filename.
+ */
+const relinkMovedFiles = async (db, sessionDir) => {
+  const config = JSON.parse(await fs.readFile(path.join(sessionDir, 'config.json'), 'utf-8'))
+  const files = new Set(config.files || [])
+  const stale = db.prepare('SELECT DISTINCT filename FROM detections').all()
+    .map(r => r.filename)
+    .filter(f => !files.has(f))
+  if (stale.length === 0) return
+  const match = buildFileMatcher(config.files)
+  const relink = db.prepare('UPDATE detections SET filename = ? WHERE filename = ?')
+  db.transaction(() => {
+    for (const oldPath of stale) {
+      const current = match(oldPath)
+      if (current) relink.run(current, oldPath)
+    }
+  })()
+}
+
+const sessionDbPath = (sessionId, state) => {
+  const sessionDir = safePathJoin(state.dataDir, state.activeProfile, sessionId)
+  if (!sessionDir) throw new Error('Invalid path')
+  return path.join(sessionDir, DB_FILENAME)
+}
+
+// A migrated, absorbed connection to the database at `dbPath`, not kept in
+// `stores`.
+const openDatabase = async (dbPath) => {
+  const sessionDir = path.dirname(dbPath)
+  // Refuse to conjure a database for a session that doesn't exist.
+  await fs.access(path.join(sessionDir, 'config.json'))
+  const db = new Database(dbPath)
+  try {
+    db.pragma('foreign_keys = ON')
+    migrate(db)
+    // Relink after absorbing, so CSVs migrated from a shared session are
+    // pointed at this machine's copies too.
+    await absorbConfigExperiments(db, sessionDir)
+    await relinkMovedFiles(db, sessionDir)
+  } catch (err) {
+    db.close()
+    throw err
+  }
+  return db
+}
+
+const openStore = async (dbPath) => {
+  const db = await openDatabase(dbPath)
+  stores.set(dbPath, db)
+  return db
+}
+
+/**
+ * Open (or reuse) the session's database, creating and migrating it as
+ * needed and absorbing anything pending in config.json when it is first
+ * opened. Throws on a bad path so callers' existing try/catch turns it into
+ * { success: false, error }.
+ */
+const getStore = async (sessionId, state) => {
+  const dbPath = sessionDbPath(sessionId, state)
+
+  const db = stores.get(dbPath)
+  if (db) return db
+
+  // Two handlers racing to open the same session share one open.
+  if (!opening.has(dbPath)) {
+    opening.set(dbPath, openStore(dbPath).finally(() => opening.delete(dbPath)))
+  }
+  return opening.get(dbPath)
+}
+
+/**
+ * Run `fn(db)` on the session's database without keeping it open: an open
+ * store is used as is, otherwise a connection is opened (migrating and
+ * absorbing as getStore would) for `fn` alone and closed after. For reads
+ * across many sessions, like listing them.
+ */
+const readStore = async (sessionId, state, fn) => {
+  const dbPath = sessionDbPath(sessionId, state)
+  const open = stores.get(dbPath) ?? await opening.get(dbPath)
+  if (open) return fn(open)
+  const db = await openDatabase(dbPath)
+  try {
+    return await fn(db)
+  } finally {
+    db.close()
+  }
+}
+
+/**
+ * Run `fn(db)` in the session's write queue. Each statement is already
+ * atomic, but a handler that checks and then writes (restore, save) awaits
+ * in between; queueing keeps overlapping edits in arrival order.
+ */
+const withStore = (sessionId, state, fn) =>
+  withFileLock(sessionDbPath(sessionId, state), async () => fn(await getStore(sessionId, state)))
+
+// Close a session's database, e.g. before deleting its folder (Windows
+// won't remove an open file). Queued behind any writes still pending.
+const closeStore = (sessionId, state) => {
+  const dbPath = sessionDbPath(sessionId, state)
+  return withFileLock(dbPath, () => {
+    const db = stores.get(dbPath)
+    if (db) {
+      db.close()
+      stores.delete(dbPath)
+    }
+  })
+}
+
+// Absorb config.json's pending experiments into the session's database if
+// it is open (or opening); a closed one absorbs them when next opened.
+const absorbIntoOpenStore = (sessionDir) => {
+  const dbPath = path.join(path.resolve(sessionDir), DB_FILENAME)
+  return withFileLock(dbPath, async () => {
+    const db = stores.get(dbPath) ?? await opening.get(dbPath)?.catch(() => null)
+    if (db) await absorbConfigExperiments(db, sessionDir)
+  })
+}
+
+const closeAllStores = () => {
+  for (const db of stores.values()) db.close()
+  stores.clear()
+}
+
+export {
+  getStore,
+  readStore,
+  withStore,
+  closeStore,
+  closeAllStores,
+  absorbIntoOpenStore,
+  parseExperimentCSV,
+  toExperimentRow,
+  KNOWN_CSV_COLUMNS,
+  insertDetections,
+  putExperiment,
+  getExperimentMeta,
+  listExperimentMeta,
+  getDetectionsByFile,
+  getDetectionsForExport,
+  getDetection,
+  updateDetection,
+  replaceDetection,
+  deleteDetectionRow,
+  moveDetection,
+  deleteExperimentRows,
+  renameExperiment
+}
@@ -0,0 +1,182 @@
+import fs from 'fs/promises'
+import { dialog } from 'electron'
+import { detectDelimiter, parseTable } from './utils.js'
+import { readProfileConfig, updateProfileConfig } from './profiles.js'
+
+// A profile's species taxonomy: the species its sessions may be labelled
+// with, each under a stable code (e.g. the 4- or 6-letter alpha codes bird
+// surveys use). Labels store the code next to the name, so re-importing the
+// taxonomy with a corrected common name doesn't cut existing annotations off
+// from their taxon. Kept in profile.json as
+//   taxonomy: [{ code, scientific_name, common_name, group, aliases: [] }]
+
+// Accepted spellings of each column, compared lowercased with runs of
+// spaces, underscores and hyphens read as one space.
+const TAXONOMY_COLUMNS = {
+  scientific_name: ['scientific name', 'sci name', 'scientific', 'latin name', 'species'],
+  common_name: ['common name', 'com name', 'english name', 'primary com name', 'name'],
+  code: ['code', 'species code', 'alpha code', 'banding code', 'taxon code', 'alpha'],
+  group: ['group', 'taxon group', 'species group', 'family', 'order', 'category'],
+  aliases: ['aliases', 'alias', 'synonyms', 'other names']
+}
+
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{1,15}$/
+
+const ALIAS_SEPARATOR = /[;|]/
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[\s_-]+/g, ' ').trim()
+
+const findColumns = (headers) => {
+  const byKey = new Map(headers.map(h => [headerKey(h), h]))
+  const columns = {}
+  for (const [field, names] of Object.entries(TAXONOMY_COLUMNS)) {
+    const name = names.find(n => byKey.has(n))
+    if (name) columns[field] = byKey.get(name)
+  }
+  return columns
+}
+
+// Without a code column, derive one from the scientific name the way
+// 6-letter codes are built: Parus major → PARMAJ.
+const deriveCode = (taxon) => {
+  const words = (taxon.scientific_name || taxon.common_name).toUpperCase().replace(/[^A-Z\s]/g, '').split(/\s+/).filter(Boolean)
+  return words.length > 1 ? words[0].slice(0, 3) + words[1].slice(0, 3) : (words[0] || 'TAXON').slice(0, 6)
+}
+
+/**
+ * Read a taxonomy CSV. Returns { taxa, skipped } where skipped lists the
+ * rows left out ({ row, reason }), or { error } when the file can't be
+ * used at all.
+ */
+const parseTaxonomyCSV = (raw) => {
+  const records = parseTable(raw, detectDelimiter(raw))
+  if (records.length === 0) return { error: 'The file has no header row or no data' }
+  const columns = findColumns(Object.keys(records[0]))
+  if (!columns.scientific_name && !columns.common_name) {
+    return { error: 'No scientific name or common name column found' }
+  }
+
+  const taxa = []
+  const skipped = []
+  const codes = new Set()
+  records.forEach((record, i) => {
+    const cell = (field) => (columns[field] ? String(record[columns[field]] ?? '').trim() : '')
+    const taxon = {
+      code: cell('code').toUpperCase(),
+      scientific_name: cell('scientific_name') || null,
+      common_name: cell('common_name') || null,
+      group: cell('group') || null,
+      aliases: cell('aliases').split(ALIAS_SEPARATOR).map(a => a.trim()).filter(Boolean)
+    }
+    const row = i + 2
+    if (!taxon.scientific_name && !taxon.common_name) {
+      skipped.push({ row, reason: 'no name' })
+      return
+    }
+    if (!taxon.code) {
+      // Derived codes are made unique; given ones must already be.
+      const base = deriveCode(taxon)
+      let code = base
+      for (let n = 2; codes.has(code); n++) code = `${base}${n}`
+      taxon.code = code
+    } else if (!CODE_PATTERN.test(taxon.code)) {
+      skipped.push({ row, reason: `invalid code "${taxon.code}"` })
+      return
+    } else if (codes.has(taxon.code)) {
+      skipped.push({ row, reason: `duplicate code ${taxon.code}` })
+      return
+    }
+    codes.add(taxon.code)
+    taxa.push(taxon)
+  })
+  return { taxa, skipped }
+}
+
+// The name labels show and store for a taxon.
+const taxonName = (taxon) => taxon.common_name || taxon.scientific_name
+
+/**
+ * Lookup from every way of writing a taxon (code, names, aliases;
+ * case-insensitive) to the taxon. Codes win over names and names over
+ * aliases when two taxa share a spelling.
+ */
+const taxonIndex = (taxa) => {
+  const index = new Map()
+  const add = (key, taxon) => {
+    const k = String(key ?? '').trim().toLowerCase()
+    if (k && !index.has(k)) index.set(k, taxon)
+  }
+  for (const t of taxa) add(t.code, t)
+  for (const t of taxa) {
+    add(t.common_name, t)
+    add(t.scientific_name, t)
+  }
+  for (const t of taxa) for (const alias of t.aliases || []) add(alias, t)
+  return index
+}
+
+// { species, code } for a typed or imported name: the taxon's current name
+// and code when it's known, otherwise the name as given with no code.
+const resolveSpecies = (index, species, code = null) => {
+  if (species === null || species === undefined || species === '') return { species: null, code: null }
+  const taxon = (code && index.get(code.toLowerCase())) || index.get(String(species).trim().toLowerCase())
+  return taxon ? { species: taxonName(taxon), code: taxon.code } : { species, code: code || null }
+}
+
+const resolveLabels = (index, labels) =>
+  labels.map(label => ({ ...label, ...resolveSpecies(index, label.species, label.code) }))
+
+const loadTaxonomy = async (state) => (await readProfileConfig(state)).taxonomy || []
+
+const getTaxonomy = async (state) => {
+  try {
+    return { success: true, taxa: await loadTaxonomy(state) }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+/**
+ * Pick a taxonomy CSV and make it the profile's taxonomy, replacing any
+ * previous one. Existing labels keep their codes.
+ */
+const importTaxonomy = async (state) => {
+  try {
+    const picked = await dialog.showOpenDialog({
+      title: 'Import species taxonomy',
+      properties: ['openFile'],
+      filters: [
+        { name: 'CSV / TSV', extensions: ['csv', 'tsv', 'txt'] },
+        { name: 'All files', extensions: ['*'] }
+      ]
+    })
+    if (picked.canceled || !picked.filePaths.length) return { canceled: true }
+    const result = parseTaxonomyCSV(await fs.readFile(picked.filePaths[0], 'utf-8'))
+    if (result.error) return { success: false, error: result.error }
+    if (result.taxa.length === 0) return { success: false, error: 'No species could be read from the file', skipped: result.skipped }
+    await updateProfileConfig(state, (config) => { config.taxonomy = result.taxa })
+    return { success: true, taxa: result.taxa, skipped: result.skipped }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+const clearTaxonomy = async (state) => {
+  try {
+    await updateProfileConfig(state, (config) => { delete config.taxonomy })
+    return { success: true }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
+
+export {
+  parseTaxonomyCSV,
+  taxonIndex,
+  resolveSpecies,
+  resolveLabels,
+  loadTaxonomy,
+  getTaxonomy,
+  importTaxonomy,
+  clearTaxonomy
+}
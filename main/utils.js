@@ -1,5 +1,7 @@
 import fs from 'fs/promises'
 import path from 'path'
+import { stringify } from 'csv-stringify/sync'
+import { parse } from 'csv-parse/sync'
 
 export const listSubdirectories = async (dirPath) => {
   try {
@@ -63,3 +65,160 @@ export const atomicWriteFile = async (filePath, content) => {
   await fs.writeFile(tmp, content, 'utf8')
   await fs.rename(tmp, filePath)
 }
+
+// Tail of the pending-work chain for each locked file.
+const fileLocks = new Map()
+
+/**
+ * Run `fn` once every earlier call for the same file has settled, and return
+ * its result. IPC handlers for the same session can overlap, and an
+ * unsynchronized read-modify-write lets the later write drop the earlier
+ * one's change; everything that rewrites a shared file queues through here.
+ * Not reentrant: `fn` must not lock the same file again.
+ */
+export const withFileLock = (filePath, fn) => {
+  const key = path.resolve(filePath)
+  const previous = fileLocks.get(key) || Promise.resolve()
+  const run = previous.then(() => fn())
+  // The chain must survive a rejection, or one failed write would wedge
+  // every later one.
+  const tail = run.catch(() => {})
+  fileLocks.set(key, tail)
+  tail.then(() => {
+    if (fileLocks.get(key) === tail) fileLocks.delete(key)
+  })
+  return run
+}
+
+/**
+ * Read-modify-write a JSON file under its lock. `mutate` gets the parsed
+ * object, edits it in place, and may return false to skip the write.
+ */
+export const updateJsonFile = (filePath, mutate) =>
+  withFileLock(filePath, async () => {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'))
+    const result = await mutate(data)
+    if (result !== false) await atomicWriteFile(filePath, JSON.stringify(data, null, 2))
+    return data
+  })
+
+const DELIMITERS = [',', ';', '\t']
+
+// Spreadsheets exported with a non-English locale often use ';' (because ','
+// is the decimal mark), and some tools write TSV with a .csv extension.
+// Pick whichever candidate splits the header line into the most cells.
+export const detectDelimiter = (raw) => {
+  const header = raw.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0]
+  let best = ','
+  let bestCount = 0
+  for (const d of DELIMITERS) {
+    const count = header.split(d).length - 1
+    if (count > bestCount) {
+      best = d
+      bestCount = count
+    }
+  }
+  return best
+}
+
+// Hand-made spreadsheets: header row, ragged rows tolerated, cells trimmed.
+export const parseTable = (raw, delimiter) => parse(raw, {
+  columns: true,
+  delimiter,
+  bom: true,
+  skip_empty_lines: true,
+  relax_column_count: true,
+  trim: true
+})
+
+// Columns every experiment CSV carries, in on-disk order. Matches the header
+// the Python detector writes so CLAP runs and edited files look the same.
+export const EXPERIMENT_COLUMNS = [
+  'id', 'filename', 'start_time', 'end_time', 'species', 'detection_conf', 'verified'
+]
+
+/**
+ * Serialize experiment rows to CSV. csv-stringify infers columns from the
+ * first record only, which silently drops optional columns (frequency bounds,
+ * anything an importer carried over) whenever row 0 happens not to have them.
+ * Build the header from the union of keys instead, core columns first.
+ */
+export const stringifyExperiment = (records) => {
+  const columns = [...EXPERIMENT_COLUMNS]
+  for (const row of records) {
+    for (const key of Object.keys(row)) {
+      if (!columns.includes(key)) columns.push(key)
+    }
+  }
+  return stringify(records, { header: true, columns })
+}
+
+// Default name for an exported experiment. Experiment ids are UUIDs; keep
+// exported filenames short but recognizable.
+export const exportBaseName = (config, experimentId) => {
+  const session = (config.name || config.id || 'session').replace(/[/\\:*?"<>|]/g, '-')
+  const experiment = experimentId === 'temp' ? 'temp' : experimentId.slice(0, 8)
+  return `${session}-${experiment}`
+}
+
+const AMBIGUOUS = Symbol('ambiguous')
+
+/**
+ * Build a lookup that resolves a file reference from another tool's output
+ * (full path, bare filename, or filename without extension) to one of the
+ * session's audio files. Paths compare case- and separator-insensitively,
+ * since Windows tools disagree on both. Returns null when nothing matches, or
+ * when a bare name is shared by two session files in different folders.
+ * With `pathsOnly`, only a full-path match counts.
+ */
+export const buildFileMatcher = (files, { pathsOnly = false } = {}) => {
+  const normalize = (p) => String(p).trim().replace(/\\/g, '/').toLowerCase()
+  const byPath = new Map()
+  const byName = new Map()
+  const byStem = new Map()
+  const add = (map, key, file) => {
+    map.set(key, map.has(key) && map.get(key) !== file ? AMBIGUOUS : file)
+  }
+  for (const file of files || []) {
+    const full = normalize(file)
+    const name = full.split('/').pop()
+    add(byPath, full, file)
+    add(byName, name, file)
+    add(byStem, name.replace(/\.[^.]+$/, ''), file)
+  }
+  return (ref) => {
+    if (ref === undefined || ref === null || String(ref).trim() === '') return null
+    const full = normalize(ref)
+    const name = full.split('/').pop()
+    const stem = name.replace(/\.[^.]+$/, '')
+    const lookups = pathsOnly ? [[byPath, full]] : [[byPath, full], [byName, name], [byStem, stem]]
+    for (const [map, key] of lookups) {
+      const hit = map.get(key)
+      if (hit && hit !== AMBIGUOUS) return hit
+    }
+    return null
+  }
+}
+
+// Audio filename without directory or extension, e.g. for naming per-file
+// exports after their recording.
+export const fileStem = (filePath) => String(filePath).split(/[/\\]/).pop().replace(/\.[^.]+$/, '')
+
+// Read a session's config.json. Throws on a bad path or unreadable file, for
+// callers that already wrap their work in try/catch.
+export const readSessionConfig = async (sessionId, state) => {
+  const configPath = safePathJoin(state.dataDir, state.activeProfile, sessionId, 'config.json')
+  if (!configPath) throw new Error('Invalid path')
+  return JSON.parse(await fs.readFile(configPath, 'utf-8'))
+}
+
+// Order for per-file exports: session files in session order, followed by any
+// filenames the experiment references that are no longer part of the session
+// (so nothing is dropped).
+export const exportFileOrder = (sessionFiles, grouped) => {
+  const files = [...(sessionFiles || [])]
+  for (const filename of Object.keys(grouped)) {
+    if (!files.includes(filename)) files.push(filename)
+  }
+  return files
+}
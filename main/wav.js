@@ -0,0 +1,130 @@
+import fs from 'fs/promises'
+
+// Upper bound on how far into a file we walk looking for the fmt/data chunks.
+// Recorders put metadata chunks (LIST, bext, guan) ahead of `data`, but never
+// megabytes of them — anything past this is treated as a malformed header.
+const MAX_HEADER_SCAN = 4 * 1024 * 1024
+
+// Chunks read after `data` when looking for metadata (GUANO is often
+// appended there). A real file has a handful; this only stops a corrupt
+// chunk list from being walked forever.
+const MAX_TRAILING_CHUNKS = 64
+
+// Text of a RIFF string field: NUL-terminated, padded, usually ASCII or UTF-8.
+const chunkText = (buffer) => buffer.toString('utf-8').replace(/\0[\s\S]*$/, '').trim()
+
+// LIST/INFO sub-chunks (ICMT comment, IART artist, ...) as { id: text }.
+const readInfoList = (body) => {
+  const info = {}
+  if (body.toString('ascii', 0, 4) !== 'INFO') return info
+  let offset = 4
+  while (offset + 8 <= body.length) {
+    const id = body.toString('ascii', offset, offset + 4)
+    const length = body.readUInt32LE(offset + 4)
+    info[id] = chunkText(body.subarray(offset + 8, Math.min(body.length, offset + 8 + length)))
+    offset += 8 + length + (length % 2)
+  }
+  return info
+}
+
+/**
+ * Walk a RIFF/WAVE file's chunks. Returns { fmt, dataBytes } and, with
+ * `metadata`, also { info, guano } from the LIST/INFO and `guan` chunks,
+ * which means carrying on past `data`. Null when it isn't a readable WAV.
+ */
+const scanWav = async (filePath, { metadata = false } = {}) => {
+  let handle
+  try {
+    handle = await fs.open(filePath, 'r')
+    const { size } = await handle.stat()
+    const riff = Buffer.alloc(12)
+    await handle.read(riff, 0, 12, 0)
+    if (riff.toString('ascii', 0, 4) !== 'RIFF' || riff.toString('ascii', 8, 12) !== 'WAVE') {
+      return null
+    }
+
+    let fmt = null
+    let dataBytes = null
+    let info = {}
+    let guano = null
+    let trailing = 0
+    let offset = 12
+    const chunkHeader = Buffer.alloc(8)
+    while (offset + 8 <= size && (dataBytes === null ? offset < MAX_HEADER_SCAN : trailing++ < MAX_TRAILING_CHUNKS)) {
+      await handle.read(chunkHeader, 0, 8, offset)
+      const id = chunkHeader.toString('ascii', 0, 4)
+      const length = chunkHeader.readUInt32LE(4)
+      const readBody = async (max) => {
+        const body = Buffer.alloc(Math.max(0, Math.min(length, max, size - offset - 8)))
+        await handle.read(body, 0, body.length, offset + 8)
+        return body
+      }
+      if (id === 'fmt ') {
+        const body = await readBody(40)
+        fmt = {
+          audioFormat: body.readUInt16LE(0),
+          channels: body.readUInt16LE(2),
+          sampleRate: body.readUInt32LE(4),
+          blockAlign: body.readUInt16LE(12),
+          bitsPerSample: body.readUInt16LE(14)
+        }
+      } else if (id === 'data') {
+        // Streaming recorders sometimes leave the data length at 0 or
+        // 0xFFFFFFFF; clamp to what is actually on disk.
+        dataBytes = Math.min(length, size - offset - 8)
+        if (!metadata) break
+        offset += 8 + dataBytes + (dataBytes % 2)
+        continue
+      } else if (metadata && id === 'LIST') {
+        info = { ...info, ...readInfoList(await readBody(64 * 1024)) }
+      } else if (metadata && id === 'guan') {
+        guano = chunkText(await readBody(64 * 1024))
+      }
+      // Chunks are word-aligned: odd lengths carry one pad byte.
+      offset += 8 + length + (length % 2)
+    }
+
+    if (!fmt || dataBytes === null || !fmt.sampleRate || !fmt.blockAlign) return null
+    return { fmt, dataBytes, info, guano }
+  } catch {
+    return null
+  } finally {
+    if (handle) await handle.close().catch(() => { })
+  }
+}
+
+const formatInfo = ({ fmt, dataBytes }) => ({
+  sampleRate: fmt.sampleRate,
+  channels: fmt.channels,
+  bitsPerSample: fmt.bitsPerSample,
+  duration: dataBytes / fmt.blockAlign / fmt.sampleRate
+})
+
+/**
+ * Read the format and length of a RIFF/WAVE file without loading the audio.
+ * Stops at the `data` chunk. Returns null for anything that isn't a readable
+ * WAV so callers can fall back to "unknown" instead of failing the whole
+ * operation.
+ */
+const readWavInfo = async (filePath) => {
+  const scan = await scanWav(filePath)
+  return scan && formatInfo(scan)
+}
+
+/**
+ * readWavInfo plus the recorder's metadata: `comment` and `artist` from
+ * LIST/INFO (AudioMoth writes its clock, ID and gain there) and the raw
+ * `guano` text, when present.
+ */
+const readWavMetadata = async (filePath) => {
+  const scan = await scanWav(filePath, { metadata: true })
+  if (!scan) return null
+  return {
+    ...formatInfo(scan),
+    comment: scan.info.ICMT || null,
+    artist: scan.info.IART || null,
+    guano: scan.guano
+  }
+}
+
+export { readWavInfo, readWavMetadata }
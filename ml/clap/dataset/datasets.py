@@ -89,29 +89,34 @@ class Inference_DS(Dataset):
 
 class Batch_Inference_DS(Dataset):
 
-    def __init__(self, wav_list, seg_size=6, target_sr=44100):
+    def __init__(self, wav_list, seg_size=6, target_sr=44100, channel=0):
 
         self.data = []
         self.sts = []
+        # Channel analyzed for each segment: the requested one, or the last
+        # one for files with fewer channels.
+        self.channels = []
         self.wav_lens = []
 
         self.wav_list = wav_list
 
         self.seg_size = seg_size
         self.target_sr = target_sr
+        self.channel = channel
         
         print("Loading data...")
         for f in tqdm(self.wav_list):
 
-            wav_np, sr = sf.read(f, dtype='float32', always_2d=True)
-            wav = torch.from_numpy(wav_np.T).reshape(-1)
+            info = sf.info(f)
+            ch = min(self.channel, info.channels - 1)
 
-            wav_length = int(len(wav) / sr)
+            wav_length = int(info.frames / info.samplerate)
             num_segs = int(np.ceil(wav_length / seg_size))
 
             for i in range(num_segs):
                 self.data.append(f)
                 self.sts.append(self.seg_size * i)
+                self.channels.append(ch)
 
     def __len__(self):
         return len(self.data)
@@ -119,7 +124,8 @@ class Batch_Inference_DS(Dataset):
     def __getitem__(self, idx):
 
         wav_np, sr = sf.read(self.data[idx], dtype='float32', always_2d=True)
-        wav = torch.from_numpy(wav_np.T).reshape(-1)
+        # One channel, not all of them laid end to end.
+        wav = torch.from_numpy(np.ascontiguousarray(wav_np[:, self.channels[idx]]))
         st = self.sts[idx] * sr
 
         step_size = self.seg_size * sr
@@ -110,7 +110,7 @@ class MLBackend:
 
     def run_batch_detection(self, save_dir: str,
                             files: list, pos_prompts: str, neg_prompts: str,
-                            theta: float = 0.5) -> Dict[str, Any]:
+                            theta: float = 0.5, channel: int = 0) -> Dict[str, Any]:
         """Run batch detection on audio files (saves to temp.csv).
 
         Submits the work to a worker thread and returns immediately so the
@@ -138,6 +138,16 @@ class MLBackend:
             self.send_message("error", {"success": False, "error": err})
             return {"success": False, "error": err}
 
+        # Validate channel (0-based; clamped per file to the channels it has)
+        try:
+            channel = int(channel)
+        except (TypeError, ValueError):
+            channel = 0
+        if channel < 0:
+            err = f"channel must be non-negative, got {channel}"
+            self.send_message("error", {"success": False, "error": err})
+            return {"success": False, "error": err}
+
         if self.model is None:
             err = "Model not loaded. Please load a model first."
             self.send_message("error", {"success": False, "error": err})
@@ -167,7 +177,8 @@ class MLBackend:
                     "files_count": len(files),
                     "pos_prompts": pos_prompts,
                     "neg_prompts": neg_prompts,
-                    "theta": theta
+                    "theta": theta,
+                    "channel": channel
                 })
 
                 batch_audio_detection(
@@ -176,6 +187,7 @@ class MLBackend:
                     pos_prompts,
                     theta,
                     temp_path,
+                    channel=channel,
                     progress_callback=_emit_progress,
                     cancel_event=self.cancel_event,
                 )
@@ -187,32 +199,21 @@ class MLBackend:
                     })
                     return
 
-                # Update config.json with temp experiment data
-                config_path = os.path.join(save_dir, "config.json")
-                tmp_config = config_path + ".tmp"
-                try:
-                    with open(config_path, 'r') as f:
-                        config_data = json.load(f)
-
-                    if 'experiments' not in config_data:
-                        config_data['experiments'] = {}
-
-                    config_data['experiments']['temp'] = {
-                        'posPrompts': pos_prompts,
-                        'negPrompts': neg_prompts,
-                        'theta': theta,
-                        'time': datetime.now().isoformat()
+                # The Electron main process owns config.json and serializes
+                # every write to it, so hand the run's metadata over with the
+                # completion message instead of writing the file from here.
+                self.send_message("detection_completed", {
+                    "success": True,
+                    "message": "Detection completed.",
+                    "save_dir": save_dir,
+                    "experiment": {
+                        "posPrompts": pos_prompts,
+                        "negPrompts": neg_prompts,
+                        "theta": theta,
+                        "channel": channel,
+                        "time": datetime.now().isoformat()
                     }
-
-                    with open(tmp_config, 'w') as f:
-                        json.dump(config_data, f, indent=2)
-                    os.replace(tmp_config, config_path)
-
-                except Exception as e:
-                    self.send_message("error", {"save_dir": save_dir, "success": False, "error": str(e)})
-                    return
-
-                self.send_message("detection_completed", {"success": True, "message": "Detection completed."})
+                })
 
             except CancelledError:
                 # User cancelled before compute_similarity finished. temp.csv
@@ -273,7 +274,8 @@ def main():
                     files=command.get("files"),
                     pos_prompts=command.get("posPrompts"),
                     neg_prompts=command.get("negPrompts"),
-                    theta=command.get("theta", 0.5)
+                    theta=command.get("theta", 0.5),
+                    channel=command.get("channel", 0)
                 )
 
         except Exception as e:
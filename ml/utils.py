@@ -328,13 +328,13 @@ def generate_spectrogram_results(wav, sr, seg_size=None, preds=None, total_score
 
 
 # %%
-def batch_audio_detection(wav_list, neg_prompts, pos_prompts, theta, save_path, progress_callback=None, cancel_event=None):
+def batch_audio_detection(wav_list, neg_prompts, pos_prompts, theta, save_path, channel=0, progress_callback=None, cancel_event=None):
 
     if isinstance(wav_list, str):
         wav_list = wav_list.split("\n")
 
     # Split the wav into windows of 6 seconds.
-    inf_dset = Batch_Inference_DS(wav_list)
+    inf_dset = Batch_Inference_DS(wav_list, channel=channel)
 
     # Add the segments to the DataLoader.
     inf_dl = DataLoader(
@@ -358,10 +358,10 @@ def batch_audio_detection(wav_list, neg_prompts, pos_prompts, theta, save_path,
 
     print("Outputing detection results..")
     with open(save_path, 'w') as det_preds:
-        det_preds.write("id,filename,start_time,end_time,species,detection_conf,verified\n")
-        for f, st, p, s in zip(inf_dset.data, inf_dset.sts, preds, total_scores):
+        det_preds.write("id,filename,start_time,end_time,species,detection_conf,verified,channel\n")
+        for f, st, p, s, ch in zip(inf_dset.data, inf_dset.sts, preds, total_scores, inf_dset.channels):
             if p == 1:
-                det_preds.write("{},{},{},{},{},{},{}\n".format(str(uuid.uuid4()), f, st, st+inf_dset.seg_size, "null", s[1], 0))
+                det_preds.write("{},{},{},{},{},{},{},{}\n".format(str(uuid.uuid4()), f, st, st+inf_dset.seg_size, "null", s[1], 0, ch))
 
 # %%
 def single_audio_detection(wav_path, neg_prompts=None, pos_prompts=None, theta=0.5):
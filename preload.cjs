@@ -14,9 +14,16 @@ contextBridge.exposeInMainWorld(
   listFilesOfExtension: (dirPath, extension) => ipcRenderer.invoke('list-files-of-extension', { dirPath, extension }),
   createProfile: (profileName) => ipcRenderer.invoke('create-profile', { profileName }),
   listProfiles: () => ipcRenderer.invoke('list-profiles'),
+  getProfileFields: () => ipcRenderer.invoke('get-profile-fields'),
+  setProfileFields: (fields) => ipcRenderer.invoke('set-profile-fields', { fields }),
+  getProfileDefaults: () => ipcRenderer.invoke('get-profile-defaults'),
+  setProfileDefaults: (defaults) => ipcRenderer.invoke('set-profile-defaults', { defaults }),
+  getTaxonomy: () => ipcRenderer.invoke('get-taxonomy'),
+  importTaxonomy: () => ipcRenderer.invoke('import-taxonomy'),
+  clearTaxonomy: () => ipcRenderer.invoke('clear-taxonomy'),
 
   // Session operations
-  createSession: (sessionName, files) => ipcRenderer.invoke('create-session', { sessionName, files }),
+  createSession: (sessionName, files, options) => ipcRenderer.invoke('create-session', { sessionName, files, options }),
   listSessions: () => ipcRenderer.invoke('list-sessions'),
   getSession: (sessionId) => ipcRenderer.invoke('get-session', { sessionId }),
   getExperiment: (sessionId, experimentId) => ipcRenderer.invoke('get-experiment', { sessionId, experimentId }),
@@ -24,20 +31,48 @@ contextBridge.exposeInMainWorld(
 
   // Detection operations
   saveExperiment: (sessionId) => ipcRenderer.invoke('save-experiment', { sessionId }),
-  addDetection: (sessionId, experimentId, fileName, start, end) => ipcRenderer.invoke('add-detection', { sessionId, experimentId, fileName, start, end }),
+  addDetection: (sessionId, experimentId, fileName, start, end, lowFreq, highFreq, channel) => ipcRenderer.invoke('add-detection', { sessionId, experimentId, fileName, start, end, lowFreq, highFreq, channel }),
   wipeTemp: (sessionId) => ipcRenderer.invoke('wipe-temp', { sessionId }),
 
   // Annotation operations
-  assignAnnotation: (sessionId, experimentId, detectionId, species) => ipcRenderer.invoke('assign-annotation', { sessionId, experimentId, detectionId, species }),
+  assignAnnotation: (sessionId, experimentId, detectionId, annotation) => ipcRenderer.invoke('assign-annotation', { sessionId, experimentId, detectionId, annotation }),
+  setDetectionFields: (sessionId, experimentId, detectionId, values) => ipcRenderer.invoke('set-detection-fields', { sessionId, experimentId, detectionId, values }),
+  setDetectionNotes: (sessionId, experimentId, detectionId, changes) => ipcRenderer.invoke('set-detection-notes', { sessionId, experimentId, detectionId, changes }),
 
   // Verification operations
   verifyAnnotation: (sessionId, experimentId, detectionId, verify) => ipcRenderer.invoke('verify-annotation', { sessionId, experimentId, detectionId, verify }),
   unverifyAnnotation: (sessionId, experimentId, detectionId) => ipcRenderer.invoke('unverify-annotation', { sessionId, experimentId, detectionId }),
   deleteDetection: (sessionId, experimentId, detectionId) => ipcRenderer.invoke('delete-detection', { sessionId, experimentId, detectionId }),
   deleteExperiment: (sessionId, experimentId) => ipcRenderer.invoke('delete-experiment', { sessionId, experimentId }),
-  updateDetectionTimes: (sessionId, experimentId, detectionId, start, end) => ipcRenderer.invoke('update-detection-times', { sessionId, experimentId, detectionId, start, end }),
+  updateDetectionTimes: (sessionId, experimentId, detectionId, start, end, lowFreq, highFreq) => ipcRenderer.invoke('update-detection-times', { sessionId, experimentId, detectionId, start, end, lowFreq, highFreq }),
   restoreDetection: (sessionId, experimentId, detection) => ipcRenderer.invoke('restore-detection', { sessionId, experimentId, detection }),
 
+  // Bulk operations on a multi-selection
+  bulkUpdateDetections: (sessionId, items, fields) => ipcRenderer.invoke('bulk-update-detections', { sessionId, items, fields }),
+  bulkDeleteDetections: (sessionId, items) => ipcRenderer.invoke('bulk-delete-detections', { sessionId, items }),
+  bulkRestoreDetections: (sessionId, entries) => ipcRenderer.invoke('bulk-restore-detections', { sessionId, entries }),
+  moveDetections: (sessionId, moves) => ipcRenderer.invoke('move-detections', { sessionId, moves }),
+
+  // Undo/redo history
+  getEditHistory: (sessionId) => ipcRenderer.invoke('get-edit-history', { sessionId }),
+  undoEdit: (sessionId, seq) => ipcRenderer.invoke('undo-edit', { sessionId, seq }),
+  redoEdit: (sessionId, seq) => ipcRenderer.invoke('redo-edit', { sessionId, seq }),
+
+  // Audit trail
+  getDetectionAudit: (sessionId, experimentId, detectionId) => ipcRenderer.invoke('get-detection-audit', { sessionId, experimentId, detectionId }),
+
+  // Import/export with other annotation tools
+  exportRavenTable: (sessionId, experimentId, mode) => ipcRenderer.invoke('export-raven', { sessionId, experimentId, mode }),
+  importRavenTables: (sessionId) => ipcRenderer.invoke('import-raven', { sessionId }),
+  exportAudacityLabels: (sessionId, experimentId) => ipcRenderer.invoke('export-audacity', { sessionId, experimentId }),
+  importAudacityLabels: (sessionId, mode) => ipcRenderer.invoke('import-audacity', { sessionId, mode }),
+  importBirdnetResults: (sessionId) => ipcRenderer.invoke('import-birdnet', { sessionId }),
+  importKaleidoscopeIds: (sessionId) => ipcRenderer.invoke('import-kaleidoscope', { sessionId }),
+  openCsvForImport: () => ipcRenderer.invoke('open-csv-for-import'),
+  importCsv: (sessionId, filePath, mapping, dryRun) => ipcRenderer.invoke('import-csv', { sessionId, filePath, mapping, dryRun }),
+  exportExperimentCsv: (sessionId, experimentId) => ipcRenderer.invoke('export-csv', { sessionId, experimentId }),
+  exportAuditLog: (sessionId, experimentId) => ipcRenderer.invoke('export-audit-log', { sessionId, experimentId }),
+
   // App state management
   getAppState: () => ipcRenderer.invoke('get-app-state'),
   setDataDirectory: (dataDir) => ipcRenderer.invoke('set-data-directory', { dataDir }),
@@ -48,7 +83,7 @@ contextBridge.exposeInMainWorld(
   setSettings: (sessionId, settings) => ipcRenderer.invoke('set-session-settings', sessionId, settings),
 
   // Python job management (invoke so renderer gets an ack)
-  startDetection: (sessionId, posPrompts, negPrompts, theta) => ipcRenderer.invoke('start-detection', { sessionId, posPrompts, negPrompts, theta }),
+  startDetection: (sessionId, posPrompts, negPrompts, theta, channel) => ipcRenderer.invoke('start-detection', { sessionId, posPrompts, negPrompts, theta, channel }),
   cancelDetection: () => ipcRenderer.invoke('cancel-detection'),
   loadModel: (modelName) => ipcRenderer.invoke('load-model', { modelName }),
   listAvailableModels: () => ipcRenderer.invoke('list-available-models'),
@@ -0,0 +1,38 @@
+import { useSettings } from "../src/stores/SettingsContext";
+import { useSpectrogram } from "./SpectrogramProvider";
+import { controlStyle } from "./PlaybackControls";
+
+/**
+ * Channel picker for multi-channel recordings, and the toggle between one
+ * channel and all of them stacked. The picked channel is also the one the
+ * bat-detector playback modes process; normal playback plays them all. The
+ * pick is this spectrogram's own, stacking is a session setting.
+ */
+function ChannelControls() {
+  const { settings, updateSettings } = useSettings() as any;
+  const { channelCount, channel, setChannel } = useSpectrogram();
+  if (channelCount < 2) return null;
+  const stacked = !!settings.stackChannels;
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 4, marginLeft: 6, flexShrink: 0 }}>
+      <select
+        value={channel}
+        onChange={(e) => setChannel(Number(e.target.value))}
+        title={stacked ? "Channel for bat-detector playback" : "Channel to show (and for bat-detector playback)"}
+        style={controlStyle}
+      >
+        {Array.from({ length: channelCount }, (_, c) => <option key={c} value={c}>Ch {c + 1}</option>)}
+      </select>
+      <button
+        onClick={() => updateSettings({ stackChannels: !stacked })}
+        title={stacked ? "Show one channel" : "Show all channels, stacked"}
+        style={{ ...controlStyle, cursor: "pointer", background: stacked ? "#DBEAFE" : "white" }}
+      >
+        Stack
+      </button>
+    </div>
+  );
+}
+
+export default ChannelControls;
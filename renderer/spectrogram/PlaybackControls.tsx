@@ -0,0 +1,100 @@
+import { useEffect, useState } from "react";
+import { useSettings } from "../src/stores/SettingsContext";
+import { PLAYBACK_MODES, PlaybackMode } from "./processedPlayback";
+
+export const controlStyle: React.CSSProperties = {
+  height: 30,
+  padding: "0 4px",
+  border: "1px solid #D1D5DB",
+  borderRadius: 4,
+  fontSize: 11,
+  background: "white",
+};
+
+// Number box that commits on blur or Enter, so a half-typed value doesn't
+// restart playback or write settings on every keystroke.
+const CommitInput = ({ value, min, max, step, title, width, onCommit }: {
+  value: number;
+  min: number;
+  max: number;
+  step: number;
+  title: string;
+  width: number;
+  onCommit: (value: number) => void;
+}) => {
+  const [draft, setDraft] = useState(String(value));
+  useEffect(() => setDraft(String(value)), [value]);
+  const commit = () => {
+    const n = Number(draft);
+    if (Number.isFinite(n) && n >= min && n <= max) onCommit(n);
+    else setDraft(String(value));
+  };
+  return (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step}
+      value={draft}
+      title={title}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === "Enter") commit(); }}
+      style={{ ...controlStyle, width }}
+    />
+  );
+};
+
+/**
+ * Playback mode picker next to each player: normal, or one of the bat
+ * detector modes with its factor or carrier. Settings are per session, so
+ * every spectrogram in the session switches together.
+ */
+function PlaybackControls({ sampleRate }: { sampleRate: number }) {
+  const { settings, updateSettings } = useSettings() as any;
+  const mode: PlaybackMode = settings.playbackMode;
+  const nyquistKHz = Math.floor(sampleRate / 2000);
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 4, marginLeft: 6, flexShrink: 0 }}>
+      <select
+        value={mode}
+        onChange={(e) => updateSettings({ playbackMode: e.target.value })}
+        title="Playback mode"
+        style={controlStyle}
+      >
+        {PLAYBACK_MODES.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      {(mode === "time-expansion" || mode === "frequency-division") && (
+        <>
+          <span style={{ fontSize: 11, color: "#4B5563" }}>{mode === "time-expansion" ? "×1/" : "÷"}</span>
+          <CommitInput
+            value={settings.playbackFactor}
+            min={2}
+            max={50}
+            step={1}
+            width={44}
+            title={mode === "time-expansion" ? "Slow-down factor" : "Division factor"}
+            onCommit={(playbackFactor) => updateSettings({ playbackFactor: Math.round(playbackFactor) })}
+          />
+        </>
+      )}
+      {mode === "heterodyne" && (
+        <>
+          <CommitInput
+            value={settings.heterodyneFreq / 1000}
+            min={1}
+            max={Math.max(1, nyquistKHz)}
+            step={0.5}
+            width={52}
+            title="Carrier frequency (kHz)"
+            onCommit={(kHz) => updateSettings({ heterodyneFreq: kHz * 1000 })}
+          />
+          <span style={{ fontSize: 11, color: "#4B5563" }}>kHz</span>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PlaybackControls;
@@ -1,5 +1,8 @@
 import React, { useState, useRef, useCallback } from "react";
 import { useSpectrogram } from "./SpectrogramProvider";
+import { detectionKey } from "../src/utils/selection";
+import { hasNotesOrTags, notesSummary } from "../src/utils/notes";
+import { freqToY, yToFreq } from "./melScale";
 
 const DEFAULT_STROKE_WIDTH = 1;
 
@@ -9,6 +12,26 @@ const DEFAULT_COLOR = {
   stroke: "rgba(255, 165, 0, 0.6)"
 };
 
+// Outline for detections in the multi-selection. White reads against every
+// experiment color and against the spectrogram colormap.
+const SELECTED_STROKE = "rgba(255, 255, 255, 0.95)";
+
+// A shift-drag shorter than this (px) is treated as a shift-click on the
+// background, which seeks like any other click.
+const MIN_BAND_PX = 4;
+
+// Smallest frequency extent a box can be resized or drawn to, in viewBox
+// units (the spectrogram is 100 tall), so its edges stay grabbable.
+const MIN_BOX_HEIGHT = 1.5;
+
+// Outline of a box being drawn with alt-drag.
+const DRAW_STROKE = "rgba(255, 165, 0, 0.9)";
+
+// Folded-corner marker on detections that have notes or tags.
+const NOTE_MARKER_FILL = "rgba(255, 235, 59, 0.95)";
+
+type DragEdge = 'start' | 'end' | 'low' | 'high';
+
 interface AnnotationData {
   id: string;
   interval: [number, number, string];
@@ -27,16 +50,36 @@ interface SpectrogramAnnotationsProps {
   activeDetection?: any;
   selectedExperiments?: string[];
   // Called with the final start/end time after the user finishes dragging
-  // a left/right edge handle. The detection passed is the same shape as
-  // what handleDetectionClick receives, so callers know which detection.
-  onDetectionResize?: (detection: any, newStart: number, newEnd: number) => void;
+  // an edge handle. The detection passed is the same shape as what
+  // handleDetectionClick receives, so callers know which detection. For a
+  // frequency box the final low/high bounds (Hz) are passed too; for a
+  // full-band detection they're undefined.
+  onDetectionResize?: (detection: any, newStart: number, newEnd: number, lowFreq?: number, highFreq?: number) => void;
+  // Alt-drag on empty spectrogram draws a new frequency box.
+  onDrawBox?: (start: number, end: number, lowFreq: number, highFreq: number) => void;
+  // Frequency range of the rendered image (Hz), for placing boxes.
+  fMin?: number;
+  fMax?: number;
+  // Multi-selection, keyed with detectionKey(experimentId, id).
+  selectedDetectionKeys?: Set<string>;
+  // Ctrl/Cmd-click toggles one detection; shift-click and shift-drag
+  // (rubber band) add to the selection.
+  onSelectDetections?: (detections: any[], mode: 'toggle' | 'add') => void;
 }
 
 // Fixed height per lane in viewBox units (spectrogram y is 0-100)
 const LANE_HEIGHT = 8;
 
+// A detection with frequency bounds is drawn as a box over its band; one
+// without (older files, CLAP output) is a full-band interval in its lane.
+const hasBand = (detection: any): boolean =>
+  detection?.low_freq != null || detection?.high_freq != null;
+
 function SpectrogramAnnotations(props: SpectrogramAnnotationsProps) {
-  const { data, handleDetectionClick, activeDetection, selectedExperiments = [], onDetectionResize } = props;
+  const {
+    data, handleDetectionClick, activeDetection, selectedExperiments = [], onDetectionResize,
+    selectedDetectionKeys, onSelectDetections, onDrawBox, fMin = 0, fMax = 16000
+  } = props;
   const strokeWidth = DEFAULT_STROKE_WIDTH;
 
   const { startTime: zoomStartTime, endTime: zoomEndTime } = useSpectrogram();
@@ -44,22 +87,28 @@ function SpectrogramAnnotations(props: SpectrogramAnnotationsProps) {
   const svgStrokeWidth = 0.001 * strokeWidth * displayRange;
 
   // Active drag state: which edge is being dragged and the in-progress
-  // start/end times. Held locally so the rect previews the new bounds before
-  // commit; on mouseup we hand the final values off to onDetectionResize.
-  const [drag, setDrag] = useState<{ edge: 'start' | 'end'; start: number; end: number } | null>(null);
+  // bounds. Held locally so the rect previews the new bounds before commit;
+  // on mouseup we hand the final values off to onDetectionResize.
+  const [drag, setDrag] = useState<{ edge: DragEdge; start: number; end: number; low: number; high: number } | null>(null);
   const dragRef = useRef(drag);
   dragRef.current = drag;
 
+  // Rubber-band rectangle in viewBox units while a shift-drag (select) or
+  // alt-drag (draw a box) is in progress.
+  const [band, setBand] = useState<{ mode: 'select' | 'draw'; t0: number; t1: number; y0: number; y1: number } | null>(null);
+  // Set when a band ends so the click that follows mouseup doesn't also seek.
+  const suppressClickRef = useRef(false);
+
   // Lane index for an annotation — selection order determines lane position
   // (index 0 = top). Falls back to lane 0 when the annotation has no source
   // experiment or selectedExperiments is empty.
-  const getLaneIndex = (annotation: AnnotationData): number => {
+  const getLaneIndex = useCallback((annotation: AnnotationData): number => {
     if (!annotation.experimentId || selectedExperiments.length === 0) {
       return 0;
     }
     const idx = selectedExperiments.indexOf(annotation.experimentId);
     return idx >= 0 ? idx : 0;
-  };
+  }, [selectedExperiments]);
 
   const getAnnotationColor = (annotation: AnnotationData) => {
     // Always honor the per-experiment color when it's been attached. The
@@ -79,6 +128,18 @@ function SpectrogramAnnotations(props: SpectrogramAnnotationsProps) {
     return DEFAULT_COLOR;
   };
 
+  // Vertical extent in viewBox units. A box missing one bound extends to
+  // that edge of the image.
+  const getVerticalBounds = useCallback((annotation: AnnotationData, low?: number, high?: number) => {
+    const detection = annotation.detection;
+    if (!hasBand(detection)) {
+      return { y: getLaneIndex(annotation) * LANE_HEIGHT, height: LANE_HEIGHT };
+    }
+    const top = freqToY(high ?? detection.high_freq ?? fMax, fMin, fMax);
+    const bottom = freqToY(low ?? detection.low_freq ?? fMin, fMin, fMax);
+    return { y: top, height: Math.max(0, bottom - top) };
+  }, [getLaneIndex, fMin, fMax]);
+
   // Convert a clientX (px) to time (seconds) using the parent SVG's bounding
   // rect. The parent SVG uses a viewBox in seconds, so this maps px → s.
   const clientXToTime = useCallback((clientX: number, svgEl: SVGSVGElement): number => {
@@ -87,22 +148,35 @@ function SpectrogramAnnotations(props: SpectrogramAnnotationsProps) {
     return zoomStartTime + ratio * (zoomEndTime - zoomStartTime);
   }, [zoomStartTime, zoomEndTime]);
 
+  // Same for clientY, into the 0-100 vertical viewBox range.
+  const clientYToY = useCallback((clientY: number, svgEl: SVGSVGElement): number => {
+    const r = svgEl.getBoundingClientRect();
+    return Math.min(100, Math.max(0, ((clientY - r.top) / Math.max(1, r.height)) * 100));
+  }, []);
+
   const beginDrag = useCallback((
     e: React.MouseEvent<SVGRectElement, MouseEvent>,
     annotation: AnnotationData,
-    edge: 'start' | 'end'
+    edge: DragEdge
   ) => {
     e.preventDefault();
     e.stopPropagation();
     const svgEl = (e.target as SVGRectElement).ownerSVGElement;
     if (!svgEl) return;
 
-    const initialStart = Number(annotation.interval[0]);
-    const initialEnd = Number(annotation.interval[1]);
-    setDrag({ edge, start: initialStart, end: initialEnd });
+    const boxed = hasBand(annotation.detection);
+    const initial = {
+      edge,
+      start: Number(annotation.interval[0]),
+      end: Number(annotation.interval[1]),
+      low: annotation.detection.low_freq ?? fMin,
+      high: annotation.detection.high_freq ?? fMax
+    };
+    setDrag(initial);
 
     const onMove = (ev: MouseEvent) => {
       const t = clientXToTime(ev.clientX, svgEl);
+      const y = clientYToY(ev.clientY, svgEl);
       setDrag(prev => {
         if (!prev) return prev;
         // Keep at least a small minimum width so the rect never inverts or
@@ -112,8 +186,17 @@ function SpectrogramAnnotations(props: SpectrogramAnnotationsProps) {
           const clamped = Math.min(Math.max(0, t), prev.end - minWidth);
           return { ...prev, start: clamped };
         }
-        const clamped = Math.max(t, prev.start + minWidth);
-        return { ...prev, end: clamped };
+        if (edge === 'end') {
+          const clamped = Math.max(t, prev.start + minWidth);
+          return { ...prev, end: clamped };
+        }
+        // Frequency edges move in screen space (mel), then convert back.
+        if (edge === 'high') {
+          const clamped = Math.min(y, freqToY(prev.low, fMin, fMax) - MIN_BOX_HEIGHT);
+          return { ...prev, high: Math.round(yToFreq(clamped, fMin, fMax)) };
+        }
+        const clamped = Math.max(y, freqToY(prev.high, fMin, fMax) + MIN_BOX_HEIGHT);
+        return { ...prev, low: Math.round(yToFreq(clamped, fMin, fMax)) };
       });
     };
     const onUp = () => {
@@ -122,14 +205,67 @@ function SpectrogramAnnotations(props: SpectrogramAnnotationsProps) {
       const finalDrag = dragRef.current;
       setDrag(null);
       if (finalDrag && onDetectionResize) {
-        if (finalDrag.start !== initialStart || finalDrag.end !== initialEnd) {
-          onDetectionResize(annotation.detection, finalDrag.start, finalDrag.end);
+        const changed = finalDrag.start !== initial.start || finalDrag.end !== initial.end ||
+          finalDrag.low !== initial.low || finalDrag.high !== initial.high;
+        if (changed) {
+          onDetectionResize(
+            annotation.detection, finalDrag.start, finalDrag.end,
+            boxed ? finalDrag.low : undefined, boxed ? finalDrag.high : undefined
+          );
         }
       }
     };
     document.addEventListener('mousemove', onMove);
     document.addEventListener('mouseup', onUp);
-  }, [clientXToTime, onDetectionResize]);
+  }, [clientXToTime, clientYToY, onDetectionResize, fMin, fMax]);
+
+  // Drag on empty spectrogram with a modifier draws a band. Shift selects:
+  // on release every detection it touches (in time and height) joins the
+  // selection. Alt draws: the band becomes a new frequency box.
+  const beginBand = useCallback((e: React.MouseEvent<SVGRectElement, MouseEvent>) => {
+    const mode: 'select' | 'draw' | null = e.altKey && onDrawBox ? 'draw' : e.shiftKey && onSelectDetections ? 'select' : null;
+    if (!mode) return;
+    const svgEl = (e.target as SVGRectElement).ownerSVGElement;
+    if (!svgEl) return;
+    e.preventDefault();
+    const startX = e.clientX;
+    const t0 = clientXToTime(e.clientX, svgEl);
+    const y0 = clientYToY(e.clientY, svgEl);
+    let current = { mode, t0, t1: t0, y0, y1: y0 };
+    let moved = false;
+    setBand(current);
+
+    const onMove = (ev: MouseEvent) => {
+      moved = moved || Math.abs(ev.clientX - startX) >= MIN_BAND_PX;
+      current = { ...current, t1: clientXToTime(ev.clientX, svgEl), y1: clientYToY(ev.clientY, svgEl) };
+      setBand(current);
+    };
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      setBand(null);
+      if (!moved) return;
+      suppressClickRef.current = true;
+      const [tLo, tHi] = [Math.min(current.t0, current.t1), Math.max(current.t0, current.t1)];
+      const [yLo, yHi] = [Math.min(current.y0, current.y1), Math.max(current.y0, current.y1)];
+      if (mode === 'draw') {
+        if (yHi - yLo < MIN_BOX_HEIGHT) return;
+        onDrawBox!(
+          Math.max(0, tLo), tHi,
+          Math.round(yToFreq(yHi, fMin, fMax)), Math.round(yToFreq(yLo, fMin, fMax))
+        );
+        return;
+      }
+      const hits = data.filter(annotation => {
+        const { y, height } = getVerticalBounds(annotation);
+        return Number(annotation.interval[0]) <= tHi && Number(annotation.interval[1]) >= tLo &&
+          y <= yHi && y + height >= yLo;
+      });
+      if (hits.length) onSelectDetections!(hits.map(a => a.detection), 'add');
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  }, [clientXToTime, clientYToY, getVerticalBounds, onSelectDetections, onDrawBox, data, fMin, fMax]);
 
   // Sort annotations so active ones render on top
   const sortedData = [...data].sort((a, b) => {
@@ -140,8 +276,27 @@ function SpectrogramAnnotations(props: SpectrogramAnnotationsProps) {
 
   return (
     <g>
+      {/* Background catcher for rubber-band selection and box drawing. Plain
+          clicks bubble to the viewer, which seeks. */}
+      {(onSelectDetections || onDrawBox) && (
+        <rect
+          x={zoomStartTime}
+          y={0}
+          width={displayRange}
+          height={100}
+          fill="transparent"
+          onMouseDown={beginBand}
+          onClick={(e) => {
+            if (suppressClickRef.current) {
+              suppressClickRef.current = false;
+              e.stopPropagation();
+            }
+          }}
+        />
+      )}
       {sortedData.map((annotation, index) => {
         const isActive = annotation.id === activeDetection?.id;
+        const isSelected = !!selectedDetectionKeys?.has(detectionKey(annotation.experimentId, annotation.id));
         // While dragging, the active rect uses the in-progress bounds so the
         // user sees a live preview before committing.
         const start = (isActive && drag) ? drag.start : Number(annotation.interval[0]);
@@ -156,14 +311,21 @@ function SpectrogramAnnotations(props: SpectrogramAnnotationsProps) {
           return null;
         }
 
-        // Always use the fixed-height lane layout — single-experiment mode
-        // claims lane 0 (top) so the spectrogram canvas reserves the same
-        // vertical real estate regardless of selection count.
-        const laneIndex = getLaneIndex(annotation);
-        const y = laneIndex * LANE_HEIGHT;
-        const height = LANE_HEIGHT;
+        // Full-band detections use the fixed-height lane layout —
+        // single-experiment mode claims lane 0 (top) so the spectrogram
+        // canvas reserves the same vertical real estate regardless of
+        // selection count. Boxes sit over their frequency band instead.
+        const boxed = hasBand(annotation.detection);
+        const { y, height } = (isActive && drag && boxed)
+          ? getVerticalBounds(annotation, drag.low, drag.high)
+          : getVerticalBounds(annotation);
         // Edge handles: drawn in time-units, scaled to a thin visible band.
         const handleWidth = displayRange * 0.006;
+        const handleHeight = 1.5;
+        const annotated = hasNotesOrTags(annotation.detection);
+        // Corner size in time/viewBox units, kept inside narrow or flat rects.
+        const markerWidth = Math.min(displayRange * 0.01, width / 2);
+        const markerHeight = Math.min(3, height / 2);
 
         return (
           <g key={`annotation-${annotation.id}-${index}-${start}`}>
@@ -174,19 +336,32 @@ function SpectrogramAnnotations(props: SpectrogramAnnotationsProps) {
               height={height}
               onClick={(e) => {
                 e.stopPropagation();
-                if (handleDetectionClick) {
+                if (onSelectDetections && (e.ctrlKey || e.metaKey)) {
+                  onSelectDetections([annotation.detection], 'toggle');
+                } else if (onSelectDetections && e.shiftKey) {
+                  onSelectDetections([annotation.detection], 'add');
+                } else if (handleDetectionClick) {
                   handleDetectionClick(annotation.detection);
                 }
               }}
               fill={color.fill}
-              stroke={color.stroke}
-              strokeWidth={isActive ? svgStrokeWidth * 2 : svgStrokeWidth}
+              stroke={isSelected ? SELECTED_STROKE : color.stroke}
+              strokeWidth={isActive || isSelected ? svgStrokeWidth * 2 : svgStrokeWidth}
               style={{
                 cursor: handleDetectionClick ? "pointer" : "default",
                 filter: isActive ? `drop-shadow(0 0 4px ${color.stroke})` : "none",
                 transition: drag ? "none" : "fill 0.15s ease, stroke 0.15s ease"
               }}
-            />
+            >
+              {annotated && <title>{notesSummary(annotation.detection)}</title>}
+            </rect>
+            {annotated && (
+              <polygon
+                points={`${stop - markerWidth},${y} ${stop},${y} ${stop},${y + markerHeight}`}
+                fill={NOTE_MARKER_FILL}
+                pointerEvents="none"
+              />
+            )}
             {isActive && onDetectionResize && (
               <>
                 {/* Left edge drag handle — draggable to refine start_time */}
@@ -213,11 +388,51 @@ function SpectrogramAnnotations(props: SpectrogramAnnotationsProps) {
                   style={{ cursor: 'ew-resize' }}
                   onMouseDown={(e) => beginDrag(e, annotation, 'end')}
                 />
+                {boxed && (
+                  <>
+                    {/* Top edge — draggable to refine high_freq */}
+                    <rect
+                      x={start}
+                      y={y - handleHeight / 2}
+                      width={width}
+                      height={handleHeight}
+                      fill={color.stroke}
+                      stroke="white"
+                      strokeWidth={svgStrokeWidth * 0.5}
+                      style={{ cursor: 'ns-resize' }}
+                      onMouseDown={(e) => beginDrag(e, annotation, 'high')}
+                    />
+                    {/* Bottom edge — draggable to refine low_freq */}
+                    <rect
+                      x={start}
+                      y={y + height - handleHeight / 2}
+                      width={width}
+                      height={handleHeight}
+                      fill={color.stroke}
+                      stroke="white"
+                      strokeWidth={svgStrokeWidth * 0.5}
+                      style={{ cursor: 'ns-resize' }}
+                      onMouseDown={(e) => beginDrag(e, annotation, 'low')}
+                    />
+                  </>
+                )}
               </>
             )}
           </g>
         );
       })}
+      {band && (
+        <rect
+          x={Math.min(band.t0, band.t1)}
+          y={Math.min(band.y0, band.y1)}
+          width={Math.abs(band.t1 - band.t0)}
+          height={Math.abs(band.y1 - band.y0)}
+          fill="rgba(255, 255, 255, 0.12)"
+          stroke={band.mode === 'draw' ? DRAW_STROKE : SELECTED_STROKE}
+          strokeWidth={svgStrokeWidth}
+          pointerEvents="none"
+        />
+      )}
     </g>
   );
 }
@@ -1,22 +1,34 @@
-import React, { useRef, useEffect, useState } from "react";
+import React, { useRef, useEffect, useState, useMemo } from "react";
 import SpectrogramViewer from "./SpectrogramViewer";
 import SpectrogramAnnotations from "./SpectogramAnnotations";
 import { useSpectrogram } from "./SpectrogramProvider";
 import { useSettings } from "../src/stores/SettingsContext";
 import { postWorkerMessage, subscribeWorker } from "./workerClient";
-// Worker-based spectrogram rendering (WASM in shared worker, OffscreenCanvas drawing).
-// All SpectrogramGraphics instances share one Worker via workerClient — see that
-// file for the rationale (per-instance Workers hit a Chromium IPC bug that
-// stranded some spectrograms on "Rendering…" forever).
+import { displayMaxFreq } from "./melScale";
+import { createMelLayer, MelLayer, MelMatrix } from "./melDisplay";
+import { colormapLUT } from "./colormap";
+// Worker-based spectrogram rendering (WASM in pooled workers, WebGL display).
+// All SpectrogramGraphics instances share a small worker pool via workerClient,
+// each file pinned to one worker — see that file for the rationale (per-instance
+// Workers hit a Chromium IPC bug that stranded some spectrograms on "Rendering…"
+// forever).
 
-// (All DSP, normalization, colormap, and drawing is handled in the worker now.)
+// (The worker does the DSP and returns the dB mel matrix; gain, gamma,
+// brightness, contrast and the colormap are applied on the GPU in melDisplay,
+// so changing them redraws here without posting a render.)
 
 interface SpectrogramGraphicsProps {
   annotations?: any[];
   handleDetectionClick?: (detection: any) => void;
   activeDetection?: any;
   selectedExperiments?: string[];
-  onDetectionResize?: (detection: any, newStart: number, newEnd: number) => void;
+  onDetectionResize?: (detection: any, newStart: number, newEnd: number, lowFreq?: number, highFreq?: number) => void;
+  selectedDetectionKeys?: Set<string>;
+  onSelectDetections?: (detections: any[], mode: 'toggle' | 'add') => void;
+  onDrawBox?: (start: number, end: number, lowFreq: number, highFreq: number, channel: number | null) => void;
+  // Channel to draw; the provider's selected one when omitted.
+  channel?: number;
+  height?: number;
 }
 
 // (No local normalization helpers needed here anymore.)
@@ -31,12 +43,28 @@ function SpectrogramGraphics(props: SpectrogramGraphicsProps & { fileId?: string
     activeDetection = null,
     selectedExperiments = [],
     onDetectionResize,
+    selectedDetectionKeys,
+    onSelectDetections,
+    onDrawBox,
+    height,
   } = props;
 
-  const [dataURL, setDataURL] = useState<string>("");
+  const [matrix, setMatrix] = useState<MelMatrix | null>(null);
   const [renderError, setRenderError] = useState<string | null>(null);
+  // WebGL unavailable, or a window too long for a texture.
+  const [displayError, setDisplayError] = useState<string | null>(null);
   const [isRendering, setIsRendering] = useState(false);
-  const { audioSamples, sampleRate, startTime, windowDuration } = useSpectrogram();
+  // Bumped when the pool replaces this file's worker, which then has neither
+  // the PCM nor the render, so both are posted again.
+  const [workerEpoch, setWorkerEpoch] = useState(0);
+  const { channelData, channelCount, source, fingerprint, channel: selectedChannel, sampleRate, startTime, windowDuration } = useSpectrogram();
+  const channel = props.channel ?? selectedChannel;
+  const audioSamples = channelData[channel];
+  const multiChannel = channelCount > 1;
+  // Each channel is its own PCM in the worker.
+  const workerKey = props.fileId ? `${props.fileId}#${channel}` : undefined;
+  // The same for the on-disk tile cache, which outlives the file's contents.
+  const cacheId = fingerprint ? `${fingerprint}#${channel}` : null;
 
   // SettingsContext always initializes from DEFAULT_SETTINGS (see SettingsContext.jsx:53,77,79),
   // so `settings` is guaranteed to be a complete object — destructure directly, no per-prop
@@ -45,9 +73,14 @@ function SpectrogramGraphics(props: SpectrogramGraphicsProps & { fileId?: string
   const {
     n_fft, win_length, hop_length, f_min, f_max, n_mels, top_db,
     dynamicGain, autoGamma, gammaValue, gainPercentile, brightness, contrast,
+    colormap, customColormap,
   } = settings;
+  const lut = colormapLUT(colormap, customColormap);
 
-  const lastObjectUrlRef = useRef<string | null>(null);
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const layerRef = useRef<MelLayer | null>(null);
+  // Backing-store size of the canvas, in device pixels.
+  const [canvasSize, setCanvasSize] = useState({ width: 0, height: 0 });
 
   // In-flight render tracking via monotonic renderIds. The badge is visible
   // iff lastSettled < lastDispatched. This is desync-proof: a never-arriving
@@ -80,13 +113,13 @@ function SpectrogramGraphics(props: SpectrogramGraphicsProps & { fileId?: string
       setIsRendering(false);
     }
   };
-  // Subscribe to shared-worker replies for this fileId. The worker echoes
+  // Subscribe to worker-pool replies for this fileId. The worker echoes
   // fileId in every reply so workerClient.ts can fan replies out to the right
   // consumer; without that tag, replies for one spectrogram would settle
   // another's badge.
   useEffect(() => {
-    if (!props.fileId) return;
-    const fileId = props.fileId;
+    if (!workerKey) return;
+    const fileId = workerKey;
     const unsubscribe = subscribeWorker(fileId, (msg) => {
       // Defensive: if the worker ever forgets to echo renderId, treat the
       // reply as if it were for the latest dispatch so the badge still settles.
@@ -94,16 +127,19 @@ function SpectrogramGraphics(props: SpectrogramGraphicsProps & { fileId?: string
       // A newer render has already been dispatched — drop this reply on the
       // floor so the UI doesn't snap back to an older spectrogram.
       const stale = replyId < lastDispatchedRef.current
-      if (msg?.type === 'image' && msg.blob) {
+      if (msg?.type === 'restarted') {
+        setWorkerEpoch((epoch) => epoch + 1)
+      } else if (msg?.type === 'mel' && msg.mel && msg.quantiles) {
         markRenderDone(replyId)
         if (stale) return
-        if (lastObjectUrlRef.current) {
-          URL.revokeObjectURL(lastObjectUrlRef.current)
-          lastObjectUrlRef.current = null
-        }
-        const url = URL.createObjectURL(msg.blob)
-        lastObjectUrlRef.current = url
-        setDataURL(url)
+        setMatrix({
+          mel: msg.mel,
+          frames: msg.frames ?? 0,
+          nMels: msg.nMels ?? 0,
+          t0: msg.t0 ?? 0,
+          duration: msg.duration ?? 0,
+          quantiles: msg.quantiles,
+        })
         setRenderError(null)
       } else if (msg?.type === 'error') {
         // WASM/render error — usually caused by bad settings (e.g. n_fft is
@@ -124,10 +160,6 @@ function SpectrogramGraphics(props: SpectrogramGraphicsProps & { fileId?: string
       }
     });
     return () => {
-      if (lastObjectUrlRef.current) {
-        URL.revokeObjectURL(lastObjectUrlRef.current)
-        lastObjectUrlRef.current = null
-      }
       // Unsubscribing also tells the worker (via workerClient) to free the
       // PCM cache for this fileId when no consumers remain. Reset renderId
       // refs and clear the show-timer so a remount starts clean.
@@ -140,36 +172,43 @@ function SpectrogramGraphics(props: SpectrogramGraphicsProps & { fileId?: string
       setIsRendering(false)
       unsubscribe();
     }
-  }, [props.fileId])
+  }, [workerKey])
 
-  // Post full PCM to worker once per file
+  // Post full PCM to worker once per file, or for a streamed recording
+  // where to read it from
   useEffect(() => {
+    if (!workerKey) return;
+    if (source) {
+      postWorkerMessage({ type: 'set_source', fileId: workerKey, sampleRate, source, channel, cacheId });
+      return;
+    }
     if (!audioSamples?.length || !sampleRate) return;
-    if (!props.fileId) return;
     const pcmCopy = new Float32Array(audioSamples.length);
     pcmCopy.set(audioSamples);
     postWorkerMessage({
       type: 'set_pcm',
-      fileId: props.fileId,
+      fileId: workerKey,
       sampleRate,
-      pcm: pcmCopy
+      pcm: pcmCopy,
+      cacheId
     }, [pcmCopy.buffer as unknown as Transferable]);
-  }, [audioSamples, sampleRate, props.fileId]);
+  }, [audioSamples, source, channel, sampleRate, workerKey, cacheId, workerEpoch]);
 
   // Trigger render in worker when dependencies change.
-  // Gate on audioSamples being loaded — with a shared worker, dispatching a
-  // render before set_pcm has been posted would make the worker await PCM
-  // and starve every other spectrogram queued behind it. The set_pcm effect
-  // above runs in declaration order before this one when audioSamples lands,
-  // so by the time this effect fires the PCM is already in flight.
+  // Gate on audioSamples (or the stream) being loaded — with workers shared
+  // between files, dispatching a render before set_pcm has been posted would make
+  // the worker await PCM and starve every other spectrogram queued behind
+  // it. The set_pcm effect above runs in declaration order before this one
+  // when audioSamples lands, so by the time this effect fires the PCM is
+  // already in flight.
   useEffect(() => {
-    if (!windowDuration || !props.fileId) return;
-    if (!audioSamples?.length) return;
+    if (!windowDuration || !workerKey) return;
+    if (!audioSamples?.length && !source) return;
 
     const renderId = markRenderPosted()
     postWorkerMessage({
       type: 'render',
-      fileId: props.fileId,
+      fileId: workerKey,
       renderId,
       params: {
         sampleRate,
@@ -182,32 +221,91 @@ function SpectrogramGraphics(props: SpectrogramGraphicsProps & { fileId?: string
         top_db,
         t0: startTime,
         windowDuration: windowDuration,
-        dynamicGain,
-        autoGamma,
-        gammaValue,
-        gainPercentile,
-        brightness,
-        contrast,
       }
     })
-  }, [props.fileId, audioSamples, sampleRate, startTime, windowDuration, n_fft, win_length, hop_length, f_min, f_max, n_mels, top_db, dynamicGain, autoGamma, gammaValue, gainPercentile, brightness, contrast])
+  }, [workerKey, workerEpoch, audioSamples, source, sampleRate, startTime, windowDuration, n_fft, win_length, hop_length, f_min, f_max, n_mels, top_db])
+
+  // Display stage: this spectrogram's layer in the shared WebGL context.
+  useEffect(() => {
+    const layer = createMelLayer();
+    layerRef.current = layer;
+    return () => {
+      layer.dispose();
+      layerRef.current = null;
+    };
+  }, []);
+
+  // Keep the canvas's backing store at its displayed size.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const observer = new ResizeObserver(() => {
+      const dpr = window.devicePixelRatio || 1;
+      const width = Math.round(canvas.clientWidth * dpr);
+      const height = Math.round(canvas.clientHeight * dpr);
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      setCanvasSize({ width, height });
+    });
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    layerRef.current?.setMatrix(matrix);
+  }, [matrix]);
+
+  // Redraw on every view or display-setting change; the worker isn't involved.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const layer = layerRef.current;
+    if (!canvas || !layer) return;
+    try {
+      layer.draw(
+        canvas,
+        { startTime, windowDuration },
+        { dynamicGain, gainPercentile, autoGamma, gammaValue, brightness, contrast, lut },
+      );
+      setDisplayError(null);
+    } catch (err) {
+      setDisplayError((err as Error).message);
+    }
+  }, [matrix, canvasSize, startTime, windowDuration, dynamicGain, gainPercentile, autoGamma, gammaValue, brightness, contrast, lut]);
+
+  // On a multi-channel recording, detections made on another channel are
+  // left off; ones without a channel belong to all of them.
+  const channelAnnotations = useMemo(() => multiChannel
+    ? annotations.filter((a: any) => a.detection?.channel == null || a.detection.channel === channel)
+    : annotations, [annotations, multiChannel, channel]);
+  const drawBox = useMemo(() => onDrawBox &&
+    ((start: number, end: number, lowFreq: number, highFreq: number) =>
+      onDrawBox(start, end, lowFreq, highFreq, multiChannel ? channel : null)),
+  [onDrawBox, multiChannel, channel]);
 
-  const annotationOverlays = annotations?.length ? (
+  // Rendered even without detections when boxes can be drawn.
+  const annotationOverlays = (channelAnnotations.length || drawBox) ? (
     <SpectrogramAnnotations
-      data={annotations}
+      data={channelAnnotations}
       handleDetectionClick={handleDetectionClick ?? undefined}
       activeDetection={activeDetection}
       selectedExperiments={selectedExperiments}
       onDetectionResize={onDetectionResize}
+      selectedDetectionKeys={selectedDetectionKeys}
+      onSelectDetections={onSelectDetections}
+      onDrawBox={drawBox}
+      fMin={f_min}
+      fMax={displayMaxFreq(f_max, sampleRate)}
     />
   ) : null;
 
   return (
     <div style={{ position: 'relative' }}>
-      <SpectrogramViewer dataURL={dataURL}>
+      <SpectrogramViewer canvasRef={canvasRef} height={height}>
         {annotationOverlays}
       </SpectrogramViewer>
-      {isRendering && !renderError && (
+      {isRendering && !renderError && !displayError && (
         <div
           style={{
             position: 'absolute',
@@ -250,7 +348,7 @@ function SpectrogramGraphics(props: SpectrogramGraphicsProps & { fileId?: string
           Rendering…
         </div>
       )}
-      {renderError && (
+      {(renderError || displayError) && (
         <div
           style={{
             position: 'absolute',
@@ -266,12 +364,14 @@ function SpectrogramGraphics(props: SpectrogramGraphicsProps & { fileId?: string
             zIndex: 10
           }}
         >
-          <strong>Spectrogram render failed:</strong> {renderError}
-          <div style={{ fontSize: 11, marginTop: 2, color: '#7F1D1D' }}>
-            Check Settings — common causes: n_fft must be a power of 2,
-            win_length ≤ n_fft, hop_length &lt; win_length, f_max above the
-            sample rate's Nyquist limit.
-          </div>
+          <strong>Spectrogram render failed:</strong> {renderError ?? displayError}
+          {renderError && (
+            <div style={{ fontSize: 11, marginTop: 2, color: '#7F1D1D' }}>
+              Check Settings — common causes: n_fft must be a power of 2,
+              win_length ≤ n_fft, hop_length &lt; win_length, f_max above the
+              sample rate's Nyquist limit.
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -1,13 +1,17 @@
-import { useEffect } from "react";
+import { ComponentProps, useEffect } from "react";
 import SpectrogramGraphics from "./SpectrogramGraphics";
+import { useSettings } from "../src/stores/SettingsContext";
 import SpectrogramProvider, { useSpectrogram } from "./SpectrogramProvider";
 import SpectrogramNavigator from "./SpectrogramNavigator";
+import SpectrogramTimeAxis from "./SpectrogramTimeAxis";
 
 export interface NavRequest {
   filePath: string;
   seekTime: number;
   detectionStart: number;
   detectionEnd: number;
+  // Detection's channel, to switch a one-channel view to; null for all.
+  channel?: number | null;
   seq: number;
 }
 
@@ -19,9 +23,14 @@ interface SpectrogramPlayerProps {
   activeDetection?: any;
   selectedExperiments?: string[];
   maxLanes?: number;
-  onDetectionResize?: (detection: any, newStart: number, newEnd: number) => void;
+  onDetectionResize?: (detection: any, newStart: number, newEnd: number, lowFreq?: number, highFreq?: number) => void;
+  selectedDetectionKeys?: Set<string>;
+  onSelectDetections?: (detections: any[], mode: 'toggle' | 'add') => void;
+  onDrawBox?: (start: number, end: number, lowFreq: number, highFreq: number, channel: number | null) => void;
   onTimeUpdate?: (time: number) => void;
   navRequest?: NavRequest | null;
+  // Recording start (ISO), for wall-clock labels on the time axis.
+  recordingStart?: string | null;
 }
 
 // Bridges the per-provider currentTime out to a parent callback. Lives inside
@@ -53,9 +62,10 @@ const NavigationBridge = ({
   navRequest?: NavRequest | null;
   fileId?: string;
 }) => {
-  const { duration, windowDuration, setStartTime, setCurrentTime, pause } = useSpectrogram();
+  const { duration, windowDuration, setStartTime, setCurrentTime, pause, setChannel } = useSpectrogram();
   useEffect(() => {
     if (!navRequest || navRequest.filePath !== fileId || duration == null) return;
+    if (navRequest.channel != null) setChannel(navRequest.channel);
     const mid = (navRequest.detectionStart + navRequest.detectionEnd) / 2;
     setStartTime(mid - windowDuration / 2);
     setCurrentTime(navRequest.seekTime);
@@ -65,6 +75,41 @@ const NavigationBridge = ({
   return <></>;
 };
 
+// Height of each spectrogram when a recording's channels are stacked.
+const STACKED_HEIGHT = 150;
+
+// The selected channel's spectrogram, or with stacking on, one per channel
+// with its number in the corner.
+const ChannelViews = (props: ComponentProps<typeof SpectrogramGraphics>) => {
+  const { settings } = useSettings() as any;
+  const { channelCount } = useSpectrogram();
+  if (!settings.stackChannels || channelCount < 2) return <SpectrogramGraphics {...props} />;
+  return (
+    <>
+      {Array.from({ length: channelCount }, (_, c) => (
+        <div key={c} style={{ position: "relative" }}>
+          <SpectrogramGraphics {...props} channel={c} height={STACKED_HEIGHT} />
+          <div
+            style={{
+              position: "absolute",
+              bottom: 4,
+              left: 4,
+              padding: "1px 5px",
+              background: "rgba(17, 24, 39, 0.6)",
+              color: "white",
+              borderRadius: 3,
+              fontSize: 10,
+              pointerEvents: "none",
+            }}
+          >
+            Ch {c + 1}
+          </div>
+        </div>
+      ))}
+    </>
+  );
+};
+
 const SpectrogramPlayer = (props: SpectrogramPlayerProps) => {
   const {
     src,
@@ -74,22 +119,30 @@ const SpectrogramPlayer = (props: SpectrogramPlayerProps) => {
     selectedExperiments = [],
     maxLanes = 3,
     onDetectionResize,
+    selectedDetectionKeys,
+    onSelectDetections,
+    onDrawBox,
     onTimeUpdate,
     navRequest,
+    recordingStart = null,
   } = props;
   const fileId = props.fileId ?? props.src;
 
   return (
     <div style={{ width: "100%" }}>
       <SpectrogramProvider src={src}>
-        <SpectrogramGraphics
+        <ChannelViews
           fileId={fileId}
           annotations={annotations}
           activeDetection={activeDetection}
           handleDetectionClick={handleDetectionClick ?? undefined}
           selectedExperiments={selectedExperiments}
           onDetectionResize={onDetectionResize}
+          selectedDetectionKeys={selectedDetectionKeys}
+          onSelectDetections={onSelectDetections}
+          onDrawBox={onDrawBox}
         />
+        <SpectrogramTimeAxis recordingStart={recordingStart} />
         <SpectrogramNavigator
           annotations={annotations}
           selectedExperiments={selectedExperiments}
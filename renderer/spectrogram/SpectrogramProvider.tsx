@@ -10,6 +10,11 @@ import React, {
   Dispatch,
 } from "react";
 import { useSettings } from "../src/stores/SettingsContext";
+import { decodeWav, readWavHeader, DecodedAudio } from "./wavDecoder";
+import { openWav, readFrames, sourceFrames, WavSource } from "./wavStream";
+import { createProcessedPlayer, ProcessedPlayer, PlaybackMode, PcmSource } from "./processedPlayback";
+import PlaybackControls from "./PlaybackControls";
+import ChannelControls from "./ChannelControls";
 
 export type SpectrogramContextType = {
   // Audio playback state
@@ -17,7 +22,19 @@ export type SpectrogramContextType = {
   currentTime: number;
   playbackRate: number;
   sampleRate: number;
+  // The selected channel's samples; empty for a streamed recording.
   audioSamples: Float32Array;
+  // Set instead of the samples for a recording too long to decode whole.
+  source: WavSource | null;
+  // Identifies the file's contents for the persistent tile cache; null
+  // when the server gives no way to tell.
+  fingerprint: string | null;
+
+  // Channels of the recording (decoded ones only when not streamed), and
+  // the one that is shown and played
+  channelData: Float32Array[];
+  channelCount: number;
+  channel: number;
 
   // Viewport/zoom state
   startTime: number;
@@ -30,6 +47,7 @@ export type SpectrogramContextType = {
   setCurrentTime: (newTime: number) => void;
   setPlaybackRate: (newRate: number) => void;
   pause: () => void;
+  setChannel: (channel: number) => void;
 
   // Viewport/zoom methods
   setStartTime: (newStartTime: number) => void;
@@ -42,12 +60,18 @@ export const SpectrogramContext = createContext<SpectrogramContextType>({
   playbackRate: 1.0,
   sampleRate: 32000,
   audioSamples: new Float32Array(0),
+  source: null,
+  fingerprint: null,
+  channelData: [],
+  channelCount: 0,
+  channel: 0,
 
   // Audio playback methods
   setDuration: () => { },
   setCurrentTime: () => { },
   setPlaybackRate: () => { },
   pause: () => { },
+  setChannel: () => { },
 
   // Viewport/zoom defaults
   startTime: 0,
@@ -72,6 +96,35 @@ export type SpectrogramProviderProps = {
 // Reduce frequency to improve performance (updates ~10×/sec)
 const CURRENT_TIME_UPDATE_INTERVAL = 100;
 
+const channelsOf = (audioBuffer: AudioBuffer): Float32Array[] =>
+  Array.from({ length: audioBuffer.numberOfChannels }, (_, c) => audioBuffer.getChannelData(c));
+
+// Decode what decodeWav can't (compressed WAV codecs, other containers).
+// An OfflineAudioContext at the WAV header's rate decodes without
+// resampling; with no header rate to go on, a regular AudioContext decodes
+// at its own rate, which is then the rate of the PCM.
+const decodeWithWebAudio = async (arrayBuffer: ArrayBuffer, nativeRate?: number): Promise<DecodedAudio> => {
+  if (nativeRate) {
+    try {
+      const offline = new OfflineAudioContext(1, 1, nativeRate);
+      const audioBuffer = await offline.decodeAudioData(arrayBuffer.slice(0));
+      return { sampleRate: audioBuffer.sampleRate, channelData: channelsOf(audioBuffer) };
+    } catch {
+      // Rate outside what the browser supports (roughly 3–768 kHz); fall through.
+    }
+  }
+  const audioContext = new (window.AudioContext || (window as any).webkitAudioContext)();
+  try {
+    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+    return { sampleRate: audioBuffer.sampleRate, channelData: channelsOf(audioBuffer) };
+  } finally {
+    // Browsers cap concurrent AudioContexts (~6 in Chrome). Without this
+    // close(), every file switch leaks one — eventually new AudioContext()
+    // throws or decodeAudioData fails silently and spectrograms stop loading.
+    audioContext.close().catch(() => { });
+  }
+};
+
 function SpectrogramProvider(props: SpectrogramProviderProps) {
   const {
     children,
@@ -79,15 +132,30 @@ function SpectrogramProvider(props: SpectrogramProviderProps) {
   } = props;
 
   // Get settings
-  const { settings } = useSettings() as any;
+  const { settings, noteSampleRate } = useSettings() as any;
   const windowDuration = settings?.windowDuration ?? 15;
+  const playbackMode: PlaybackMode = settings?.playbackMode ?? 'normal';
+  const playbackFactor: number = settings?.playbackFactor ?? 10;
+  const heterodyneFreq: number = settings?.heterodyneFreq ?? 40000;
+  const defaultChannel: number = settings?.channel ?? 0;
+  // Bat detector modes play through Web Audio instead of the <audio>
+  // element, which stays mounted (hidden) for the duration.
+  const processed = playbackMode !== 'normal';
 
   // Audio playback state
   const [duration, setDuration] = useState<number | null>(null);
   const [currentTime, _setCurrentTime] = useState(0);
   const [playbackRate, _setPlaybackRate] = useState(1.0);
-  const [audioSamples, setAudioSamples] = useState<Float32Array>(new Float32Array(0));
+  const [channelData, setChannelData] = useState<Float32Array[]>([]);
+  const [source, setSource] = useState<WavSource | null>(null);
+  const [fingerprint, setFingerprint] = useState<string | null>(null);
   const [sampleRate, setSampleRate] = useState<number>(32000);
+  const channelCount = source ? source.header.channels : channelData.length;
+  // Picked in this spectrogram's own selector; until then the session's
+  // default. Either is clamped to the channels the recording has.
+  const [pickedChannel, setPickedChannel] = useState<number | null>(null);
+  const channel = Math.max(0, Math.min(pickedChannel ?? defaultChannel, channelCount - 1));
+  const audioSamples = useMemo(() => channelData[channel] ?? new Float32Array(0), [channelData, channel]);
 
   // Viewport/zoom state - only track startTime, derive endTime
   const [startTime, setStartTimeState] = useState(0);
@@ -99,6 +167,10 @@ function SpectrogramProvider(props: SpectrogramProviderProps) {
   const audioRef = useRef<HTMLAudioElement>(null);
   const intervalRef = useRef<number>();
   const debounceTimer = useRef<NodeJS.Timeout | null>(null);
+  const playerRef = useRef<ProcessedPlayer | null>(null);
+  const playbackOptionsRef = useRef({ mode: playbackMode, factor: playbackFactor, carrier: heterodyneFreq });
+  playbackOptionsRef.current = { mode: playbackMode, factor: playbackFactor, carrier: heterodyneFreq };
+  const [processedPlaying, setProcessedPlaying] = useState(false);
 
   // Audio playback effects
   useEffect(() => {
@@ -149,45 +221,113 @@ function SpectrogramProvider(props: SpectrogramProviderProps) {
   // Audio loading effect
   useEffect(() => {
     let cancelled = false;
-    let audioContext: AudioContext | null = null;
 
     const fetchAudioData = async () => {
       try {
-        const response = await fetch(src);
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const arrayBuffer = await response.arrayBuffer();
+        // Long recordings aren't decoded here at all: the worker and the
+        // processed player read the ranges they need as they need them.
+        const opened = await openWav(src);
         if (cancelled) return;
+        setFingerprint(opened.fingerprint);
+        if (opened.kind === "stream") {
+          setChannelData([]);
+          setSource(opened.source);
+          setSampleRate(opened.source.header.sampleRate);
+          noteSampleRate?.(opened.source.header.sampleRate);
+          return;
+        }
+        const arrayBuffer = opened.buffer;
 
-        audioContext = new (window.AudioContext || (window as any).webkitAudioContext)();
-
-        const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+        // The worker must get the PCM at the rate it's actually sampled at:
+        // a wrong rate mis-scales time and caps f_max at the wrong Nyquist.
+        const decoded = decodeWav(arrayBuffer)
+          ?? await decodeWithWebAudio(arrayBuffer, readWavHeader(arrayBuffer)?.sampleRate);
         if (cancelled) return;
 
-        const samples = audioBuffer.getChannelData(0);
-
-        // The PCM returned by audioBuffer.getChannelData() is at the AudioContext's
-        // own sample rate (often 48000), regardless of the original file. Send that
-        // rate to the spectrogram worker; using the header rate would mis-scale time
-        // and clamp f_max to the wrong Nyquist.
-        setAudioSamples(samples);
-        setSampleRate(audioBuffer.sampleRate);
+        setSource(null);
+        setChannelData(decoded.channelData);
+        setSampleRate(decoded.sampleRate);
+        noteSampleRate?.(decoded.sampleRate);
       } catch (error) {
         if (!cancelled) console.error('Error loading audio:', error);
-      } finally {
-        // Browsers cap concurrent AudioContexts (~6 in Chrome). Without this
-        // close(), every file switch leaks one — eventually new AudioContext()
-        // throws or decodeAudioData fails silently and spectrograms stop loading.
-        if (audioContext) {
-          audioContext.close().catch(() => { });
-        }
       }
     };
 
     fetchAudioData();
     return () => { cancelled = true; };
-  }, [src]);
+  }, [src, noteSampleRate]);
+
+  // Processed playback works from the selected channel's PCM, so it's
+  // rebuilt with it.
+  const pcm = useMemo<PcmSource | null>(() => {
+    if (source) {
+      return {
+        sampleRate: source.header.sampleRate,
+        frames: sourceFrames(source),
+        resident: false,
+        read: (start, frames) => readFrames(source, channel, start, frames),
+      };
+    }
+    if (!audioSamples.length) return null;
+    return {
+      sampleRate,
+      frames: audioSamples.length,
+      resident: true,
+      read: async (start, frames) => audioSamples.subarray(start, start + frames),
+    };
+  }, [source, channel, audioSamples, sampleRate]);
+
+  useEffect(() => {
+    if (!pcm) return;
+    const player = createProcessedPlayer(pcm);
+    playerRef.current = player;
+    return () => {
+      player.dispose();
+      if (playerRef.current === player) playerRef.current = null;
+      setProcessedPlaying(false);
+    };
+  }, [pcm]);
+
+  // Changing mode or factor stops playback; the heterodyne carrier retunes
+  // while playing, like the dial on a detector.
+  useEffect(() => {
+    audioRef.current?.pause();
+    playerRef.current?.pause();
+    setProcessedPlaying(false);
+  }, [playbackMode, playbackFactor]);
+
+  useEffect(() => {
+    playerRef.current?.setCarrier(heterodyneFreq);
+  }, [heterodyneFreq]);
+
+  // Follow a processed playback's position on the recording's timeline, as
+  // the interval above does for the <audio> element.
+  useEffect(() => {
+    if (!processedPlaying) return;
+    const id = window.setInterval(() => {
+      const player = playerRef.current;
+      if (!player) return;
+      _setCurrentTime(player.position());
+      if (!player.isPlaying()) setProcessedPlaying(false);
+    }, CURRENT_TIME_UPDATE_INTERVAL);
+    return () => clearInterval(id);
+  }, [processedPlaying]);
+
+  const toggleProcessedPlayback = useCallback(() => {
+    const player = playerRef.current;
+    if (!player) return;
+    if (player.isPlaying()) {
+      _setCurrentTime(player.pause());
+      setProcessedPlaying(false);
+      return;
+    }
+    const from = duration && currentTime >= duration ? 0 : currentTime;
+    player.play(from, playbackOptionsRef.current).catch((error) => {
+      console.error('Error starting playback:', error);
+      setProcessedPlaying(false);
+    });
+    setProcessedPlaying(true);
+  }, [currentTime, duration]);
 
   // Initialize viewport with duration
   useEffect(() => {
@@ -218,6 +358,10 @@ function SpectrogramProvider(props: SpectrogramProviderProps) {
     if (audioRef.current !== null) {
       audioRef.current.currentTime = newTime;
     }
+    // A processed playback carries on from the new position.
+    if (playerRef.current?.isPlaying()) {
+      playerRef.current.play(newTime, playbackOptionsRef.current).catch(() => { });
+    }
     _setCurrentTime(newTime);
   }, []);
 
@@ -232,6 +376,14 @@ function SpectrogramProvider(props: SpectrogramProviderProps) {
     if (audioRef.current !== null) {
       audioRef.current.pause();
     }
+    if (playerRef.current?.isPlaying()) {
+      _setCurrentTime(playerRef.current.pause());
+      setProcessedPlaying(false);
+    }
+  }, []);
+
+  const setChannel = useCallback((newChannel: number) => {
+    setPickedChannel(newChannel);
   }, []);
 
   // Viewport/zoom methods
@@ -301,6 +453,11 @@ function SpectrogramProvider(props: SpectrogramProviderProps) {
     playbackRate,
     sampleRate,
     audioSamples,
+    source,
+    fingerprint,
+    channelData,
+    channelCount,
+    channel,
     startTime,
     endTime,
     windowDuration,
@@ -309,11 +466,12 @@ function SpectrogramProvider(props: SpectrogramProviderProps) {
     setCurrentTime,
     setPlaybackRate,
     pause,
+    setChannel,
     setStartTime,
   }), [
-    duration, currentTime, playbackRate, sampleRate, audioSamples,
+    duration, currentTime, playbackRate, sampleRate, audioSamples, source, fingerprint, channelData, channelCount, channel,
     startTime, endTime, windowDuration, isZoomed,
-    setCurrentTime, setPlaybackRate, pause, setStartTime,
+    setCurrentTime, setPlaybackRate, pause, setChannel, setStartTime,
   ]);
 
   return (
@@ -333,15 +491,31 @@ function SpectrogramProvider(props: SpectrogramProviderProps) {
             width: "100%",
             display: "flex",
             flexDirection: "row",
-            alignItems: "stretch",
+            alignItems: "center",
           }}
         >
+          {processed && (
+            <div style={{ flex: 1, display: "flex", alignItems: "center", gap: 8, height: 30, fontSize: 12, color: "#374151" }}>
+              <button
+                onClick={toggleProcessedPlayback}
+                disabled={!pcm}
+                title={processedPlaying ? "Pause" : "Play"}
+                style={{ width: 30, height: 30, border: "1px solid #D1D5DB", borderRadius: 15, background: "white", cursor: "pointer" }}
+              >
+                {processedPlaying ? "❚❚" : "▶"}
+              </button>
+              <span style={{ fontVariantNumeric: "tabular-nums" }}>
+                {currentTime.toFixed(1)} / {duration ? duration.toFixed(1) : "…"} s
+              </span>
+            </div>
+          )}
           <audio
             ref={audioRef}
             controls
             style={{
               width: "100%",
-              height: "30px"
+              height: "30px",
+              display: processed ? "none" : undefined,
             }}
             onTimeUpdate={onTimeUpdate}
             onDurationChange={onDurationChange}
@@ -350,6 +524,8 @@ function SpectrogramProvider(props: SpectrogramProviderProps) {
           >
             <source src={src} />
           </audio>
+          <ChannelControls />
+          <PlaybackControls sampleRate={sampleRate} />
         </div>
       </div>
     </SpectrogramContext.Provider>
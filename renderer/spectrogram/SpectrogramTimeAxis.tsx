@@ -0,0 +1,102 @@
+import { useMemo } from "react";
+import { useSpectrogram } from "./SpectrogramProvider";
+import { useSettings } from "../src/stores/SettingsContext";
+import { wallClock, formatClockTime, formatDateTime } from "../src/utils/clock";
+
+const AXIS_HEIGHT = 20;
+
+// Tick spacings in (real-time) seconds; the axis uses the smallest that
+// keeps labels about TARGET_TICKS apart across the visible window.
+const TICK_STEPS = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600];
+const TARGET_TICKS = 8;
+
+const formatSeconds = (seconds: number, decimals: number): string => {
+  if (seconds < 60) return `${seconds.toFixed(decimals)} s`;
+  const m = Math.floor(seconds / 60);
+  const s = (seconds - m * 60).toFixed(decimals).padStart(decimals > 0 ? decimals + 3 : 2, "0");
+  return `${m}:${s}`;
+};
+
+interface SpectrogramTimeAxisProps {
+  // Recording start as ISO text (see RecordingInfo.startTime). Without it the
+  // axis counts seconds into the file.
+  recordingStart?: string | null;
+}
+
+/**
+ * Time ruler under the spectrogram, following the visible window. Labels
+ * are wall-clock times in the session's time zone when the recording's
+ * start is known, seconds into the file otherwise. For files recorded
+ * time-expanded (the timeExpansion setting) both are in real time.
+ */
+function SpectrogramTimeAxis({ recordingStart = null }: SpectrogramTimeAxisProps) {
+  const { duration, startTime, endTime } = useSpectrogram();
+  const { settings } = useSettings() as any;
+  const timeZone: string = settings.timeZone;
+  const expansion: number = settings.timeExpansion > 0 ? settings.timeExpansion : 1;
+
+  const span = endTime - startTime;
+  const step = TICK_STEPS.find(s => span / expansion / s <= TARGET_TICKS) ?? TICK_STEPS[TICK_STEPS.length - 1];
+  const decimals = step < 0.1 ? 2 : step < 1 ? 1 : 0;
+
+  const ticks = useMemo(() => {
+    if (!duration || span <= 0) return [];
+    const list: { t: number; label: string }[] = [];
+    // Integer tick indices keep 0.1 s steps free of float drift. Ticks are
+    // placed in real time and drawn at the matching file time.
+    for (let i = Math.ceil(startTime / expansion / step); i * step * expansion <= endTime; i++) {
+      const real = i * step;
+      const clock = wallClock(recordingStart, real, timeZone);
+      list.push({ t: real * expansion, label: clock ? formatClockTime(clock, decimals) : formatSeconds(real, decimals) });
+    }
+    return list;
+  }, [duration, span, startTime, endTime, step, decimals, expansion, recordingStart, timeZone]);
+
+  const windowStart = wallClock(recordingStart, startTime / expansion, timeZone);
+  const title = windowStart
+    ? `Wall-clock time${timeZone ? ` (${timeZone})` : ''}; view starts ${formatDateTime(windowStart)}`
+    : expansion > 1 ? 'Real-time seconds into the file' : 'Seconds into the file';
+
+  return (
+    <div
+      title={title}
+      style={{
+        position: "relative",
+        height: AXIS_HEIGHT,
+        overflow: "hidden",
+        borderTop: "1px solid #D1D5DB",
+        fontSize: 10,
+        color: "#4B5563",
+        fontVariantNumeric: "tabular-nums",
+        userSelect: "none",
+      }}
+    >
+      {ticks.map(({ t, label }) => {
+        const left = ((t - startTime) / span) * 100;
+        // Labels near the right edge hang to the left of their tick so they
+        // stay inside the axis.
+        const flip = left > 92;
+        return (
+          <div
+            key={t}
+            style={{
+              position: "absolute",
+              ...(flip ? { right: `${100 - left}%` } : { left: `${left}%` }),
+              top: 0,
+              height: "100%",
+              borderLeft: flip ? undefined : "1px solid #9CA3AF",
+              borderRight: flip ? "1px solid #9CA3AF" : undefined,
+              padding: flip ? "0 2px 0 0" : "0 0 0 2px",
+              lineHeight: `${AXIS_HEIGHT}px`,
+              whiteSpace: "nowrap",
+            }}
+          >
+            {label}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default SpectrogramTimeAxis;
@@ -1,16 +1,19 @@
 import React, { useRef } from "react";
 import { useSpectrogram } from "./SpectrogramProvider";
 
+// The spectrogram image is drawn into `canvasRef` (see melDisplay.ts), which
+// sits under the SVG carrying the playhead and the overlays.
 function SpectrogramViewer(props: {
-  dataURL: string;
+  canvasRef: React.RefObject<HTMLCanvasElement>;
   children: JSX.Element | JSX.Element[] | null;
+  height?: number;
 }) {
-  const { children, dataURL } = props;
+  const { children, canvasRef } = props;
   const playheadRef = useRef<SVGLineElement>(null);
 
-  const { duration, currentTime, setCurrentTime, startTime, endTime, windowDuration } = useSpectrogram();
+  const { duration, currentTime, setCurrentTime, startTime, endTime } = useSpectrogram();
 
-  const SPEC_HEIGHT = 300;
+  const SPEC_HEIGHT = props.height ?? 300;
 
 
   const svgRef = useRef<SVGSVGElement>(null);
@@ -32,41 +35,49 @@ function SpectrogramViewer(props: {
     }
   };
 
+  // Mounted even before the duration is known, so the canvas is there for
+  // the graphics component's resize observer from the start.
+  const canvas = (
+    <canvas
+      ref={canvasRef}
+      style={{ position: "absolute", top: 0, left: 0, width: "100%", height: SPEC_HEIGHT, pointerEvents: "none" }}
+    />
+  );
+
   if (!duration) {
-    return <svg width="100%" height={SPEC_HEIGHT} />;
+    return (
+      <div style={{ position: "relative" }}>
+        {canvas}
+        <svg width="100%" height={SPEC_HEIGHT} style={{ position: "relative" }} />
+      </div>
+    );
   }
 
   return (
-    <svg
-      ref={svgRef}
-      width="100%"
-      height={SPEC_HEIGHT}
-      viewBox={`${startTime},0,${endTime - startTime},100`}
-      cursor="pointer"
-      preserveAspectRatio="none"
-      onClick={onClick}
-    >
-      <image
-        width={windowDuration}
-        height={100}
-        x={startTime}
-        y={0}
-        href={dataURL}
+    <div style={{ position: "relative" }}>
+      {canvas}
+      <svg
+        ref={svgRef}
+        width="100%"
+        height={SPEC_HEIGHT}
+        viewBox={`${startTime},0,${endTime - startTime},100`}
+        cursor="pointer"
         preserveAspectRatio="none"
-        pointerEvents="none"
-      />
-
-      <line
-        ref={playheadRef}
-        stroke="red"
-        strokeWidth={0.05}
-        x1={currentTime}
-        x2={currentTime}
-        y1={0}
-        y2={100}
-      />
-      {children}
-    </svg>
+        onClick={onClick}
+        style={{ position: "relative" }}
+      >
+        <line
+          ref={playheadRef}
+          stroke="red"
+          strokeWidth={0.05}
+          x1={currentTime}
+          x2={currentTime}
+          y1={0}
+          y2={100}
+        />
+        {children}
+      </svg>
+    </div>
   )
 }
 
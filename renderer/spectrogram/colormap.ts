@@ -0,0 +1,177 @@
+// Colormaps for the spectrogram display stage (melDisplay.ts): 256-entry RGBA
+// lookup tables, uploaded to the GPU as a 256×1 texture. The registry is
+// keyed by the `colormap` setting; `custom` is a gradient through the
+// `customColormap` setting's two or three colors.
+
+export type RGB = [number, number, number]
+
+export const COLORMAPS = [
+  { value: 'viridis', label: 'Viridis' },
+  { value: 'magma', label: 'Magma' },
+  { value: 'inferno', label: 'Inferno' },
+  { value: 'plasma', label: 'Plasma' },
+  { value: 'cividis', label: 'Cividis' },
+  { value: 'grayscale', label: 'Grayscale' },
+  { value: 'inverted-grayscale', label: 'Inverted grayscale' },
+  { value: 'custom', label: 'Custom gradient' },
+] as const
+
+export const isHexColor = (value: unknown): value is string =>
+  typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)
+
+/** Whether `stops` is a usable custom gradient: two or three #rrggbb colors. */
+export const isValidGradient = (stops: unknown): stops is string[] =>
+  Array.isArray(stops) && stops.length >= 2 && stops.length <= 3 && stops.every(isHexColor)
+
+const hexToRGB = (hex: string): RGB =>
+  [parseInt(hex.slice(1, 3), 16), parseInt(hex.slice(3, 5), 16), parseInt(hex.slice(5, 7), 16)]
+
+// Build a viridis RGBA LUT for better visualization
+function buildViridisLUT(): Uint8ClampedArray {
+  const lut = new Uint8ClampedArray(256 * 4)
+
+  // Viridis colormap - interpolated RGB values for smooth color transition
+  for (let i = 0; i < 256; i++) {
+    const t = i / 255.0  // Normalize to [0, 1]
+
+    // Viridis color interpolation
+    let r, g, b
+
+    if (t < 0.25) {
+      // Dark purple to blue
+      const localT = t / 0.25
+      r = Math.round(68 * (1 - localT) + 59 * localT)
+      g = Math.round(1 * (1 - localT) + 82 * localT)
+      b = Math.round(84 * (1 - localT) + 139 * localT)
+    } else if (t < 0.5) {
+      // Blue to green
+      const localT = (t - 0.25) / 0.25
+      r = Math.round(59 * (1 - localT) + 53 * localT)
+      g = Math.round(82 * (1 - localT) + 183 * localT)
+      b = Math.round(139 * (1 - localT) + 121 * localT)
+    } else if (t < 0.75) {
+      // Green to yellow
+      const localT = (t - 0.5) / 0.25
+      r = Math.round(53 * (1 - localT) + 253 * localT)
+      g = Math.round(183 * (1 - localT) + 231 * localT)
+      b = Math.round(121 * (1 - localT) + 37 * localT)
+    } else {
+      // Yellow to bright yellow
+      const localT = (t - 0.75) / 0.25
+      r = Math.round(253 * (1 - localT) + 254 * localT)
+      g = Math.round(231 * (1 - localT) + 240 * localT)
+      b = Math.round(37 * (1 - localT) + 36 * localT)
+    }
+
+    lut[i * 4 + 0] = Math.max(0, Math.min(255, r))  // R
+    lut[i * 4 + 1] = Math.max(0, Math.min(255, g))  // G
+    lut[i * 4 + 2] = Math.max(0, Math.min(255, b))  // B
+    lut[i * 4 + 3] = 255                            // A
+  }
+  return lut
+}
+
+// Evenly spaced samples of matplotlib's maps, interpolated linearly between.
+const GRADIENTS: Record<string, string[]> = {
+  magma: ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f', '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'],
+  inferno: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'],
+  plasma: ['#0d0887', '#46039f', '#7201a8', '#9c179e', '#bd3786', '#d8576b', '#ed7953', '#fb9f3a', '#fdca26', '#f0f921'],
+  cividis: ['#00204d', '#00336f', '#39486b', '#575d6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#ffea46'],
+  grayscale: ['#000000', '#ffffff'],
+  'inverted-grayscale': ['#ffffff', '#000000'],
+}
+
+function buildGradientLUT(stops: RGB[]): Uint8ClampedArray {
+  const lut = new Uint8ClampedArray(256 * 4)
+  const segments = stops.length - 1
+  for (let i = 0; i < 256; i++) {
+    const position = (i / 255) * segments
+    const k = Math.min(segments - 1, Math.floor(position))
+    const localT = position - k
+    for (let c = 0; c < 3; c++) {
+      lut[i * 4 + c] = Math.round(stops[k][c] * (1 - localT) + stops[k + 1][c] * localT)
+    }
+    lut[i * 4 + 3] = 255
+  }
+  return lut
+}
+
+export const viridisLUT = buildViridisLUT()
+
+// Built on first use; custom gradients are keyed by their colors.
+const lutCache = new Map<string, Uint8ClampedArray>([['viridis', viridisLUT]])
+
+/**
+ * The LUT for a `colormap` setting. Unknown names, and a custom gradient
+ * without valid colors, fall back to viridis.
+ */
+export function colormapLUT(name: string, customStops?: unknown): Uint8ClampedArray {
+  const custom = name === 'custom' && isValidGradient(customStops)
+  const key = custom ? `custom:${customStops.join(',').toLowerCase()}` : name
+  let lut = lutCache.get(key)
+  if (!lut) {
+    const stops = custom ? customStops : GRADIENTS[name]
+    if (!stops) return viridisLUT
+    lut = buildGradientLUT(stops.map(hexToRGB))
+    lutCache.set(key, lut)
+  }
+  return lut
+}
+
+/** A CSS linear-gradient showing a LUT left to right, for previews. */
+export function cssGradient(lut: Uint8ClampedArray, samples = 16): string {
+  const colors: string[] = []
+  for (let s = 0; s < samples; s++) {
+    const i = Math.round((s / (samples - 1)) * 255) * 4
+    colors.push(`rgb(${lut[i]}, ${lut[i + 1]}, ${lut[i + 2]})`)
+  }
+  return `linear-gradient(to right, ${colors.join(', ')})`
+}
+
+// CIE L*a*b* for comparing colors roughly as the eye does.
+function toLab([r, g, b]: RGB): RGB {
+  const linear = (v: number) => {
+    const c = v / 255
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4
+  }
+  const [lr, lg, lb] = [linear(r), linear(g), linear(b)]
+  const f = (t: number) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116)
+  const x = f((0.4124 * lr + 0.3576 * lg + 0.1805 * lb) / 0.95047)
+  const y = f(0.2126 * lr + 0.7152 * lg + 0.0722 * lb)
+  const z = f((0.0193 * lr + 0.1192 * lg + 0.9505 * lb) / 1.08883)
+  return [116 * y - 16, 500 * (x - y), 200 * (y - z)]
+}
+
+const mixRGB = (from: RGB, to: RGB, t: number): RGB =>
+  [0, 1, 2].map((c) => Math.round(from[c] * (1 - t) + to[c] * t)) as RGB
+
+/**
+ * A variant of an overlay color that stands out against every color of the
+ * colormap: the color itself, or a lighter or darker version, whichever is
+ * furthest from its nearest colormap color. The color itself wins ties by a
+ * small margin, so overlays only change where the palette demands it.
+ */
+export function contrastingVariant(rgb: RGB, lut: Uint8ClampedArray): RGB {
+  const palette: RGB[] = []
+  for (let i = 0; i < 256; i += 8) palette.push(toLab([lut[i * 4], lut[i * 4 + 1], lut[i * 4 + 2]]))
+  const nearest = (candidate: RGB) => {
+    const [l, a, b] = toLab(candidate)
+    return Math.min(...palette.map(([pl, pa, pb]) => Math.hypot(l - pl, a - pa, b - pb)))
+  }
+  const candidates: RGB[] = [
+    mixRGB(rgb, [255, 255, 255], 0.3),
+    mixRGB(rgb, [255, 255, 255], 0.55),
+    mixRGB(rgb, [0, 0, 0], 0.3),
+    mixRGB(rgb, [0, 0, 0], 0.55),
+  ]
+  let best = rgb
+  let bestDistance = nearest(rgb) + 5
+  for (const candidate of candidates) {
+    const distance = nearest(candidate)
+    if (distance > bestDistance) {
+      best = candidate
+      bestDistance = distance
+    }
+  }
+  return best
+}
@@ -0,0 +1,315 @@
+// The spectrogram display stage: gain, gamma, brightness, contrast and the
+// colormap, applied to the worker's raw dB mel matrix by a WebGL 2 shader.
+// Display settings therefore redraw without a round trip to the worker.
+//
+// One WebGL context serves every spectrogram on the page: Chromium keeps only
+// ~16 contexts alive and drops the oldest past that, which a session with
+// many files (or stacked channels) would hit. Each spectrogram has a layer
+// holding its matrix as a texture; a draw renders it in the shared context
+// and copies the result into the spectrogram's own 2D canvas.
+
+import { viridisLUT } from "./colormap";
+
+// What the worker sends per window: frames × nMels dB values, time-major,
+// covering `duration` seconds from `t0`; and its quantile table (entry k of
+// QUANTILE_STEPS + 1 is the k/QUANTILE_STEPS quantile; empty without finite
+// values).
+export interface MelMatrix {
+  mel: Float32Array;
+  frames: number;
+  nMels: number;
+  t0: number;
+  duration: number;
+  quantiles: Float32Array;
+}
+
+export interface DisplaySettings {
+  dynamicGain: boolean;
+  gainPercentile: number;
+  autoGamma: boolean;
+  gammaValue: number;
+  brightness: number;
+  contrast: number;
+  // From colormapLUT, which returns the same array for the same colormap.
+  lut: Uint8ClampedArray;
+}
+
+// The visible time range, which may have moved on since the matrix was
+// computed: it is drawn where it belongs until the new one arrives.
+export interface DisplayView {
+  startTime: number;
+  windowDuration: number;
+}
+
+const quantile = (table: Float32Array, q: number): number =>
+  table[Math.max(0, Math.min(table.length - 1, Math.round(q * (table.length - 1))))];
+
+/**
+ * The dB range mapped onto the colormap, and the gamma: the 5th to
+ * gain-percentile range with dynamic gain, otherwise min to max; auto gamma
+ * brightens or darkens according to where the median falls in that range.
+ */
+export const displayRange = (quantiles: Float32Array, s: DisplaySettings): { min: number; max: number; gamma: number } => {
+  if (!quantiles.length) return { min: 0, max: 1, gamma: s.gammaValue };
+  let min = quantile(quantiles, s.dynamicGain ? 0.05 : 0);
+  let max = quantile(quantiles, s.dynamicGain ? s.gainPercentile / 100 : 1);
+  if (!(max > min)) max = min + 1e-6;
+  let gamma = s.gammaValue;
+  if (s.autoGamma) {
+    const normalizedMedian = (quantile(quantiles, 0.5) - min) / (max - min);
+    gamma = normalizedMedian < 0.3 ? 0.6 : normalizedMedian > 0.7 ? 1.4 : 1.0;
+  }
+  return { min, max, gamma };
+};
+
+const VERTEX_SHADER = `#version 300 es
+in vec2 a_position;
+out vec2 v_uv;
+void main() {
+  v_uv = a_position * 0.5 + 0.5;
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+// Frames are laid out in blocks of u_rows texture rows side by side, so a
+// long window fits within the maximum texture height. Sampling is bilinear,
+// done by hand since float textures aren't filterable everywhere.
+const FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+precision highp int;
+uniform highp sampler2D u_mel;
+uniform sampler2D u_lut;
+uniform int u_frames;
+uniform int u_mels;
+uniform int u_rows;
+uniform vec2 u_timeMap;
+uniform float u_min;
+uniform float u_max;
+uniform float u_gamma;
+uniform float u_brightness;
+uniform float u_contrast;
+in vec2 v_uv;
+out vec4 outColor;
+
+float melAt(int f, int m) {
+  int block = f / u_rows;
+  return texelFetch(u_mel, ivec2(block * u_mels + m, f - block * u_rows), 0).r;
+}
+
+void main() {
+  // Time under this pixel as a fraction of the matrix's span.
+  float u = u_timeMap.x + v_uv.x * u_timeMap.y;
+  if (u < 0.0 || u >= 1.0) discard;
+  float x = u * float(u_frames) - 0.5;
+  float y = v_uv.y * float(u_mels) - 0.5;
+  int f0 = clamp(int(floor(x)), 0, u_frames - 1);
+  int f1 = min(f0 + 1, u_frames - 1);
+  int m0 = clamp(int(floor(y)), 0, u_mels - 1);
+  int m1 = min(m0 + 1, u_mels - 1);
+  float fx = clamp(x - floor(x), 0.0, 1.0);
+  float fy = clamp(y - floor(y), 0.0, 1.0);
+  float v = mix(mix(melAt(f0, m0), melAt(f1, m0), fx), mix(melAt(f0, m1), melAt(f1, m1), fx), fy);
+
+  float n = (v - u_min) / (u_max - u_min);
+  // NaN fails every comparison; it shows as the bottom of the colormap.
+  if (!(n >= 0.0)) n = 0.0;
+  n = min(n, 1.0);
+  float adjusted = clamp((pow(n, u_gamma) - 0.5) * u_contrast + 0.5 + u_brightness, 0.0, 1.0);
+  // Same 256 steps as an 8-bit image.
+  outColor = texture(u_lut, vec2((floor(adjusted * 255.0) + 0.5) / 256.0, 0.5));
+}`;
+
+type Renderer = {
+  gl: WebGL2RenderingContext;
+  canvas: OffscreenCanvas;
+  program: WebGLProgram;
+  lut: WebGLTexture;
+  // The LUT last uploaded to it.
+  lutData: Uint8ClampedArray;
+  uniforms: Record<string, WebGLUniformLocation | null>;
+  // Bumped on context restore; textures from an older generation are gone.
+  generation: number;
+};
+
+let renderer: Renderer | null = null;
+let lost = false;
+let generation = 0;
+// Each live layer's last draw, repeated when a lost context comes back.
+const redraws = new Set<() => void>();
+
+const compile = (gl: WebGL2RenderingContext, type: number, source: string): WebGLShader => {
+  const shader = gl.createShader(type)!;
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    throw new Error(`Spectrogram shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+  }
+  return shader;
+};
+
+const setUp = (canvas: OffscreenCanvas, gl: WebGL2RenderingContext): Renderer => {
+  const program = gl.createProgram()!;
+  gl.attachShader(program, compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+  gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Spectrogram shader failed to link: ${gl.getProgramInfoLog(program)}`);
+  }
+  gl.useProgram(program);
+
+  // One quad covering the viewport.
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+  const position = gl.getAttribLocation(program, "a_position");
+  gl.enableVertexAttribArray(position);
+  gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+  const lut = gl.createTexture()!;
+  gl.activeTexture(gl.TEXTURE1);
+  gl.bindTexture(gl.TEXTURE_2D, lut);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 256, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(viridisLUT.buffer));
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+  const names = ["u_mel", "u_lut", "u_frames", "u_mels", "u_rows", "u_timeMap", "u_min", "u_max", "u_gamma", "u_brightness", "u_contrast"];
+  const uniforms = Object.fromEntries(names.map((name) => [name, gl.getUniformLocation(program, name)]));
+  gl.uniform1i(uniforms.u_mel, 0);
+  gl.uniform1i(uniforms.u_lut, 1);
+  return { gl, canvas, program, lut, lutData: viridisLUT, uniforms, generation };
+};
+
+// Null while the context is lost: nothing can be drawn until it's restored.
+const getRenderer = (): Renderer | null => {
+  if (lost) return null;
+  if (renderer) return renderer;
+  const canvas = new OffscreenCanvas(1, 1);
+  const gl = canvas.getContext("webgl2", { preserveDrawingBuffer: true, premultipliedAlpha: false });
+  if (!gl) throw new Error("WebGL 2 is not available, so spectrograms can't be displayed.");
+  canvas.addEventListener("webglcontextlost", (e) => {
+    e.preventDefault();
+    lost = true;
+  });
+  canvas.addEventListener("webglcontextrestored", () => {
+    lost = false;
+    generation++;
+    renderer = setUp(canvas, gl);
+    for (const redraw of redraws) redraw();
+  });
+  renderer = setUp(canvas, gl);
+  return renderer;
+};
+
+export interface MelLayer {
+  /** Replace the matrix shown; null shows nothing. */
+  setMatrix(matrix: MelMatrix | null): void;
+  /** Draw into `target`, sized to its backing store. Throws without WebGL 2. */
+  draw(target: HTMLCanvasElement, view: DisplayView, settings: DisplaySettings): void;
+  dispose(): void;
+}
+
+/** One spectrogram's matrix in the shared context. */
+export const createMelLayer = (): MelLayer => {
+  let matrix: MelMatrix | null = null;
+  let texture: WebGLTexture | null = null;
+  let textureGeneration = -1;
+  let rows = 1;
+  let lastDraw: (() => void) | null = null;
+  const redraw = () => {
+    try {
+      lastDraw?.();
+    } catch (err) {
+      console.error("Spectrogram redraw after context restore failed:", err);
+    }
+  };
+  redraws.add(redraw);
+
+  const release = () => {
+    if (texture && renderer && textureGeneration === renderer.generation) renderer.gl.deleteTexture(texture);
+    texture = null;
+  };
+
+  // Uploads lazily, so a matrix set while the context was lost (or before
+  // it existed) is uploaded on the next draw.
+  const upload = ({ gl, generation: current }: Renderer) => {
+    if (!matrix || (texture && textureGeneration === current)) return;
+    const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE) as number;
+    rows = Math.max(1, Math.min(matrix.frames, maxSize));
+    const blocks = Math.ceil(matrix.frames / rows);
+    if (blocks * matrix.nMels > maxSize) throw new Error("The window is too long to display; shorten Window Duration.");
+
+    texture = gl.createTexture();
+    textureGeneration = current;
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texStorage2D(gl.TEXTURE_2D, 1, gl.R32F, blocks * matrix.nMels, rows);
+    for (let block = 0; block < blocks; block++) {
+      const first = block * rows;
+      const count = Math.min(rows, matrix.frames - first);
+      const data = matrix.mel.subarray(first * matrix.nMels, (first + count) * matrix.nMels);
+      gl.texSubImage2D(gl.TEXTURE_2D, 0, block * matrix.nMels, 0, matrix.nMels, count, gl.RED, gl.FLOAT, data);
+    }
+  };
+
+  return {
+    setMatrix(next) {
+      release();
+      matrix = next && next.frames > 0 ? next : null;
+    },
+
+    draw(target, view, settings) {
+      lastDraw = () => this.draw(target, view, settings);
+      const ctx = target.getContext("2d");
+      if (!ctx) return;
+      ctx.clearRect(0, 0, target.width, target.height);
+      if (!matrix || !target.width || !target.height) return;
+
+      const r = getRenderer();
+      if (!r) return;
+      const { gl, canvas, uniforms } = r;
+      upload(r);
+      if (canvas.width !== target.width || canvas.height !== target.height) {
+        canvas.width = target.width;
+        canvas.height = target.height;
+      }
+      gl.viewport(0, 0, target.width, target.height);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      if (r.lutData !== settings.lut) {
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, r.lut);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 256, 1, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(settings.lut.buffer));
+        r.lutData = settings.lut;
+      }
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+
+      const { min, max, gamma } = displayRange(matrix.quantiles, settings);
+      gl.uniform1i(uniforms.u_frames, matrix.frames);
+      gl.uniform1i(uniforms.u_mels, matrix.nMels);
+      gl.uniform1i(uniforms.u_rows, rows);
+      // u = (time - t0) / duration, as offset + fraction-of-view × scale.
+      gl.uniform2f(uniforms.u_timeMap,
+        (view.startTime - matrix.t0) / matrix.duration,
+        view.windowDuration / matrix.duration);
+      gl.uniform1f(uniforms.u_min, min);
+      gl.uniform1f(uniforms.u_max, max);
+      gl.uniform1f(uniforms.u_gamma, gamma);
+      gl.uniform1f(uniforms.u_brightness, settings.brightness);
+      gl.uniform1f(uniforms.u_contrast, settings.contrast);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+      ctx.drawImage(canvas, 0, 0);
+    },
+
+    dispose() {
+      release();
+      matrix = null;
+      lastDraw = null;
+      redraws.delete(redraw);
+    },
+  };
+};
@@ -0,0 +1,30 @@
+// Frequency <-> vertical position on a rendered spectrogram.
+//
+// The worker's filterbank (wasm/src/lib.rs) spaces mel bands evenly between
+// f_min and f_max on the HTK mel scale, caps f_max at Nyquist, and the image
+// is drawn with the lowest band at the bottom. So the overlay's y axis (viewBox
+// units, 0 = top, 100 = bottom) is linear in mel, not in Hz — a box drawn in
+// Hz has to go through the same curve to line up with the call it encloses.
+
+export const hzToMel = (hz: number): number => 2595 * Math.log10(1 + hz / 700);
+
+export const melToHz = (mel: number): number => 700 * (Math.pow(10, mel / 2595) - 1);
+
+// Top of the image: the configured f_max, unless the audio can't reach it.
+export const displayMaxFreq = (fMax: number, sampleRate: number | null | undefined): number =>
+  sampleRate ? Math.min(fMax, sampleRate / 2) : fMax;
+
+export const freqToY = (hz: number, fMin: number, fMax: number): number => {
+  const melMin = hzToMel(fMin);
+  const melMax = hzToMel(fMax);
+  if (melMax <= melMin) return 100;
+  const clamped = Math.min(fMax, Math.max(fMin, hz));
+  return 100 * (1 - (hzToMel(clamped) - melMin) / (melMax - melMin));
+};
+
+export const yToFreq = (y: number, fMin: number, fMax: number): number => {
+  const melMin = hzToMel(fMin);
+  const melMax = hzToMel(fMax);
+  const ratio = 1 - Math.min(100, Math.max(0, y)) / 100;
+  return melToHz(melMin + ratio * (melMax - melMin));
+};
@@ -0,0 +1,240 @@
+// Playback that makes ultrasound audible, the way bat detectors do it:
+//
+// - time expansion plays the recording N times slower, which also lowers
+//   every frequency N times;
+// - frequency division replaces the signal with a square wave at 1/N of its
+//   frequency, keeping its loudness and timing (the classic zero-crossing
+//   divider);
+// - heterodyne mixes the signal with a carrier and keeps the difference
+//   frequencies, so calls near the carrier come out as audible clicks.
+//
+// Everything runs in an AudioContext at the recording's own sample rate, so
+// nothing above the usual 24 kHz is lost before it is processed. Positions
+// are always on the recording's timeline, whatever the playback speed.
+// Streamed recordings are read and played a chunk at a time.
+
+export type PlaybackMode = 'normal' | 'time-expansion' | 'frequency-division' | 'heterodyne';
+
+export const PLAYBACK_MODES: { value: PlaybackMode; label: string }[] = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'time-expansion', label: 'Time expansion' },
+  { value: 'frequency-division', label: 'Frequency division' },
+  { value: 'heterodyne', label: 'Heterodyne' },
+];
+
+export interface PlaybackOptions {
+  mode: PlaybackMode;
+  // Slow-down for time expansion, divisor for frequency division.
+  factor: number;
+  // Heterodyne carrier in Hz.
+  carrier: number;
+}
+
+// Where a player reads its samples: a decoded channel already in memory, or
+// one read from a streamed file on demand.
+export interface PcmSource {
+  sampleRate: number;
+  frames: number;
+  // True when read() is just a view of memory, so the whole recording can
+  // be one chunk.
+  resident: boolean;
+  read: (startFrame: number, frames: number) => Promise<Float32Array>;
+}
+
+export interface ProcessedPlayer {
+  play: (from: number, options: PlaybackOptions) => Promise<void>;
+  // Stops playback and returns where it stopped.
+  pause: () => number;
+  // Current position in seconds into the recording.
+  position: () => number;
+  isPlaying: () => boolean;
+  // Retune a playing heterodyne without restarting it.
+  setCarrier: (carrier: number) => void;
+  dispose: () => void;
+}
+
+// Range of AudioContext sample rates Chromium accepts.
+const MIN_CONTEXT_RATE = 3000;
+const MAX_CONTEXT_RATE = 768000;
+
+// Heterodyne output bandwidth: difference frequencies below this are kept.
+const HETERODYNE_BANDWIDTH = 8000;
+
+// Seconds of a streamed recording read and played at a time.
+const CHUNK_SECONDS = 60;
+
+/**
+ * Zero-crossing frequency divider: a square wave that flips every `factor`
+ * crossings of the input (so one output cycle per `factor` input cycles),
+ * scaled by the input's envelope so quiet stretches stay quiet.
+ */
+export const divideFrequency = (samples: Float32Array, sampleRate: number, factor: number): Float32Array => {
+  const out = new Float32Array(samples.length);
+  const release = Math.exp(-1 / (0.001 * sampleRate));
+  let envelope = 0;
+  let crossings = 0;
+  let level = 1;
+  let negative = false;
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    envelope = Math.max(Math.abs(x), envelope * release);
+    if ((x < 0) !== negative) {
+      negative = x < 0;
+      if (++crossings >= factor) {
+        crossings = 0;
+        level = -level;
+      }
+    }
+    out[i] = level * envelope;
+  }
+  return out;
+};
+
+/**
+ * A player for one channel of a recording. Buffers for the current chunk
+ * are built on first use of each mode and kept; the AudioContext only lives
+ * while playing, since browsers cap how many can be open at once.
+ */
+export const createProcessedPlayer = (pcm: PcmSource): ProcessedPlayer => {
+  const { sampleRate } = pcm;
+  const contextRate = Math.min(MAX_CONTEXT_RATE, Math.max(MIN_CONTEXT_RATE, sampleRate));
+  const chunkFrames = pcm.resident ? Math.max(1, pcm.frames) : Math.round(CHUNK_SECONDS * sampleRate);
+  const duration = pcm.frames / sampleRate;
+  let chunk: { index: number; samples: Float32Array } | null = null;
+  const buffers = new Map<string, AudioBuffer>();
+  let context: AudioContext | null = null;
+  let source: AudioBufferSourceNode | null = null;
+  let oscillator: OscillatorNode | null = null;
+  let playing = false;
+  // Bumped by every play and stop, so a play still waiting for its chunk
+  // or its context knows it has been overtaken.
+  let generation = 0;
+  let startedAt = 0;
+  let startOffset = 0;
+  let rate = 1;
+  let stoppedAt = 0;
+
+  const loadChunk = async (index: number) => {
+    if (chunk?.index === index) return chunk;
+    const samples = await pcm.read(index * chunkFrames, chunkFrames);
+    buffers.clear();
+    chunk = { index, samples };
+    return chunk;
+  };
+
+  const bufferFor = (key: string, data: () => Float32Array): AudioBuffer => {
+    let buffer = buffers.get(key);
+    if (!buffer) {
+      buffer = new AudioBuffer({ length: Math.max(1, chunk!.samples.length), numberOfChannels: 1, sampleRate });
+      buffer.getChannelData(0).set(data());
+      buffers.set(key, buffer);
+    }
+    return buffer;
+  };
+
+  const position = () => {
+    if (!context || !source) return stoppedAt;
+    return Math.min(duration, startOffset + (context.currentTime - startedAt) * rate);
+  };
+
+  const stop = () => {
+    const at = position();
+    generation++;
+    playing = false;
+    if (source) {
+      source.onended = null;
+      try { source.stop(); } catch { /* never started */ }
+    }
+    oscillator?.stop();
+    context?.close().catch(() => { });
+    context = null;
+    source = null;
+    oscillator = null;
+    stoppedAt = at;
+    return at;
+  };
+
+  const play = async (from: number, options: PlaybackOptions) => {
+    const { mode, factor, carrier } = options;
+    stop();
+    const mine = ++generation;
+    playing = true;
+    startOffset = Math.max(0, Math.min(from, duration));
+    stoppedAt = startOffset;
+    const index = Math.min(Math.floor(startOffset * sampleRate / chunkFrames), Math.max(0, Math.ceil(pcm.frames / chunkFrames) - 1));
+    let samples: Float32Array;
+    try {
+      ({ samples } = await loadChunk(index));
+    } catch (error) {
+      if (generation === mine) stop();
+      throw error;
+    }
+    if (generation !== mine) return;
+    const chunkStart = index * chunkFrames / sampleRate;
+
+    context = new AudioContext({ sampleRate: contextRate });
+    startedAt = context.currentTime;
+    source = context.createBufferSource();
+    rate = 1;
+    let output: AudioNode = source;
+
+    if (mode === 'frequency-division') {
+      source.buffer = bufferFor(`fd:${factor}`, () => divideFrequency(samples, sampleRate, factor));
+    } else {
+      source.buffer = bufferFor('pcm', () => samples);
+    }
+    if (mode === 'time-expansion') {
+      rate = 1 / factor;
+      source.playbackRate.value = rate;
+    } else if (mode === 'heterodyne') {
+      // Ring modulation: the carrier drives the gain of a zero-gain stage,
+      // multiplying the two signals; the low-pass keeps the difference band.
+      const mixer = context.createGain();
+      mixer.gain.value = 0;
+      oscillator = context.createOscillator();
+      oscillator.frequency.value = carrier;
+      oscillator.connect(mixer.gain);
+      output.connect(mixer);
+      output = mixer;
+      for (let i = 0; i < 2; i++) {
+        const lowpass = context.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.value = HETERODYNE_BANDWIDTH;
+        output.connect(lowpass);
+        output = lowpass;
+      }
+      oscillator.start();
+    }
+    output.connect(context.destination);
+
+    // At the end of a chunk, carry on with the next one.
+    const chunkEnd = chunkStart + samples.length / sampleRate;
+    const ended = source;
+    source.onended = () => {
+      if (source !== ended) return;
+      if (chunkEnd < duration - 1 / sampleRate) play(chunkEnd, options).catch(() => stop());
+      else stop();
+    };
+    const starting = context;
+    await starting.resume();
+    // Paused (or restarted) while the context was waking up.
+    if (context !== starting) return;
+    startedAt = context.currentTime;
+    source.start(0, startOffset - chunkStart);
+  };
+
+  return {
+    play,
+    pause: stop,
+    position,
+    isPlaying: () => playing,
+    setCarrier: (carrier) => {
+      if (oscillator && context) oscillator.frequency.setValueAtTime(carrier, context.currentTime);
+    },
+    dispose: () => {
+      stop();
+      buffers.clear();
+      chunk = null;
+    },
+  };
+};
@@ -0,0 +1,123 @@
+// Mel tiles kept across sessions in IndexedDB, so reopening a file with the
+// same settings skips mel_spectrogram_db entirely. The worker reads and
+// writes it; the settings modal shows its size and clears it. Keys are the
+// worker's tile keys with the file's fingerprint (path, size and
+// modification time) in place of its id, so an edited recording misses.
+//
+// Three stores: `tiles` holds the data, `entries` each tile's size and last
+// use (indexed, for LRU eviction) so a hit doesn't rewrite the tile, and
+// `meta` the running byte total.
+
+const DB_NAME = 'spectrogram-tiles';
+const DB_VERSION = 1;
+
+// Evicted down to 90% of this when a write takes the total over it.
+export const TILE_CACHE_BUDGET_BYTES = 512 * 1024 * 1024;
+
+type Entry = { key: string; bytes: number; lastUsed: number };
+
+let opening: Promise<IDBDatabase> | null = null;
+
+const openDb = (): Promise<IDBDatabase> => {
+  if (!opening) {
+    opening = new Promise<IDBDatabase>((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('tiles');
+        db.createObjectStore('entries', { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
+        db.createObjectStore('meta');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again rather than keep the failure.
+    opening.catch(() => { opening = null; });
+  }
+  return opening;
+};
+
+const completion = (tx: IDBTransaction): Promise<void> => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const result = <T>(request: IDBRequest<T>): Promise<T> => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/** The stored tiles among `keys`, marking each as just used. */
+export const getTiles = async (keys: string[]): Promise<Map<string, Float32Array>> => {
+  const found = new Map<string, Float32Array>();
+  if (!keys.length) return found;
+  const db = await openDb();
+  const tx = db.transaction(['tiles', 'entries'], 'readwrite');
+  const tiles = tx.objectStore('tiles');
+  const entries = tx.objectStore('entries');
+  const now = Date.now();
+  await Promise.all(keys.map(async (key) => {
+    const tile = await result<Float32Array | undefined>(tiles.get(key));
+    if (!tile) return;
+    found.set(key, tile);
+    entries.put({ key, bytes: tile.byteLength, lastUsed: now } satisfies Entry);
+  }));
+  await completion(tx);
+  return found;
+};
+
+/** Store tiles, evicting the least recently used ones past the budget. */
+export const putTiles = async (tilesToPut: Array<[string, Float32Array]>): Promise<void> => {
+  if (!tilesToPut.length) return;
+  const db = await openDb();
+  const tx = db.transaction(['tiles', 'entries', 'meta'], 'readwrite');
+  const tiles = tx.objectStore('tiles');
+  const entries = tx.objectStore('entries');
+  const meta = tx.objectStore('meta');
+  const now = Date.now();
+
+  let total = (await result<number | undefined>(meta.get('bytes'))) ?? 0;
+  for (const [key, tile] of tilesToPut) {
+    const previous = await result<Entry | undefined>(entries.get(key));
+    total += tile.byteLength - (previous?.bytes ?? 0);
+    tiles.put(tile, key);
+    entries.put({ key, bytes: tile.byteLength, lastUsed: now } satisfies Entry);
+  }
+
+  if (total > TILE_CACHE_BUDGET_BYTES) {
+    const target = TILE_CACHE_BUDGET_BYTES * 0.9;
+    await new Promise<void>((resolve, reject) => {
+      const cursorRequest = entries.index('lastUsed').openCursor();
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || total <= target) {
+          resolve();
+          return;
+        }
+        const entry = cursor.value as Entry;
+        tiles.delete(entry.key);
+        cursor.delete();
+        total -= entry.bytes;
+        cursor.continue();
+      };
+    });
+  }
+  meta.put(Math.max(0, total), 'bytes');
+  await completion(tx);
+};
+
+/** Bytes of tile data currently stored. */
+export const tileCacheUsage = async (): Promise<number> => {
+  const db = await openDb();
+  const tx = db.transaction('meta', 'readonly');
+  return (await result<number | undefined>(tx.objectStore('meta').get('bytes'))) ?? 0;
+};
+
+export const clearTileCache = async (): Promise<void> => {
+  const db = await openDb();
+  const tx = db.transaction(['tiles', 'entries', 'meta'], 'readwrite');
+  for (const name of ['tiles', 'entries', 'meta']) tx.objectStore(name).clear();
+  await completion(tx);
+};
@@ -0,0 +1,123 @@
+// RIFF/WAVE decoding at the file's own sample rate. Web Audio's
+// decodeAudioData resamples everything to its context's rate (usually
+// 48 kHz), which throws away the ultrasonic half of a 256–384 kHz bat
+// recording, so PCM and IEEE-float WAVs are read here directly.
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+export interface WavHeader {
+  // The codec; for WAVE_FORMAT_EXTENSIBLE, the one named by its sub-format.
+  formatTag: number;
+  channels: number;
+  sampleRate: number;
+  blockAlign: number;
+  bitsPerSample: number;
+  dataOffset: number;
+  dataBytes: number;
+}
+
+export interface DecodedAudio {
+  sampleRate: number;
+  // One array of -1…1 floats per channel.
+  channelData: Float32Array[];
+}
+
+const fourCC = (view: DataView, offset: number): string =>
+  String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+
+/**
+ * The fmt and data chunks of a WAV file, or null when the buffer isn't one
+ * (or has no audio). Same walk as main/wav.js, over bytes already in memory.
+ * The buffer may be just the start of a file of `fileBytes` bytes, as long
+ * as it reaches the data chunk's header.
+ */
+export const readWavHeader = (buffer: ArrayBuffer, fileBytes = buffer.byteLength): WavHeader | null => {
+  const view = new DataView(buffer);
+  if (view.byteLength < 12 || fourCC(view, 0) !== 'RIFF' || fourCC(view, 8) !== 'WAVE') return null;
+
+  let fmt: Omit<WavHeader, 'dataOffset' | 'dataBytes'> | null = null;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = fourCC(view, offset);
+    const length = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === 'fmt ' && body + 16 <= view.byteLength) {
+      let formatTag = view.getUint16(body, true);
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE && length >= 40 && body + 26 <= view.byteLength) {
+        formatTag = view.getUint16(body + 24, true);
+      }
+      fmt = {
+        formatTag,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (id === 'data') {
+      if (!fmt || !fmt.sampleRate || !fmt.blockAlign || !fmt.channels) return null;
+      // Streaming recorders may leave the length at 0 or 0xFFFFFFFF.
+      const dataBytes = length && body + length <= fileBytes ? length : fileBytes - body;
+      return { ...fmt, dataOffset: body, dataBytes };
+    }
+    offset = body + length + (length % 2);
+  }
+  return null;
+};
+
+// Reader for one sample of the given codec and width, or null when we
+// leave the codec to Web Audio.
+const sampleReader = (formatTag: number, bits: number): ((view: DataView, at: number) => number) | null => {
+  if (formatTag === WAVE_FORMAT_PCM) {
+    switch (bits) {
+      case 8: return (view, at) => (view.getUint8(at) - 128) / 128;
+      case 16: return (view, at) => view.getInt16(at, true) / 32768;
+      case 24: return (view, at) => ((view.getInt8(at + 2) << 16) | (view.getUint8(at + 1) << 8) | view.getUint8(at)) / 8388608;
+      case 32: return (view, at) => view.getInt32(at, true) / 2147483648;
+    }
+  } else if (formatTag === WAVE_FORMAT_IEEE_FLOAT) {
+    if (bits === 32) return (view, at) => view.getFloat32(at, true);
+    if (bits === 64) return (view, at) => view.getFloat64(at, true);
+  }
+  return null;
+};
+
+// Whether decodeChannel can read this file's samples.
+export const canDecode = (header: WavHeader): boolean =>
+  sampleReader(header.formatTag, header.bitsPerSample) !== null;
+
+export const frameCount = (header: WavHeader): number => Math.floor(header.dataBytes / header.blockAlign);
+
+/**
+ * One channel of `frames` whole frames of sample data starting at
+ * `byteOffset` in `buffer`, which can be the whole file or a range of its
+ * data chunk. Null for codecs canDecode rejects.
+ */
+export const decodeChannel = (
+  buffer: ArrayBuffer, byteOffset: number, header: WavHeader, channel: number, frames: number,
+): Float32Array | null => {
+  const read = sampleReader(header.formatTag, header.bitsPerSample);
+  if (!read) return null;
+  const view = new DataView(buffer, byteOffset, frames * header.blockAlign);
+  const out = new Float32Array(frames);
+  const bytesPerSample = header.blockAlign / header.channels;
+  for (let i = 0, at = channel * bytesPerSample; i < frames; i++, at += header.blockAlign) {
+    out[i] = read(view, at);
+  }
+  return out;
+};
+
+/**
+ * Decode every channel of a PCM or float WAV at its native rate. Null
+ * for other files and codecs (ADPCM, µ-law, …), which the caller hands to
+ * Web Audio instead.
+ */
+export const decodeWav = (buffer: ArrayBuffer): DecodedAudio | null => {
+  const header = readWavHeader(buffer);
+  if (!header || !canDecode(header)) return null;
+  const frames = frameCount(header);
+  const channelData = Array.from({ length: header.channels },
+    (_, c) => decodeChannel(buffer, header.dataOffset, header, c, frames)!);
+  return { sampleRate: header.sampleRate, channelData };
+};
@@ -0,0 +1,86 @@
+// Reading a WAV a range at a time from the main process's clap-audio://
+// protocol (see main/audioStream.js), for recordings too long to decode
+// whole. Used by the provider to open a file and by the spectrogram worker
+// to read the frames behind each tile.
+
+import { WavHeader, readWavHeader, canDecode, decodeChannel, frameCount } from "./wavDecoder";
+
+// Files at least this big are streamed; smaller ones are still decoded
+// whole, which keeps every channel in memory for instant channel switches.
+// 128 MB is about 23 minutes of 48 kHz 16-bit stereo.
+export const STREAM_MIN_BYTES = 128 * 1024 * 1024;
+
+// First read when opening a file, doubled until it reaches the data chunk.
+const HEADER_PROBE_BYTES = 64 * 1024;
+const MAX_HEADER_BYTES = 4 * 1024 * 1024;
+
+// Everything needed to read frames, and small enough to post to the worker.
+export interface WavSource {
+  url: string;
+  header: WavHeader;
+}
+
+// `fingerprint` identifies the file's current contents (its URL plus the
+// server's ETag), or is null when the server sends no ETag.
+export type OpenedWav =
+  | { kind: "stream"; source: WavSource; fingerprint: string | null }
+  // Too small to be worth streaming, or not a WAV we can decode in pieces.
+  | { kind: "whole"; buffer: ArrayBuffer; fingerprint: string | null };
+
+// Bytes [start, end) of the file, its total size and its ETag.
+const fetchRange = async (url: string, start: number, end: number): Promise<{ buffer: ArrayBuffer; total: number | null; ranged: boolean; etag: string | null }> => {
+  const response = await fetch(url, { headers: { Range: `bytes=${start}-${end - 1}` } });
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  const buffer = await response.arrayBuffer();
+  const etag = response.headers.get("ETag");
+  if (response.status !== 206) return { buffer, total: buffer.byteLength, ranged: false, etag };
+  const total = /\/(\d+)$/.exec(response.headers.get("Content-Range") || "");
+  return { buffer, total: total ? Number(total[1]) : null, ranged: true, etag };
+};
+
+const fetchWhole = async (url: string): Promise<ArrayBuffer> => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  return response.arrayBuffer();
+};
+
+/**
+ * Open a recording: a WavSource for long PCM/float WAVs, otherwise the whole
+ * file's bytes. Only the header is read when streaming.
+ */
+export const openWav = async (url: string): Promise<OpenedWav> => {
+  let probe = HEADER_PROBE_BYTES;
+  for (;;) {
+    const { buffer, total, ranged, etag } = await fetchRange(url, 0, probe);
+    const fingerprint = etag ? `${url}|${etag}` : null;
+    // A server without range support has just sent the whole file.
+    if (!ranged) return { kind: "whole", buffer, fingerprint };
+    if (total === null || total < STREAM_MIN_BYTES) {
+      return { kind: "whole", buffer: await fetchWhole(url), fingerprint };
+    }
+    const header = readWavHeader(buffer, total);
+    if (header && canDecode(header)) return { kind: "stream", source: { url, header }, fingerprint };
+    if (header || probe >= MAX_HEADER_BYTES || buffer.byteLength < probe) {
+      // Compressed codec or no findable data chunk: Web Audio gets the lot.
+      return { kind: "whole", buffer: await fetchWhole(url), fingerprint };
+    }
+    probe *= 2;
+  }
+};
+
+export const sourceFrames = (source: WavSource): number => frameCount(source.header);
+
+/**
+ * `frames` samples of one channel starting at `startFrame`, fetched and
+ * decoded on the spot. Shorter (possibly empty) past the end of the file.
+ */
+export const readFrames = async (source: WavSource, channel: number, startFrame: number, frames: number): Promise<Float32Array> => {
+  const { header } = source;
+  const first = Math.max(0, Math.min(startFrame, sourceFrames(source)));
+  const count = Math.max(0, Math.min(frames, sourceFrames(source) - first));
+  if (count === 0) return new Float32Array(0);
+  const start = header.dataOffset + first * header.blockAlign;
+  const { buffer } = await fetchRange(source.url, start, start + count * header.blockAlign);
+  const whole = Math.min(count, Math.floor(buffer.byteLength / header.blockAlign));
+  return decodeChannel(buffer, 0, header, Math.min(channel, header.channels - 1), whole) ?? new Float32Array(0);
+};
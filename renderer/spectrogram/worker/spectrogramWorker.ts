@@ -3,19 +3,27 @@
   -------------------------------------
   This Web Worker owns all DSP-heavy spectrogram work so the React/UI thread stays smooth.
   It:
-    - Receives full PCM once per file (set_pcm)
-    - Renders any time window (render) using a frame-aligned mel tile cache
-    - Applies display-only transforms (gain/gamma/brightness/contrast) post-assembly
-    - Color-maps to RGBA and returns a Blob for direct <image> consumption
+    - Receives full PCM once per file (set_pcm), or for recordings too long
+      to decode whole, the URL and WAV header to read it from (set_source)
+    - Renders any time window (render) using a frame-aligned mel tile cache;
+      a streamed file's tiles are computed from just the byte ranges behind
+      them, so its PCM is never resident
+    - Backs the in-memory tile cache with a persistent one in IndexedDB
+      (tileStore.ts), so reopening a file with the same DSP settings skips
+      mel_spectrogram_db
+    - Returns the window's raw dB mel matrix with a table of its quantiles;
+      gain, gamma, brightness, contrast and the colormap are applied on the
+      GPU by the renderer (melDisplay.ts), so display changes never get here
 
   High-level pipeline for a render(fileId, t0, windowDuration):
     1) Convert the time window to global frame indices using hop_length
     2) Determine which tiles are needed to cover those frames
-    3) Compute any contiguous runs of missing tiles in a single mel_spectrogram_db call (+pad)
-       and slice the result into tile-sized chunks to populate the cache
+    3) Load missing tiles from the persistent cache, then compute any contiguous runs still
+       missing in a single mel_spectrogram_db call (+pad) and slice the result into
+       tile-sized chunks to populate both caches
     4) Concatenate tiles into a full-window mel buffer (flattened Float32Array)
-    5) Compute display parameters (gain percentiles, gamma), color-map, and draw to OffscreenCanvas
-    6) Convert to Blob and post back to the renderer
+    5) Sort its finite values once for the quantile table the display needs for gain and gamma
+    6) Post the buffer (transferred) and the table back to the renderer
 */
 
 // Note: Vite bundles this worker as an ES module worker.
@@ -29,6 +37,8 @@ import __wbg_init, { mel_spectrogram_db } from "../../../wasm/pkg/rust_melspec_w
 // eslint-disable-next-line @typescript-eslint/ban-ts-comment
 // @ts-ignore
 import wasmUrl from "../../../wasm/pkg/rust_melspec_wasm_bg.wasm?url";
+import { readFrames, WavSource } from "../wavStream";
+import { getTiles, putTiles } from "../tileStore";
 
 // Surface worker-side errors that previously vanished silently. Without these,
 // a WASM load failure or unhandled rejection inside the worker leaves the
@@ -40,15 +50,33 @@ self.addEventListener('unhandledrejection', (e) => {
   console.error('[spectrogram-worker] unhandledrejection', (e as PromiseRejectionEvent).reason);
 });
 
+// tsconfig only has the DOM lib, which types `self` as a Window; this is the
+// worker-side postMessage, for posts that transfer buffers.
+type WorkerScope = {
+  postMessage(message: unknown, transfer: Transferable[]): void
+}
+
 type InitMsg = {
-  type: 'init'
+  type: 'init',
+  // Workers in the pool, which share the tile budget
+  poolSize: number
 }
 
 type SetPcmMsg = {
   type: 'set_pcm',
   fileId: string,
   sampleRate: number,
-  pcm: Float32Array
+  pcm: Float32Array,
+  cacheId: string | null
+}
+
+type SetSourceMsg = {
+  type: 'set_source',
+  fileId: string,
+  sampleRate: number,
+  source: WavSource,
+  channel: number,
+  cacheId: string | null
 }
 
 type RenderMsg = {
@@ -66,13 +94,6 @@ type RenderMsg = {
     top_db: number
     t0: number
     windowDuration: number
-    dynamicGain: boolean
-    autoGamma: boolean
-    gammaValue: number
-    gainPercentile: number
-    brightness: number
-    contrast: number
-    colormap: string
   }
 }
 
@@ -81,7 +102,11 @@ type ClearPcmMsg = {
   fileId: string
 }
 
-type Msg = InitMsg | SetPcmMsg | RenderMsg | ClearPcmMsg
+type ClearTilesMsg = {
+  type: 'clear_tiles'
+}
+
+type Msg = InitMsg | SetPcmMsg | SetSourceMsg | RenderMsg | ClearPcmMsg | ClearTilesMsg
 
 type Tile = { startFrame: number; frames: number }
 
@@ -100,7 +125,13 @@ let wasmReady = false                          // Tracks if WASM is initialized
 // during an in-flight render's await points is guarded by `renderInFlight`.
 let renderInFlight = false
 const pendingRenders = new Map<string, RenderMsg>()
-const pcmStore = new Map<string, { sampleRate: number, pcm: Float32Array }>() // Full PCM per fileId
+// Per fileId: the full PCM, or the stream and channel to read it from.
+// cacheId stands in for the fileId in persistent tile keys; without one
+// (no file fingerprint) tiles are kept in memory only.
+type PCMEntry =
+  | { sampleRate: number, pcm: Float32Array, cacheId: string | null }
+  | { sampleRate: number, source: WavSource, channel: number, cacheId: string | null }
+const pcmStore = new Map<string, PCMEntry>()
 
 // Resolvers waiting for set_pcm. A render can arrive before the renderer has
 // finished fetching + decoding the WAV; instead of throwing, render handlers
@@ -108,7 +139,6 @@ const pcmStore = new Map<string, { sampleRate: number, pcm: Float32Array }>() //
 // On clear_pcm, waiters are resolved with `undefined` so the run queue can
 // drain instead of stalling forever — the subsequent pcmStore lookup throws and
 // the catch in processRender posts an error reply that nobody listens to.
-type PCMEntry = { sampleRate: number, pcm: Float32Array }
 const pcmReadyResolvers = new Map<string, Array<(entry: PCMEntry | undefined) => void>>()
 
 function waitForPCM(fileId: string): Promise<PCMEntry | undefined> {
@@ -123,54 +153,31 @@ function waitForPCM(fileId: string): Promise<PCMEntry | undefined> {
 
 const melTileCache = new Map<string, Float32Array>()  // Tile cache: flattened (frames * n_mels)
 const TILE_FRAMES = 1024                               // Tile width in frames (time columns)
-const MAX_TILES = 200                                  // LRU eviction limit (~200 MB at 1024 frames × 128 bins × f32)
-
-// Build a viridis RGBA LUT for better visualization
-function buildViridisLUT(): Uint8ClampedArray {
-  const lut = new Uint8ClampedArray(256 * 4)
-
-  // Viridis colormap - interpolated RGB values for smooth color transition
-  for (let i = 0; i < 256; i++) {
-    const t = i / 255.0  // Normalize to [0, 1]
-
-    // Viridis color interpolation
-    let r, g, b
-
-    if (t < 0.25) {
-      // Dark purple to blue
-      const localT = t / 0.25
-      r = Math.round(68 * (1 - localT) + 59 * localT)
-      g = Math.round(1 * (1 - localT) + 82 * localT)
-      b = Math.round(84 * (1 - localT) + 139 * localT)
-    } else if (t < 0.5) {
-      // Blue to green
-      const localT = (t - 0.25) / 0.25
-      r = Math.round(59 * (1 - localT) + 53 * localT)
-      g = Math.round(82 * (1 - localT) + 183 * localT)
-      b = Math.round(139 * (1 - localT) + 121 * localT)
-    } else if (t < 0.75) {
-      // Green to yellow
-      const localT = (t - 0.5) / 0.25
-      r = Math.round(53 * (1 - localT) + 253 * localT)
-      g = Math.round(183 * (1 - localT) + 231 * localT)
-      b = Math.round(121 * (1 - localT) + 37 * localT)
-    } else {
-      // Yellow to bright yellow
-      const localT = (t - 0.75) / 0.25
-      r = Math.round(253 * (1 - localT) + 254 * localT)
-      g = Math.round(231 * (1 - localT) + 240 * localT)
-      b = Math.round(37 * (1 - localT) + 36 * localT)
-    }
+const MAX_TILES = 200                                  // LRU eviction limit across the pool (~200 MB at 1024 frames × 128 bins × f32)
+let maxTiles = MAX_TILES                               // This worker's share, set by init
+let windowTileCount = 0                                // Tiles in the window being assembled
+
+function rememberTile(key: string, flat: Float32Array): void {
+  // LRU eviction: remove the least recently used entry when the cache is full.
+  // Never below one whole window, so a long window stays cached for its next
+  // render (a display change, scrolling back) even past this worker's share.
+  melTileCache.delete(key)
+  if (melTileCache.size >= Math.max(maxTiles, windowTileCount)) {
+    melTileCache.delete(melTileCache.keys().next().value!)
+  }
+  melTileCache.set(key, flat)
+}
 
-    lut[i * 4 + 0] = Math.max(0, Math.min(255, r))  // R
-    lut[i * 4 + 1] = Math.max(0, Math.min(255, g))  // G
-    lut[i * 4 + 2] = Math.max(0, Math.min(255, b))  // B
-    lut[i * 4 + 3] = 255                            // A
+// A cached tile, moved to the recently used end of the cache
+function recallTile(key: string): Float32Array | undefined {
+  const flat = melTileCache.get(key)
+  if (flat) {
+    melTileCache.delete(key)
+    melTileCache.set(key, flat)
   }
-  return lut
+  return flat
 }
 
-const viridisLUT = buildViridisLUT()            // Global LUT reused per render
 
 
 async function ensureWasmInitialized(): Promise<void> {
@@ -198,93 +205,39 @@ async function processRender(msg: RenderMsg): Promise<void> {
     await waitForPCM(fileId)
     const p = msg.params
     // Assemble the requested window by concatenating cached / freshly computed tiles
-    const { mel, frames } = assembleWindowMel(fileId, p)
-
-    const width = frames
-    const height = p.n_mels
-
-    if (!mel || frames <= 0) {
-      // Return an empty 1x1 image blob
-      const off = new OffscreenCanvas(1, 1)
-      const blob = await off.convertToBlob()
-      // eslint-disable-next-line @typescript-eslint/ban-ts-comment
-      // @ts-ignore
-      self.postMessage({ type: 'image', blob, renderId, fileId })
-      return
-    }
-
-    // Compute display transform parameters (dynamic gain and gamma) from flattened mel
-    let smin = Infinity
-    let smax = -Infinity
-    // Compute min/max over flattened mel (frames x n_mels)
-    for (let i = 0; i < mel.length; i++) {
+    const { mel, frames } = await assembleWindowMel(fileId, p)
+
+    // Sort finite mel values ONCE for the quantile table. The display picks
+    // dynamic-gain percentiles and the auto-gamma median out of it, so gain
+    // settings don't need the matrix sorted again. Filter into a Float32Array
+    // and use the native typed-array sort (numerical by default): a boxed JS
+    // array with a comparator ran for seconds on multi-million-element mels.
+    // Tiles at the end of the file stop short of the window; only whole
+    // frames are sent, spanning their share of it.
+    const melFrames = frames > 0 ? Math.floor(mel.length / p.n_mels) : 0
+    const count = melFrames * p.n_mels
+    const sortedFinite = new Float32Array(count)
+    let n = 0
+    for (let i = 0; i < count; i++) {
       const v = mel[i]
-      if (!isFinite(v)) continue
-      if (v < smin) smin = v
-      if (v > smax) smax = v
-    }
-    // Sort finite mel values ONCE — both dynamicGain (percentiles) and autoGamma (median) need it.
-    // The previous `Array.from(typedArray).filter(...).sort((a,b)=>a-b)` allocated a boxed JS array
-    // and used a JS-comparator sort; on multi-million-element mels that ran for seconds, and when
-    // multiple spectrogram workers ran concurrently most of them never finished — so settings
-    // saves visibly failed to redraw. Filter into a Float32Array and use the native typed-array
-    // sort (numerical by default).
-    let sortedFinite: Float32Array | null = null
-    if (p.dynamicGain || p.autoGamma) {
-      const tmp = new Float32Array(mel.length)
-      let n = 0
-      for (let i = 0; i < mel.length; i++) {
-        const v = mel[i]
-        if (Number.isFinite(v)) tmp[n++] = v
-      }
-      sortedFinite = tmp.subarray(0, n)
-      sortedFinite.sort()
-    }
-    if (p.dynamicGain && sortedFinite && sortedFinite.length > 0) {
-      const idxLow = Math.floor(0.05 * sortedFinite.length)
-      const idxHigh = Math.floor((p.gainPercentile / 100) * sortedFinite.length)
-      smin = sortedFinite[Math.min(idxLow, sortedFinite.length - 1)]
-      smax = sortedFinite[Math.min(idxHigh, sortedFinite.length - 1)]
-    }
-    if (!(smax > smin)) {
-      smax = smin + 1e-6
-    }
-    let gamma = p.gammaValue
-    if (p.autoGamma && sortedFinite) {
-      const mid = sortedFinite.length ? sortedFinite[Math.floor(sortedFinite.length * 0.5)] : 0
-      const normalizedMedian = (mid - smin) / (smax - smin)
-      gamma = normalizedMedian < 0.3 ? 0.6 : normalizedMedian > 0.7 ? 1.4 : 1.0
-    }
-
-    const off = new OffscreenCanvas(width, height)
-    const ctx = off.getContext('2d')!
-    const image = ctx.createImageData(width, height)
-    const data = image.data
-
-    // Rasterize: bottom-up so the lowest mel band is at the bottom of the image
-    for (let j = height - 1; j >= 0; j--) {
-      for (let i = width - 1; i >= 0; i--) {
-        const v = mel[i * height + j] // flattened time-major
-        let normalizedValue = (v - smin) / (smax - smin)
-        if (!isFinite(normalizedValue)) normalizedValue = 0
-        normalizedValue = Math.max(0, Math.min(1, normalizedValue))
-        const gammaAdjusted = Math.pow(normalizedValue, gamma)
-        const adjustedValue = (gammaAdjusted - 0.5) * p.contrast + 0.5 + p.brightness
-        const clampedValue = Math.max(0, Math.min(1, adjustedValue))
-        const num = (clampedValue * 255) | 0
-        const o = ((height - 1 - j) * width + i) * 4
-        data[o + 0] = viridisLUT[num * 4 + 0]
-        data[o + 1] = viridisLUT[num * 4 + 1]
-        data[o + 2] = viridisLUT[num * 4 + 2]
-        data[o + 3] = 255
-      }
+      if (Number.isFinite(v)) sortedFinite[n++] = v
     }
-    ctx.putImageData(image, 0, 0)
-
-    const blob = await off.convertToBlob()
-    // eslint-disable-next-line @typescript-eslint/ban-ts-comment
-    // @ts-ignore
-    self.postMessage({ type: 'image', blob, renderId, fileId })
+    const sorted = sortedFinite.subarray(0, n)
+    sorted.sort()
+    const quantiles = quantileTable(sorted)
+
+    const out = mel.length === count ? mel : mel.slice(0, count)
+    ;(self as unknown as WorkerScope).postMessage({
+      type: 'mel',
+      mel: out,
+      frames: melFrames,
+      nMels: p.n_mels,
+      t0: p.t0,
+      duration: melFrames ? p.windowDuration * (melFrames / frames) : 0,
+      quantiles,
+      renderId,
+      fileId
+    }, [out.buffer as ArrayBuffer, quantiles.buffer as ArrayBuffer])
   } catch (err) {
     // eslint-disable-next-line no-console
     console.error('worker render error:', err)
@@ -294,6 +247,19 @@ async function processRender(msg: RenderMsg): Promise<void> {
   }
 }
 
+// QUANTILE_STEPS + 1 values: entry k is the (k / QUANTILE_STEPS) quantile,
+// so 0 is the minimum and the last the maximum. Empty without finite values.
+const QUANTILE_STEPS = 1000
+
+function quantileTable(sorted: Float32Array): Float32Array {
+  if (!sorted.length) return new Float32Array(0)
+  const table = new Float32Array(QUANTILE_STEPS + 1)
+  for (let k = 0; k <= QUANTILE_STEPS; k++) {
+    table[k] = sorted[Math.min(Math.floor((k / QUANTILE_STEPS) * sorted.length), sorted.length - 1)]
+  }
+  return table
+}
+
 async function runLoop(): Promise<void> {
   if (renderInFlight) return
   while (pendingRenders.size > 0) {
@@ -316,15 +282,19 @@ async function runLoop(): Promise<void> {
 self.onmessage = async (e: MessageEvent<Msg>) => {
   const msg = e.data
   if (msg.type === 'init') {
+    maxTiles = Math.max(1, Math.floor(MAX_TILES / Math.max(1, msg.poolSize)))
     try {
       await ensureWasmInitialized()
     } catch { /* swallow — render path will surface a real error reply */ }
     return
   }
 
-  if (msg.type === 'set_pcm') {
-    // Store PCM and sampleRate for this fileId in memory for fast repeated access
-    const entry = { sampleRate: msg.sampleRate, pcm: msg.pcm }
+  if (msg.type === 'set_pcm' || msg.type === 'set_source') {
+    // Store PCM and sampleRate for this fileId in memory for fast repeated
+    // access; for a stream, just where to read it
+    const entry: PCMEntry = msg.type === 'set_pcm'
+      ? { sampleRate: msg.sampleRate, pcm: msg.pcm, cacheId: msg.cacheId }
+      : { sampleRate: msg.sampleRate, source: msg.source, channel: msg.channel, cacheId: msg.cacheId }
     pcmStore.set(msg.fileId, entry)
     // Resolve any render handlers that started before this PCM arrived.
     const waiters = pcmReadyResolvers.get(msg.fileId)
@@ -360,6 +330,12 @@ self.onmessage = async (e: MessageEvent<Msg>) => {
     }
     return
   }
+
+  if (msg.type === 'clear_tiles') {
+    // The persistent cache was just emptied; drop the copies held here too.
+    melTileCache.clear()
+    return
+  }
 }
 
 // Ready handshake: now that self.onmessage is installed, tell the main thread
@@ -407,8 +383,11 @@ function concatTiles(tiles: Float32Array[]): Float32Array {
   return out
 }
 
-// Analyze which tiles are needed and which are missing, returning both
-function analyzeTiles(fileId: string, F0: number, F1: number, p: RenderMsg['params']): { needed: Tile[], missing: Tile[] } {
+// Analyze which tiles are needed and which are missing, returning both.
+// Tiles found in the cache are added to `windowTiles`.
+function analyzeTiles(
+  fileId: string, F0: number, F1: number, p: RenderMsg['params'], windowTiles: Map<string, Float32Array>
+): { needed: Tile[], missing: Tile[] } {
   // Build list of needed tiles
   const needed: Tile[] = []
   let cursor = F0
@@ -425,9 +404,10 @@ function analyzeTiles(fileId: string, F0: number, F1: number, p: RenderMsg['para
 
   for (const tile of needed) {
     const key = tileKey(fileId, tile.startFrame, tile.frames, p)
-    const isCached = melTileCache.has(key)
+    const flat = windowTiles.get(key) ?? recallTile(key)
 
-    if (isCached) {
+    if (flat) {
+      windowTiles.set(key, flat)
       if (segStart !== -1) {
         missing.push({ startFrame: segStart, frames: segEnd - segStart + 1 })
         segStart = segEnd = -1
@@ -454,36 +434,85 @@ function analyzeTiles(fileId: string, F0: number, F1: number, p: RenderMsg['para
   return { needed, missing }
 }
 
-function assembleWindowMel(fileId: string, p: RenderMsg['params']): { mel: Float32Array, frames: number } {
+// Copy whichever of the missing tiles the persistent cache has into memory.
+// A failing IndexedDB only costs the recompute, so errors are logged and ignored.
+async function loadStoredTiles(
+  fileId: string, cacheId: string, needed: Tile[], p: RenderMsg['params'], windowTiles: Map<string, Float32Array>
+): Promise<void> {
+  const wanted = needed.filter(t => !windowTiles.has(tileKey(fileId, t.startFrame, t.frames, p)))
+  if (!wanted.length) return
+  try {
+    const stored = await getTiles(wanted.map(t => tileKey(cacheId, t.startFrame, t.frames, p)))
+    for (const t of wanted) {
+      const flat = stored.get(tileKey(cacheId, t.startFrame, t.frames, p))
+      if (!flat) continue
+      rememberTile(tileKey(fileId, t.startFrame, t.frames, p), flat)
+      windowTiles.set(tileKey(fileId, t.startFrame, t.frames, p), flat)
+    }
+  } catch (err) {
+    console.warn('[spectrogram-worker] tile cache read failed', err)
+  }
+}
+
+async function assembleWindowMel(fileId: string, p: RenderMsg['params']): Promise<{ mel: Float32Array, frames: number }> {
   const { F0, F1 } = framesForWindow(p)
-  const { needed, missing } = analyzeTiles(fileId, F0, F1, p)
+  // The window's tiles as they are found, loaded or computed. Concatenated
+  // from here rather than read back from the cache, which may already have
+  // evicted the first tiles of a long window by the time the last are done.
+  const windowTiles = new Map<string, Float32Array>()
+  let { needed, missing } = analyzeTiles(fileId, F0, F1, p, windowTiles)
+  windowTileCount = needed.length
+  const cacheId = pcmStore.get(fileId)?.cacheId
+
+  if (missing.length && cacheId) {
+    await loadStoredTiles(fileId, cacheId, needed, p, windowTiles)
+    ;({ needed, missing } = analyzeTiles(fileId, F0, F1, p, windowTiles))
+  }
 
   // Compute missing segments
+  const computed: Tile[] = []
   for (const seg of missing) {
-    computeSegmentAndPopulateTiles(fileId, seg, p)
+    computed.push(...await computeSegmentAndPopulateTiles(fileId, seg, p, windowTiles))
+  }
+
+  // Persist in the background; the render doesn't wait on the write.
+  if (cacheId && computed.length) {
+    const entries = computed.flatMap((t): Array<[string, Float32Array]> => {
+      const flat = windowTiles.get(tileKey(fileId, t.startFrame, t.frames, p))
+      return flat ? [[tileKey(cacheId, t.startFrame, t.frames, p), flat]] : []
+    })
+    putTiles(entries).catch(err => console.warn('[spectrogram-worker] tile cache write failed', err))
   }
 
   // Concatenate all tiles
-  const tiles = needed.map(t => melTileCache.get(tileKey(fileId, t.startFrame, t.frames, p))!)
+  const tiles = needed.map(t => windowTiles.get(tileKey(fileId, t.startFrame, t.frames, p))!)
   return { mel: concatTiles(tiles), frames: F1 - F0 + 1 }
 }
 
 
-// Compute a whole contiguous segment once (+pad) and populate per-tile cache entries
-function computeSegmentAndPopulateTiles(
+// Samples [start, end) of a file: a view of its PCM, or read from its stream.
+async function readSamples(entry: PCMEntry, start: number, end: number): Promise<Float32Array> {
+  if ('pcm' in entry) return entry.pcm.subarray(start, Math.min(entry.pcm.length, end))
+  return readFrames(entry.source, entry.channel, start, end - start)
+}
+
+// Compute a whole contiguous segment once (+pad) and populate per-tile cache
+// entries and `windowTiles`; returns the tiles it computed
+async function computeSegmentAndPopulateTiles(
   fileId: string,
   seg: { startFrame: number; frames: number },
-  p: RenderMsg['params']
-) {
+  p: RenderMsg['params'],
+  windowTiles: Map<string, Float32Array>
+): Promise<Tile[]> {
   const pcmEntry = pcmStore.get(fileId)
   if (!pcmEntry) throw new Error('PCM not loaded for fileId')
 
   const hop = p.hop_length
   const pad = p.n_fft
   const startSample = Math.max(0, seg.startFrame * hop - pad)
-  const endSample = Math.min(pcmEntry.pcm.length, (seg.startFrame + seg.frames) * hop + pad)
+  const endSample = (seg.startFrame + seg.frames) * hop + pad
 
-  const slice = pcmEntry.pcm.subarray(startSample, endSample)
+  const slice = await readSamples(pcmEntry, startSample, endSample)
 
   const melFrames = mel_spectrogram_db(
     p.sampleRate,
@@ -500,20 +529,19 @@ function computeSegmentAndPopulateTiles(
   const framesPerPad = Math.floor(pad / hop)
   const usable = melFrames.slice(framesPerPad, framesPerPad + seg.frames)
 
+  const tiles: Tile[] = []
   let cursor = 0
   while (cursor < seg.frames) {
     const thisFrames = Math.min(TILE_FRAMES, seg.frames - cursor)
     const tileFrames = usable.slice(cursor, cursor + thisFrames)
     const flat = flattenMel(tileFrames, p.n_mels)
     const tStart = seg.startFrame + cursor
-    const key = tileKey(fileId, tStart, thisFrames, p)
-    // LRU eviction: remove oldest entry when cache is full
-    if (melTileCache.size >= MAX_TILES) {
-      melTileCache.delete(melTileCache.keys().next().value!)
-    }
-    melTileCache.set(key, flat)
+    rememberTile(tileKey(fileId, tStart, thisFrames, p), flat)
+    windowTiles.set(tileKey(fileId, tStart, thisFrames, p), flat)
+    tiles.push({ startFrame: tStart, frames: thisFrames })
     cursor += thisFrames
   }
+  return tiles
 }
 
 
@@ -1,16 +1,20 @@
-// Shared spectrogram worker client.
+// Spectrogram worker pool client.
 //
-// All SpectrogramGraphics instances on the page route through one Worker, rather
-// than spawning one per spectrogram. The per-instance design was hitting a
-// Chromium/Electron failure where some Workers came up with non-functional IPC
-// channels — boot would complete, but postMessage from main never delivered, so
-// the badge stayed on "Rendering…" forever. The failure rate per Worker was
-// non-trivial and broken Workers appeared to leak across sessions, so even
-// single-file sessions could hang after a previous session had stuck spectrograms.
+// SpectrogramGraphics instances route through a small, fixed pool of Workers
+// rather than spawning one per spectrogram. The per-instance design was hitting
+// a Chromium/Electron failure where some Workers came up with non-functional
+// IPC channels — boot would complete, but postMessage from main never
+// delivered, so the badge stayed on "Rendering…" forever. A handful of
+// long-lived workers keeps that exposure small, and the watchdog below
+// replaces any that come up broken or stop answering. Each worker still
+// renders one window at a time, so the pool is what lets a page of
+// spectrograms render in parallel.
 //
-// Routing model: replies are tagged with `fileId`. Subscribers register for a
-// fileId and receive only matching replies. PCM is freed in the worker when the
-// last subscriber for a fileId unsubscribes.
+// Routing model: each fileId is pinned to one worker (the least loaded when
+// it is first seen), so its PCM and mel tiles live in one place. Replies are
+// tagged with `fileId`; subscribers register for a fileId and receive only
+// matching replies. PCM is freed in the worker when the last subscriber for
+// a fileId unsubscribes, and the pin is released.
 //
 // Ready-handshake: messages sent to a module Worker during its initial module
 // evaluation phase can be silently dropped — observed empirically: messages
@@ -18,62 +22,176 @@
 // onmessage, while a message posted after the boundary processed normally on
 // the same worker instance. The fix is the standard handshake: the worker
 // posts {type:'ready'} once its onmessage is installed, and we hold all
-// outbound messages until that arrives.
+// outbound messages for that worker until that arrives.
+//
+// Replacement: a worker that misses the handshake, or owes render replies and
+// has been silent too long, is terminated and a fresh one takes its slot.
+// Its subscribers get {type:'restarted'} and post their PCM and render again;
+// the client can't replay set_pcm itself, since the PCM was transferred.
+
+type WorkerReply = {
+  type: string;
+  fileId?: string;
+  renderId?: number;
+  error?: string;
+  // A 'mel' reply: the window's matrix and quantile table (see melDisplay.ts)
+  mel?: Float32Array;
+  frames?: number;
+  nMels?: number;
+  t0?: number;
+  duration?: number;
+  quantiles?: Float32Array;
+};
+
+// Each worker keeps its own WASM instance, so the pool stays small; one core
+// is left for the UI thread. The in-memory tile budget is split between the
+// workers: 'init' tells each one the pool size.
+const MAX_POOL_SIZE = 4;
+const POOL_SIZE = Math.max(1, Math.min(MAX_POOL_SIZE, (navigator.hardwareConcurrency || 2) - 1));
 
-type WorkerReply = { type: string; fileId?: string; renderId?: number; blob?: Blob; error?: string };
+const READY_TIMEOUT_MS = 10_000;
+// No reply of any kind for this long while renders are outstanding. Generous:
+// one long window's mel computation blocks the worker for a few seconds.
+const STALL_TIMEOUT_MS = 30_000;
+const WATCHDOG_INTERVAL_MS = 5_000;
 
-let _worker: Worker | null = null;
-let _workerReady = false;
-const _pendingPosts: Array<{ msg: unknown; transfer: Transferable[] }> = [];
+type Slot = {
+  worker: Worker;
+  ready: boolean;
+  pendingPosts: Array<{ msg: unknown; transfer: Transferable[] }>;
+  // Newest renderId posted per fileId that hasn't been answered. Older ones
+  // may be coalesced away by the worker and never answered at all.
+  owed: Map<string, number>;
+  // Creation, or the last reply / first owed render since the worker was idle.
+  lastActivity: number;
+};
+
+const slots: Array<Slot | null> = new Array(POOL_SIZE).fill(null);
+const assignments = new Map<string, number>();
 const listeners = new Map<string, Set<(msg: WorkerReply) => void>>();
+let watchdog: ReturnType<typeof setInterval> | null = null;
+
+function notify(fileId: string, msg: WorkerReply): void {
+  const set = listeners.get(fileId);
+  if (!set) return;
+  for (const cb of set) cb(msg);
+}
 
-function ensureWorker(): Worker {
-  if (_worker) return _worker;
-  _worker = new Worker(new URL('./worker/spectrogramWorker.ts', import.meta.url), { type: 'module' });
-  _worker.onmessage = (ev: MessageEvent<WorkerReply>) => {
+function startWorker(index: number): Slot {
+  const worker = new Worker(new URL('./worker/spectrogramWorker.ts', import.meta.url), { type: 'module' });
+  const slot: Slot = {
+    worker, ready: false, pendingPosts: [{ msg: { type: 'init', poolSize: POOL_SIZE }, transfer: [] }],
+    owed: new Map(), lastActivity: Date.now(),
+  };
+  worker.onmessage = (ev: MessageEvent<WorkerReply>) => {
+    if (slots[index] !== slot) return;
     const msg = ev.data;
+    slot.lastActivity = Date.now();
     if (msg?.type === 'ready') {
       // Worker's onmessage is installed. Flush anything we buffered during
       // module evaluation. We splice (not iterate-then-clear) so a reentrant
       // postWorkerMessage during flush appends to the new array, not the one
       // we're iterating.
-      _workerReady = true;
-      const drained = _pendingPosts.splice(0);
+      slot.ready = true;
+      const drained = slot.pendingPosts.splice(0);
       for (const { msg: pm, transfer } of drained) {
-        _worker!.postMessage(pm, transfer);
+        worker.postMessage(pm, transfer);
       }
       return;
     }
     if (!msg || !msg.fileId) return;
-    const set = listeners.get(msg.fileId);
-    if (!set) return;
-    for (const cb of set) cb(msg);
+    const owed = slot.owed.get(msg.fileId);
+    if (owed !== undefined && (typeof msg.renderId !== 'number' || msg.renderId >= owed)) {
+      slot.owed.delete(msg.fileId);
+    }
+    notify(msg.fileId, msg);
   };
   // Surface worker crashes that previously vanished silently.
-  _worker.onerror = (ev) => {
+  worker.onerror = (ev) => {
     console.error('[spectrogram-worker] onerror', ev.message, ev.filename, ev.lineno, ev.error);
   };
-  _worker.onmessageerror = (ev) => {
+  worker.onmessageerror = (ev) => {
     console.error('[spectrogram-worker] onmessageerror — message could not be deserialized', ev);
   };
-  return _worker;
+  slots[index] = slot;
+  if (!watchdog) watchdog = setInterval(checkWorkers, WATCHDOG_INTERVAL_MS);
+  return slot;
+}
+
+function replaceWorker(index: number, reason: string): void {
+  const old = slots[index];
+  if (!old) return;
+  console.warn(`[spectrogram-worker] replacing worker ${index}: ${reason}`);
+  old.worker.terminate();
+  // Buffered posts are dropped with the worker: the restarted subscribers
+  // post their current state again.
+  startWorker(index);
+  for (const [fileId, slotIndex] of assignments) {
+    if (slotIndex === index) notify(fileId, { type: 'restarted', fileId });
+  }
+}
+
+function checkWorkers(): void {
+  const now = Date.now();
+  slots.forEach((slot, index) => {
+    if (!slot) return;
+    if (!slot.ready && now - slot.lastActivity > READY_TIMEOUT_MS) {
+      replaceWorker(index, 'no ready handshake');
+    } else if (slot.owed.size > 0 && now - slot.lastActivity > STALL_TIMEOUT_MS) {
+      replaceWorker(index, 'stopped responding');
+    }
+  });
+}
+
+// The slot a fileId is pinned to, pinning it to the least loaded one if it
+// has none yet. Slots are started on first use.
+function slotIndexFor(fileId: string): number {
+  const assigned = assignments.get(fileId);
+  if (assigned !== undefined) return assigned;
+  const load = new Array(POOL_SIZE).fill(0);
+  for (const index of assignments.values()) load[index]++;
+  let best = 0;
+  for (let i = 1; i < POOL_SIZE; i++) {
+    if (load[i] < load[best]) best = i;
+  }
+  assignments.set(fileId, best);
+  return best;
+}
+
+function postToSlot(index: number, msg: unknown, transfer: Transferable[]): void {
+  const slot = slots[index] ?? startWorker(index);
+  const { type, fileId, renderId } = (msg ?? {}) as { type?: string; fileId?: string; renderId?: number };
+  if (type === 'render' && fileId && typeof renderId === 'number') {
+    if (slot.owed.size === 0) slot.lastActivity = Date.now();
+    slot.owed.set(fileId, renderId);
+  } else if (type === 'clear_pcm' && fileId) {
+    // The worker drops the queued render without replying.
+    slot.owed.delete(fileId);
+  }
+  if (!slot.ready) {
+    slot.pendingPosts.push({ msg, transfer });
+    return;
+  }
+  slot.worker.postMessage(msg, transfer);
 }
 
 export function postWorkerMessage(msg: unknown, transfer?: Transferable[]): void {
   const transferArr = (transfer ?? []) as Transferable[];
-  ensureWorker();
-  if (!_workerReady) {
-    _pendingPosts.push({ msg, transfer: transferArr });
+  const fileId = (msg as { fileId?: string } | null)?.fileId;
+  if (fileId) {
+    postToSlot(slotIndexFor(fileId), msg, transferArr);
     return;
   }
-  _worker!.postMessage(msg, transferArr);
+  // Not about any one file: every running worker gets it.
+  slots.forEach((slot, index) => { if (slot) postToSlot(index, msg, transferArr); });
 }
 
 export function subscribeWorker(
   fileId: string,
   cb: (msg: WorkerReply) => void,
 ): () => void {
-  ensureWorker();
+  const index = slotIndexFor(fileId);
+  if (!slots[index]) startWorker(index);
   let set = listeners.get(fileId);
   if (!set) {
     set = new Set();
@@ -86,12 +204,13 @@ export function subscribeWorker(
     s.delete(cb);
     if (s.size === 0) {
       listeners.delete(fileId);
-      // No more consumers for this fileId — tell the worker to free the PCM
+      // No more consumers for this fileId — tell its worker to free the PCM
       // (and abort any in-flight render that was waiting for it) so the worker's
       // run queue doesn't stall and pcmStore doesn't grow unbounded. Route
       // through postWorkerMessage so the message is buffered if the worker
-      // is somehow not ready yet.
+      // is somehow not ready yet, then release the pin.
       postWorkerMessage({ type: 'clear_pcm', fileId });
+      assignments.delete(fileId);
     }
   };
 }
@@ -0,0 +1,287 @@
+import { Plus, X } from 'lucide-react'
+import React, { useState } from 'react';
+import type { CustomField, DetectionLabel, Taxon } from '../types/electron';
+import SpeciesPicker from './SpeciesPicker';
+import { CERTAINTY_LEVELS, COMMON_CALL_TYPES } from '../utils/labels';
+import { addTags, parseTagInput } from '../utils/notes';
+
+// Editor for a detection's labels, the profile's custom fields, and its notes
+// and tags in the Detection Annotation panel. Each label row is one species
+// with an optional call type and certainty; the first row is the primary
+// label. Label edits are local until the parent saves them; everything else
+// is saved as soon as it's changed (typed text when the box loses focus).
+
+interface Props {
+  labels: DetectionLabel[]
+  speciesList: string[]
+  // The profile's taxonomy, searched by the species picker.
+  taxa?: Taxon[]
+  // Without it the labels are read-only and not shown here (verified detections).
+  onChange?: (labels: DetectionLabel[]) => void
+  heading: string
+  fields?: CustomField[]
+  fieldValues?: Record<string, string>
+  onFieldChange?: (name: string, value: string | number | boolean | null) => void
+  notes?: string | null
+  tags?: string[] | null
+  // Tags already used in the experiment, offered as suggestions.
+  knownTags?: string[]
+  onNotesChange?: (changes: { notes?: string | null; tags?: string[] }) => void
+}
+
+const EMPTY_LABEL: DetectionLabel = { species: '', code: null, call_type: null, certainty: null }
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 text-xs'
+
+// Stored values are text (they're CSV columns); imported files may spell
+// booleans as 1/0 or yes/no.
+const readBoolean = (value?: string): string => {
+  if (value === undefined || value === '') return ''
+  return /^(true|1|yes|y)$/i.test(value) ? 'true' : 'false'
+}
+
+// Text and number boxes keep a draft while focused and commit on blur or
+// Enter, so typing doesn't write (and record an undo step) per keystroke.
+const DraftInput = ({ field, value, onCommit }: {
+  field: CustomField
+  value: string
+  onCommit: (value: string | number | null) => void
+}) => {
+  const [draft, setDraft] = useState(value)
+  const commit = () => {
+    if (draft === value) return
+    if (draft.trim() === '') onCommit(null)
+    else onCommit(field.type === 'number' ? Number(draft) : draft)
+  }
+  return (
+    <input
+      type={field.type === 'number' ? 'number' : 'text'}
+      className={`${inputClass} w-full`}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') (e.target as HTMLInputElement).blur() }}
+    />
+  )
+}
+
+const FieldInput = ({ field, value, onChange }: {
+  field: CustomField
+  value?: string
+  onChange: (value: string | number | boolean | null) => void
+}) => {
+  if (field.type === 'enum') {
+    return (
+      <select className={`${inputClass} w-full`} value={value ?? ''} onChange={(e) => onChange(e.target.value || null)}>
+        <option value="">—</option>
+        {/* A value imported from a file may not be one of the options. */}
+        {value && !field.options?.includes(value) && <option value={value} disabled>{value}</option>}
+        {field.options?.map((option) => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+    )
+  }
+  if (field.type === 'boolean') {
+    return (
+      <select
+        className={`${inputClass} w-full`}
+        value={readBoolean(value)}
+        onChange={(e) => onChange(e.target.value === '' ? null : e.target.value === 'true')}
+      >
+        <option value="">—</option>
+        <option value="true">Yes</option>
+        <option value="false">No</option>
+      </select>
+    )
+  }
+  return <DraftInput key={value ?? ''} field={field} value={value ?? ''} onCommit={onChange} />
+}
+
+const NotesEditor = ({ notes, tags, knownTags, onChange }: {
+  notes: string
+  tags: string[]
+  knownTags: string[]
+  onChange: NonNullable<Props['onNotesChange']>
+}) => {
+  const [tagDraft, setTagDraft] = useState('')
+  const [notesDraft, setNotesDraft] = useState(notes)
+
+  const commitTags = () => {
+    const added = parseTagInput(tagDraft)
+    setTagDraft('')
+    const next = addTags(tags, added)
+    if (next.length !== tags.length) onChange({ tags: next })
+  }
+
+  return (
+    <div className="space-y-2">
+      <div>
+        <label className="block text-xs font-medium text-gray-700 mb-1">Tags</label>
+        <div className="flex flex-wrap items-center gap-1">
+          {tags.map((tag) => (
+            <span key={tag} className="inline-flex items-center px-1.5 py-0.5 rounded bg-amber-100 text-amber-800 text-xs">
+              {tag}
+              <button
+                onClick={() => onChange({ tags: tags.filter(t => t !== tag) })}
+                className="ml-1 hover:text-amber-950"
+                title={`Remove ${tag}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+          <input
+            className={`${inputClass} flex-1 min-w-[6rem]`}
+            list="annotation-known-tags"
+            placeholder={tags.length ? 'Add tag…' : 'e.g. needs-review'}
+            value={tagDraft}
+            onChange={(e) => setTagDraft(e.target.value)}
+            onBlur={commitTags}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault()
+                commitTags()
+              }
+            }}
+          />
+          <datalist id="annotation-known-tags">
+            {knownTags.filter(t => !tags.includes(t)).map((tag) => (
+              <option key={tag} value={tag} />
+            ))}
+          </datalist>
+        </div>
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-gray-700 mb-1">Notes</label>
+        <textarea
+          className={`${inputClass} w-full resize-y`}
+          rows={2}
+          placeholder="e.g. possible juvenile, check with expert"
+          value={notesDraft}
+          onChange={(e) => setNotesDraft(e.target.value)}
+          onBlur={() => {
+            if (notesDraft.trim() !== notes) onChange({ notes: notesDraft.trim() || null })
+          }}
+        />
+      </div>
+    </div>
+  )
+}
+
+const LabelsEditor = ({ labels, speciesList, taxa, onChange, heading }: {
+  labels: DetectionLabel[]
+  speciesList: string[]
+  taxa: Taxon[]
+  onChange: (labels: DetectionLabel[]) => void
+  heading: string
+}) => {
+  // Always offer one row, so an unlabelled detection reads like the old
+  // single species picker.
+  const rows = labels.length ? labels : [EMPTY_LABEL]
+
+  const update = (index: number, patch: Partial<DetectionLabel>) =>
+    onChange(rows.map((label, i) => (i === index ? { ...label, ...patch } : label)))
+
+  const remove = (index: number) => onChange(rows.filter((_, i) => i !== index))
+
+  return (
+    <div>
+      <label className="block text-xs font-medium text-gray-700 mb-1">{heading}</label>
+      <div className="space-y-2">
+        {rows.map((label, index) => (
+          <div key={index} className="flex items-center space-x-1">
+            <SpeciesPicker
+              className="flex-1 min-w-0"
+              species={label.species}
+              code={label.code}
+              taxa={taxa}
+              speciesList={speciesList}
+              onChange={(choice) => update(index, choice)}
+              title={index === 0 ? 'Primary species' : 'Additional species'}
+            />
+            <input
+              className={`${inputClass} w-24`}
+              list="annotation-call-types"
+              placeholder="Call type"
+              value={label.call_type ?? ''}
+              onChange={(e) => update(index, { call_type: e.target.value })}
+            />
+            <select
+              className={`${inputClass} w-24`}
+              value={label.certainty ?? ''}
+              onChange={(e) => update(index, { certainty: (e.target.value || null) as DetectionLabel['certainty'] })}
+            >
+              <option value="">Certainty…</option>
+              {CERTAINTY_LEVELS.map((level) => (
+                <option key={level} value={level}>{level}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => remove(index)}
+              disabled={rows.length === 1 && !label.species}
+              className="p-1 hover:bg-gray-100 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+              title="Remove label"
+            >
+              <X className="h-3 w-3 text-gray-500" />
+            </button>
+          </div>
+        ))}
+      </div>
+      <datalist id="annotation-call-types">
+        {COMMON_CALL_TYPES.map((type) => (
+          <option key={type} value={type} />
+        ))}
+      </datalist>
+      <button
+        onClick={() => onChange([...rows, EMPTY_LABEL])}
+        disabled={!rows[rows.length - 1].species}
+        className="mt-2 flex items-center text-xs font-medium text-blue-600 hover:text-blue-700 disabled:text-gray-400 disabled:cursor-not-allowed"
+      >
+        <Plus className="h-3 w-3 mr-1" />
+        Add another label
+      </button>
+    </div>
+  )
+}
+
+const AnnotationPanel = ({
+  labels, speciesList, taxa = [], onChange, heading, fields = [], fieldValues = {}, onFieldChange,
+  notes, tags, knownTags = [], onNotesChange,
+}: Props) => {
+  const showFields = fields.length > 0 && !!onFieldChange
+  if (!onChange && !showFields && !onNotesChange) return null
+
+  return (
+    <div className="space-y-3">
+      {onChange && <LabelsEditor labels={labels} speciesList={speciesList} taxa={taxa} onChange={onChange} heading={heading} />}
+      {showFields && (
+        <div className="grid grid-cols-2 gap-2">
+          {fields.map((field) => (
+            <div key={field.name}>
+              <label className="block text-xs font-medium text-gray-700 mb-1" title={`Column: ${field.name}`}>
+                {field.label}
+              </label>
+              <FieldInput
+                field={field}
+                value={fieldValues[field.name]}
+                onChange={(value) => onFieldChange(field.name, value)}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+      {onNotesChange && (
+        <NotesEditor
+          key={notes ?? ''}
+          notes={notes ?? ''}
+          tags={tags ?? []}
+          knownTags={knownTags}
+          onChange={onNotesChange}
+        />
+      )}
+    </div>
+  )
+}
+
+export default AnnotationPanel
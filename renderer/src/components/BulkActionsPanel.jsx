@@ -0,0 +1,140 @@
+/**
+ * BulkActionsPanel - Actions for a multi-selection of detections.
+ *
+ * Shown in the experiment panel in place of the single-detection annotation
+ * view while any detections are selected (ctrl/shift-click or a
+ * shift-drag band on a spectrogram). Every action is applied by main in one
+ * transaction, so either all selected detections change or none do.
+ *
+ * Props:
+ * @param {number} count - Number of selected detections
+ * @param {string[]} speciesList - Species offered for bulk assignment
+ * @param {Array} taxa - The profile's taxonomy, searched alongside speciesList
+ * @param {Array<{id: string, label: string}>} moveTargets - Experiments the selection can be moved to
+ * @param {boolean} busy - Disables the actions while a bulk call is in flight
+ * @param {Function} onAssignSpecies - Called with the chosen { species, code }
+ * @param {Function} onVerify - Called with true (verify) or false (unverify)
+ * @param {Function} onMove - Called with the target experiment id
+ * @param {Function} onDelete - Deletes the selection (undoable from the toast)
+ * @param {Function} onClear - Clears the selection
+ */
+import { useState } from 'react'
+import { Check, X, Trash2, ArrowRightLeft } from 'lucide-react'
+import SpeciesPicker from './SpeciesPicker'
+
+const BulkActionsPanel = ({
+  count,
+  speciesList = [],
+  taxa = [],
+  moveTargets = [],
+  busy = false,
+  onAssignSpecies,
+  onVerify,
+  onMove,
+  onDelete,
+  onClear,
+}) => {
+  const [choice, setChoice] = useState({ species: '', code: null })
+  const [moveTarget, setMoveTarget] = useState('')
+
+  const buttonClass = 'px-2 py-1 rounded text-xs font-medium disabled:opacity-50 disabled:cursor-not-allowed'
+
+  return (
+    <div className="bg-white border-t border-gray-200">
+      <div className="px-3 py-2 flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-gray-900">
+          {count} detection{count === 1 ? '' : 's'} selected
+        </h3>
+        <button
+          onClick={onClear}
+          className="p-1 hover:bg-gray-100 rounded text-xs"
+          title="Clear selection (Esc)"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="px-3 pb-3 space-y-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Species</label>
+          <div className="flex items-center space-x-2">
+            <SpeciesPicker
+              className="flex-1 min-w-0"
+              species={choice.species}
+              code={choice.code}
+              taxa={taxa}
+              speciesList={speciesList}
+              onChange={setChoice}
+            />
+            <button
+              onClick={() => onAssignSpecies(choice)}
+              disabled={busy || !choice.species}
+              className={`${buttonClass} bg-blue-600 hover:bg-blue-700 text-white`}
+            >
+              Assign
+            </button>
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => onVerify(true)}
+            disabled={busy}
+            className={`${buttonClass} bg-green-600 hover:bg-green-700 text-white flex items-center`}
+          >
+            <Check className="h-3 w-3 mr-1" />
+            Verify all
+          </button>
+          <button
+            onClick={() => onVerify(false)}
+            disabled={busy}
+            className={`${buttonClass} bg-yellow-500 hover:bg-yellow-600 text-white`}
+          >
+            Unverify all
+          </button>
+        </div>
+
+        {moveTargets.length > 0 && (
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Move to experiment</label>
+            <div className="flex items-center space-x-2">
+              <select
+                className="flex-1 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 text-xs"
+                value={moveTarget}
+                onChange={(e) => setMoveTarget(e.target.value)}
+              >
+                <option value="">Select experiment...</option>
+                {moveTargets.map(({ id, label }) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => onMove(moveTarget)}
+                disabled={busy || !moveTarget}
+                className={`${buttonClass} bg-gray-700 hover:bg-gray-800 text-white flex items-center`}
+              >
+                <ArrowRightLeft className="h-3 w-3 mr-1" />
+                Move
+              </button>
+            </div>
+          </div>
+        )}
+
+        <button
+          onClick={onDelete}
+          disabled={busy}
+          className={`${buttonClass} w-full bg-red-50 hover:bg-red-100 text-red-700 border border-red-200 flex items-center justify-center`}
+        >
+          <Trash2 className="h-3 w-3 mr-1" />
+          Delete {count === 1 ? 'detection' : `${count} detections`}
+        </button>
+
+        <p className="text-xs text-gray-500">
+          Ctrl/Cmd-click toggles a detection; shift-click or shift-drag adds to the selection.
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default BulkActionsPanel
@@ -3,6 +3,8 @@
  * 
  * This modal enables users to create a detection session by selecting a folder,
  * choosing files (with an optional Random Select helper), and providing a session name.
+ * An optional filename pattern tells main how recorders that don't write
+ * metadata into the file encode the start time in its name.
  * It validates that a data directory and profile are selected in context before creating.
  * 
  * UX details:
@@ -33,6 +35,7 @@ const CreateSessionModal = ({ onClose }) => {
   const [availableFiles, setAvailableFiles] = useState([])
   const [selectedFiles, setSelectedFiles] = useState([])
   const [randomCount, setRandomCount] = useState(10)
+  const [filenamePattern, setFilenamePattern] = useState('')
   const [isCreating, setIsCreating] = useState(false)
   const [errorMessage, setErrorMessage] = useState('')
   const [successMessage, setSuccessMessage] = useState('')
@@ -102,7 +105,7 @@ const CreateSessionModal = ({ onClose }) => {
     setIsCreating(true)
     try {
       const fullPaths = selectedFiles.map((f) => `${selectedFolder}/${f}`)
-      const res = await window.electronAPI.createSession(sessionNameToUse, fullPaths)
+      const res = await window.electronAPI.createSession(sessionNameToUse, fullPaths, { filenamePattern })
 
       if (res.success) {
         setErrorMessage('')
@@ -215,6 +218,23 @@ const CreateSessionModal = ({ onClose }) => {
             </select>
           </div>
 
+          {/* Recording start times in file names */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Start Time in File Names (optional)</label>
+            <input
+              type="text"
+              value={filenamePattern}
+              onChange={(e) => setFilenamePattern(e.target.value)}
+              placeholder="e.g., YYYYMMDD_hhmmss"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Only needed for recorders that write the time in a layout other than <span className="font-mono">20240501_053000</span>.
+              YYYY/YY, MM, DD, hh, mm and ss stand for digits and * for any text, e.g. <span className="font-mono">SITE*_YYMMDD-hhmm</span>.
+              GUANO and AudioMoth metadata in the file are read either way and take precedence.
+            </p>
+          </div>
+
           {/* Files Section */}
           <div className="mb-4">
             <div className="flex items-center justify-between mb-4">
@@ -0,0 +1,251 @@
+/**
+ * CsvImportModal - Column-mapping wizard for importing an arbitrary CSV of
+ * detections as a new experiment.
+ *
+ * The file has already been picked and previewed by main (openCsvForImport).
+ * Here the user maps columns to filename/start/end/species/confidence and
+ * picks the time unit and how filenames are matched. Every mapping change
+ * re-runs a dry-run import in main so the valid/invalid counts and the list
+ * of rejected rows reflect exactly what Import will do.
+ *
+ * Props:
+ * @param {string} sessionId - Session to import into
+ * @param {Object} preview - Result of openCsvForImport ({ filePath, delimiter, columns, preview, rowCount })
+ * @param {Function} onImported - Called with the importCsv result after a successful import
+ * @param {Function} onClose - Callback to close the modal
+ */
+import { useState, useEffect, useMemo } from 'react'
+import { X, Upload, AlertTriangle } from 'lucide-react'
+
+// Rejected rows listed in the modal; the rest are summarized as a count.
+const MAX_LISTED_INVALID = 100
+
+const FIELDS = [
+  { key: 'filename', label: 'Filename', required: true, guess: /file|path|recording|wav/i },
+  { key: 'start', label: 'Start time', required: true, guess: /start|begin|onset/i },
+  { key: 'end', label: 'End time', required: true, guess: /end|stop/i },
+  { key: 'species', label: 'Species / label', required: false, guess: /species|label|class|annotation|name/i },
+  { key: 'confidence', label: 'Confidence', required: false, guess: /conf|score|prob/i },
+]
+
+// First column whose header looks like the field, without reusing a column
+// an earlier field already claimed.
+const guessMapping = (columns) => {
+  const mapping = { timeUnit: 's', matchBy: 'name' }
+  const used = new Set()
+  for (const field of FIELDS) {
+    const hit = columns.find(c => !used.has(c) && field.guess.test(c))
+    mapping[field.key] = hit || ''
+    if (hit) used.add(hit)
+  }
+  if (/\bms\b|millisec/i.test(`${mapping.start} ${mapping.end}`)) mapping.timeUnit = 'ms'
+  return mapping
+}
+
+const CsvImportModal = ({ sessionId, preview, onImported, onClose }) => {
+  const [mapping, setMapping] = useState(() => guessMapping(preview.columns))
+  const [validation, setValidation] = useState(null)
+  const [isImporting, setIsImporting] = useState(false)
+  const [errorMessage, setErrorMessage] = useState('')
+
+  const missingRequired = FIELDS.filter(f => f.required && !mapping[f.key]).map(f => f.label)
+  const fileName = useMemo(() => preview.filePath.split(/[/\\]/).pop(), [preview.filePath])
+
+  // Dry-run on every mapping change. A response for a mapping that has since
+  // changed is dropped via the `stale` flag.
+  useEffect(() => {
+    if (FIELDS.some(f => f.required && !mapping[f.key])) {
+      setValidation(null)
+      return
+    }
+    let stale = false
+    const fullMapping = { ...mapping, delimiter: preview.delimiter }
+    window.electronAPI.importCsv(sessionId, preview.filePath, fullMapping, true).then(res => {
+      if (stale) return
+      if (res.success) {
+        setValidation({ valid: res.valid, unmatched: res.unmatched || [] })
+        setErrorMessage('')
+      } else {
+        setValidation(null)
+        setErrorMessage(res.error || 'Validation failed')
+      }
+    })
+    return () => { stale = true }
+  }, [mapping, sessionId, preview.filePath, preview.delimiter])
+
+  const updateMapping = (key, value) => setMapping(prev => ({ ...prev, [key]: value }))
+
+  const handleImport = async () => {
+    setIsImporting(true)
+    try {
+      const res = await window.electronAPI.importCsv(
+        sessionId, preview.filePath, { ...mapping, delimiter: preview.delimiter }, false
+      )
+      if (res.success) {
+        onImported(res)
+        onClose()
+      } else {
+        setErrorMessage(res.error || 'Import failed')
+      }
+    } catch (err) {
+      setErrorMessage(`Import failed: ${err.message}`)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  const invalid = validation?.unmatched || []
+
+  return (
+    <div className="fixed inset-0 bg-white/30 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg max-w-4xl w-full mx-4 max-h-[90vh] overflow-hidden">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Import Detections from CSV</h2>
+            <p className="text-xs text-gray-500" title={preview.filePath}>
+              {fileName} · {preview.rowCount} rows
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto max-h-[calc(90vh-140px)] space-y-4">
+          {/* Preview */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Preview</h3>
+            <div className="border rounded-lg overflow-x-auto">
+              <table className="text-xs w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {preview.columns.map(c => (
+                      <th key={c} className="px-2 py-1 text-left font-medium text-gray-700 whitespace-nowrap">{c}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.preview.map((row, i) => (
+                    <tr key={i} className="border-t">
+                      {preview.columns.map(c => (
+                        <td key={c} className="px-2 py-1 text-gray-600 whitespace-nowrap max-w-[16rem] truncate">{row[c]}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Column mapping */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Columns</h3>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+              {FIELDS.map(field => (
+                <label key={field.key} className="block">
+                  <span className="block text-xs text-gray-600 mb-1">
+                    {field.label}{field.required ? ' *' : ''}
+                  </span>
+                  <select
+                    value={mapping[field.key]}
+                    onChange={(e) => updateMapping(field.key, e.target.value)}
+                    className="w-full px-2 py-1.5 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">{field.required ? 'Choose a column…' : '(none)'}</option>
+                    {preview.columns.map(c => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Options */}
+          <div className="flex flex-wrap gap-6 text-sm text-gray-700">
+            <div>
+              <span className="block text-xs text-gray-600 mb-1">Times are in</span>
+              <label className="mr-4"><input type="radio" className="mr-1" checked={mapping.timeUnit === 's'} onChange={() => updateMapping('timeUnit', 's')} />seconds</label>
+              <label><input type="radio" className="mr-1" checked={mapping.timeUnit === 'ms'} onChange={() => updateMapping('timeUnit', 'ms')} />milliseconds</label>
+            </div>
+            <div>
+              <span className="block text-xs text-gray-600 mb-1">Match recordings by</span>
+              <label className="mr-4"><input type="radio" className="mr-1" checked={mapping.matchBy === 'name'} onChange={() => updateMapping('matchBy', 'name')} />filename</label>
+              <label><input type="radio" className="mr-1" checked={mapping.matchBy === 'path'} onChange={() => updateMapping('matchBy', 'path')} />full path</label>
+            </div>
+          </div>
+
+          {/* Validation */}
+          {missingRequired.length > 0 ? (
+            <p className="text-xs text-gray-500">Choose columns for: {missingRequired.join(', ')}</p>
+          ) : validation && (
+            <div className="space-y-2">
+              <p className="text-sm text-gray-700">
+                <span className="font-medium text-green-700">{validation.valid}</span> rows ready to import
+                {invalid.length > 0 && (
+                  <>, <span className="font-medium text-amber-700">{invalid.length}</span> will be skipped</>
+                )}
+              </p>
+              {invalid.length > 0 && (
+                <div className="border border-amber-200 bg-amber-50 rounded-lg max-h-48 overflow-y-auto">
+                  <table className="text-xs w-full">
+                    <thead>
+                      <tr className="text-amber-900">
+                        <th className="px-2 py-1 text-left font-medium">Line</th>
+                        <th className="px-2 py-1 text-left font-medium">Filename</th>
+                        <th className="px-2 py-1 text-left font-medium">Problem</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {invalid.slice(0, MAX_LISTED_INVALID).map(u => (
+                        <tr key={u.row} className="border-t border-amber-200 text-amber-900">
+                          <td className="px-2 py-1">{u.row}</td>
+                          <td className="px-2 py-1 max-w-[20rem] truncate" title={u.file}>{u.file || '—'}</td>
+                          <td className="px-2 py-1">{u.reason}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {invalid.length > MAX_LISTED_INVALID && (
+                    <p className="px-2 py-1 text-xs text-amber-800">…and {invalid.length - MAX_LISTED_INVALID} more</p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {errorMessage && (
+            <div className="p-2 border border-red-200 bg-red-50 text-red-700 rounded text-xs flex items-center gap-2">
+              <AlertTriangle className="h-3 w-3" />
+              {errorMessage}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end space-x-3 p-4 border-t bg-gray-50">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!validation || validation.valid === 0 || isImporting}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+          >
+            <Upload className="h-4 w-4" />
+            <span className="text-sm font-medium">
+              {isImporting ? 'Importing…' : `Import ${validation?.valid ?? ''} detections`}
+            </span>
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CsvImportModal
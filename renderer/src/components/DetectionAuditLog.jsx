@@ -0,0 +1,88 @@
+/**
+ * DetectionAuditLog - Who changed the selected detection, and when.
+ *
+ * Shown at the bottom of the Detection Annotation panel. Main keeps an
+ * append-only log of every field change with the profile that made it; this
+ * lists the selected detection's entries, newest first, collapsed by default.
+ *
+ * Props:
+ * @param {string} sessionId - Session the detection belongs to
+ * @param {string} experimentId - Experiment the detection belongs to
+ * @param {string} detectionId - Detection to show the log for
+ * @param {*} refreshKey - Any value that changes after an edit, so the log re-loads
+ */
+import { useState, useEffect } from 'react'
+import { ChevronDown, ChevronRight } from 'lucide-react'
+
+const FIELD_LABELS = {
+  species: 'Species',
+  species_code: 'Species code',
+  labels: 'Labels',
+  notes: 'Notes',
+  tags: 'Tags',
+  verified: 'Verified',
+  start_time: 'Start',
+  end_time: 'End',
+  low_freq: 'Low freq',
+  high_freq: 'High freq',
+  detection_conf: 'Confidence',
+  filename: 'File',
+  extra: 'Other columns',
+}
+
+const showValue = (value) => (value === null || value === undefined || value === '' ? '—' : value)
+
+const describeChange = (entry) => {
+  if (entry.field === 'detection') {
+    if (entry.old_value === null) return 'Created'
+    if (entry.new_value === null) return 'Deleted'
+  }
+  const label = FIELD_LABELS[entry.field] || entry.field
+  return `${label}: ${showValue(entry.old_value)} → ${showValue(entry.new_value)}`
+}
+
+const DetectionAuditLog = ({ sessionId, experimentId, detectionId, refreshKey }) => {
+  const [entries, setEntries] = useState([])
+  const [expanded, setExpanded] = useState(false)
+
+  useEffect(() => {
+    if (!sessionId || !experimentId || !detectionId) return
+    let cancelled = false
+    window.electronAPI.getDetectionAudit(sessionId, experimentId, detectionId)
+      .then(result => {
+        if (!cancelled) setEntries(result.success ? result.entries : [])
+      })
+      .catch(err => console.error('Failed to load edit log:', err))
+    return () => { cancelled = true }
+  }, [sessionId, experimentId, detectionId, refreshKey])
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-200">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="flex items-center text-xs font-medium text-gray-700 hover:text-gray-900"
+      >
+        {expanded ? <ChevronDown className="h-3 w-3 mr-1" /> : <ChevronRight className="h-3 w-3 mr-1" />}
+        Edit log ({entries.length})
+      </button>
+      {expanded && (
+        entries.length === 0 ? (
+          <p className="mt-1 text-xs text-gray-500">No edits recorded for this detection.</p>
+        ) : (
+          <ul className="mt-1 space-y-1 max-h-40 overflow-y-auto">
+            {[...entries].reverse().map((entry, i) => (
+              <li key={i} className="text-xs">
+                <div className="text-gray-800">{describeChange(entry)}</div>
+                <div className="text-[11px] text-gray-400">
+                  {entry.profile || 'Unknown profile'} · {new Date(entry.time).toLocaleString()} · {entry.action}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+    </div>
+  )
+}
+
+export default DetectionAuditLog
@@ -0,0 +1,74 @@
+/**
+ * DetectionFilterBar - Search and tag filter for detection navigation.
+ *
+ * Narrows Previous/Next to the active experiment's detections whose notes,
+ * tags or labels contain the search text, and/or that carry the chosen tag
+ * (e.g. step through only `needs-review`). Rectangles on the spectrogram
+ * are not hidden.
+ *
+ * Props:
+ * @param {{text: string, tag: string}} filter - Current filter
+ * @param {Function} onChange - Called with the new filter
+ * @param {string[]} tags - Tags used in the experiment, for the tag picker
+ * @param {number} matchCount - Detections matching the filter
+ * @param {number} total - Detections in the experiment
+ * @param {Function} [onFirst] - Jumps to the first match; the button is hidden without it
+ */
+import { Search, X } from 'lucide-react'
+import { EMPTY_FILTER, isFilterActive } from '../utils/notes'
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 text-xs'
+
+const DetectionFilterBar = ({ filter, onChange, tags = [], matchCount, total, onFirst }) => {
+  const active = isFilterActive(filter)
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center space-x-2">
+        <div className="relative flex-1 min-w-0">
+          <Search className="h-3 w-3 text-gray-400 absolute left-2 top-1/2 -translate-y-1/2" />
+          <input
+            className={`${inputClass} w-full pl-6`}
+            placeholder="Search notes, tags, species…"
+            value={filter.text}
+            onChange={(e) => onChange({ ...filter, text: e.target.value })}
+          />
+        </div>
+        <select
+          className={`${inputClass} w-32`}
+          value={filter.tag}
+          onChange={(e) => onChange({ ...filter, tag: e.target.value })}
+          title="Only step through detections with this tag"
+        >
+          <option value="">Any tag</option>
+          {/* Keep a chosen tag listed after its last use is removed. */}
+          {filter.tag && !tags.includes(filter.tag) && <option value={filter.tag}>{filter.tag}</option>}
+          {tags.map((tag) => (
+            <option key={tag} value={tag}>{tag}</option>
+          ))}
+        </select>
+        {active && (
+          <button
+            onClick={() => onChange(EMPTY_FILTER)}
+            className="p-1 hover:bg-gray-100 rounded"
+            title="Clear filter"
+          >
+            <X className="h-3 w-3 text-gray-500" />
+          </button>
+        )}
+      </div>
+      {active && (
+        <div className="flex items-center justify-between text-xs text-gray-600">
+          <span>{matchCount} of {total} detection{total === 1 ? '' : 's'} match; Previous/Next skip the rest.</span>
+          {onFirst && matchCount > 0 && (
+            <button onClick={onFirst} className="text-blue-600 hover:text-blue-700 font-medium">
+              Go to first
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DetectionFilterBar
@@ -0,0 +1,88 @@
+/**
+ * EditHistoryPanel - Side panel listing the session's detection edits.
+ *
+ * Main records every label, verification, bounds change, addition, deletion
+ * and bulk action in the session database, so the list survives reloads.
+ * Newest edits are on top; undone ones (which Redo would reapply) are shown
+ * struck through until a new edit discards them.
+ *
+ * Props:
+ * @param {Array} entries - History entries from getEditHistory, oldest first ({ seq, time, label, undone, count })
+ * @param {Function} onUndo - Undoes the entry with the given seq (must be the newest applied one)
+ * @param {Function} onRedo - Redoes the entry with the given seq (must be the oldest undone one)
+ * @param {Function} onClose - Callback to close the panel
+ */
+import { X, Undo2, Redo2 } from 'lucide-react'
+
+const formatTime = (iso) => {
+  const date = new Date(iso)
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString()
+    : date.toLocaleString()
+}
+
+const EditHistoryPanel = ({ entries = [], onUndo, onRedo, onClose }) => {
+  const nextUndo = [...entries].reverse().find(e => !e.undone)
+  const nextRedo = entries.find(e => e.undone)
+
+  return (
+    <div className="w-80 bg-white p-4 h-[calc(100%-1rem)] overflow-y-auto z-10 border-l border-gray-200">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-900">Edit History</h3>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={() => onUndo(nextUndo.seq)}
+            disabled={!nextUndo}
+            className="flex items-center gap-1 px-2 py-1 hover:bg-gray-100 rounded text-xs font-medium text-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Undo (Ctrl+Z)"
+          >
+            <Undo2 className="h-3 w-3" />
+            Undo
+          </button>
+          <button
+            onClick={() => onRedo(nextRedo.seq)}
+            disabled={!nextRedo}
+            className="flex items-center gap-1 px-2 py-1 hover:bg-gray-100 rounded text-xs font-medium text-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <Redo2 className="h-3 w-3" />
+            Redo
+          </button>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 rounded text-xs font-medium"
+          >
+            <X className="h-3 w-3 text-gray-500" />
+          </button>
+        </div>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-xs text-gray-500">
+          No edits yet. Labels, verifications, bounds changes, additions and deletions show up here.
+        </p>
+      ) : (
+        <ul className="space-y-1">
+          {[...entries].reverse().map(entry => (
+            <li
+              key={entry.seq}
+              className={`px-2 py-1.5 rounded border text-xs ${entry.undone
+                ? 'border-dashed border-gray-200 text-gray-400'
+                : entry === nextUndo
+                  ? 'border-blue-200 bg-blue-50 text-gray-800'
+                  : 'border-gray-200 text-gray-700'
+                }`}
+            >
+              <div className={`font-medium truncate ${entry.undone ? 'line-through' : ''}`} title={entry.label}>
+                {entry.label}
+              </div>
+              <div className="text-[11px] text-gray-400">{formatTime(entry.time)}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default EditHistoryPanel
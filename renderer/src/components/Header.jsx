@@ -27,10 +27,12 @@
  * - listProfiles: Fetches available profiles for current data directory
  */
 import { useState, useContext, useEffect } from 'react'
-import { Fish, CheckCircle, AlertCircle, ChevronDown, User, Folder, ArrowLeft, Plus, History, X, Settings } from 'lucide-react'
+import { Fish, CheckCircle, AlertCircle, ChevronDown, User, Folder, ArrowLeft, Plus, History, X, Settings, Undo2, ListPlus, BookOpen } from 'lucide-react'
 import { SessionContext } from '../stores/SessionContext'
 import { useNavigate, useLocation } from 'react-router-dom'
 import CreateProfileModal from './CreateProfileModal'
+import ProfileFieldsModal from './ProfileFieldsModal'
+import TaxonomyModal from './TaxonomyModal'
 import SettingsModal from './SettingsModal'
 import { useSettings } from '../stores/SettingsContext'
 
@@ -46,6 +48,7 @@ const Header = () => {
     pageTitle,              // Current page title (used in session pages)
     handleNewExperimentClick,      // Function to handle "New Experiment" button
     handleSavedExperimentsClick,   // Function to handle "Saved Experiments" button
+    handleEditHistoryClick,        // Function to handle "Edit History" button
     overlayCount,           // Number of experiments currently overlaid (0/1 = no overlay)
     setProfile,             // Action to set active profile (with IPC persistence)
     setDataDirectory,       // Action to set data directory (with IPC persistence)
@@ -65,6 +68,8 @@ const Header = () => {
   const [showProfileDropdown, setShowProfileDropdown] = useState(false)
   const [isModelLoading, setIsModelLoading] = useState(false)
   const [showCreateProfile, setShowCreateProfile] = useState(false)
+  const [showProfileFields, setShowProfileFields] = useState(false)
+  const [showTaxonomy, setShowTaxonomy] = useState(false)
   const [showSettings, setShowSettings] = useState(false)
   const [errorMessage, setErrorMessage] = useState('')
 
@@ -213,6 +218,7 @@ const Header = () => {
    * 
    * Only shows on session pages. Provides quick access to:
    * - Saved Experiments: View/manage previous experiment results
+   * - Edit History: Undo/redo detection edits
    * - New Experiment: Start a new detection experiment
    * 
    * These buttons call functions provided via SessionContext by the Session component.
@@ -231,6 +237,14 @@ const Header = () => {
           <History className="h-3 w-3" />
           <span>Saved Experiments{overlayCount > 1 ? ` (${overlayCount})` : ''}</span>
         </button>
+        <button
+          onClick={handleEditHistoryClick}
+          className="border border-gray-300 px-3 py-1 bg-white text-gray-700 rounded hover:bg-gray-50 transition-colors flex items-center space-x-1 text-xs font-medium"
+          title="Undo/redo detection edits (Ctrl+Z / Ctrl+Shift+Z)"
+        >
+          <Undo2 className="h-3 w-3" />
+          <span>Edit History</span>
+        </button>
         <button
           onClick={handleNewExperimentClick}
           className="px-3 py-1 border border-blue-600 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors flex items-center space-x-1 text-xs font-medium"
@@ -374,6 +388,24 @@ const Header = () => {
                             <Plus className="h-3 w-3" />
                             <span>Create Profile</span>
                           </button>
+                          {profiles.includes(activeProfile) && (
+                            <button
+                              onClick={() => { setShowProfileFields(true); setShowProfileDropdown(false); }}
+                              className="flex items-center space-x-1 w-full text-left px-3 py-1 text-xs text-gray-700 hover:bg-gray-50 font-medium"
+                            >
+                              <ListPlus className="h-3 w-3" />
+                              <span>Annotation Fields…</span>
+                            </button>
+                          )}
+                          {profiles.includes(activeProfile) && (
+                            <button
+                              onClick={() => { setShowTaxonomy(true); setShowProfileDropdown(false); }}
+                              className="flex items-center space-x-1 w-full text-left px-3 py-1 text-xs text-gray-700 hover:bg-gray-50 font-medium"
+                            >
+                              <BookOpen className="h-3 w-3" />
+                              <span>Species Taxonomy…</span>
+                            </button>
+                          )}
                         </div>
                       )}
                     </>
@@ -410,6 +442,20 @@ const Header = () => {
         />
       )}
 
+      {/* Custom annotation fields of the active profile */}
+      {showProfileFields && (
+        <ProfileFieldsModal
+          onClose={() => setShowProfileFields(false)}
+        />
+      )}
+
+      {/* Species taxonomy of the active profile */}
+      {showTaxonomy && (
+        <TaxonomyModal
+          onClose={() => setShowTaxonomy(false)}
+        />
+      )}
+
       {/* Settings Modal */}
       {showSettings && (
         <SettingsModal
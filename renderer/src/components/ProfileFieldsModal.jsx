@@ -0,0 +1,175 @@
+/**
+ * ProfileFieldsModal - Schema editor for the active profile's custom annotation fields
+ *
+ * Each field becomes an extra input in the Detection Annotation panel of every
+ * session in the profile, and a column of the same name in experiment CSVs.
+ * Main validates the schema on save; its error is shown here unchanged.
+ *
+ * Props:
+ * @param {Function} onClose - Callback function to close the modal
+ *
+ * Context Dependencies:
+ * - SessionContext: Uses activeProfile, profileFields and saveProfileFields
+ *
+ * IPC Dependencies (via context):
+ * - setProfileFields: Validates and stores the field list in profile.json
+ */
+import { useState, useContext } from 'react'
+import { X, Plus, Save, Trash2 } from 'lucide-react'
+import { SessionContext } from '../stores/SessionContext'
+
+const FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'enum', label: 'Choice' },
+  { value: 'number', label: 'Number' },
+  { value: 'boolean', label: 'Yes / No' },
+]
+
+// Enum options are edited as one comma-separated string per row.
+const toRow = (field) => ({ ...field, options: (field.options || []).join(', ') })
+const fromRow = (row) => ({
+  name: row.name.trim(),
+  label: row.label.trim(),
+  type: row.type,
+  ...(row.type === 'enum' ? { options: row.options.split(',').map(o => o.trim()).filter(Boolean) } : {}),
+})
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 text-xs'
+
+const ProfileFieldsModal = ({ onClose }) => {
+  const { activeProfile, profileFields, saveProfileFields } = useContext(SessionContext)
+  const [rows, setRows] = useState(() => profileFields.map(toRow))
+  const [isSaving, setIsSaving] = useState(false)
+  const [errorMessage, setErrorMessage] = useState('')
+
+  const updateRow = (index, patch) =>
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, ...patch } : row)))
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    try {
+      const result = await saveProfileFields(rows.map(fromRow))
+      if (result.success) {
+        onClose()
+      } else {
+        setErrorMessage(result.error || 'Failed to save fields')
+      }
+    } catch (err) {
+      console.error('Error saving profile fields:', err)
+      setErrorMessage('Error saving fields. Please try again.')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-white/30 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg max-w-2xl w-full mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-semibold text-gray-900">Annotation Fields — {activeProfile}</h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <p className="text-xs text-gray-600">
+            Extra attributes to record on each detection in this profile's sessions. The column name is
+            used in exported CSVs; removing a field hides it but keeps values already entered.
+          </p>
+
+          {rows.length === 0 ? (
+            <p className="text-xs text-gray-500 italic">No custom fields yet.</p>
+          ) : (
+            <div className="space-y-2 max-h-80 overflow-y-auto">
+              <div className="grid grid-cols-[8rem_1fr_6rem_1fr_auto] gap-2 text-xs font-medium text-gray-700">
+                <span>Column</span>
+                <span>Label</span>
+                <span>Type</span>
+                <span>Choices</span>
+                <span className="w-6" />
+              </div>
+              {rows.map((row, index) => (
+                <div key={index} className="grid grid-cols-[8rem_1fr_6rem_1fr_auto] gap-2 items-center">
+                  <input
+                    className={`${inputClass} font-mono`}
+                    value={row.name}
+                    onChange={(e) => updateRow(index, { name: e.target.value })}
+                    placeholder="behavior"
+                  />
+                  <input
+                    className={inputClass}
+                    value={row.label}
+                    onChange={(e) => updateRow(index, { label: e.target.value })}
+                    placeholder="Behavior"
+                  />
+                  <select
+                    className={inputClass}
+                    value={row.type}
+                    onChange={(e) => updateRow(index, { type: e.target.value })}
+                  >
+                    {FIELD_TYPES.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <input
+                    className={inputClass}
+                    value={row.options}
+                    onChange={(e) => updateRow(index, { options: e.target.value })}
+                    placeholder={row.type === 'enum' ? 'foraging, resting, travelling' : ''}
+                    disabled={row.type !== 'enum'}
+                  />
+                  <button
+                    onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}
+                    className="p-1 hover:bg-red-100 rounded text-red-600"
+                    title="Remove field"
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={() => setRows(prev => [...prev, { name: '', label: '', type: 'text', options: '' }])}
+            className="flex items-center space-x-1 text-xs text-blue-600 hover:text-blue-700 font-medium"
+          >
+            <Plus className="h-3 w-3" />
+            <span>Add field</span>
+          </button>
+
+          {errorMessage && (
+            <div className="p-2 border border-red-200 bg-red-50 text-red-700 rounded text-xs">
+              {errorMessage}
+            </div>
+          )}
+        </div>
+
+        {/* Footer with action buttons */}
+        <div className="flex items-center justify-end space-x-3 p-4 border-t bg-gray-50">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+          >
+            <Save className="h-4 w-4" />
+            <span className="text-sm font-medium">{isSaving ? 'Saving…' : 'Save Fields'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ProfileFieldsModal
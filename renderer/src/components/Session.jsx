@@ -7,6 +7,20 @@ import { SessionContext } from '../stores/SessionContext'
 import { useSettings } from '../stores/SettingsContext'
 import NewExperimentPanel from './NewExperimentPanel'
 import SessionHistory from './SessionHistory'
+import CsvImportModal from './CsvImportModal'
+import BulkActionsPanel from './BulkActionsPanel'
+import EditHistoryPanel from './EditHistoryPanel'
+import DetectionAuditLog from './DetectionAuditLog'
+import AnnotationPanel from './AnnotationPanel'
+import DetectionFilterBar from './DetectionFilterBar'
+import { sourceLabel } from '../utils/experimentSource'
+import { detectionKey } from '../utils/selection'
+import { detectionLabels, cleanLabels, sameLabels, formatLabels } from '../utils/labels'
+import { currentNames, taxaByCode } from '../utils/taxonomy'
+import { recordingInfoItems } from '../utils/recordings'
+import { colormapLUT, contrastingVariant } from '../../spectrogram/colormap'
+import { wallClock, formatClockRange } from '../utils/clock'
+import { EMPTY_FILTER, collectTags, isFilterActive, matchesFilter } from '../utils/notes'
 // Remove the hardcoded speciesList - will use from settings instead
 
 // Hard cap on how many experiments can be overlaid at once. Lanes don't
@@ -21,20 +35,124 @@ const EMPTY_DETECTIONS = Object.freeze([])
 
 // Color palette for multi-experiment overlay. Palette size is decoupled from
 // MAX_SELECTED_EXPERIMENTS so different experiments across a session still
-// get distinct pegged colors even though only 3 can be shown at once.
+// get distinct pegged colors even though only 3 can be shown at once. Each is
+// lightened or darkened as the session's colormap needs (experimentPalette).
 const EXPERIMENT_COLORS = [
-  { fill: 'rgba(59, 130, 246, 0.3)', stroke: 'rgba(59, 130, 246, 0.7)', name: 'Blue' },
-  { fill: 'rgba(236, 72, 153, 0.3)', stroke: 'rgba(236, 72, 153, 0.7)', name: 'Pink' },
-  { fill: 'rgba(34, 197, 94, 0.3)', stroke: 'rgba(34, 197, 94, 0.7)', name: 'Green' },
-  { fill: 'rgba(249, 115, 22, 0.3)', stroke: 'rgba(249, 115, 22, 0.7)', name: 'Orange' },
-  { fill: 'rgba(168, 85, 247, 0.3)', stroke: 'rgba(168, 85, 247, 0.7)', name: 'Purple' },
-  { fill: 'rgba(20, 184, 166, 0.3)', stroke: 'rgba(20, 184, 166, 0.7)', name: 'Teal' },
-  { fill: 'rgba(245, 158, 11, 0.3)', stroke: 'rgba(245, 158, 11, 0.7)', name: 'Amber' },
-  { fill: 'rgba(239, 68, 68, 0.3)', stroke: 'rgba(239, 68, 68, 0.7)', name: 'Red' },
+  { rgb: [59, 130, 246], name: 'Blue' },
+  { rgb: [236, 72, 153], name: 'Pink' },
+  { rgb: [34, 197, 94], name: 'Green' },
+  { rgb: [249, 115, 22], name: 'Orange' },
+  { rgb: [168, 85, 247], name: 'Purple' },
+  { rgb: [20, 184, 166], name: 'Teal' },
+  { rgb: [245, 158, 11], name: 'Amber' },
+  { rgb: [239, 68, 68], name: 'Red' },
 ]
 
+// Overlay colors for a colormap: each experiment color, or its variant that
+// stands out against the colormap's colors.
+const experimentPalette = (colormap, customColormap) => {
+  const lut = colormapLUT(colormap, customColormap)
+  return EXPERIMENT_COLORS.map(({ rgb, name }) => {
+    const [r, g, b] = contrastingVariant(rgb, lut)
+    return { fill: `rgba(${r}, ${g}, ${b}, 0.3)`, stroke: `rgba(${r}, ${g}, ${b}, 0.7)`, name }
+  })
+}
+
+// Sidebar import/export menu ids → IPC calls. Import results come back as a
+// new experiment id plus a report of rows that couldn't be placed.
+const IMPORTERS = {
+  raven: (sessionId) => window.electronAPI.importRavenTables(sessionId),
+  audacity: (sessionId) => window.electronAPI.importAudacityLabels(sessionId, 'dialog'),
+  'audacity-adjacent': (sessionId) => window.electronAPI.importAudacityLabels(sessionId, 'adjacent'),
+  birdnet: (sessionId) => window.electronAPI.importBirdnetResults(sessionId),
+  kaleidoscope: (sessionId) => window.electronAPI.importKaleidoscopeIds(sessionId),
+}
+
+const EXPORTERS = {
+  'raven-combined': (sessionId, experimentId) => window.electronAPI.exportRavenTable(sessionId, experimentId, 'combined'),
+  'raven-per-file': (sessionId, experimentId) => window.electronAPI.exportRavenTable(sessionId, experimentId, 'per-file'),
+  audacity: (sessionId, experimentId) => window.electronAPI.exportAudacityLabels(sessionId, experimentId),
+  csv: (sessionId, experimentId) => window.electronAPI.exportExperimentCsv(sessionId, experimentId),
+  audit: (sessionId, experimentId) => window.electronAPI.exportAuditLog(sessionId, experimentId),
+}
+
+// How many unmatched rows to list in the import notice before summarizing.
+const MAX_NOTICE_DETAILS = 8
+
+// Mirror a bulk IPC result in local sessionData. Each helper returns a new
+// experiments tree (touching only the lists that change) so memoized
+// spectrograms re-render.
+const mapDetectionLists = (sessionData, fn) => {
+  if (!sessionData?.experiments) return sessionData
+  const experiments = {}
+  for (const [expId, exp] of Object.entries(sessionData.experiments)) {
+    const detections = {}
+    for (const [filename, list] of Object.entries(exp.detections || {})) {
+      detections[filename] = fn(expId, list)
+    }
+    experiments[expId] = { ...exp, detections }
+  }
+  return { ...sessionData, experiments }
+}
+
+const patchDetections = (sessionData, keys, fields) =>
+  mapDetectionLists(sessionData, (expId, list) =>
+    list.map(d => (keys.has(detectionKey(expId, d.id)) ? { ...d, ...fields } : d)))
+
+const removeDetections = (sessionData, keys) =>
+  mapDetectionLists(sessionData, (expId, list) =>
+    list.filter(d => !keys.has(detectionKey(expId, d.id))))
+
+// entries: [{ experimentId, detection }]
+const addDetections = (sessionData, entries) => {
+  if (!sessionData?.experiments) return sessionData
+  const experiments = { ...sessionData.experiments }
+  for (const { experimentId, detection } of entries) {
+    const exp = experiments[experimentId]
+    if (!exp) continue
+    const list = exp.detections?.[detection.filename] || []
+    experiments[experimentId] = {
+      ...exp,
+      detections: { ...exp.detections, [detection.filename]: [...list, detection] }
+    }
+  }
+  return { ...sessionData, experiments }
+}
+
+// moves: [{ experimentId, id, to }], as returned by moveDetections.
+const relocateDetections = (sessionData, moves) => {
+  const targets = new Map(moves.map(m => [detectionKey(m.experimentId, m.id), m.to]))
+  const moved = []
+  for (const [expId, exp] of Object.entries(sessionData?.experiments || {})) {
+    for (const list of Object.values(exp.detections || {})) {
+      for (const d of list) {
+        const to = targets.get(detectionKey(expId, d.id))
+        if (to) moved.push({ experimentId: to, detection: d })
+      }
+    }
+  }
+  return addDetections(removeDetections(sessionData, new Set(targets.keys())), moved)
+}
+
+const pluralDetections = (n) => `${n} detection${n === 1 ? '' : 's'}`
+
+// changes: [{ experimentId, id, detection }] from undoEdit/redoEdit, where
+// detection is null once the step leaves it deleted.
+const applyDetectionChanges = (sessionData, changes) => addDetections(
+  removeDetections(sessionData, new Set(changes.map(c => detectionKey(c.experimentId, c.id)))),
+  changes.filter(c => c.detection).map(c => ({ experimentId: c.experimentId, detection: c.detection }))
+)
+
+// Label for an experiment in pickers, matching the sidebar history list.
+const experimentLabel = (experimentId, exp) => {
+  if (experimentId === 'temp') return 'Temporary'
+  const time = new Date(exp.time || exp.timestamp).toLocaleString()
+  const importedFrom = sourceLabel(exp.source)
+  return importedFrom ? `${time} (${importedFrom})` : `${time} (θ=${exp.theta})`
+}
+
 const Session = () => {
-  const { clapLoaded, activeProfile, activeDataDir, setPageTitle, setHandleNewExperimentClick, setHandleSavedExperimentsClick, setOverlayCount } = useContext(SessionContext)
+  const { clapLoaded, activeProfile, activeDataDir, profileFields, taxonomy, setPageTitle, setHandleNewExperimentClick, setHandleSavedExperimentsClick, setHandleEditHistoryClick, setOverlayCount } = useContext(SessionContext)
   const { settings } = useSettings()
 
   const { sessionId } = useParams()
@@ -55,15 +173,29 @@ const Session = () => {
   const [selectedExperiments, setSelectedExperiments] = useState([]) // Changed to array for multi-select
   const [activeExperiment, setActiveExperiment] = useState(null) // Primary experiment for editing
   const [activeDetection, setActiveDetection] = useState(null)
-  const [tempSpecies, setTempSpecies] = useState('')
-  // Undo stack of recently-deleted detections (F-6). Each entry holds the
-  // experiment id the detection belonged to plus the full detection row so
-  // we can restore exact species/verified/conf. Capped at 10 entries.
-  const [undoStack, setUndoStack] = useState([])
-  // Most recent deletion lives in state so we can render an Undo toast that
-  // auto-dismisses after a few seconds.
+  const [tempLabels, setTempLabels] = useState([])
+  // Search text and tag narrowing Previous/Next navigation.
+  const [detectionFilter, setDetectionFilter] = useState(EMPTY_FILTER)
+  // Multi-selection for bulk actions: detectionKey → { experimentId, id }.
+  // Mutually exclusive with activeDetection; a plain click on a detection
+  // clears it.
+  const [selectedDetections, setSelectedDetections] = useState(() => new Map())
+  const [bulkBusy, setBulkBusy] = useState(false)
+  // Undo/redo history of detection edits. Main records every edit in the
+  // session database; this is the list it last reported, oldest first, with
+  // undone entries (the redo branch) at the end.
+  const [editHistory, setEditHistory] = useState([])
+  const [showEditHistory, setShowEditHistory] = useState(false)
+  // After a deletion or move, an Undo toast pinned to that history entry
+  // ({ text, seq }) auto-dismisses after a few seconds (F-6).
   const [undoToast, setUndoToast] = useState(null)
   const undoToastTimerRef = useRef(null)
+  // Transient status message for import/export results: { tone, text, details }.
+  // Notices with details (e.g. unmatched import rows) stay until dismissed.
+  const [notice, setNotice] = useState(null)
+  const noticeTimerRef = useRef(null)
+  // Preview of a picked CSV while the column-mapping wizard is open.
+  const [csvImport, setCsvImport] = useState(null)
 
   // Navigation request for Next/Previous detection stepping. seq is a
   // monotonically increasing counter so NavigationBridge re-fires when the
@@ -95,6 +227,18 @@ const Session = () => {
     }
     return timeUpdateCallbacksRef.current.get(filePath)
   }, [])
+  // Same for alt-drag box drawing. The callbacks go through a ref so they
+  // stay stable while still adding to whichever experiment is active now.
+  const addDetectionRef = useRef(null)
+  const drawBoxCallbacksRef = useRef(new Map())
+  const getDrawBoxCallback = useCallback((filePath) => {
+    if (!drawBoxCallbacksRef.current.has(filePath)) {
+      drawBoxCallbacksRef.current.set(filePath, (start, end, lowFreq, highFreq, channel) =>
+        addDetectionRef.current?.(filePath, { start, end, lowFreq, highFreq, channel })
+      )
+    }
+    return drawBoxCallbacksRef.current.get(filePath)
+  }, [])
 
   const loadSessionData = async () => {
     if (!activeDataDir || !activeProfile || !sessionId) {
@@ -162,7 +306,7 @@ const Session = () => {
       return
     }
     setActiveDetection(null)
-    setTempSpecies('')
+    setTempLabels([])
   }, [activeExperiment])
 
   const wipeTemp = async () => {
@@ -214,8 +358,16 @@ const Session = () => {
   // Set up handler functions for the Header
   useEffect(() => {
     setHandleNewExperimentClick(() => wipeTemp);
-    setHandleSavedExperimentsClick(() => () => setShowHistory(true))
-  }, [sessionId, setHandleNewExperimentClick, setHandleSavedExperimentsClick])
+    // The two side panels share the right edge; opening one closes the other.
+    setHandleSavedExperimentsClick(() => () => {
+      setShowEditHistory(false)
+      setShowHistory(true)
+    })
+    setHandleEditHistoryClick(() => () => {
+      setShowHistory(false)
+      setShowEditHistory(true)
+    })
+  }, [sessionId, setHandleNewExperimentClick, setHandleSavedExperimentsClick, setHandleEditHistoryClick])
 
   // Python message listener for detection events
   useEffect(() => {
@@ -252,8 +404,8 @@ const Session = () => {
             setActiveExperiment('temp')
             setSelectedExperiments(['temp'])
             // Targeted fetch: only the new temp experiment changed on disk.
-            // Pulling the full session here would re-parse every saved
-            // experiment's CSV and replace the entire `sessionData` reference,
+            // Pulling the full session here would re-read every saved
+            // experiment's detections and replace the entire `sessionData` reference,
             // which cascades into a full spectrogram-subtree re-render.
             window.electronAPI.getExperiment(sessionId, 'temp').then(res => {
               if (!res.success) {
@@ -309,8 +461,9 @@ const Session = () => {
   }, [])
 
   const handleDetectionClick = useCallback((detection) => {
+    setSelectedDetections(prev => (prev.size ? new Map() : prev))
     setActiveDetection(detection)
-    setTempSpecies(detection.species || '')
+    setTempLabels(detectionLabels(detection))
     setShowExperimentPanel(true)
   }, [])
 
@@ -325,12 +478,15 @@ const Session = () => {
         sessionId,
         activeExperiment,
         activeDetection.id,
-        tempSpecies || 'null'
+        cleanLabels(tempLabels)
       )
 
       if (result.success) {
-        // Update local state
-        setActiveDetection(prev => ({ ...prev, species: tempSpecies }))
+        // Main returns the labels as stored: the primary species and its
+        // taxon code, plus the full list when there's more to it than one species.
+        const stored = { species: result.species ?? null, species_code: result.species_code ?? null, labels: result.labels ?? null }
+        setActiveDetection(prev => ({ ...prev, ...stored }))
+        setTempLabels(detectionLabels(stored))
 
         // Update the detections in sessionData
         setSessionData(prevSessionData => {
@@ -340,12 +496,13 @@ const Session = () => {
               d => d.id === activeDetection.id
             )
             if (detectionIndex !== -1) {
-              newSessionData.experiments[activeExperiment].detections[activeDetection.filename][detectionIndex].species = tempSpecies
+              Object.assign(newSessionData.experiments[activeExperiment].detections[activeDetection.filename][detectionIndex], stored)
             }
           }
           return newSessionData
         })
 
+        refreshHistory()
         setErrorMessage('')
       } else {
         setErrorMessage(`Failed to save annotation: ${result.error}`)
@@ -355,6 +512,62 @@ const Session = () => {
     }
   }
 
+  // Apply a change main has saved to the open detection and its row in
+  // sessionData.
+  const patchActiveDetection = (patch) => {
+    setActiveDetection(prev => ({ ...prev, ...patch }))
+    setSessionData(prevSessionData => {
+      const newSessionData = { ...prevSessionData }
+      const detection = newSessionData.experiments[activeExperiment]?.detections[activeDetection.filename]
+        ?.find(d => d.id === activeDetection.id)
+      if (detection) Object.assign(detection, patch)
+      return newSessionData
+    })
+  }
+
+  // Custom fields save on change, each as its own undoable edit.
+  const handleFieldChange = async (name, value) => {
+    if (!activeDetection) return
+    try {
+      const result = await window.electronAPI.setDetectionFields(
+        sessionId,
+        activeExperiment,
+        activeDetection.id,
+        { [name]: value }
+      )
+      if (!result.success) {
+        setErrorMessage(`Failed to save ${name}: ${result.error}`)
+        return
+      }
+      patchActiveDetection({ extra: result.extra })
+      refreshHistory()
+      setErrorMessage('')
+    } catch (error) {
+      setErrorMessage(`Failed to save ${name}: ${error.message}`)
+    }
+  }
+
+  const handleNotesChange = async (changes) => {
+    if (!activeDetection) return
+    try {
+      const result = await window.electronAPI.setDetectionNotes(
+        sessionId,
+        activeExperiment,
+        activeDetection.id,
+        changes
+      )
+      if (!result.success) {
+        setErrorMessage(`Failed to save notes: ${result.error}`)
+        return
+      }
+      patchActiveDetection({ notes: result.notes, tags: result.tags })
+      refreshHistory()
+      setErrorMessage('')
+    } catch (error) {
+      setErrorMessage(`Failed to save notes: ${error.message}`)
+    }
+  }
+
   const handleVerifyAnnotation = async () => {
     if (!activeDetection) {
       setErrorMessage('No detection selected')
@@ -387,6 +600,7 @@ const Session = () => {
           return newSessionData
         })
 
+        refreshHistory()
         setErrorMessage('')
       } else {
         setErrorMessage(`Failed to verify annotation: ${result.error}`)
@@ -427,6 +641,7 @@ const Session = () => {
           return newSessionData
         })
 
+        refreshHistory()
         setErrorMessage('')
       } else {
         setErrorMessage(`Failed to unverify annotation: ${result.error}`)
@@ -442,10 +657,8 @@ const Session = () => {
       return
     }
 
-    // Snapshot the detection BEFORE the delete IPC fires so we can offer to
-    // restore exact species/verified/conf if the user clicks Undo.
-    const snapshot = { ...activeDetection }
-    const experimentIdForUndo = activeExperiment
+    const species = activeDetection.species
+    const hasSpecies = species && species !== 'null' && species !== 'None'
 
     try {
       const result = await window.electronAPI.deleteDetection(
@@ -467,21 +680,11 @@ const Session = () => {
           return newSessionData
         })
 
-        // Push onto the undo stack (cap at 10 — keeps memory bounded and the
-        // UI honest about being a recent-undo, not a full history).
-        setUndoStack(prev => {
-          const entry = { experimentId: experimentIdForUndo, detection: snapshot }
-          const next = [...prev, entry]
-          return next.length > 10 ? next.slice(next.length - 10) : next
-        })
-        // Show a transient Undo toast.
-        if (undoToastTimerRef.current) clearTimeout(undoToastTimerRef.current)
-        setUndoToast({ experimentId: experimentIdForUndo, detection: snapshot })
-        undoToastTimerRef.current = setTimeout(() => setUndoToast(null), 10000)
+        showUndoToast(hasSpecies ? `Detection deleted (${species})` : 'Detection deleted')
 
         // Clear the active detection
         setActiveDetection(null)
-        setTempSpecies('')
+        setTempLabels([])
         setErrorMessage('')
       } else {
         setErrorMessage(`Failed to delete detection: ${result.error}`)
@@ -491,61 +694,225 @@ const Session = () => {
     }
   }
 
-  // Restore the most recently deleted detection via the restoreDetection IPC.
-  // Works for both the toast button and (if we later add it) Ctrl+Z. Pops
-  // from the undo stack regardless of which entry is targeted so the stack
-  // stays consistent with what the user expects.
-  const handleUndoDelete = async (entryOverride) => {
-    const entry = entryOverride || undoStack[undoStack.length - 1]
+  // Re-read the edit history after anything that may have changed it.
+  // Resolves to the newest entry, so an Undo toast can pin itself to it.
+  const refreshHistory = useCallback(async () => {
+    try {
+      const result = await window.electronAPI.getEditHistory(sessionId)
+      if (!result.success) return null
+      setEditHistory(result.entries)
+      return result.entries[result.entries.length - 1] || null
+    } catch (error) {
+      console.error('Failed to load edit history:', error)
+      return null
+    }
+  }, [sessionId])
+
+  useEffect(() => {
+    setEditHistory([])
+    refreshHistory()
+  }, [refreshHistory])
+
+  // Deletions and moves make detections vanish from view, so they also get
+  // a transient Undo toast.
+  const showUndoToast = async (text) => {
+    const entry = await refreshHistory()
     if (!entry) return
+    if (undoToastTimerRef.current) clearTimeout(undoToastTimerRef.current)
+    setUndoToast({ text, seq: entry.seq })
+    undoToastTimerRef.current = setTimeout(() => setUndoToast(null), 10000)
+  }
+
+  // Undo the newest edit or redo the oldest undone one. `seq` (from the
+  // toast or the history list) makes main refuse if that isn't the entry
+  // next in line. Main returns the resulting detections, which replace the
+  // local copies; an open detection follows along or closes if it's gone.
+  const stepHistory = useCallback(async (direction, seq) => {
     try {
-      const result = await window.electronAPI.restoreDetection(
-        sessionId,
-        entry.experimentId,
-        entry.detection
-      )
+      const result = direction === 'undo'
+        ? await window.electronAPI.undoEdit(sessionId, seq)
+        : await window.electronAPI.redoEdit(sessionId, seq)
       if (result.success) {
-        // Optimistically re-insert into sessionData so the rect reappears
-        // immediately, then reload from disk to ensure consistency.
-        setSessionData(prev => {
-          const next = { ...prev }
-          const exp = next.experiments?.[entry.experimentId]
-          if (exp) {
-            const fname = entry.detection.filename
-            if (!exp.detections) exp.detections = {}
-            if (!exp.detections[fname]) exp.detections[fname] = []
-            exp.detections[fname] = [...exp.detections[fname], entry.detection]
+        setSessionData(prev => applyDetectionChanges(prev, result.changes))
+        if (activeDetection) {
+          const experimentId = activeDetection.experimentId || activeExperiment
+          const change = result.changes.find(c => c.id === activeDetection.id && c.experimentId === experimentId)
+          if (change?.detection) {
+            setActiveDetection({ ...activeDetection, ...change.detection })
+            setTempLabels(detectionLabels(change.detection))
+          } else if (change) {
+            setActiveDetection(null)
+            setTempLabels([])
           }
-          return next
-        })
-        setUndoStack(prev => prev.filter(e => e.detection.id !== entry.detection.id))
-        if (undoToast?.detection?.id === entry.detection.id) {
-          setUndoToast(null)
-          if (undoToastTimerRef.current) clearTimeout(undoToastTimerRef.current)
         }
+        setUndoToast(null)
+        if (undoToastTimerRef.current) clearTimeout(undoToastTimerRef.current)
         setErrorMessage('')
       } else {
-        setErrorMessage(`Failed to restore detection: ${result.error}`)
+        setErrorMessage(`Failed to ${direction}: ${result.error}`)
       }
     } catch (error) {
-      setErrorMessage(`Failed to restore detection: ${error.message}`)
+      setErrorMessage(`Failed to ${direction}: ${error.message}`)
+    }
+    // Also after a failure: main drops entries it can no longer apply.
+    refreshHistory()
+  }, [sessionId, activeDetection, activeExperiment, refreshHistory])
+
+  const handleUndo = useCallback((seq) => stepHistory('undo', seq), [stepHistory])
+  const handleRedo = useCallback((seq) => stepHistory('redo', seq), [stepHistory])
+
+  // Ctrl/Cmd-click toggles a detection in the multi-selection; shift-click
+  // and the spectrogram's shift-drag band add to it. Starting a selection
+  // while a single detection is open pulls that detection in as well, so
+  // ctrl-clicking a second detection selects both.
+  const handleSelectDetections = useCallback((detections, mode) => {
+    setSelectedDetections(prev => {
+      const next = new Map(prev)
+      const picked = new Set(detections.map(d => detectionKey(d.experimentId || activeExperiment, d.id)))
+      if (next.size === 0 && activeDetection) {
+        const experimentId = activeDetection.experimentId || activeExperiment
+        const key = detectionKey(experimentId, activeDetection.id)
+        if (!picked.has(key)) next.set(key, { experimentId, id: activeDetection.id })
+      }
+      for (const d of detections) {
+        const experimentId = d.experimentId || activeExperiment
+        const key = detectionKey(experimentId, d.id)
+        if (mode === 'toggle' && next.has(key)) next.delete(key)
+        else next.set(key, { experimentId, id: d.id })
+      }
+      return next
+    })
+    setActiveDetection(null)
+    setShowExperimentPanel(true)
+  }, [activeDetection, activeExperiment])
+
+  const clearSelection = useCallback(() => {
+    setSelectedDetections(prev => (prev.size ? new Map() : prev))
+  }, [])
+
+  // Keyboard shortcuts, ignored while the user is typing somewhere: Escape
+  // clears the multi-selection, Ctrl/Cmd+Z undoes, and Ctrl/Cmd+Shift+Z or
+  // Ctrl+Y redoes.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target?.tagName)) return
+      const mod = e.ctrlKey || e.metaKey
+      const key = e.key.toLowerCase()
+      if (e.key === 'Escape') {
+        clearSelection()
+      } else if (mod && key === 'z') {
+        e.preventDefault()
+        if (e.shiftKey) handleRedo()
+        else handleUndo()
+      } else if (mod && key === 'y') {
+        e.preventDefault()
+        handleRedo()
+      }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [clearSelection, handleUndo, handleRedo])
+
+  // Detections in experiments that are no longer overlaid can't be seen, so
+  // they drop out of the selection rather than being acted on invisibly.
+  useEffect(() => {
+    setSelectedDetections(prev => {
+      const kept = [...prev].filter(([, ref]) => selectedExperiments.includes(ref.experimentId))
+      return kept.length === prev.size ? prev : new Map(kept)
+    })
+  }, [selectedExperiments])
+
+  // Coded labels are shown under their taxon's current name.
+  const taxaByCodeMap = useMemo(() => taxaByCode(taxonomy), [taxonomy])
+
+  // Wall-clock start/end of the open detection; null when its recording's
+  // start time is unknown, which leaves just the seconds into the file.
+  const activeClock = useMemo(() => {
+    const startTime = sessionData?.recordings?.[activeDetection?.filename]?.startTime
+    const expansion = settings.timeExpansion > 0 ? settings.timeExpansion : 1
+    const start = activeDetection && wallClock(startTime, (activeDetection.start_time ?? 0) / expansion, settings.timeZone)
+    const end = activeDetection && wallClock(startTime, (activeDetection.end_time ?? 0) / expansion, settings.timeZone)
+    return start && end ? { start, end } : null
+  }, [sessionData?.recordings, activeDetection, settings.timeZone, settings.timeExpansion])
+
+  const selectedDetectionKeys = useMemo(() => new Set(selectedDetections.keys()), [selectedDetections])
+
+  // Run one bulk IPC over the current selection and mirror its result locally.
+  const runBulkAction = async (what, call, onSuccess) => {
+    const items = [...selectedDetections.values()]
+    if (items.length === 0) return
+    setBulkBusy(true)
+    try {
+      const result = await call(items)
+      if (result.success) {
+        onSuccess(result, new Set(selectedDetections.keys()))
+        setErrorMessage('')
+      } else {
+        setErrorMessage(`Failed to ${what}: ${result.error}`)
+      }
+    } catch (error) {
+      setErrorMessage(`Failed to ${what}: ${error.message}`)
+    } finally {
+      setBulkBusy(false)
     }
   }
 
-  // Commit a drag-resize of a detection's start/end time. Called after the
-  // user releases the mouse over an edge handle. Optimistically updates the
-  // local sessionData so the rect doesn't snap back while the IPC is in
-  // flight.
-  const handleResizeDetection = useCallback(async (detection, newStart, newEnd) => {
+  const handleBulkUpdate = (fields) => runBulkAction(
+    'update detections',
+    (items) => window.electronAPI.bulkUpdateDetections(sessionId, items, fields),
+    (result, keys) => {
+      // Assigning a species replaces any additional labels, as in main, and
+      // is stored under the name and code main resolved it to.
+      const patch = 'species' in fields
+        ? { ...fields, species: result.species, species_code: result.species_code, labels: null }
+        : fields
+      setSessionData(prev => patchDetections(prev, keys, patch))
+      refreshHistory()
+    }
+  )
+
+  const handleBulkDelete = () => runBulkAction(
+    'delete detections',
+    (items) => window.electronAPI.bulkDeleteDetections(sessionId, items),
+    (result, keys) => {
+      setSessionData(prev => removeDetections(prev, keys))
+      showUndoToast(`${pluralDetections(result.deleted.length)} deleted`)
+      clearSelection()
+    }
+  )
+
+  const handleBulkMove = (to) => runBulkAction(
+    'move detections',
+    (items) => window.electronAPI.moveDetections(sessionId, items.map(item => ({ ...item, to }))),
+    (result) => {
+      if (result.moved.length > 0) {
+        setSessionData(prev => relocateDetections(prev, result.moved))
+        showUndoToast(`${pluralDetections(result.moved.length)} moved`)
+      }
+      clearSelection()
+    }
+  )
+
+  // Commit a drag-resize of a detection's start/end time, and of its
+  // frequency band when it's a box (lowFreq/highFreq undefined otherwise).
+  // Called after the user releases the mouse over an edge handle.
+  // Optimistically updates the local sessionData so the rect doesn't snap
+  // back while the IPC is in flight.
+  const handleResizeDetection = useCallback(async (detection, newStart, newEnd, lowFreq, highFreq) => {
     const experimentIdForResize = detection.experimentId || activeExperiment
     if (!experimentIdForResize) return
+    const bounds = lowFreq === undefined
+      ? { start_time: newStart, end_time: newEnd }
+      : { start_time: newStart, end_time: newEnd, low_freq: lowFreq, high_freq: highFreq }
     try {
       const result = await window.electronAPI.updateDetectionTimes(
         sessionId,
         experimentIdForResize,
         detection.id,
         newStart,
-        newEnd
+        newEnd,
+        lowFreq,
+        highFreq
       )
       if (result.success) {
         setSessionData(prev => {
@@ -555,7 +922,7 @@ const Session = () => {
           if (list) {
             const idx = list.findIndex(d => d.id === detection.id)
             if (idx !== -1) {
-              list[idx] = { ...list[idx], start_time: newStart, end_time: newEnd }
+              list[idx] = { ...list[idx], ...bounds }
             }
           }
           return next
@@ -563,27 +930,31 @@ const Session = () => {
         // Update the active detection (and the dependent rect) if it's the
         // one being resized.
         setActiveDetection(prev => prev && prev.id === detection.id
-          ? { ...prev, start_time: newStart, end_time: newEnd }
+          ? { ...prev, ...bounds }
           : prev)
+        refreshHistory()
       } else {
         setErrorMessage(`Failed to update detection times: ${result.error}`)
       }
     } catch (error) {
       setErrorMessage(`Failed to update detection times: ${error.message}`)
     }
-  }, [sessionId, activeExperiment])
-
-  // Manually add a 1-second detection at the given file's current playhead.
-  // Targets the currently active experiment. The IPC returns the new row so we
-  // can optimistically insert and immediately select it for editing.
-  const handleAddDetection = async (filePath) => {
+  }, [sessionId, activeExperiment, refreshHistory])
+
+  // Manually add a detection to the currently active experiment: a drawn
+  // box when `box` ({ start, end, lowFreq, highFreq, channel }) is given,
+  // otherwise a full-band 1-second detection on every channel at the given
+  // file's current playhead. The
+  // IPC returns the new row so we can optimistically insert and immediately
+  // select it for editing.
+  const handleAddDetection = async (filePath, box = null) => {
     if (!activeExperiment) {
       setErrorMessage('Select an experiment before adding a detection')
       return
     }
     const playhead = playheadsRef.current[filePath] ?? 0
-    const start = playhead
-    const end = playhead + 1.0
+    const start = box ? box.start : playhead
+    const end = box ? box.end : playhead + 1.0
 
     try {
       const result = await window.electronAPI.addDetection(
@@ -591,7 +962,10 @@ const Session = () => {
         activeExperiment,
         filePath,
         start,
-        end
+        end,
+        box?.lowFreq,
+        box?.highFreq,
+        box?.channel
       )
       if (!result.success || !result.detection) {
         setErrorMessage(`Failed to add detection: ${result.error || 'no row returned'}`)
@@ -610,13 +984,16 @@ const Session = () => {
       })
       // Drop the user straight into the annotation/edit UI on the new row.
       setActiveDetection({ ...row, experimentId: activeExperiment })
-      setTempSpecies(row.species || '')
+      setTempLabels(detectionLabels(row))
+      refreshHistory()
       setErrorMessage('')
     } catch (error) {
       setErrorMessage(`Failed to add detection: ${error.message}`)
     }
   }
 
+  addDetectionRef.current = handleAddDetection
+
   const handleDeleteExperiment = async (experimentId) => {
     if (!experimentId || experimentId === 'temp') {
       setErrorMessage('Cannot delete temporary experiment')
@@ -643,9 +1020,10 @@ const Session = () => {
         if (activeExperiment === experimentId) {
           setActiveExperiment(null)
           setActiveDetection(null)
-          setTempSpecies('')
+          setTempLabels([])
         }
 
+        refreshHistory()
         setErrorMessage('')
       } else {
         setErrorMessage(`Failed to delete experiment: ${result.error}`)
@@ -668,7 +1046,7 @@ const Session = () => {
 
     setIsRunningDetection(true)
     try {
-      const ack = await window.electronAPI.startDetection(sessionId, positivePrompt, negativePrompt, theta)
+      const ack = await window.electronAPI.startDetection(sessionId, positivePrompt, negativePrompt, theta, settings.channel)
       if (ack && !ack.success) {
         setErrorMessage(`Detection failed: ${ack.error}`)
         setIsRunningDetection(false)
@@ -699,8 +1077,8 @@ const Session = () => {
         setErrorMessage(`Failed to save experiment: ${result.error}`)
         return
       }
-      // Disk side just renamed temp.csv → {experimentId}.csv and swapped the
-      // key in config.json. The detections themselves are unchanged, so we
+      // Main just gave the temp experiment a permanent id in the session
+      // database. The detections themselves are unchanged, so we
       // can mirror the rename in local state instead of reloading anything.
       const experimentId = result.experimentId
       setErrorMessage('')
@@ -722,9 +1100,98 @@ const Session = () => {
     }
   }
 
+  const showNotice = (tone, text, details = []) => {
+    if (noticeTimerRef.current) clearTimeout(noticeTimerRef.current)
+    setNotice({ tone, text, details })
+    noticeTimerRef.current = details.length === 0 ? setTimeout(() => setNotice(null), 6000) : null
+  }
+
+  const describeUnmatched = (unmatched = []) => {
+    const lines = unmatched.slice(0, MAX_NOTICE_DETAILS).map(u =>
+      `${u.source} #${u.row}: ${u.file ? `${u.file.split(/[/\\]/).pop()} — ` : ''}${u.label ? `"${u.label}" — ` : ''}${u.reason}`
+    )
+    if (unmatched.length > MAX_NOTICE_DETAILS) lines.push(`…and ${unmatched.length - MAX_NOTICE_DETAILS} more`)
+    return lines
+  }
+
+  // Pull a freshly imported experiment into local state and overlay it next
+  // to whatever is already visible when there's room, so it can be compared
+  // straight away.
+  const applyImportResult = async (result) => {
+    const experimentId = result.experimentId
+    const res = await window.electronAPI.getExperiment(sessionId, experimentId)
+    if (!res.success) {
+      showNotice('error', `Failed to load imported experiment: ${res.error}`)
+      return
+    }
+    setSessionData(prev => prev ? {
+      ...prev,
+      experiments: { ...(prev.experiments || {}), [experimentId]: res.experiment }
+    } : prev)
+    setSelectedExperiments(prev => prev.length < MAX_SELECTED_EXPERIMENTS ? [...prev, experimentId] : [experimentId])
+    setActiveExperiment(experimentId)
+    const skipped = result.unmatched?.length || 0
+    showNotice(
+      skipped ? 'warning' : 'info',
+      `Imported ${result.imported} detection${result.imported === 1 ? '' : 's'}` +
+      (skipped ? `; ${skipped} row${skipped === 1 ? '' : 's'} could not be matched` : ''),
+      describeUnmatched(result.unmatched)
+    )
+  }
+
+  const handleImportExperiment = async (formatId) => {
+    try {
+      if (formatId === 'csv') {
+        // Generic CSVs go through the column-mapping wizard first.
+        const preview = await window.electronAPI.openCsvForImport()
+        if (preview.canceled) return
+        if (!preview.success) {
+          showNotice('error', `Import failed: ${preview.error}`)
+          return
+        }
+        setCsvImport(preview)
+        return
+      }
+      const importer = IMPORTERS[formatId]
+      if (!importer) return
+      const result = await importer(sessionId)
+      if (result.canceled) return
+      if (!result.success) {
+        showNotice('error', `Import failed: ${result.error}`, describeUnmatched(result.unmatched))
+        return
+      }
+      await applyImportResult(result)
+    } catch (error) {
+      showNotice('error', `Import failed: ${error.message}`)
+    }
+  }
+
+  const handleExportExperiment = async (experimentId, formatId) => {
+    const exporter = EXPORTERS[formatId]
+    if (!exporter) return
+    try {
+      const result = await exporter(sessionId, experimentId)
+      if (result.canceled) return
+      if (!result.success) {
+        showNotice('error', `Export failed: ${result.error}`)
+        return
+      }
+      const tables = result.tables > 1 ? ` in ${result.tables} files` : ''
+      const unit = result.unit || 'detection'
+      showNotice('info', `Exported ${result.count} ${unit}${result.count === 1 ? '' : 's'}${tables} to ${result.path}`)
+    } catch (error) {
+      showNotice('error', `Export failed: ${error.message}`)
+    }
+  }
+
   // Build combined detections from all selected experiments with color coding
   const [multiExperimentDetections, setMultiExperimentDetections] = useState({})
 
+  const palette = useMemo(
+    () => experimentPalette(settings.colormap, settings.customColormap),
+    [settings.colormap, settings.customColormap]
+  )
+
   // Create a map of experiment IDs to their assigned colors (based on index in full sidebar list, not selection)
   const experimentColorMap = useMemo(() => {
     const map = {}
@@ -736,10 +1203,10 @@ const Session = () => {
       })
       .map(([id]) => id)
     allExperiments.forEach((expId, index) => {
-      map[expId] = EXPERIMENT_COLORS[index % EXPERIMENT_COLORS.length]
+      map[expId] = palette[index % palette.length]
     })
     return map
-  }, [sessionData?.experiments])
+  }, [sessionData?.experiments, palette])
 
   // Sidebar-ordered view of the selection. Lane positions in the
   // spectrogram and navigator are derived via indexOf on this list, so the
@@ -832,6 +1299,13 @@ const Session = () => {
     return rows
   }, [activeExperiment, sessionData])
 
+  const experimentTags = useMemo(() => collectTags(allDetections), [allDetections])
+  const filterActive = isFilterActive(detectionFilter)
+  const matchingDetections = useMemo(
+    () => (filterActive ? allDetections.filter(d => matchesFilter(d, detectionFilter)) : allDetections),
+    [allDetections, detectionFilter, filterActive]
+  )
+
   const navigateToDetection = useCallback((d) => {
     if (!d) return
     setNavRequest({
@@ -839,10 +1313,11 @@ const Session = () => {
       seekTime: d.start_time ?? 0,
       detectionStart: d.start_time ?? 0,
       detectionEnd: d.end_time ?? (d.start_time ?? 0) + 1,
+      channel: d.channel ?? null,
       seq: Date.now(),
     })
     setActiveDetection(d)
-    setTempSpecies(d.species || '')
+    setTempLabels(detectionLabels(d))
   }, [])
 
   // Scroll the target file's spectrogram into view whenever a nav request fires.
@@ -880,14 +1355,21 @@ const Session = () => {
                   selectedExperiments={sortedSelectedExperiments}
                   maxLanes={MAX_SELECTED_EXPERIMENTS}
                   onDetectionResize={handleResizeDetection}
+                  selectedDetectionKeys={selectedDetectionKeys}
+                  onSelectDetections={handleSelectDetections}
+                  onDrawBox={getDrawBoxCallback(filePath)}
                   onTimeUpdate={getTimeUpdateCallback(filePath)}
                   navRequest={navRequest?.filePath === filePath ? navRequest : null}
+                  recordingStart={sessionData?.recordings?.[filePath]?.startTime ?? null}
                 />
-                {/* File info */}
-                <div className="mt-1 text-xs text-gray-500">
+                {/* File info: name, then what the recorder wrote into the file */}
+                <div className="mt-1 text-xs text-gray-500 flex flex-wrap items-baseline gap-x-2">
                   <span className="truncate" title={filePath}>
                     {filePath.split(/[/\\]/).pop()}
                   </span>
+                  {recordingInfoItems(sessionData?.recordings?.[filePath]).map(({ text, title }) => (
+                    <span key={text} title={title} className="text-gray-400">· {text}</span>
+                  ))}
                 </div>
               </div>
             </LazyMount>
@@ -934,6 +1416,8 @@ const Session = () => {
         toggleExperimentSelection={toggleExperimentSelection}
         experimentColorMap={experimentColorMap}
         handleDeleteExperiment={handleDeleteExperiment}
+        onImportExperiment={handleImportExperiment}
+        onExportExperiment={handleExportExperiment}
         maxExperiments={MAX_SELECTED_EXPERIMENTS}
       />
     )
@@ -941,6 +1425,26 @@ const Session = () => {
 
 
   const renderExperimentPanel = () => {
+    // Several detections are selected - bulk actions replace the
+    // single-detection view until the selection is cleared.
+    if (selectedDetections.size > 0) {
+      return (
+        <BulkActionsPanel
+          count={selectedDetections.size}
+          speciesList={settings.speciesList || []}
+          taxa={taxonomy}
+          moveTargets={Object.entries(sessionData?.experiments || {})
+            .map(([id, exp]) => ({ id, label: experimentLabel(id, exp) }))}
+          busy={bulkBusy}
+          onAssignSpecies={({ species, code }) => handleBulkUpdate({ species, species_code: code })}
+          onVerify={(verified) => handleBulkUpdate({ verified })}
+          onMove={handleBulkMove}
+          onDelete={handleBulkDelete}
+          onClear={clearSelection}
+        />
+      )
+    }
+
     // A detection is currently selected - show detection annotation panel.
     // This takes priority over the temp/new-experiment view so users can
     // annotate detections immediately after running detection (before saving).
@@ -972,8 +1476,17 @@ const Session = () => {
               <div className="text-xs space-y-1">
                 <div><strong>File:</strong> {activeDetection.filename}</div>
                 <div><strong>Time:</strong> {activeDetection.start_time?.toFixed(2)}s - {activeDetection.end_time?.toFixed(2)}s</div>
+                {activeClock && (
+                  <div><strong>Clock:</strong> {formatClockRange(activeClock.start, activeClock.end)}</div>
+                )}
+                {(activeDetection.low_freq != null || activeDetection.high_freq != null) && (
+                  <div><strong>Frequency:</strong> {activeDetection.low_freq != null ? Math.round(activeDetection.low_freq) : '…'} - {activeDetection.high_freq != null ? Math.round(activeDetection.high_freq) : '…'} Hz</div>
+                )}
+                {activeDetection.channel != null && (
+                  <div><strong>Channel:</strong> {activeDetection.channel + 1}</div>
+                )}
                 <div><strong>Confidence:</strong> {(activeDetection.detection_conf * 100).toFixed(1)}%</div>
-                <div><strong>Species:</strong> {(!activeDetection.species || activeDetection.species === 'null' || activeDetection.species === 'None') ? 'Not annotated' : activeDetection.species}</div>
+                <div><strong>{activeDetection.labels?.length > 1 ? 'Labels' : 'Species'}:</strong> {detectionLabels(activeDetection).length ? formatLabels(currentNames(detectionLabels(activeDetection), taxaByCodeMap)) : 'Not annotated'}</div>
                 <div className="flex items-center space-x-2">
                   <strong>Status:</strong>
                   <span className={`px-2 py-0.5 rounded text-xs font-medium ${activeDetection.verified
@@ -987,26 +1500,25 @@ const Session = () => {
             </div>
 
             <div className="space-y-3">
-              {(!activeDetection.species || activeDetection.species === 'null' || activeDetection.species === 'None' || !activeDetection.verified) &&
-                <div>
-                  <label className="block text-xs font-medium text-gray-700 mb-1">
-                    {(!activeDetection.species || activeDetection.species === 'null' || activeDetection.species === 'None')
-                      ? 'Species Annotation'
-                      : 'Change Species Annotation'}
-                  </label>
-                  <select
-                    className="w-full px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 text-xs"
-                    value={tempSpecies}
-                    onChange={(e) => setTempSpecies(e.target.value)}
-                  >
-                    <option value="">Select species...</option>
-                    {settings.speciesList?.map((species) => (
-                      <option key={species} value={species}>
-                        {species}
-                      </option>
-                    ))}
-                  </select>
-                </div>}
+              {/* Labels are locked once verified; custom fields stay editable. */}
+              <AnnotationPanel
+                heading={(!activeDetection.species || activeDetection.species === 'null' || activeDetection.species === 'None')
+                  ? 'Species Annotation'
+                  : 'Change Species Annotation'}
+                labels={tempLabels}
+                speciesList={settings.speciesList || []}
+                taxa={taxonomy}
+                notes={activeDetection.notes}
+                tags={activeDetection.tags}
+                knownTags={experimentTags}
+                onNotesChange={handleNotesChange}
+                onChange={(!activeDetection.species || activeDetection.species === 'null' || activeDetection.species === 'None' || !activeDetection.verified)
+                  ? setTempLabels
+                  : undefined}
+                fields={profileFields}
+                fieldValues={activeDetection.extra || {}}
+                onFieldChange={handleFieldChange}
+              />
 
               <div className="flex items-center justify-between">
                 <div className="flex items-center space-x-2">
@@ -1024,7 +1536,7 @@ const Session = () => {
                     ) : (
                       // Unverified detection - show save annotation (if changed) and verify buttons
                       <>
-                        {tempSpecies !== activeDetection.species && (
+                        {!sameLabels(tempLabels, detectionLabels(activeDetection)) && (
                           <button
                             onClick={handleSaveAnnotation}
                             className="px-3 py-1.5 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors flex items-center space-x-1 text-xs font-medium"
@@ -1045,7 +1557,7 @@ const Session = () => {
                     // Show save annotation button for unannotated detections
                     <button
                       onClick={handleSaveAnnotation}
-                      disabled={!tempSpecies}
+                      disabled={cleanLabels(tempLabels).length === 0}
                       className="px-3 py-1.5 bg-green-600 text-white rounded hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center space-x-1 text-xs font-medium"
                     >
                       <Save className="h-3 w-3" />
@@ -1055,7 +1567,7 @@ const Session = () => {
                   <button
                     onClick={() => {
                       setActiveDetection(null)
-                      setTempSpecies('')
+                      setTempLabels([])
                     }}
                     className="px-3 py-1.5 bg-white border border-gray-300 text-gray-600 rounded hover:bg-gray-50 transition-colors flex items-center space-x-1 text-xs font-medium"
                   >
@@ -1065,9 +1577,15 @@ const Session = () => {
                 </div>
 
                 {(() => {
+                  // Neighbours among the detections matching the filter. The
+                  // open one may not match itself (e.g. its tag was just
+                  // removed), so search outward from its place in the full list.
                   const currentIndex = allDetections.findIndex(d => d.id === activeDetection.id)
-                  const atStart = currentIndex <= 0
-                  const atEnd = currentIndex === -1 || currentIndex >= allDetections.length - 1
+                  const matches = (d) => !filterActive || matchesFilter(d, detectionFilter)
+                  const previous = currentIndex === -1 ? undefined : allDetections.slice(0, currentIndex).findLast(matches)
+                  const next = currentIndex === -1 ? undefined : allDetections.slice(currentIndex + 1).find(matches)
+                  const atStart = !previous
+                  const atEnd = !next
                   return (
                     <div className="flex items-center space-x-2">
                       <button
@@ -1075,7 +1593,7 @@ const Session = () => {
                         title={atStart ? 'No previous detection' : 'Previous detection'}
                         onClick={() => {
                           if (atStart) return
-                          navigateToDetection(allDetections[currentIndex - 1])
+                          navigateToDetection(previous)
                         }}
                         className="px-3 py-1.5 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors flex items-center space-x-1 text-xs font-medium"
                       >
@@ -1084,10 +1602,10 @@ const Session = () => {
                       </button>
                       <button
                         disabled={atEnd}
-                        title={atEnd ? 'No more detections in this experiment' : 'Next detection'}
+                        title={atEnd ? (filterActive ? 'No more matching detections' : 'No more detections in this experiment') : 'Next detection'}
                         onClick={() => {
                           if (atEnd) return
-                          navigateToDetection(allDetections[currentIndex + 1])
+                          navigateToDetection(next)
                         }}
                         className="px-3 py-1.5 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors flex items-center space-x-1 text-xs font-medium"
                       >
@@ -1098,7 +1616,22 @@ const Session = () => {
                   )
                 })()}
               </div>
+
+              <DetectionFilterBar
+                filter={detectionFilter}
+                onChange={setDetectionFilter}
+                tags={experimentTags}
+                matchCount={matchingDetections.length}
+                total={allDetections.length}
+              />
             </div>
+
+            <DetectionAuditLog
+              sessionId={sessionId}
+              experimentId={activeDetection.experimentId || activeExperiment}
+              detectionId={activeDetection.id}
+              refreshKey={editHistory}
+            />
           </div>
         </div>
       )
@@ -1151,12 +1684,35 @@ const Session = () => {
           <div className="px-3 pb-3">
             <div className="text-xs space-y-2">
               <div><strong>Time:</strong> {new Date(activeExp.time || activeExp.timestamp).toLocaleString()}</div>
-              <div><strong>Positive Prompts:</strong> {activeExp.posPrompts || activeExp.positive_prompts || 'None'}</div>
-              <div><strong>Negative Prompts:</strong> {activeExp.negPrompts || activeExp.negative_prompts || 'None'}</div>
-              <div><strong>Threshold:</strong> θ = {activeExp.theta || 0.5}</div>
+              {activeExp.source ? (
+                <>
+                  <div><strong>Imported from:</strong> {sourceLabel(activeExp.source)}</div>
+                  <div><strong>Source files:</strong> {(activeExp.sourceFiles || []).join(', ') || 'Unknown'}</div>
+                </>
+              ) : (
+                <>
+                  <div><strong>Positive Prompts:</strong> {activeExp.posPrompts || activeExp.positive_prompts || 'None'}</div>
+                  <div><strong>Negative Prompts:</strong> {activeExp.negPrompts || activeExp.negative_prompts || 'None'}</div>
+                  <div><strong>Threshold:</strong> θ = {activeExp.theta || 0.5}</div>
+                  {activeExp.channel > 0 && <div><strong>Channel:</strong> {activeExp.channel + 1}</div>}
+                </>
+              )}
               <div><strong>Detections:</strong> {Object.values(activeExp.detections || {}).flat().length} total</div>
             </div>
 
+            {allDetections.length > 0 && (
+              <div className="mt-3 pt-3 border-t border-gray-200">
+                <DetectionFilterBar
+                  filter={detectionFilter}
+                  onChange={setDetectionFilter}
+                  tags={experimentTags}
+                  matchCount={matchingDetections.length}
+                  total={allDetections.length}
+                  onFirst={() => navigateToDetection(matchingDetections[0])}
+                />
+              </div>
+            )}
+
             <div className="mt-3 pt-3 border-t border-gray-200 space-y-2">
               <p className="text-xs text-gray-600">
                 Click on any detection in the spectrogram to annotate it.
@@ -1222,18 +1778,59 @@ const Session = () => {
         )}
       </div>
       {showHistory && renderHistory()}
-      {/* Undo toast for the most recent deletion (F-6). Auto-dismisses after
-          ~10s; clicking Undo restores the detection via restoreDetection IPC. */}
+      {showEditHistory && (
+        <EditHistoryPanel
+          entries={editHistory}
+          onUndo={handleUndo}
+          onRedo={handleRedo}
+          onClose={() => setShowEditHistory(false)}
+        />
+      )}
+      {csvImport && (
+        <CsvImportModal
+          sessionId={sessionId}
+          preview={csvImport}
+          onImported={applyImportResult}
+          onClose={() => setCsvImport(null)}
+        />
+      )}
+      {notice && (
+        <div className={`fixed top-16 left-1/2 -translate-x-1/2 max-w-lg rounded-lg shadow-lg px-4 py-2 z-50 text-xs border ${notice.tone === 'error'
+            ? 'bg-red-50 border-red-200 text-red-800'
+            : notice.tone === 'warning'
+              ? 'bg-amber-50 border-amber-200 text-amber-900'
+              : 'bg-white border-gray-200 text-gray-800'
+          }`}>
+          <div className="flex items-start space-x-3">
+            <span className="flex-1 break-words">{notice.text}</span>
+            <button
+              onClick={() => {
+                setNotice(null)
+                if (noticeTimerRef.current) clearTimeout(noticeTimerRef.current)
+              }}
+              className="opacity-60 hover:opacity-100"
+              aria-label="Dismiss"
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </div>
+          {notice.details.length > 0 && (
+            <ul className="mt-1 space-y-0.5 opacity-80">
+              {notice.details.map((line, i) => <li key={i} className="truncate">{line}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+      {/* Undo toast for the most recent deletion or move (F-6). Auto-dismisses
+          after ~10s; Undo reverts exactly that history entry. The full list
+          is in the Edit History panel. */}
       {undoToast && (
         <div className="fixed bottom-6 left-1/2 -translate-x-1/2 bg-gray-900 text-white rounded-lg shadow-lg px-4 py-2 flex items-center space-x-3 z-50">
           <span className="text-xs">
-            Detection deleted
-            {undoToast.detection.species && undoToast.detection.species !== 'null' && undoToast.detection.species !== 'None'
-              ? ` (${undoToast.detection.species})`
-              : ''}
+            {undoToast.text}
           </span>
           <button
-            onClick={() => handleUndoDelete(undoToast)}
+            onClick={() => handleUndo(undoToast.seq)}
             className="px-2 py-0.5 bg-blue-600 hover:bg-blue-700 rounded text-xs font-medium"
           >
             Undo
@@ -1,6 +1,7 @@
 import { useState } from 'react'
-import { X, Trash2, Check, Eye } from 'lucide-react'
+import { X, Trash2, Check, Eye, Download, Upload } from 'lucide-react'
 import React from 'react';
+import { IMPORT_FORMATS, EXPORT_FORMATS, InterchangeFormat, sourceLabel } from '../utils/experimentSource';
 
 interface ExperimentColor {
   fill: string;
@@ -17,9 +18,37 @@ interface SessionHistoryProps {
   toggleExperimentSelection: (id: string) => void;
   experimentColorMap: Record<string, ExperimentColor>;
   handleDeleteExperiment: (id: string) => void;
+  onImportExperiment: (formatId: string) => void;
+  onExportExperiment: (experimentId: string, formatId: string) => void;
   maxExperiments: number;
 }
 
+// Small click-away dropdown used for the import and per-experiment export
+// menus. Clicks inside never reach the experiment card underneath.
+const FormatMenu: React.FC<{
+  formats: InterchangeFormat[];
+  onPick: (formatId: string) => void;
+  onClose: () => void;
+}> = ({ formats, onPick, onClose }) => (
+  <>
+    <div className="fixed inset-0 z-20" onClick={(e) => { e.stopPropagation(); onClose(); }} />
+    <div
+      className="absolute right-0 top-full mt-1 z-30 w-60 bg-white border border-gray-200 rounded shadow-lg py-1"
+      onClick={e => e.stopPropagation()}
+    >
+      {formats.map(format => (
+        <button
+          key={format.id}
+          onClick={() => { onClose(); onPick(format.id); }}
+          className="w-full text-left px-3 py-1.5 text-xs text-gray-700 hover:bg-gray-100"
+        >
+          {format.label}
+        </button>
+      ))}
+    </div>
+  </>
+);
+
 const SessionHistory: React.FC<SessionHistoryProps> = ({
   setShowHistory,
   sessionData,
@@ -29,10 +58,14 @@ const SessionHistory: React.FC<SessionHistoryProps> = ({
   toggleExperimentSelection,
   experimentColorMap,
   handleDeleteExperiment,
+  onImportExperiment,
+  onExportExperiment,
   maxExperiments
 }) => {
   const isSelected = (expId: string) => selectedExperiments.includes(expId);
   const [confirmDeleteId, setConfirmDeleteId] = useState<string | null>(null);
+  // 'import' for the header menu, otherwise the experiment whose export menu is open
+  const [openMenu, setOpenMenu] = useState<string | null>(null);
 
   const handleDeleteClick = (e: React.MouseEvent, experimentId: string) => {
     e.stopPropagation();
@@ -49,6 +82,19 @@ const SessionHistory: React.FC<SessionHistoryProps> = ({
       <div className="flex items-center justify-between mb-3">
         <h3 className="text-sm font-semibold text-gray-900">Saved Experiments</h3>
         <div className="flex items-center space-x-1">
+          <div className="relative">
+            <button
+              onClick={() => setOpenMenu(openMenu === 'import' ? null : 'import')}
+              className="flex items-center gap-1 px-2 py-1 hover:bg-gray-100 rounded text-xs font-medium text-gray-700"
+              title="Import annotations from another tool as a new experiment"
+            >
+              <Upload className="h-3 w-3" />
+              Import
+            </button>
+            {openMenu === 'import' && (
+              <FormatMenu formats={IMPORT_FORMATS} onPick={onImportExperiment} onClose={() => setOpenMenu(null)} />
+            )}
+          </div>
           <button
             onClick={() => setShowHistory(false)}
             className="p-1 hover:bg-gray-100 rounded text-xs font-medium"
@@ -84,6 +130,7 @@ const SessionHistory: React.FC<SessionHistoryProps> = ({
               const colorInfo = experimentColorMap[experimentId];
               const isActive = activeExperiment === experimentId;
               const isPendingDelete = confirmDeleteId === experimentId;
+              const importedFrom = sourceLabel(exp.source);
               // Block selecting more than maxExperiments at once. Disabling
               // here gives visual feedback; the underlying toggle in
               // Session.jsx also no-ops past the cap as a defense in depth.
@@ -158,8 +205,27 @@ const SessionHistory: React.FC<SessionHistoryProps> = ({
                       </div>
                       <div className="flex items-center space-x-2">
                         <span className="text-xs text-gray-500 bg-gray-100 px-2 py-0.5 rounded">
-                          θ={exp.theta || 0.5}
+                          {importedFrom || `θ=${exp.theta || 0.5}`}
                         </span>
+                        <div className="relative">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setOpenMenu(openMenu === experimentId ? null : experimentId);
+                            }}
+                            className="p-1 hover:bg-gray-100 rounded text-gray-500 hover:text-gray-700 transition-colors"
+                            title="Export experiment"
+                          >
+                            <Download className="h-3 w-3" />
+                          </button>
+                          {openMenu === experimentId && (
+                            <FormatMenu
+                              formats={EXPORT_FORMATS}
+                              onPick={(formatId) => onExportExperiment(experimentId, formatId)}
+                              onClose={() => setOpenMenu(null)}
+                            />
+                          )}
+                        </div>
                         {experimentId !== 'temp' && (
                           isPendingDelete ? (
                             <div className="flex items-center space-x-1" onClick={e => e.stopPropagation()}>
@@ -188,14 +254,25 @@ const SessionHistory: React.FC<SessionHistoryProps> = ({
                         )}
                       </div>
                     </div>
-                    <div className="text-gray-600 mt-1">
-                      <div className="font-medium">Positive:</div>
-                      <div className="text-gray-500 truncate">{exp.posPrompts || exp.positive_prompts || 'None'}</div>
-                    </div>
-                    <div className="text-gray-600">
-                      <div className="font-medium">Negative:</div>
-                      <div className="text-gray-500 truncate">{exp.negPrompts || exp.negative_prompts || 'None'}</div>
-                    </div>
+                    {importedFrom ? (
+                      <div className="text-gray-600 mt-1">
+                        <div className="font-medium">Imported from {importedFrom}</div>
+                        <div className="text-gray-500 truncate" title={(exp.sourceFiles || []).join('\n')}>
+                          {(exp.sourceFiles || []).join(', ') || 'Unknown file'}
+                        </div>
+                      </div>
+                    ) : (
+                      <>
+                        <div className="text-gray-600 mt-1">
+                          <div className="font-medium">Positive:</div>
+                          <div className="text-gray-500 truncate">{exp.posPrompts || exp.positive_prompts || 'None'}</div>
+                        </div>
+                        <div className="text-gray-600">
+                          <div className="font-medium">Negative:</div>
+                          <div className="text-gray-500 truncate">{exp.negPrompts || exp.negative_prompts || 'None'}</div>
+                        </div>
+                      </>
+                    )}
                     <div className="flex items-center justify-between mt-2 pt-2 border-t border-gray-100">
                       <span className="text-gray-600">
                         {Object.values(exp.detections || {}).flat().length} detections
@@ -1,6 +1,15 @@
-import { useState, useMemo } from 'react'
-import { X, Save, Plus, Trash2 } from 'lucide-react'
+import { useState, useMemo, useContext, useEffect } from 'react'
+import { X, Save, Plus, Trash2, Copy } from 'lucide-react'
 import { useSettings } from '../stores/SettingsContext'
+import { DEFAULT_SETTINGS } from '../utils/settings'
+import { listTimeZones } from '../utils/clock'
+import { SessionContext } from '../stores/SessionContext'
+import { tileCacheUsage, clearTileCache, TILE_CACHE_BUDGET_BYTES } from '../../spectrogram/tileStore'
+import { postWorkerMessage } from '../../spectrogram/workerClient'
+import { COLORMAPS, colormapLUT, cssGradient, isValidGradient } from '../../spectrogram/colormap'
+
+// Offered in the time zone picker; read once, the list is long.
+const TIME_ZONES = listTimeZones()
 
 const isPowerOfTwo = (n) => Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0
 
@@ -42,18 +51,84 @@ const validateSettings = (s) => {
   if (!Number.isFinite(s.windowDuration) || s.windowDuration < 1 || s.windowDuration > 120) {
     errors.windowDuration = 'Must be between 1 and 120'
   }
+  if (!Number.isFinite(s.timeExpansion) || s.timeExpansion < 1 || s.timeExpansion > 100) {
+    errors.timeExpansion = 'Must be between 1 and 100'
+  }
+  if (!Number.isInteger(s.channel) || s.channel < 0 || s.channel > 63) {
+    errors.channel = 'Must be a whole number between 1 and 64'
+  }
+  if (s.colormap === 'custom' && !isValidGradient(s.customColormap)) {
+    errors.customColormap = 'Needs two or three colors'
+  }
   return errors
 }
 
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// Halfway between two #rrggbb colors, for a custom gradient's added middle stop.
+const midColor = (a, b) => '#' + [1, 3, 5]
+  .map(i => Math.round((parseInt(a.slice(i, i + 2), 16) + parseInt(b.slice(i, i + 2), 16)) / 2).toString(16).padStart(2, '0'))
+  .join('')
+
+const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(bytes < 10 * 1024 * 1024 ? 1 : 0)} MB`
+
 const SettingsModal = ({ onClose }) => {
-  const { settings, updateSettings } = useSettings()
+  const { settings, updateSettings, maxSampleRate } = useSettings()
+  const { activeProfile, profileDefaults, saveProfileDefaults } = useContext(SessionContext)
   const [localSettings, setLocalSettings] = useState(settings)
   const [newSpecies, setNewSpecies] = useState('')
   const [showAddSpecies, setShowAddSpecies] = useState(false)
+  // Bytes in the spectrogram tile cache: null until read, or if it can't be.
+  const [cacheBytes, setCacheBytes] = useState(null)
+  const [clearingCache, setClearingCache] = useState(false)
+
+  useEffect(() => {
+    tileCacheUsage().then(setCacheBytes, () => setCacheBytes(null))
+  }, [])
+
+  // Not a setting: the cache is shared by every session and is emptied
+  // straight away rather than on Save, along with the workers' in-memory
+  // copies of its tiles.
+  const handleClearCache = async () => {
+    setClearingCache(true)
+    try {
+      await clearTileCache()
+      postWorkerMessage({ type: 'clear_tiles' })
+      setCacheBytes(0)
+    } catch (error) {
+      console.error('Failed to clear spectrogram cache:', error)
+    } finally {
+      setClearingCache(false)
+    }
+  }
 
   const errors = useMemo(() => validateSettings(localSettings), [localSettings])
+  // f_max can go up to half the highest native sample rate among the
+  // session's recordings. Above that the filterbank is capped rather than
+  // failing, so it's a note, not an error: the built-in 16 kHz default is
+  // above the Nyquist of 22.05 kHz recordings.
+  const nyquist = maxSampleRate ? maxSampleRate / 2 : null
   const hasErrors = Object.keys(errors).length > 0
 
+  // What this session inherits: the profile's defaults over the built-in ones.
+  const inherited = useMemo(() => ({ ...DEFAULT_SETTINGS, ...profileDefaults }), [profileDefaults])
+
+  // Marks a setting that differs from the inherited value; clicking it goes
+  // back to that value. Settings without a mark are inherited.
+  const overrideMark = (key) => !sameValue(localSettings[key], inherited[key]) && (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.preventDefault()
+        setLocalSettings(prev => ({ ...prev, [key]: inherited[key] }))
+      }}
+      className="ml-1 px-1 rounded bg-amber-50 text-[10px] font-medium text-amber-700 hover:bg-amber-100"
+      title={`Overridden in this session. Click to use the profile's value${Array.isArray(inherited[key]) ? '' : ` (${inherited[key]})`}.`}
+    >
+      overridden
+    </button>
+  )
+
   const handleSave = async () => {
     if (hasErrors) return
     try {
@@ -65,6 +140,24 @@ const SettingsModal = ({ onClose }) => {
     }
   }
 
+  // Make these settings what the profile's new sessions start from, and
+  // save them for this session too.
+  const handleSaveAsDefaults = async () => {
+    if (hasErrors) return
+    try {
+      const result = await saveProfileDefaults(localSettings)
+      if (!result.success) {
+        alert(`Error saving profile defaults: ${result.error}`)
+        return
+      }
+      updateSettings(localSettings)
+      onClose()
+    } catch (err) {
+      console.error('Error saving profile defaults:', err)
+      alert('Error saving profile defaults. Please try again.')
+    }
+  }
+
   const handleAddSpecies = () => {
     if (newSpecies.trim() && !localSettings.speciesList?.includes(newSpecies.trim())) {
       setLocalSettings(prev => ({
@@ -107,6 +200,14 @@ const SettingsModal = ({ onClose }) => {
         </div>
 
         <div className="p-3 space-y-3 overflow-y-auto flex-1">
+          <p className="text-xs text-gray-600">
+            {profileDefaults
+              ? <>This session inherits the defaults of profile <strong>{activeProfile}</strong>.</>
+              : <>Profile <strong>{activeProfile}</strong> has no defaults saved yet, so sessions start from the built-in settings.</>}
+            {' '}Values marked <span className="px-1 rounded bg-amber-50 text-[10px] font-medium text-amber-700">overridden</span> apply
+            to this session only; click the mark to go back to the inherited value.
+          </p>
+
           {/* Visualization Settings */}
           <div>
             <h3 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
@@ -117,7 +218,7 @@ const SettingsModal = ({ onClose }) => {
               <div>
                 <div className="grid grid-cols-3 gap-2">
                   <div>
-                    <label className="block text-xs font-medium text-gray-700 mb-1">FFT Size (n_fft)</label>
+                    <label className="flex items-center text-xs font-medium text-gray-700 mb-1">FFT Size (n_fft){overrideMark('n_fft')}</label>
                     <input
                       type="number"
                       min="128"
@@ -131,7 +232,7 @@ const SettingsModal = ({ onClose }) => {
                   </div>
 
                   <div>
-                    <label className="block text-xs font-medium text-gray-700 mb-1">Window Length</label>
+                    <label className="flex items-center text-xs font-medium text-gray-700 mb-1">Window Length{overrideMark('win_length')}</label>
                     <input
                       type="number"
                       min="64"
@@ -145,7 +246,7 @@ const SettingsModal = ({ onClose }) => {
                   </div>
 
                   <div>
-                    <label className="block text-xs font-medium text-gray-700 mb-1">Hop Length</label>
+                    <label className="flex items-center text-xs font-medium text-gray-700 mb-1">Hop Length{overrideMark('hop_length')}</label>
                     <input
                       type="number"
                       min="1"
@@ -159,7 +260,7 @@ const SettingsModal = ({ onClose }) => {
                   </div>
 
                   <div>
-                    <label className="block text-xs font-medium text-gray-700 mb-1">Min Frequency (Hz)</label>
+                    <label className="flex items-center text-xs font-medium text-gray-700 mb-1">Min Frequency (Hz){overrideMark('f_min')}</label>
                     <input
                       type="number"
                       min="0"
@@ -172,20 +273,26 @@ const SettingsModal = ({ onClose }) => {
                   </div>
 
                   <div>
-                    <label className="block text-xs font-medium text-gray-700 mb-1">Max Frequency (Hz)</label>
+                    <label className="flex items-center text-xs font-medium text-gray-700 mb-1">Max Frequency (Hz){overrideMark('f_max')}</label>
                     <input
                       type="number"
                       min="1"
+                      max={nyquist ?? undefined}
                       step="1"
                       value={localSettings.f_max}
                       onChange={(e) => setLocalSettings(prev => ({ ...prev, f_max: parseFloat(e.target.value) }))}
                       className={`w-full px-2 py-1 border rounded text-xs focus:outline-none focus:ring-1 ${errors.f_max ? 'border-red-400 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'}`}
                     />
                     {errors.f_max && <p className="text-[10px] text-red-600 mt-0.5">{errors.f_max}</p>}
+                    {!errors.f_max && nyquist && (
+                      <p className={`text-[10px] mt-0.5 ${localSettings.f_max > nyquist ? 'text-amber-700' : 'text-gray-500'}`}>
+                        {localSettings.f_max > nyquist ? `Capped at ${nyquist} Hz, ` : 'Up to '}the Nyquist of the recordings
+                      </p>
+                    )}
                   </div>
 
                   <div>
-                    <label className="block text-xs font-medium text-gray-700 mb-1">Mel Bands (n_mels)</label>
+                    <label className="flex items-center text-xs font-medium text-gray-700 mb-1">Mel Bands (n_mels){overrideMark('n_mels')}</label>
                     <input
                       type="number"
                       min="16"
@@ -199,7 +306,7 @@ const SettingsModal = ({ onClose }) => {
                   </div>
 
                   <div>
-                    <label className="block text-xs font-medium text-gray-700 mb-1">Top dB</label>
+                    <label className="flex items-center text-xs font-medium text-gray-700 mb-1">Top dB{overrideMark('top_db')}</label>
                     <input
                       type="number"
                       min="20"
@@ -213,7 +320,7 @@ const SettingsModal = ({ onClose }) => {
                   </div>
 
                   <div>
-                    <label className="block text-xs font-medium text-gray-700 mb-1">Window Duration (sec)</label>
+                    <label className="flex items-center text-xs font-medium text-gray-700 mb-1">Window Duration (sec){overrideMark('windowDuration')}</label>
                     <input
                       type="number"
                       min="1"
@@ -230,7 +337,7 @@ const SettingsModal = ({ onClose }) => {
               <div className="grid grid-cols-3 gap-2">
                 {localSettings.dynamicGain && (
                   <div>
-                    <label className="block text-xs font-medium text-gray-700 mb-1">Gain Percentile [90-99]</label>
+                    <label className="flex items-center text-xs font-medium text-gray-700 mb-1">Gain Percentile [90-99]{overrideMark('gainPercentile')}</label>
                     <input
                       type="number"
                       min="90"
@@ -245,7 +352,7 @@ const SettingsModal = ({ onClose }) => {
 
                 {!localSettings.autoGamma && (
                   <div>
-                    <label className="block text-xs font-medium text-gray-700 mb-1">Gamma [0.3-2.0]</label>
+                    <label className="flex items-center text-xs font-medium text-gray-700 mb-1">Gamma [0.3-2.0]{overrideMark('gammaValue')}</label>
                     <input
                       type="number"
                       min="0.3"
@@ -259,7 +366,7 @@ const SettingsModal = ({ onClose }) => {
                 )}
 
                 <div>
-                  <label className="block text-xs font-medium text-gray-700 mb-1">Brightness [-0.5, 0.5]</label>
+                  <label className="flex items-center text-xs font-medium text-gray-700 mb-1">Brightness [-0.5, 0.5]{overrideMark('brightness')}</label>
                   <input
                     type="number"
                     min="-0.5"
@@ -272,7 +379,7 @@ const SettingsModal = ({ onClose }) => {
                 </div>
 
                 <div>
-                  <label className="block text-xs font-medium text-gray-700 mb-1">Contrast [0.5-2.0]</label>
+                  <label className="flex items-center text-xs font-medium text-gray-700 mb-1">Contrast [0.5-2.0]{overrideMark('contrast')}</label>
                   <input
                     type="number"
                     min="0.5"
@@ -294,6 +401,7 @@ const SettingsModal = ({ onClose }) => {
                       className="h-3 w-3"
                     />
                     <span>Dynamic Gain</span>
+                    {overrideMark('dynamicGain')}
                   </label>
                 </div>
 
@@ -306,10 +414,165 @@ const SettingsModal = ({ onClose }) => {
                       className="h-3 w-3"
                     />
                     <span>Auto Gamma</span>
+                    {overrideMark('autoGamma')}
                   </label>
                 </div>
               </div>
 
+              <div>
+                <label className="flex items-center text-xs font-medium text-gray-700 mb-1">
+                  Colormap{overrideMark('colormap')}{localSettings.colormap === 'custom' && overrideMark('customColormap')}
+                </label>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={localSettings.colormap}
+                    onChange={(e) => setLocalSettings(prev => ({ ...prev, colormap: e.target.value }))}
+                    className="px-2 py-1 border border-gray-300 rounded text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  >
+                    {COLORMAPS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                  {localSettings.colormap === 'custom' && (
+                    <>
+                      {(localSettings.customColormap ?? []).map((color, i) => (
+                        <input
+                          key={i}
+                          type="color"
+                          value={color}
+                          title={['Low', localSettings.customColormap.length === 3 ? 'Middle' : 'High', 'High'][i]}
+                          onChange={(e) => setLocalSettings(prev => ({
+                            ...prev,
+                            customColormap: prev.customColormap.map((c, j) => j === i ? e.target.value : c)
+                          }))}
+                          className="h-6 w-8 p-0 border border-gray-300 rounded cursor-pointer"
+                        />
+                      ))}
+                      <button
+                        type="button"
+                        onClick={() => setLocalSettings(prev => {
+                          const [low, mid, high] = prev.customColormap
+                          return { ...prev, customColormap: high ? [low, high] : [low, midColor(low, mid), mid] }
+                        })}
+                        className="text-xs text-blue-600 hover:text-blue-700"
+                      >
+                        {localSettings.customColormap?.length === 3 ? 'Remove middle' : 'Add middle'}
+                      </button>
+                    </>
+                  )}
+                  <div
+                    className="flex-1 h-3 rounded border border-gray-300"
+                    style={{ background: cssGradient(colormapLUT(localSettings.colormap, localSettings.customColormap)) }}
+                  />
+                </div>
+                {errors.customColormap && <p className="text-[10px] text-red-600 mt-0.5">{errors.customColormap}</p>}
+              </div>
+
+            </div>
+
+            {/* Wall-clock time */}
+            <div className="mt-4">
+              <h3 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+                Time Zone
+                {overrideMark('timeZone')}
+              </h3>
+              <select
+                value={localSettings.timeZone ?? ''}
+                onChange={(e) => setLocalSettings(prev => ({ ...prev, timeZone: e.target.value }))}
+                className="w-full px-2 py-1 border border-gray-300 rounded text-xs focus:outline-none focus:ring-1 focus:ring-blue-500"
+              >
+                <option value="">As recorded (no conversion)</option>
+                {localSettings.timeZone && !TIME_ZONES.includes(localSettings.timeZone) && (
+                  <option value={localSettings.timeZone}>{localSettings.timeZone}</option>
+                )}
+                {TIME_ZONES.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+              </select>
+              <p className="text-[10px] text-gray-500 mt-0.5">
+                Wall-clock times on the time axis, in the detection panel and in exports. Recorder
+                times with a UTC offset are converted to this zone; file-name times without one are read as local time here.
+              </p>
+            </div>
+
+            {/* Recordings captured time-expanded */}
+            <div className="mt-4">
+              <h3 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+                Recorded Time Expansion
+                {overrideMark('timeExpansion')}
+              </h3>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                step="1"
+                value={localSettings.timeExpansion}
+                onChange={(e) => setLocalSettings(prev => ({ ...prev, timeExpansion: parseFloat(e.target.value) }))}
+                className={`w-24 px-2 py-1 border rounded text-xs focus:outline-none focus:ring-1 ${errors.timeExpansion ? 'border-red-400 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'}`}
+              />
+              {errors.timeExpansion && <p className="text-[10px] text-red-600 mt-0.5">{errors.timeExpansion}</p>}
+              <p className="text-[10px] text-gray-500 mt-0.5">
+                For detectors that save calls already slowed down (e.g. 10 for a ×10 time-expansion recording): the time
+                axis and wall-clock times then show real time. 1 means the files are in real time.
+              </p>
+            </div>
+
+            {/* Multi-channel recordings */}
+            <div className="mt-4">
+              <h3 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+                Channels
+                {overrideMark('channel')}
+                {overrideMark('stackChannels')}
+              </h3>
+              <div className="flex items-center gap-4">
+                <label className="flex items-center gap-1 text-xs text-gray-700">
+                  Default channel
+                  <input
+                    type="number"
+                    min="1"
+                    max="64"
+                    step="1"
+                    value={localSettings.channel + 1}
+                    onChange={(e) => setLocalSettings(prev => ({ ...prev, channel: parseInt(e.target.value, 10) - 1 }))}
+                    className={`w-16 px-2 py-1 border rounded text-xs focus:outline-none focus:ring-1 ${errors.channel ? 'border-red-400 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'}`}
+                  />
+                </label>
+                <label className="flex items-center space-x-1 text-xs">
+                  <input
+                    type="checkbox"
+                    checked={localSettings.stackChannels}
+                    onChange={(e) => setLocalSettings(prev => ({ ...prev, stackChannels: e.target.checked }))}
+                    className="h-3 w-3"
+                  />
+                  <span>Stack all channels</span>
+                </label>
+              </div>
+              {errors.channel && <p className="text-[10px] text-red-600 mt-0.5">{errors.channel}</p>}
+              <p className="text-[10px] text-gray-500 mt-0.5">
+                The channel each spectrogram opens on and detection runs analyze; recordings with fewer channels use their
+                last one. Stacking shows one spectrogram per channel instead.
+              </p>
+            </div>
+
+            {/* Persistent spectrogram tile cache */}
+            <div className="mt-4">
+              <h3 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+                Spectrogram Cache
+              </h3>
+              <div className="flex items-center gap-2">
+                <span className="text-xs text-gray-700">
+                  {cacheBytes === null ? 'Size unknown' : `${formatMB(cacheBytes)} of ${formatMB(TILE_CACHE_BUDGET_BYTES)}`}
+                </span>
+                <button
+                  type="button"
+                  onClick={handleClearCache}
+                  disabled={clearingCache || cacheBytes === 0}
+                  className="px-2 py-1 text-xs text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors"
+                >
+                  {clearingCache ? 'Clearing…' : 'Clear cache'}
+                </button>
+              </div>
+              <p className="text-[10px] text-gray-500 mt-0.5">
+                Spectrograms already computed are kept on disk, so reopening a recording with the same FFT and mel settings
+                shows it without recomputing. The least recently used are dropped past the limit. Clearing takes effect immediately
+                and applies to every session.
+              </p>
             </div>
 
             {/* Species List Settings */}
@@ -317,6 +580,7 @@ const SettingsModal = ({ onClose }) => {
               <div className="flex flex-row items-center justify-between mb-2">
                 <h3 className="text-sm font-semibold text-gray-900 flex items-center">
                   Species List
+                  {overrideMark('speciesList')}
                 </h3>
                 <button
                   onClick={handleShowAddSpecies}
@@ -332,7 +596,12 @@ const SettingsModal = ({ onClose }) => {
                     {localSettings.speciesList?.length > 0 ? (
                       localSettings.speciesList.map((species) => (
                         <div key={species} className="flex items-center justify-between p-2 bg-gray-50 rounded-md">
-                          <span className="text-sm text-gray-700">{species}</span>
+                          <span className="text-sm text-gray-700">
+                            {species}
+                            {!inherited.speciesList?.includes(species) && (
+                              <span className="ml-2 text-[10px] text-gray-400">this session only</span>
+                            )}
+                          </span>
                           <button
                             onClick={() => handleDeleteSpecies(species)}
                             className="p-1 text-red-600 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
@@ -388,6 +657,15 @@ const SettingsModal = ({ onClose }) => {
           {hasErrors && (
             <span className="text-xs text-red-600 mr-2">Fix validation errors to save</span>
           )}
+          <button
+            onClick={handleSaveAsDefaults}
+            disabled={hasErrors || !activeProfile}
+            title="Save these settings for this session and as the starting point of new sessions in the profile"
+            className="px-3 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-1"
+          >
+            <Copy className="h-3 w-3" />
+            <span>Save as Profile Defaults</span>
+          </button>
           <button
             onClick={handleSave}
             disabled={hasErrors}
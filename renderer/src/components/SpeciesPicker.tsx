@@ -0,0 +1,114 @@
+import React, { useMemo, useRef, useState } from 'react';
+import type { Taxon } from '../types/electron';
+import { searchSpecies, taxaByCode, taxonName, type SpeciesOption } from '../utils/taxonomy';
+
+// Type-ahead species picker. Typing searches the profile's taxonomy (names,
+// scientific names, codes and aliases, forgiving typos) and the session's
+// species list; Up/Down and Enter pick from the list, Esc backs out. Only
+// listed species can be picked, so spellings stay consistent.
+
+interface Props {
+  species: string
+  code?: string | null
+  taxa: Taxon[]
+  speciesList: string[]
+  onChange: (choice: { species: string; code: string | null }) => void
+  className?: string
+  placeholder?: string
+  title?: string
+}
+
+const SpeciesPicker = ({ species, code, taxa, speciesList, onChange, className = '', placeholder = 'Select species...', title }: Props) => {
+  // null while not typing; the box then shows the current species.
+  const [query, setQuery] = useState<string | null>(null)
+  const [highlight, setHighlight] = useState(0)
+  const listRef = useRef<HTMLUListElement>(null)
+
+  const byCode = useMemo(() => taxaByCode(taxa), [taxa])
+  const options = useMemo(
+    () => (query === null ? [] : searchSpecies(query, taxa, speciesList)),
+    [query, taxa, speciesList]
+  )
+
+  // Show a coded species under its taxon's current name.
+  const taxon = code ? byCode.get(code) : undefined
+  const shown = taxon ? taxonName(taxon) : species
+
+  const choose = (option: SpeciesOption) => {
+    setQuery(null)
+    onChange({ species: option.species, code: option.code })
+  }
+
+  const moveHighlight = (delta: number) => {
+    const next = Math.max(0, Math.min(options.length - 1, highlight + delta))
+    setHighlight(next)
+    listRef.current?.children[next]?.scrollIntoView({ block: 'nearest' })
+  }
+
+  return (
+    <div className={`relative ${className}`}>
+      <input
+        className="w-full px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 text-xs"
+        value={query ?? shown}
+        placeholder={placeholder}
+        title={title ?? (taxon ? [taxon.scientific_name, taxon.code].filter(Boolean).join(' · ') : undefined)}
+        onFocus={(e) => {
+          setQuery('')
+          setHighlight(0)
+          e.target.select()
+        }}
+        onBlur={() => setQuery(null)}
+        onChange={(e) => {
+          setQuery(e.target.value)
+          setHighlight(0)
+        }}
+        onKeyDown={(e) => {
+          if (e.key === 'ArrowDown') {
+            e.preventDefault()
+            moveHighlight(1)
+          } else if (e.key === 'ArrowUp') {
+            e.preventDefault()
+            moveHighlight(-1)
+          } else if (e.key === 'Enter' && options[highlight]) {
+            e.preventDefault()
+            choose(options[highlight])
+            ;(e.target as HTMLInputElement).blur()
+          } else if (e.key === 'Escape') {
+            ;(e.target as HTMLInputElement).blur()
+          }
+        }}
+      />
+      {query !== null && (
+        <ul
+          ref={listRef}
+          className="absolute z-20 mt-1 w-full max-h-56 overflow-y-auto bg-white border border-gray-200 rounded shadow-lg text-xs"
+        >
+          {options.length === 0 ? (
+            <li className="px-2 py-1 text-gray-500">
+              {taxa.length || speciesList.length ? 'No matching species' : 'No species yet: import a taxonomy or add some in Settings'}
+            </li>
+          ) : options.map((option, index) => (
+            <li
+              key={`${option.code ?? ''}:${option.species}`}
+              // mousedown fires before the input's blur, which would close the list.
+              onMouseDown={(e) => {
+                e.preventDefault()
+                choose(option)
+                ;(document.activeElement as HTMLElement | null)?.blur()
+              }}
+              onMouseEnter={() => setHighlight(index)}
+              className={`px-2 py-1 cursor-pointer flex items-baseline justify-between ${index === highlight ? 'bg-blue-50' : ''}`}
+            >
+              <span className="truncate">{option.species}</span>
+              {(option.hint || option.code) && (
+                <span className="ml-2 text-gray-400 truncate">{[option.hint, option.code].filter(Boolean).join(' · ')}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SpeciesPicker
@@ -12,8 +12,12 @@ const Spectrogram = React.memo(({
   selectedExperiments = [],
   maxLanes = 3,
   onDetectionResize = null,
+  selectedDetectionKeys = null,
+  onSelectDetections = null,
+  onDrawBox = null,
   onTimeUpdate = null,
-  navRequest = null
+  navRequest = null,
+  recordingStart = null
 }) => {
   const [error, setError] = useState(null)
 
@@ -25,11 +29,12 @@ const Spectrogram = React.memo(({
     )
   }
 
-  // Convert file path to proper URL format
+  // Served by the main process's clap-audio:// protocol (see
+  // main/audioStream.js), which answers range requests so long recordings
+  // stream instead of loading whole
   const getAudioUrl = (path) => {
     try {
-      const normalizedPath = path.replace(/\\/g, '/')
-      const url = `file:///${normalizedPath}`
+      const url = `clap-audio://file/${encodeURIComponent(path)}`
       return url
     } catch (err) {
       console.error('Error converting file path:', err)
@@ -92,8 +97,12 @@ const Spectrogram = React.memo(({
         selectedExperiments={selectedExperiments}
         maxLanes={maxLanes}
         onDetectionResize={onDetectionResize}
+        selectedDetectionKeys={selectedDetectionKeys ?? undefined}
+        onSelectDetections={onSelectDetections ?? undefined}
+        onDrawBox={onDrawBox ?? undefined}
         onTimeUpdate={onTimeUpdate}
         navRequest={navRequest}
+        recordingStart={recordingStart}
       />
     )
   } catch (err) {
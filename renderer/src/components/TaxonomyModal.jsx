@@ -0,0 +1,193 @@
+/**
+ * TaxonomyModal - Import and browse the active profile's species taxonomy
+ *
+ * The taxonomy is the list of species the annotation pickers search, each
+ * under a stable code that labels store next to the species name. Importing
+ * a CSV replaces the whole taxonomy; labels already assigned keep their
+ * codes and show the taxon's new name when it was renamed.
+ *
+ * Props:
+ * @param {Function} onClose - Callback function to close the modal
+ *
+ * Context Dependencies:
+ * - SessionContext: Uses activeProfile, taxonomy, importTaxonomy and clearTaxonomy
+ *
+ * IPC Dependencies (via context):
+ * - importTaxonomy: Picks and parses the CSV, and stores it in profile.json
+ * - clearTaxonomy: Removes the taxonomy from profile.json
+ */
+import { useState, useContext, useMemo } from 'react'
+import { X, Upload, Trash2, Search } from 'lucide-react'
+import { SessionContext } from '../stores/SessionContext'
+import { searchSpecies } from '../utils/taxonomy'
+
+// Rows listed at once; searching narrows big taxonomies down.
+const PREVIEW_LIMIT = 200
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 text-xs'
+
+const TaxonomyModal = ({ onClose }) => {
+  const { activeProfile, taxonomy, importTaxonomy, clearTaxonomy } = useContext(SessionContext)
+  const [query, setQuery] = useState('')
+  const [isBusy, setIsBusy] = useState(false)
+  const [skipped, setSkipped] = useState([])
+  const [errorMessage, setErrorMessage] = useState('')
+  // Clear asks once more before removing the taxonomy.
+  const [confirmClear, setConfirmClear] = useState(false)
+
+  const groups = useMemo(
+    () => [...new Set(taxonomy.map(t => t.group).filter(Boolean))].sort(),
+    [taxonomy]
+  )
+
+  const shown = useMemo(() => {
+    if (!query.trim()) return taxonomy.slice(0, PREVIEW_LIMIT)
+    const byCode = new Map(taxonomy.map(t => [t.code, t]))
+    return searchSpecies(query, taxonomy, [], PREVIEW_LIMIT).map(option => byCode.get(option.code))
+  }, [query, taxonomy])
+
+  const run = async (action, what) => {
+    setIsBusy(true)
+    setErrorMessage('')
+    try {
+      const result = await action()
+      if (result.canceled) return
+      setSkipped(result.skipped || [])
+      if (!result.success) setErrorMessage(result.error || `Failed to ${what}`)
+    } catch (err) {
+      console.error(`Error trying to ${what}:`, err)
+      setErrorMessage(`Error trying to ${what}. Please try again.`)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleClear = () => {
+    if (!confirmClear) {
+      setConfirmClear(true)
+      return
+    }
+    setConfirmClear(false)
+    run(clearTaxonomy, 'clear the taxonomy')
+  }
+
+  return (
+    <div className="fixed inset-0 bg-white/30 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg max-w-3xl w-full mx-4">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-semibold text-gray-900">Species Taxonomy — {activeProfile}</h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <p className="text-xs text-gray-600">
+            Import a CSV with scientific name, common name, code, group and aliases columns. The species
+            pickers search it by any of these, and labels store the code, so a later import that renames a
+            species doesn't lose existing annotations. Importing replaces the current taxonomy.
+          </p>
+
+          {taxonomy.length === 0 ? (
+            <p className="text-xs text-gray-500 italic">No taxonomy imported; the pickers offer the session's species list only.</p>
+          ) : (
+            <>
+              <div className="flex items-center justify-between text-xs text-gray-700">
+                <span>
+                  {taxonomy.length} species{groups.length > 0 && ` in ${groups.length} group${groups.length === 1 ? '' : 's'}`}
+                </span>
+                <div className="relative w-64">
+                  <Search className="h-3 w-3 text-gray-400 absolute left-2 top-1/2 -translate-y-1/2" />
+                  <input
+                    className={`${inputClass} w-full pl-6`}
+                    placeholder="Search names, codes, aliases…"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                  />
+                </div>
+              </div>
+              <div className="max-h-80 overflow-y-auto border border-gray-200 rounded">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-50 text-gray-700 sticky top-0">
+                    <tr className="text-left">
+                      <th className="px-2 py-1 font-medium">Code</th>
+                      <th className="px-2 py-1 font-medium">Common name</th>
+                      <th className="px-2 py-1 font-medium">Scientific name</th>
+                      <th className="px-2 py-1 font-medium">Group</th>
+                      <th className="px-2 py-1 font-medium">Aliases</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shown.map((taxon) => (
+                      <tr key={taxon.code} className="border-t border-gray-100">
+                        <td className="px-2 py-1 font-mono">{taxon.code}</td>
+                        <td className="px-2 py-1">{taxon.common_name}</td>
+                        <td className="px-2 py-1 italic">{taxon.scientific_name}</td>
+                        <td className="px-2 py-1">{taxon.group}</td>
+                        <td className="px-2 py-1 text-gray-500">{(taxon.aliases || []).join(', ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {!query.trim() && taxonomy.length > PREVIEW_LIMIT && (
+                <p className="text-xs text-gray-500">Showing the first {PREVIEW_LIMIT}; search to find the rest.</p>
+              )}
+            </>
+          )}
+
+          {skipped.length > 0 && (
+            <div className="p-2 border border-yellow-200 bg-yellow-50 text-yellow-800 rounded text-xs max-h-24 overflow-y-auto">
+              <div className="font-medium">{skipped.length} row{skipped.length === 1 ? '' : 's'} skipped:</div>
+              {skipped.map(({ row, reason }) => (
+                <div key={row}>Row {row}: {reason}</div>
+              ))}
+            </div>
+          )}
+
+          {errorMessage && (
+            <div className="p-2 border border-red-200 bg-red-50 text-red-700 rounded text-xs">
+              {errorMessage}
+            </div>
+          )}
+        </div>
+
+        {/* Footer with action buttons */}
+        <div className="flex items-center justify-between p-4 border-t bg-gray-50">
+          <button
+            onClick={handleClear}
+            onBlur={() => setConfirmClear(false)}
+            title={confirmClear ? 'Labels keep their species names and codes' : 'Remove the taxonomy from this profile'}
+            disabled={isBusy || taxonomy.length === 0}
+            className="px-4 py-2 text-sm font-medium text-red-700 bg-white border border-red-200 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+          >
+            <Trash2 className="h-4 w-4" />
+            <span>{confirmClear ? 'Confirm clear' : 'Clear'}</span>
+          </button>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Close
+            </button>
+            <button
+              onClick={() => run(importTaxonomy, 'import the taxonomy')}
+              disabled={isBusy}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+            >
+              <Upload className="h-4 w-4" />
+              <span className="text-sm font-medium">Import CSV…</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TaxonomyModal
@@ -23,6 +23,9 @@ export function SessionProvider({ children }) {
   // Function to run on the 'Saved Experiments' button click
   const [handleSavedExperimentsClick, setHandleSavedExperimentsClick] = useState(null);
 
+  // Function to run on the 'Edit History' button click
+  const [handleEditHistoryClick, setHandleEditHistoryClick] = useState(null);
+
   // Number of experiments currently overlaid in the spectrogram view (0 or 1 = no overlay)
   const [overlayCount, setOverlayCount] = useState(0);
 
@@ -34,6 +37,16 @@ export function SessionProvider({ children }) {
   // late responses from a previous data dir / refresh cycle.
   const profilesRequestIdRef = useRef(0);
 
+  // Custom annotation fields defined for the active profile. Edited from the
+  // Header's schema editor and read by the annotation panel, so both go
+  // through context rather than fetching their own copies.
+  const [profileFields, setProfileFields] = useState([]);
+  // The active profile's species taxonomy, for the species pickers.
+  const [taxonomy, setTaxonomy] = useState([]);
+  // Settings the profile's new sessions start from (null: built-in defaults).
+  // SettingsModal compares a session against them.
+  const [profileDefaults, setProfileDefaults] = useState(null);
+
   /* ---------- load saved state on mount ---------- */
   useEffect(() => {
     const loadSavedState = async () => {
@@ -125,6 +138,60 @@ export function SessionProvider({ children }) {
     refreshProfiles();
   }, [refreshProfiles]);
 
+  useEffect(() => {
+    if (!activeDataDir || !activeProfile) {
+      setProfileFields([]);
+      setTaxonomy([]);
+      setProfileDefaults(null);
+      return;
+    }
+    let cancelled = false;
+    window.electronAPI.getProfileFields()
+      .then((res) => {
+        if (!cancelled) setProfileFields(res?.success ? res.fields : []);
+      })
+      .catch((err) => console.error('Error loading profile fields:', err));
+    window.electronAPI.getTaxonomy()
+      .then((res) => {
+        if (!cancelled) setTaxonomy(res?.success ? res.taxa : []);
+      })
+      .catch((err) => console.error('Error loading taxonomy:', err));
+    window.electronAPI.getProfileDefaults()
+      .then((res) => {
+        if (!cancelled) setProfileDefaults(res?.success ? res.defaults : null);
+      })
+      .catch((err) => console.error('Error loading profile defaults:', err));
+    return () => { cancelled = true; };
+  }, [activeDataDir, activeProfile]);
+
+  // Save a new field list for the active profile. Resolves to main's result so
+  // the editor can show a validation error.
+  const saveProfileFields = useCallback(async (fields) => {
+    const res = await window.electronAPI.setProfileFields(fields);
+    if (res.success) setProfileFields(res.fields);
+    return res;
+  }, []);
+
+  const saveProfileDefaults = useCallback(async (defaults) => {
+    const res = await window.electronAPI.setProfileDefaults(defaults);
+    if (res.success) setProfileDefaults(res.defaults);
+    return res;
+  }, []);
+
+  // Replace the profile's taxonomy from a CSV the user picks. Resolves to
+  // main's result, which lists any rows that were skipped.
+  const importTaxonomy = useCallback(async () => {
+    const res = await window.electronAPI.importTaxonomy();
+    if (res.success) setTaxonomy(res.taxa);
+    return res;
+  }, []);
+
+  const clearTaxonomy = useCallback(async () => {
+    const res = await window.electronAPI.clearTaxonomy();
+    if (res.success) setTaxonomy([]);
+    return res;
+  }, []);
+
   /* ---------- memoised context value ---------- */
   const value = useMemo(
     () => ({
@@ -136,8 +203,12 @@ export function SessionProvider({ children }) {
       pageTitle,
       handleNewExperimentClick,
       handleSavedExperimentsClick,
+      handleEditHistoryClick,
       overlayCount,
       profiles,
+      profileFields,
+      taxonomy,
+      profileDefaults,
 
       /* setters */
       setProfile,
@@ -147,8 +218,13 @@ export function SessionProvider({ children }) {
       setPageTitle,
       setHandleNewExperimentClick,
       setHandleSavedExperimentsClick,
+      setHandleEditHistoryClick,
       setOverlayCount,
       refreshProfiles,
+      saveProfileFields,
+      saveProfileDefaults,
+      importTaxonomy,
+      clearTaxonomy,
     }),
     [
       activeProfile,
@@ -158,9 +234,17 @@ export function SessionProvider({ children }) {
       pageTitle,
       handleNewExperimentClick,
       handleSavedExperimentsClick,
+      handleEditHistoryClick,
       overlayCount,
       profiles,
+      profileFields,
+      taxonomy,
+      profileDefaults,
       refreshProfiles,
+      saveProfileFields,
+      saveProfileDefaults,
+      importTaxonomy,
+      clearTaxonomy,
     ]
   );
 
@@ -0,0 +1,5 @@
+// Types for SettingsContext.jsx, so the spectrogram's TypeScript can import it.
+import type { ReactNode } from 'react'
+
+export declare const useSettings: () => any
+export declare const SettingsProvider: (props: { children: ReactNode }) => JSX.Element
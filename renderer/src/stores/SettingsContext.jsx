@@ -1,32 +1,9 @@
 import { createContext, useContext, useState, useEffect, useRef, useMemo, useCallback } from 'react'
 import { useLocation } from 'react-router-dom'
+import { DEFAULT_SETTINGS } from '../utils/settings'
 
 const SettingsContext = createContext()
 
-// Default settings - single source of truth.
-// Note: sample rate is read from the WAV header on each load (see
-// SpectrogramProvider), so it isn't a user-configurable setting here.
-const DEFAULT_SETTINGS = {
-  // Core spectrogram/worker params
-  n_fft: 2048,
-  win_length: 1024,
-  hop_length: 256,
-  f_min: 10,
-  f_max: 16000,           // Will be automatically capped to Nyquist frequency (sampleRate/2)
-  n_mels: 128,
-  top_db: 80,
-  windowDuration: 15,
-  // Visualization settings
-  dynamicGain: true,
-  autoGamma: true,
-  gammaValue: 1.0,
-  gainPercentile: 98,
-  brightness: 0,
-  contrast: 1.0,
-  // Species list for annotations
-  speciesList: []
-}
-
 // Extract the active session id from the current route. We match
 // `/session/:sessionId` directly off the pathname so the provider doesn't
 // need to live inside a <Route>. Returns null when the user is anywhere
@@ -56,12 +33,21 @@ export const SettingsProvider = ({ children }) => {
   // then navigated to session B, we don't want the in-flight setSettings to
   // land in B's config.json.
   const activeSessionRef = useRef(null)
+  // Highest native sample rate among the session's recordings, from their
+  // metadata and from each SpectrogramProvider's decoded audio (for files
+  // without metadata). Bounds f_max in Settings.
+  const [maxSampleRate, setMaxSampleRate] = useState(null)
+
+  const noteSampleRate = useCallback((rate) => {
+    setMaxSampleRate(prev => (prev && prev >= rate ? prev : rate))
+  }, [])
 
   // Hydrate from the active session whenever the route changes. Missing
   // `settings` in the config (existing or freshly-created sessions) means
   // "use hardcoded defaults" — no migration.
   useEffect(() => {
     activeSessionRef.current = sessionId
+    setMaxSampleRate(null)
 
     if (!sessionId) {
       setSettings({ ...DEFAULT_SETTINGS })
@@ -78,13 +64,14 @@ export const SettingsProvider = ({ children }) => {
         } else {
           setSettings({ ...DEFAULT_SETTINGS })
         }
+        if (result?.maxSampleRate) noteSampleRate(result.maxSampleRate)
       } catch (err) {
         if (!cancelled) console.error('Failed to load session settings:', err)
       }
     }
     loadSettings()
     return () => { cancelled = true }
-  }, [sessionId])
+  }, [sessionId, noteSampleRate])
 
   const updateSettings = useCallback(async (newSettings) => {
     if (!sessionId) {
@@ -127,8 +114,10 @@ export const SettingsProvider = ({ children }) => {
     settings,
     updateSettings,
     resetSettings,
-    hasSession
-  }), [settings, updateSettings, resetSettings, hasSession])
+    hasSession,
+    maxSampleRate,
+    noteSampleRate
+  }), [settings, updateSettings, resetSettings, hasSession, maxSampleRate, noteSampleRate])
 
   return (
     <SettingsContext.Provider value={value}>
@@ -17,9 +17,23 @@ export interface ElectronAPI {
   }>;
   createProfile: (profileName: string) => Promise<{ success: boolean; message?: string; error?: string }>;
   listProfiles: () => Promise<{ success: boolean; dirs?: string[]; error?: string }>;
+  getProfileFields: () => Promise<{ success: boolean; fields?: CustomField[]; error?: string }>;
+  setProfileFields: (fields: CustomField[]) => Promise<{ success: boolean; fields?: CustomField[]; error?: string }>;
+  // Settings new sessions in the profile start from; null until saved once.
+  getProfileDefaults: () => Promise<{ success: boolean; defaults?: Record<string, unknown> | null; error?: string }>;
+  setProfileDefaults: (defaults: Record<string, unknown>) => Promise<{ success: boolean; defaults?: Record<string, unknown>; error?: string }>;
+  getTaxonomy: () => Promise<{ success: boolean; taxa?: Taxon[]; error?: string }>;
+  importTaxonomy: () => Promise<{
+    success?: boolean;
+    canceled?: boolean;
+    taxa?: Taxon[];
+    skipped?: { row: number; reason: string }[];
+    error?: string;
+  }>;
+  clearTaxonomy: () => Promise<{ success: boolean; error?: string }>;
 
   // Session operations
-  createSession: (sessionName: string, files: string[]) => Promise<{
+  createSession: (sessionName: string, files: string[], options?: { filenamePattern?: string }) => Promise<{
     success: boolean;
     sessionPath?: string;
     error?: string;
@@ -48,13 +62,13 @@ export interface ElectronAPI {
   deleteSession: (sessionId: string) => Promise<{ success: boolean; message?: string; error?: string }>;
 
   // Detection operations
-  startDetection: (sessionId: string, posPrompts: string, negPrompts: string, theta?: number) => Promise<{
+  startDetection: (sessionId: string, posPrompts: string, negPrompts: string, theta?: number, channel?: number) => Promise<{
     success: boolean;
     error?: string;
   }>;
   cancelDetection: () => Promise<{ success: boolean; error?: string }>;
   saveExperiment: (sessionId: string) => Promise<{ success: boolean; experimentId?: string; message?: string; error?: string }>;
-  addDetection: (sessionId: string, experimentId: string, fileName: string, start: number, end: number) => Promise<{
+  addDetection: (sessionId: string, experimentId: string, fileName: string, start: number, end: number, lowFreq?: number | null, highFreq?: number | null, channel?: number | null) => Promise<{
     success: boolean;
     detection?: Detection;
     message?: string;
@@ -73,11 +87,25 @@ export interface ElectronAPI {
   }>;
 
   // Annotation operations
-  assignAnnotation: (sessionId: string, experimentId: string, detectionId: string, species: string) => Promise<{
+  assignAnnotation: (sessionId: string, experimentId: string, detectionId: string, annotation: string | DetectionLabel[]) => Promise<{
     success: boolean;
+    species?: string | null;
+    species_code?: string | null;
+    labels?: DetectionLabel[] | null;
     message?: string;
     error?: string;
   }>;
+  setDetectionFields: (sessionId: string, experimentId: string, detectionId: string, values: Record<string, string | number | boolean | null>) => Promise<{
+    success: boolean;
+    extra?: Record<string, string>;
+    error?: string;
+  }>;
+  setDetectionNotes: (sessionId: string, experimentId: string, detectionId: string, changes: { notes?: string | null; tags?: string[] | null }) => Promise<{
+    success: boolean;
+    notes?: string | null;
+    tags?: string[] | null;
+    error?: string;
+  }>;
 
   // Verification operations
   verifyAnnotation: (sessionId: string, experimentId: string, detectionId: string, verify: boolean) => Promise<{
@@ -91,6 +119,55 @@ export interface ElectronAPI {
     error?: string;
   }>;
 
+  // Bulk operations on a multi-selection; each call is one transaction
+  bulkUpdateDetections: (sessionId: string, items: DetectionRef[], fields: { verified?: boolean; species?: string | null; species_code?: string | null }) => Promise<{
+    success: boolean;
+    updated?: number;
+    species?: string | null;
+    species_code?: string | null;
+    error?: string;
+  }>;
+  bulkDeleteDetections: (sessionId: string, items: DetectionRef[]) => Promise<{
+    success: boolean;
+    deleted?: DeletedDetection[];
+    error?: string;
+  }>;
+  bulkRestoreDetections: (sessionId: string, entries: DeletedDetection[]) => Promise<{
+    success: boolean;
+    restored?: number;
+    error?: string;
+  }>;
+  moveDetections: (sessionId: string, moves: DetectionMove[]) => Promise<{
+    success: boolean;
+    moved?: DetectionMove[];
+    error?: string;
+  }>;
+
+  // Undo/redo history, persisted per session. `seq` pins the step to one
+  // entry so a stale button can't revert a different edit.
+  getEditHistory: (sessionId: string) => Promise<{ success: boolean; entries?: HistoryEntry[]; error?: string }>;
+  undoEdit: (sessionId: string, seq?: number) => Promise<HistoryStepResult>;
+  redoEdit: (sessionId: string, seq?: number) => Promise<HistoryStepResult>;
+
+  // Audit trail: every field change with the profile that made it
+  getDetectionAudit: (sessionId: string, experimentId: string, detectionId: string) => Promise<{
+    success: boolean;
+    entries?: AuditEntry[];
+    error?: string;
+  }>;
+
+  // Import/export with other annotation tools
+  exportRavenTable: (sessionId: string, experimentId: string, mode: 'combined' | 'per-file') => Promise<ExportResult>;
+  importRavenTables: (sessionId: string) => Promise<ImportResult>;
+  exportAudacityLabels: (sessionId: string, experimentId: string) => Promise<ExportResult>;
+  importAudacityLabels: (sessionId: string, mode: 'adjacent' | 'dialog') => Promise<ImportResult>;
+  importBirdnetResults: (sessionId: string) => Promise<ImportResult>;
+  importKaleidoscopeIds: (sessionId: string) => Promise<ImportResult>;
+  openCsvForImport: () => Promise<CsvPreview>;
+  importCsv: (sessionId: string, filePath: string, mapping: CsvColumnMapping, dryRun: boolean) => Promise<ImportResult & { valid?: number }>;
+  exportExperimentCsv: (sessionId: string, experimentId: string) => Promise<ExportResult>;
+  exportAuditLog: (sessionId: string, experimentId: string) => Promise<ExportResult>;
+
   // App state management
   getAppState: () => Promise<{
     success: boolean;
@@ -114,23 +191,176 @@ export interface Detection {
   start_time: number;
   end_time: number;
   species: string | null;
+  species_code?: string | null;
   detection_conf: number;
   verified: boolean;
+  low_freq?: number | null;
+  high_freq?: number | null;
+  /** 0-based audio channel; null when the detection applies to every channel. */
+  channel?: number | null;
+  /** All labels, primary first; null when `species` is the only one. */
+  labels?: DetectionLabel[] | null;
+  notes?: string | null;
+  /** Lowercased keywords, e.g. 'needs-review'. */
+  tags?: string[] | null;
+  /** Carried-over CSV columns, including the profile's custom field values. */
+  extra?: Record<string, string> | null;
+}
+
+/** One species in a profile's taxonomy. */
+export interface Taxon {
+  code: string;
+  scientific_name: string | null;
+  common_name: string | null;
+  group: string | null;
+  aliases: string[];
+}
+
+/** A per-detection attribute defined at the profile level. */
+export interface CustomField {
+  name: string;
+  label: string;
+  type: 'text' | 'enum' | 'number' | 'boolean';
+  options?: string[];
+}
+
+export interface DetectionLabel {
+  species: string;
+  /** Taxon code when the species is from the profile's taxonomy. */
+  code?: string | null;
+  call_type: string | null;
+  certainty: 'certain' | 'probable' | 'possible' | null;
+}
+
+/** A detection within a session: experiment ids are part of the key. */
+export interface DetectionRef {
+  experimentId: string;
+  id: string;
+}
+
+export interface DeletedDetection {
+  experimentId: string;
+  detection: Detection;
+}
+
+export interface DetectionMove extends DetectionRef {
+  to: string;
+}
+
+export interface HistoryEntry {
+  seq: number;
+  time: string;
+  label: string;
+  undone: boolean;
+  /** Number of detections the edit touched. */
+  count: number;
+}
+
+export interface HistoryStepResult {
+  success: boolean;
+  entry?: HistoryEntry;
+  /** Resulting state of each touched detection; null when it no longer exists. */
+  changes?: Array<DetectionRef & { detection: Detection | null }>;
+  error?: string;
+}
+
+export interface AuditEntry {
+  time: string;
+  profile: string | null;
+  /** The edit that made the change, e.g. 'Verify' or 'Undo: Label as Robin'. */
+  action: string;
+  detection_id: string;
+  /** Detection column, or 'detection' when the whole detection was added or deleted. */
+  field: string;
+  old_value: string | null;
+  new_value: string | null;
 }
 
 export interface Experiment {
   posPrompts?: string;
   negPrompts?: string;
   theta?: number;
+  /** 0-based channel a detection run analyzed. */
+  channel?: number;
   time?: string;
+  /** Tool that produced an imported experiment: 'raven', 'audacity', 'birdnet', 'kaleidoscope' or 'csv'. */
+  source?: string;
+  sourceFiles?: string[];
   detections?: Record<string, Detection[]>;
 }
 
+export interface UnmatchedRow {
+  source: string;
+  row: string | number;
+  file: string;
+  label?: string;
+  reason: string;
+}
+
+export interface ExportResult {
+  success?: boolean;
+  canceled?: boolean;
+  path?: string;
+  count?: number;
+  tables?: number;
+  /** What `count` counts, when not detections (e.g. 'edit'). */
+  unit?: string;
+  error?: string;
+}
+
+export interface CsvPreview {
+  success?: boolean;
+  canceled?: boolean;
+  filePath?: string;
+  delimiter?: string;
+  columns?: string[];
+  preview?: Record<string, string>[];
+  rowCount?: number;
+  error?: string;
+}
+
+export interface CsvColumnMapping {
+  filename: string;
+  start: string;
+  end: string;
+  species?: string;
+  confidence?: string;
+  timeUnit: 's' | 'ms';
+  matchBy: 'name' | 'path';
+  delimiter?: string;
+}
+
+export interface ImportResult {
+  success?: boolean;
+  canceled?: boolean;
+  experimentId?: string;
+  imported?: number;
+  unmatched?: UnmatchedRow[];
+  error?: string;
+}
+
+/** What's known about a session's audio file; null where the file didn't say. */
+export interface RecordingInfo {
+  /** ISO 8601; without an offset when the recorder's time zone is unknown. */
+  startTime: string | null;
+  startSource: 'guano' | 'comment' | 'filename' | null;
+  device: string | null;
+  gain: string | null;
+  latitude: number | null;
+  longitude: number | null;
+  sampleRate: number | null;
+  channels: number | null;
+  bitsPerSample: number | null;
+  duration: number | null;
+}
+
 export interface SessionData {
   id: string;
   name: string;
   time: string;
   files: string[];
+  filenamePattern?: string;
+  recordings?: Record<string, RecordingInfo>;
   experiments: Record<string, Experiment>;
 }
 
@@ -0,0 +1,118 @@
+// Wall-clock time of a moment in a recording, for display. Mirrors
+// main/clock.js, which writes the datetime_start/datetime_end export
+// columns: a start time with an offset is a fixed instant, one without is
+// local time in the session's time zone (or in no known zone when the
+// setting is empty). Nothing here goes through the machine's own zone.
+
+const ISO_START = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?(Z|[+-]\d{2}:\d{2})?$/;
+
+// ms is the clock reading as if it were UTC; offset the zone's minutes east
+// of UTC, or null when the zone isn't known.
+export interface WallClock {
+  ms: number;
+  offset: number | null;
+}
+
+const pad = (n: number) => String(n).padStart(2, '0');
+
+const zoneFormats = new Map<string, Intl.DateTimeFormat>();
+
+const zoneOffset = (timeZone: string, utcMs: number): number => {
+  let format = zoneFormats.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    zoneFormats.set(timeZone, format);
+  }
+  const parts = Object.fromEntries(format.formatToParts(new Date(utcMs)).map(p => [p.type, Number(p.value)]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(utcMs / 1000) * 1000) / 60000);
+};
+
+export const isValidTimeZone = (timeZone: string): boolean => {
+  try {
+    zoneOffset(timeZone, 0);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Every zone the runtime knows, for the settings picker.
+export const listTimeZones = (): string[] => {
+  try {
+    return (Intl as any).supportedValuesOf('timeZone');
+  } catch {
+    return ['UTC'];
+  }
+};
+
+/**
+ * The clock reading `seconds` into a recording that started at `startTime`,
+ * or null when the start time is unknown. An unknown or invalid zone leaves
+ * the recorder's own clock as it is.
+ */
+export const wallClock = (startTime: string | null | undefined, seconds: number, timeZone?: string | null): WallClock | null => {
+  const match = ISO_START.exec(startTime || '');
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, fraction, zone] = match;
+  const readingMs = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second) +
+    (fraction ? Number(`0.${fraction}`) * 1000 : 0);
+  let offset: number | null = null;
+  if (zone === 'Z') offset = 0;
+  else if (zone) offset = (zone[0] === '-' ? -1 : 1) * (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(4, 6)));
+
+  if (!timeZone || !isValidTimeZone(timeZone)) return { ms: readingMs + seconds * 1000, offset };
+  let startUtc: number;
+  if (offset !== null) {
+    startUtc = readingMs - offset * 60000;
+  } else {
+    // Second pass settles local readings near a DST change.
+    startUtc = readingMs - zoneOffset(timeZone, readingMs) * 60000;
+    startUtc = readingMs - zoneOffset(timeZone, startUtc) * 60000;
+  }
+  const utc = startUtc + seconds * 1000;
+  const here = zoneOffset(timeZone, utc);
+  return { ms: utc + here * 60000, offset: here };
+};
+
+const formatOffset = (offset: number | null): string => {
+  if (offset === null) return '';
+  if (offset === 0) return 'UTC';
+  const abs = Math.abs(offset);
+  return `UTC${offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+// "05:30:12", or "05:30:12.5" with `decimals` digits of the second.
+export const formatClockTime = ({ ms }: WallClock, decimals = 0): string => {
+  const iso = new Date(Math.round(ms)).toISOString();
+  const time = iso.slice(11, 19);
+  return decimals > 0 ? `${time}${iso.slice(19, 20 + Math.min(decimals, 3))}` : time;
+};
+
+// "2024-05-01 05:30:12.500 UTC+02:00"; zone-less readings get no suffix.
+export const formatDateTime = (clock: WallClock): string => {
+  const iso = new Date(Math.round(clock.ms)).toISOString();
+  const zone = formatOffset(clock.offset);
+  return `${iso.slice(0, 10)} ${iso.slice(11, 23)}${zone ? ` ${zone}` : ''}`;
+};
+
+/**
+ * "2024-05-01 05:30:12.35 – 05:30:14.00 UTC+02:00" for a detection; the end
+ * repeats the date only when it falls on another day.
+ */
+export const formatClockRange = (start: WallClock, end: WallClock): string => {
+  const startIso = new Date(Math.round(start.ms)).toISOString();
+  const endIso = new Date(Math.round(end.ms)).toISOString();
+  const endDate = endIso.slice(0, 10) === startIso.slice(0, 10) ? '' : `${endIso.slice(0, 10)} `;
+  const zone = formatOffset(end.offset);
+  return `${startIso.slice(0, 10)} ${formatClockTime(start, 2)} – ${endDate}${formatClockTime(end, 2)}${zone ? ` ${zone}` : ''}`;
+};
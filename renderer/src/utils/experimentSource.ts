@@ -0,0 +1,36 @@
+// Experiments created by importing another tool's output carry a `source`
+// in config.json instead of prompts/threshold. These tables drive both the
+// sidebar menus and how such experiments are labelled.
+
+export const SOURCE_LABELS: Record<string, string> = {
+  raven: 'Raven Pro',
+  audacity: 'Audacity',
+  birdnet: 'BirdNET',
+  kaleidoscope: 'Kaleidoscope',
+  csv: 'CSV',
+};
+
+export interface InterchangeFormat {
+  id: string;
+  label: string;
+}
+
+export const IMPORT_FORMATS: InterchangeFormat[] = [
+  { id: 'raven', label: 'Raven selection tables (.txt)' },
+  { id: 'audacity-adjacent', label: 'Audacity labels beside the recordings' },
+  { id: 'audacity', label: 'Audacity label files…' },
+  { id: 'birdnet', label: 'BirdNET results (.txt / .csv)' },
+  { id: 'kaleidoscope', label: 'Kaleidoscope id.csv' },
+  { id: 'csv', label: 'Other CSV (map columns)…' },
+];
+
+export const EXPORT_FORMATS: InterchangeFormat[] = [
+  { id: 'raven-combined', label: 'Raven table — one for all files' },
+  { id: 'raven-per-file', label: 'Raven tables — one per audio file' },
+  { id: 'audacity', label: 'Audacity labels — one per audio file' },
+  { id: 'csv', label: 'CSV' },
+  { id: 'audit', label: 'Edit log — who changed what (CSV)' },
+];
+
+export const sourceLabel = (source?: string): string | null =>
+  source ? SOURCE_LABELS[source] || source : null;
@@ -0,0 +1,43 @@
+// A detection's labels: `labels` when it has several (or a call type or
+// certainty), otherwise just its `species` and `species_code`. Main keeps
+// them in sync, with the first label as the primary species.
+
+import type { DetectionLabel } from '../types/electron';
+
+export const CERTAINTY_LEVELS: NonNullable<DetectionLabel['certainty']>[] = ['certain', 'probable', 'possible'];
+
+// Suggestions for the call-type box; any text is accepted.
+export const COMMON_CALL_TYPES = [
+  'song', 'call', 'alarm call', 'contact call', 'flight call', 'begging call', 'echolocation', 'social call',
+];
+
+const hasSpecies = (species: unknown): species is string =>
+  typeof species === 'string' && species !== '' && species !== 'null' && species !== 'None';
+
+export const detectionLabels = (detection: any): DetectionLabel[] => {
+  if (detection?.labels?.length) return detection.labels;
+  return hasSpecies(detection?.species)
+    ? [{ species: detection.species, code: detection.species_code ?? null, call_type: null, certainty: null }]
+    : [];
+};
+
+// Labels as main will store them: blanks dropped, empty call type as null.
+export const cleanLabels = (labels: DetectionLabel[]): DetectionLabel[] =>
+  labels
+    .filter(l => l.species)
+    .map(l => ({
+      species: l.species,
+      code: l.code || null,
+      call_type: l.call_type?.trim() || null,
+      certainty: l.certainty || null,
+    }));
+
+export const sameLabels = (a: DetectionLabel[], b: DetectionLabel[]): boolean =>
+  JSON.stringify(cleanLabels(a)) === JSON.stringify(cleanLabels(b));
+
+export const formatLabel = (label: DetectionLabel): string => {
+  const details = [label.call_type, label.certainty].filter(Boolean).join(', ');
+  return details ? `${label.species} (${details})` : label.species;
+};
+
+export const formatLabels = (labels: DetectionLabel[]): string => labels.map(formatLabel).join('; ');
@@ -0,0 +1,49 @@
+// Notes and tags on detections, and the search/tag filter that narrows
+// Previous/Next navigation. Main stores tags lowercased and de-duplicated;
+// the helpers here apply the same rules so the UI never disagrees with it.
+
+import { detectionLabels } from './labels';
+
+export interface DetectionFilter {
+  text: string;
+  tag: string;
+}
+
+export const EMPTY_FILTER: DetectionFilter = { text: '', tag: '' };
+
+export const isFilterActive = (filter: DetectionFilter): boolean =>
+  filter.text.trim() !== '' || filter.tag !== '';
+
+// Typed tags: commas and semicolons separate them.
+export const parseTagInput = (text: string): string[] =>
+  text.split(/[,;]/).map(t => t.trim().toLowerCase()).filter(Boolean);
+
+export const addTags = (tags: string[], added: string[]): string[] =>
+  [...new Set([...tags, ...added])];
+
+export const hasNotesOrTags = (detection: any): boolean =>
+  !!detection?.notes || !!detection?.tags?.length;
+
+// Every tag used in a set of detections, alphabetically.
+export const collectTags = (detections: any[]): string[] =>
+  [...new Set(detections.flatMap(d => d.tags || []))].sort();
+
+// Search text matches notes, tags and species labels, case-insensitively.
+export const matchesFilter = (detection: any, filter: DetectionFilter): boolean => {
+  if (filter.tag && !detection.tags?.includes(filter.tag)) return false;
+  const needle = filter.text.trim().toLowerCase();
+  if (!needle) return true;
+  const haystack = [
+    detection.notes || '',
+    ...(detection.tags || []),
+    ...detectionLabels(detection).flatMap(l => [l.species, l.call_type || '']),
+  ].join('\n').toLowerCase();
+  return haystack.includes(needle);
+};
+
+// Tooltip for a detection's rectangle.
+export const notesSummary = (detection: any): string =>
+  [
+    detection?.tags?.length ? `Tags: ${detection.tags.join(', ')}` : '',
+    detection?.notes || '',
+  ].filter(Boolean).join('\n');
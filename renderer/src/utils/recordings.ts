@@ -0,0 +1,55 @@
+// Display helpers for the recording metadata main reads from each file's
+// header and name (see RecordingInfo). Start times are shown as the recorder
+// wrote them, never converted through the machine's own time zone.
+
+import type { RecordingInfo } from '../types/electron';
+
+const START_SOURCES: Record<string, string> = {
+  guano: 'GUANO metadata',
+  comment: 'recorder comment',
+  filename: 'file name',
+};
+
+// "2024-05-01 05:30:00 UTC+01:00"; zone-less times get no suffix.
+export const formatStartTime = (iso: string): string => {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}:\d{2})(Z|[+-]\d{2}:\d{2})?$/.exec(iso);
+  if (!match) return iso;
+  const [, date, time, zone] = match;
+  return `${date} ${time}${zone ? ` UTC${zone === 'Z' ? '' : zone}` : ''}`;
+};
+
+const formatRate = (hz: number): string =>
+  hz >= 1000 ? `${+(hz / 1000).toFixed(1)} kHz` : `${hz} Hz`;
+
+const formatChannels = (n: number): string =>
+  n === 1 ? 'mono' : n === 2 ? 'stereo' : `${n} channels`;
+
+const formatDuration = (seconds: number): string => {
+  if (seconds < 60) return `${seconds.toFixed(1)} s`;
+  const m = Math.floor(seconds / 60);
+  const s = Math.round(seconds % 60);
+  return m < 60 ? `${m} min ${s} s` : `${Math.floor(m / 60)} h ${m % 60} min`;
+};
+
+/**
+ * The file info row under a spectrogram: each known piece of metadata as a
+ * short item, with a tooltip for where it came from.
+ */
+export const recordingInfoItems = (info?: RecordingInfo | null): { text: string; title?: string }[] => {
+  if (!info) return [];
+  const items: { text: string; title?: string }[] = [];
+  if (info.startTime) {
+    items.push({
+      text: formatStartTime(info.startTime),
+      title: `Recording start, from the ${START_SOURCES[info.startSource ?? ''] ?? 'file'}`,
+    });
+  }
+  if (info.device) items.push({ text: info.device, title: info.gain ? `Gain: ${info.gain}` : 'Recorder' });
+  if (info.sampleRate) items.push({ text: formatRate(info.sampleRate), title: info.bitsPerSample ? `${info.bitsPerSample}-bit` : undefined });
+  if (info.channels) items.push({ text: formatChannels(info.channels) });
+  if (info.duration != null) items.push({ text: formatDuration(info.duration) });
+  if (info.latitude != null && info.longitude != null) {
+    items.push({ text: `${info.latitude.toFixed(5)}, ${info.longitude.toFixed(5)}`, title: 'Recorder location' });
+  }
+  return items;
+};
@@ -0,0 +1,4 @@
+// Detection ids are only unique within an experiment, and a multi-selection
+// can span every overlaid experiment, so selections are keyed on both.
+export const detectionKey = (experimentId: string | undefined, id: string): string =>
+  `${experimentId ?? ''}:${id}`;
@@ -0,0 +1,42 @@
+// Default settings - single source of truth.
+// Note: sample rate is read from the WAV header on each load (see
+// SpectrogramProvider), so it isn't a user-configurable setting here.
+export const DEFAULT_SETTINGS = {
+  // Core spectrogram/worker params
+  n_fft: 2048,
+  win_length: 1024,
+  hop_length: 256,
+  f_min: 10,
+  f_max: 16000,           // Will be automatically capped to Nyquist frequency (sampleRate/2)
+  n_mels: 128,
+  top_db: 80,
+  windowDuration: 15,
+  // Visualization settings
+  dynamicGain: true,
+  autoGamma: true,
+  gammaValue: 1.0,
+  gainPercentile: 98,
+  brightness: 0,
+  contrast: 1.0,
+  // Name from spectrogram/colormap.ts's COLORMAPS; 'custom' is a gradient
+  // through customColormap's two or three colors
+  colormap: 'viridis',
+  customColormap: ['#10002b', '#ff5c8a', '#fff3b0'],
+  // Playback: 'normal', 'time-expansion', 'frequency-division' or
+  // 'heterodyne' (see spectrogram/processedPlayback.ts)
+  playbackMode: 'normal',
+  playbackFactor: 10,
+  heterodyneFreq: 40000,
+  // How many times slower than real time the files were recorded (1 = real
+  // time); divides times on the axis and wall-clock times
+  timeExpansion: 1,
+  // Channel (0-based) each spectrogram opens on and detection runs analyze;
+  // recordings with fewer channels use their last one
+  channel: 0,
+  // One spectrogram per channel, stacked, for multi-channel recordings
+  stackChannels: false,
+  // IANA zone for wall-clock times; '' shows them as the recorder wrote them
+  timeZone: '',
+  // Species list for annotations
+  speciesList: [] as string[],
+};
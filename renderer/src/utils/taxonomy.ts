@@ -0,0 +1,98 @@
+// Species choices for the annotation pickers: the profile's taxonomy, plus
+// the session's own species list for names the taxonomy doesn't have. Main
+// resolves names and aliases to taxon codes again on save, so this is only
+// about finding the right entry quickly.
+
+import type { DetectionLabel, Taxon } from '../types/electron';
+
+export interface SpeciesOption {
+  species: string;
+  code: string | null;
+  // Scientific name, the alias that matched, or the group; shown dimmed.
+  hint?: string;
+}
+
+export const taxonName = (taxon: Taxon): string => (taxon.common_name || taxon.scientific_name) as string;
+
+export const taxaByCode = (taxa: Taxon[]): Map<string, Taxon> => new Map(taxa.map(t => [t.code, t]));
+
+// Labels under their taxon's current name, for display after the taxonomy
+// was re-imported with different names.
+export const currentNames = (labels: DetectionLabel[], byCode: Map<string, Taxon>): DetectionLabel[] =>
+  labels.map(l => {
+    const taxon = l.code ? byCode.get(l.code) : undefined;
+    return taxon ? { ...l, species: taxonName(taxon) } : l;
+  });
+
+// Case- and accent-insensitive.
+const fold = (text: string): string => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+const words = (text: string): string[] => text.split(/[\s\-_/]+/).filter(Boolean);
+
+/**
+ * How well a typed query matches one name, 0 for not at all: exact, then
+ * prefix, then every typed word starting a word of the name ("eur rob" →
+ * European Robin), then substring, then the letters in order with few gaps.
+ */
+export const matchScore = (query: string, text?: string | null): number => {
+  if (!text) return 0;
+  const q = fold(query);
+  const t = fold(text);
+  if (!q) return 0;
+  if (t === q) return 100;
+  if (t.startsWith(q)) return 80;
+  const textWords = words(t);
+  if (words(q).every(w => textWords.some(tw => tw.startsWith(w)))) return 60;
+  if (t.includes(q)) return 40;
+  let i = 0;
+  let gaps = 0;
+  let last = -1;
+  for (let j = 0; j < t.length && i < q.length; j++) {
+    if (t[j] !== q[i]) continue;
+    if (last >= 0 && j > last + 1) gaps++;
+    last = j;
+    i++;
+  }
+  return i === q.length ? Math.max(1, 20 - gaps * 3) : 0;
+};
+
+/**
+ * Best matches for a query among the taxonomy and the session's species
+ * list, best first. An empty query lists the session's species, then the
+ * taxonomy alphabetically.
+ */
+export const searchSpecies = (query: string, taxa: Taxon[], speciesList: string[], limit = 30): SpeciesOption[] => {
+  const inTaxonomy = new Set(taxa.flatMap(t => [t.common_name, t.scientific_name].filter(Boolean).map(n => fold(n as string))));
+  const extras = speciesList.filter(s => !inTaxonomy.has(fold(s)));
+
+  if (!fold(query)) {
+    return [
+      ...extras.map(species => ({ species, code: null })),
+      ...[...taxa].sort((a, b) => taxonName(a).localeCompare(taxonName(b)))
+        .map(t => ({ species: taxonName(t), code: t.code, hint: t.scientific_name ?? undefined })),
+    ].slice(0, limit);
+  }
+
+  const scored: { option: SpeciesOption; score: number }[] = [];
+  for (const t of taxa) {
+    let score = Math.max(matchScore(query, t.common_name), matchScore(query, t.scientific_name));
+    let hint = t.common_name ? t.scientific_name ?? undefined : undefined;
+    if (fold(query) === fold(t.code)) score = 110;
+    for (const alias of t.aliases || []) {
+      const aliasScore = matchScore(query, alias) - 5;
+      if (aliasScore > score) {
+        score = aliasScore;
+        hint = `“${alias}”`;
+      }
+    }
+    if (score > 0) scored.push({ option: { species: taxonName(t), code: t.code, hint }, score });
+  }
+  for (const species of extras) {
+    const score = matchScore(query, species);
+    if (score > 0) scored.push({ option: { species, code: null }, score });
+  }
+  return scored
+    .sort((a, b) => b.score - a.score || a.option.species.localeCompare(b.option.species))
+    .slice(0, limit)
+    .map(s => s.option);
+};